@@ -0,0 +1,76 @@
+// jest.mock is not hoisted (no babel transform), so every mock is declared before the worker is loaded
+jest.mock('@azure/functions', () => ({
+    app: { timer: jest.fn() }
+}));
+
+jest.mock('../../shared/logger', () => ({
+    createLogger: jest.fn(() => ({
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }))
+}));
+
+jest.mock('../webhook-handler', () => ({
+    processNotification: jest.fn(async () => {}),
+    enrichNotificationsWithClientState: jest.fn(async notifications => notifications),
+    recordDeadLetter: jest.fn(async () => {})
+}));
+
+const { runNotificationWorker } = require('../notification-worker');
+const { InMemoryNotificationQueue } = require('../../shared/notification-queue');
+const { processNotification, recordDeadLetter } = require('../webhook-handler');
+const { DEAD_LETTER_STAGES } = require('../../shared/dead-letter-store');
+
+const NOTIFICATION = {
+    subscriptionId: 'sub-1',
+    resource: 'sites/contoso.sharepoint.com:/sites/ops:/lists/list-1',
+    changeType: 'updated',
+    resourceData: { id: '7' }
+};
+const context = { invocationId: 'test-invocation' };
+
+describe('notification-worker', () => {
+    let queue;
+
+    // Each run sees the message again once its retry delay has passed
+    const runAfterRetryDelay = () => {
+        jest.setSystemTime(Date.now() + 10 * 60 * 1000);
+        return runNotificationWorker(context, { queue });
+    };
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        jest.useFakeTimers({ now: new Date('2025-08-16T10:00:00Z') });
+        queue = new InMemoryNotificationQueue({ visibilityTimeout: 60 });
+        await queue.enqueue(NOTIFICATION);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('should process queued notifications', async () => {
+        const summary = await runNotificationWorker(context, { queue });
+
+        expect(summary).toMatchObject({ received: 1, succeeded: 1 });
+        expect(processNotification).toHaveBeenCalledWith(NOTIFICATION, context);
+        expect(await queue.size()).toBe(0);
+    });
+
+    it('should retry failed notifications and dead-letter them after repeated failures', async () => {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            processNotification.mockRejectedValueOnce(new Error('Graph unavailable'));
+        }
+
+        expect(await runNotificationWorker(context, { queue })).toMatchObject({ failed: 1 });
+        for (let run = 1; run < 5; run++) {
+            await runAfterRetryDelay();
+        }
+
+        expect(await queue.size()).toBe(0);
+        expect(recordDeadLetter).toHaveBeenCalledWith(
+            DEAD_LETTER_STAGES.PROCESSING, NOTIFICATION, 'Graph unavailable', context);
+    });
+});
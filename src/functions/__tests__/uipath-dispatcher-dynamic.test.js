@@ -1,44 +1,4 @@
-// Mock constants first (before other imports)
-jest.mock('../../shared/constants', () => ({
-    HTTP_STATUS: {
-        OK: 200,
-        CREATED: 201,
-        BAD_REQUEST: 400,
-        UNAUTHORIZED: 401,
-        NOT_FOUND: 404,
-        INTERNAL_SERVER_ERROR: 500
-    },
-    HTTP_HEADERS: {
-        CONTENT_TYPE: 'Content-Type',
-        CONTENT_TYPE_JSON: 'application/json'
-    },
-    SUCCESS_MESSAGES: {
-        UIPATH_DISPATCH_COMPLETED: 'UiPath dispatch completed'
-    },
-    SERVICE_NAMES: {
-        UIPATH_DISPATCHER: 'uipath-dispatcher'
-    },
-    UIPATH_PRIORITY: {
-        LOW: 'Low',
-        NORMAL: 'Normal',
-        HIGH: 'High'
-    },
-    UIPATH_API_ENDPOINTS: {
-        ADD_QUEUE_ITEM: '/odata/Queues/UiPathODataSvc.AddQueueItem',
-        GET_FOLDERS: '/odata/Folders'
-    },
-    ERROR_MESSAGES: {},
-    COSTCO_CONFIG_CONSTANTS: {
-        LIST_NAME: 'COSTCO-INLINE-Trafficking-Routing',
-        SITE_PATH: '/sites/DWI',
-        STATUS_FIELD: 'Status',
-        TARGET_STATUS: 'Send Generated Form'
-    }
-}));
-
-const { processNotification } = require('../uipath-dispatcher-dynamic');
-const { HTTP_STATUS } = require('../../shared/constants');
-
+// jest.mock is not hoisted (no babel transform), so every mock is declared before the dispatcher is loaded
 // Mock all dependencies
 jest.mock('../../shared/logger', () => ({
     createLogger: jest.fn(() => ({
@@ -55,11 +15,8 @@ jest.mock('../../shared/auth', () => ({
     getAccessToken: jest.fn(() => Promise.resolve('mock-access-token'))
 }));
 
-jest.mock('./uipath-dispatcher', () => ({
-    shouldProcessForUiPath: jest.fn((clientState) => {
-        return clientState && clientState.includes('processor:uipath');
-    }),
-    fetchSharePointItem: jest.fn((resource, resourceData, context) => {
+jest.mock('../uipath-dispatcher', () => {
+    const fetchSharePointItem = jest.fn((resource, resourceData) => {
         // Mock SharePoint item response
         return Promise.resolve({
             ID: resourceData?.id || '123',
@@ -67,15 +24,31 @@ jest.mock('./uipath-dispatcher', () => ({
             Status: 'Active',
             FileLeafRef: 'test-document.pdf'
         });
-    })
-}));
+    });
+    return {
+        shouldProcessForUiPath: jest.fn((clientState) => {
+            return clientState && clientState.includes('processor:uipath');
+        }),
+        fetchSharePointItem,
+        resolveSharePointItem: jest.fn(async (...args) => ({ item: await fetchSharePointItem(...args), notFound: false }))
+    };
+});
+
+jest.mock('../../shared/item-state-store', () => {
+    const { InMemoryItemStateStore, getItemStateId } = jest.requireActual('../../shared/item-state-store');
+    const store = new InMemoryItemStateStore();
+    return { getItemStateStore: () => store, getItemStateId };
+});
 
 jest.mock('../../shared/uipath-processor-registry', () => ({
-    resolveProcessor: jest.fn(({ clientState, resource, item }) => {
-        if (clientState?.includes('costco') || resource?.toLowerCase().includes('costco')) {
+    refreshListTemplates: jest.fn(() => Promise.resolve()),
+    resolveProcessor: jest.fn(({ clientState, resource }) => {
+        // The COSTCO list template matches the routing list on the DWI site
+        if (clientState?.includes('costco') || /costco|\/sites\/dwi:/.test(resource?.toLowerCase())) {
             return {
                 name: 'costco-inline-routing',
-                factory: (context) => ({
+                requiresAccessToken: true,
+                factory: () => ({
                     process: jest.fn(async () => ({
                         processed: true,
                         queueSubmission: { success: true, queueItemId: 'queue-123' }
@@ -86,7 +59,8 @@ jest.mock('../../shared/uipath-processor-registry', () => ({
         if (clientState?.includes('document')) {
             return {
                 name: 'generic-document',
-                factory: (context) => ({
+                requiresAccessToken: true,
+                factory: () => ({
                     process: jest.fn(async () => ({
                         processed: true,
                         queueSubmission: { success: true, queueItemId: 'queue-456' }
@@ -102,6 +76,8 @@ jest.mock('../../shared/uipath-processor-registry', () => ({
     })
 }));
 
+const { processNotification } = require('../uipath-dispatcher-dynamic');
+
 const mockLogger = {
     debug: jest.fn(),
     info: jest.fn(),
@@ -140,7 +116,7 @@ describe('uipath-dispatcher-dynamic', () => {
         });
 
         it('should skip when unable to fetch SharePoint item', async () => {
-            const { fetchSharePointItem } = require('./uipath-dispatcher');
+            const { fetchSharePointItem } = require('../uipath-dispatcher');
             fetchSharePointItem.mockResolvedValueOnce(null);
 
             const notification = {
@@ -293,6 +269,64 @@ describe('uipath-dispatcher-dynamic', () => {
             );
         });
 
+        describe('deleted items', () => {
+            const { getItemStateStore } = require('../../shared/item-state-store');
+            const resource = 'sites/example.sharepoint.com:/sites/costco:/lists/123';
+            const deletedNotification = {
+                subscriptionId: 'sub-delete',
+                resource,
+                changeType: 'deleted',
+                clientState: 'processor:uipath;costco:routing',
+                resourceData: { id: '77' }
+            };
+
+            const mockDeleteProcessor = onDelete => {
+                const { resolveProcessor } = require('../../shared/uipath-processor-registry');
+                resolveProcessor.mockReturnValueOnce({
+                    name: 'costco-inline-routing',
+                    factory: () => ({ process: jest.fn(), onDelete })
+                });
+            };
+
+            it('should pass the last known item to the processor onDelete hook', async () => {
+                await getItemStateStore().save(resource, { id: '77', fields: { Status: 'Send Generated Form' } }, 'uipath');
+                const onDelete = jest.fn(async () => ({ processed: true }));
+                mockDeleteProcessor(onDelete);
+
+                const result = await processNotification(deletedNotification, mockContext, mockLogger);
+
+                expect(onDelete).toHaveBeenCalledWith(expect.objectContaining({
+                    item: expect.objectContaining({ id: '77', Status: 'Send Generated Form' }),
+                    deletedDateTime: expect.any(String)
+                }));
+                expect(result).toMatchObject({ processed: true, changeType: 'deleted', processor: 'costco-inline-routing' });
+                expect(await getItemStateStore().get(resource, '77', 'uipath')).toBeNull();
+            });
+
+            it('should skip deleted items that were never processed', async () => {
+                const result = await processNotification({ ...deletedNotification, resourceData: { id: '78' } }, mockContext, mockLogger);
+
+                expect(result).toMatchObject({ processed: false, reason: 'No last known state for deleted item' });
+            });
+
+            it('should treat an item that no longer exists as deleted', async () => {
+                const { resolveSharePointItem } = require('../uipath-dispatcher');
+                resolveSharePointItem.mockResolvedValueOnce({ item: null, notFound: true });
+                await getItemStateStore().save(resource, { id: '79', fields: { Status: 'Draft' } }, 'uipath');
+                const onDelete = jest.fn(async () => ({ processed: true }));
+                mockDeleteProcessor(onDelete);
+
+                const result = await processNotification(
+                    { ...deletedNotification, changeType: 'updated', resourceData: { id: '79' } },
+                    mockContext,
+                    mockLogger
+                );
+
+                expect(onDelete).toHaveBeenCalled();
+                expect(result.changeType).toBe('deleted');
+            });
+        });
+
         it('should log webhook processing start', async () => {
             const notification = {
                 subscriptionId: 'sub-log-test',
@@ -331,7 +365,7 @@ describe('uipath-dispatcher-dynamic', () => {
                 }
             };
 
-            const { fetchSharePointItem } = require('./uipath-dispatcher');
+            const { fetchSharePointItem } = require('../uipath-dispatcher');
             fetchSharePointItem.mockResolvedValueOnce({
                 ID: '15',
                 Title: 'COSTCO Routing Form',
@@ -358,7 +392,7 @@ describe('uipath-dispatcher-dynamic', () => {
                 }
             };
 
-            const { fetchSharePointItem } = require('./uipath-dispatcher');
+            const { fetchSharePointItem } = require('../uipath-dispatcher');
             fetchSharePointItem.mockResolvedValueOnce({
                 id: 'invoice-001',
                 FileLeafRef: 'invoice-2025-001.pdf',
@@ -0,0 +1,304 @@
+// jest.mock is not hoisted (no babel transform), so backends and mocks are set up before the handler is loaded
+process.env.DELIVERY_BACKEND = 'memory';
+process.env.DEAD_LETTER_BACKEND = 'memory';
+process.env.DEDUPE_BACKEND = 'memory';
+process.env.ITEM_STATE_BACKEND = 'memory';
+process.env.NOTIFICATION_QUEUE_BACKEND = 'memory';
+
+jest.mock('axios');
+
+jest.mock('@azure/functions', () => ({
+    app: { http: jest.fn(), timer: jest.fn() }
+}));
+
+jest.mock('../../shared/logger', () => ({
+    createLogger: jest.fn(() => ({
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        logRequest: jest.fn(),
+        logResponse: jest.fn(),
+        logWebhook: jest.fn(),
+        logSharePoint: jest.fn()
+    }))
+}));
+
+jest.mock('../../shared/auth', () => ({
+    getAccessToken: jest.fn(async () => 'mock-access-token')
+}));
+
+jest.mock('../../shared/notification-authenticator', () => ({
+    authenticateNotification: jest.fn(async () => ({ authentic: true, reason: null }))
+}));
+
+jest.mock('../../shared/notification-counters', () => {
+    const store = { add: jest.fn(async () => {}) };
+    return { getCounterStore: () => store };
+});
+
+jest.mock('../../shared/delta-tracker', () => ({
+    expandNotification: jest.fn(async notification => [notification])
+}));
+
+jest.mock('../uipath-dispatcher-dynamic', () => ({
+    processNotification: jest.fn(async () => ({ processed: true }))
+}));
+
+jest.mock('../uipath-dispatcher', () => ({
+    resolveSharePointItem: jest.fn()
+}));
+
+const mockForwardBatch = jest.fn();
+jest.mock('../../shared/enhanced-forwarder', () => {
+    const EnhancedForwarder = jest.requireActual('../../shared/enhanced-forwarder');
+    return class extends EnhancedForwarder {
+        forwardBatch(...args) {
+            return mockForwardBatch(...args);
+        }
+    };
+});
+
+const axios = require('axios');
+const { app } = require('@azure/functions');
+const { processNotification } = require('../webhook-handler');
+const { processNotification: processUiPathNotification } = require('../uipath-dispatcher-dynamic');
+const { resolveSharePointItem } = require('../uipath-dispatcher');
+const { authenticateNotification } = require('../../shared/notification-authenticator');
+const { expandNotification } = require('../../shared/delta-tracker');
+const { getDeliveryStore } = require('../../shared/delivery-store');
+const { getDeadLetterStore } = require('../../shared/dead-letter-store');
+const { getDedupeStore } = require('../../shared/dedupe-store');
+const { getItemStateStore } = require('../../shared/item-state-store');
+const { getNotificationQueue } = require('../../shared/notification-queue');
+
+const [, { handler: handleWebhookRequest }] = app.http.mock.calls[0];
+
+const RESOURCE = 'sites/contoso.sharepoint.com:/sites/ops:/lists/list-1';
+const WEB_URL = 'https://contoso.sharepoint.com/sites/ops/Lists/Orders/DispForm.aspx?ID=7';
+const context = { invocationId: 'test-invocation', error: jest.fn() };
+
+const notificationFor = (clientState, overrides = {}) => ({
+    subscriptionId: 'sub-1',
+    resource: RESOURCE,
+    changeType: 'updated',
+    resourceData: { id: '7' },
+    clientState,
+    ...overrides
+});
+
+const itemWith = fields => ({ id: '7', webUrl: WEB_URL, fields, ...fields });
+
+const byDestination = records => Object.fromEntries(records.map(record => [record.destinationId, record]));
+
+describe('webhook-handler', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getDeliveryStore().records.clear();
+        getDeadLetterStore().entries.clear();
+        getDedupeStore().seen.clear();
+        getItemStateStore().states.clear();
+        getNotificationQueue().messages = [];
+        mockForwardBatch.mockResolvedValue({ success: true, mode: 'simple' });
+        resolveSharePointItem.mockResolvedValue({ item: itemWith({ Title: 'Order 7', Status: 'Draft' }), notFound: false });
+    });
+
+    describe('intake', () => {
+        const post = body => handleWebhookRequest({
+            method: 'POST',
+            url: 'https://example.com/api/webhook-handler',
+            query: new URLSearchParams(),
+            headers: new Map(),
+            text: async () => JSON.stringify(body)
+        }, context);
+
+        it('should queue each notification once and drop duplicates on arrival', async () => {
+            const notification = notificationFor(undefined);
+
+            const response = await post({ value: [notification, notification] });
+            await post({ value: [notification] });
+
+            expect(response.status).toBe(200);
+            expect(await getNotificationQueue().size()).toBe(1);
+        });
+
+        it('should drop forged notifications without claiming their dedupe key', async () => {
+            const notification = notificationFor(undefined);
+            authenticateNotification.mockResolvedValueOnce({ authentic: false, reason: 'secret-mismatch' });
+
+            await post({ value: [notification] });
+            expect(await getNotificationQueue().size()).toBe(0);
+
+            await post({ value: [notification] });
+            expect(await getNotificationQueue().size()).toBe(1);
+            expect(authenticateNotification).toHaveBeenCalledTimes(2);
+        });
+
+        it('should accept a redelivered notification whose first delivery could not be queued', async () => {
+            const notification = notificationFor(undefined);
+            jest.spyOn(getNotificationQueue(), 'enqueue').mockRejectedValueOnce(new Error('Queue unavailable'));
+
+            const failed = await post({ value: [notification] });
+            const redelivered = await post({ value: [notification] });
+
+            expect(failed.status).toBe(500);
+            expect(redelivered.status).toBe(200);
+            expect(await getNotificationQueue().size()).toBe(1);
+        });
+
+        it('should process queued and retried notifications without deduping them', async () => {
+            const clientState = 'destination:forward|url:https://example.com/hook';
+
+            await processNotification(notificationFor(clientState), context);
+            await processNotification(notificationFor(clientState), context);
+
+            expect(mockForwardBatch).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('destination fan-out', () => {
+        const clientState = 'destination:uipath|handler:document|queue:FIN_SCAN|destination:forward|url:https://example.com/hook';
+
+        it('should keep one delivery record per destination and dead-letter only the failing one', async () => {
+            processUiPathNotification.mockRejectedValueOnce(new Error('Orchestrator unavailable'));
+
+            await processNotification(notificationFor(clientState), context);
+
+            const deliveries = byDestination(await getDeliveryStore().list());
+            expect(Object.keys(deliveries)).toEqual(['uipath-1', 'forward-2']);
+            expect(deliveries['uipath-1']).toMatchObject({
+                destinationType: 'uipath',
+                target: 'FIN_SCAN',
+                status: 'failed',
+                attempts: 1,
+                lastError: 'Orchestrator unavailable'
+            });
+            expect(deliveries['forward-2']).toMatchObject({
+                destinationType: 'forward',
+                target: 'https://example.com/hook',
+                status: 'succeeded',
+                lastError: null
+            });
+            expect(mockForwardBatch).toHaveBeenCalledTimes(1);
+
+            const deadLetters = await getDeadLetterStore().list();
+            expect(deadLetters).toHaveLength(1);
+            expect(deadLetters[0]).toMatchObject({
+                stage: 'uipath',
+                deliveryId: deliveries['uipath-1'].id,
+                error: 'Orchestrator unavailable',
+                clientState: 'destination:uipath|handler:document|queue:FIN_SCAN'
+            });
+        });
+
+        it('should mark every delivery succeeded when all destinations accept the notification', async () => {
+            await processNotification(notificationFor(clientState), context);
+
+            const deliveries = await getDeliveryStore().list();
+            expect(deliveries.map(record => record.status)).toEqual(['succeeded', 'succeeded']);
+            expect(await getDeadLetterStore().list()).toEqual([]);
+        });
+    });
+
+    describe('routing rules', () => {
+        const clientState = "destination:forward|url:https://a.example.com|when:Status == 'Approved'|" +
+            'destination:forward|url:https://b.example.com';
+
+        it('should skip destinations whose rule does not match the item', async () => {
+            await processNotification(notificationFor(clientState), context);
+
+            expect(mockForwardBatch).toHaveBeenCalledTimes(1);
+            expect(mockForwardBatch.mock.calls[0][1]).toBe('https://b.example.com');
+            const deliveries = await getDeliveryStore().list();
+            expect(deliveries.map(record => record.target)).toEqual(['https://b.example.com']);
+        });
+
+        it('should fail and dead-letter a destination whose rule could not be evaluated', async () => {
+            resolveSharePointItem.mockResolvedValue({ item: null, notFound: false });
+
+            await processNotification(notificationFor(clientState), context);
+
+            expect(mockForwardBatch.mock.calls.map(call => call[1])).toEqual(['https://b.example.com']);
+            const deliveries = byDestination(await getDeliveryStore().list());
+            expect(deliveries['forward-1']).toMatchObject({
+                status: 'failed',
+                lastError: 'Routing rule could not be evaluated: Item could not be fetched to evaluate routing rules'
+            });
+            expect(deliveries['forward-2'].status).toBe('succeeded');
+
+            const deadLetters = await getDeadLetterStore().list();
+            expect(deadLetters).toHaveLength(1);
+            expect(deadLetters[0]).toMatchObject({ stage: 'forward', deliveryId: deliveries['forward-1'].id });
+        });
+    });
+
+    describe('cloudevents-batch destinations', () => {
+        it('should send the items of one list notification in a single request', async () => {
+            const clientState = 'destination:forward|url:https://example.com/events|format:cloudevents-batch';
+            const notification = notificationFor(clientState, { resourceData: {} });
+            expandNotification.mockResolvedValueOnce(['7', '8', '9']
+                .map(id => ({ ...notification, resourceData: { id } })));
+
+            await processNotification(notification, context);
+
+            expect(mockForwardBatch).toHaveBeenCalledTimes(1);
+            const [sent, url] = mockForwardBatch.mock.calls[0];
+            expect(url).toBe('https://example.com/events');
+            expect(sent.map(item => item.resourceData.id)).toEqual(['7', '8', '9']);
+
+            const deliveries = await getDeliveryStore().list();
+            expect(deliveries.map(record => [record.itemId, record.status])).toEqual([
+                ['7', 'succeeded'],
+                ['8', 'succeeded'],
+                ['9', 'succeeded']
+            ]);
+        });
+    });
+
+    describe('teams destinations', () => {
+        const clientState = 'destination:teams|channel:OPS';
+        const webhookUrl = 'https://contoso.webhook.office.com/webhookb2/ops';
+
+        beforeEach(() => {
+            process.env.TEAMS_WEBHOOK_URL_OPS = webhookUrl;
+        });
+
+        afterEach(() => {
+            delete process.env.TEAMS_WEBHOOK_URL_OPS;
+        });
+
+        it('should post a card with the fields changed since the previous card', async () => {
+            axios.post.mockResolvedValue({ status: 200, data: '1' });
+
+            await processNotification(notificationFor(clientState), context);
+            resolveSharePointItem.mockResolvedValue({ item: itemWith({ Title: 'Order 7', Status: 'Approved' }), notFound: false });
+            await processNotification(notificationFor(clientState), context);
+
+            expect(axios.post).toHaveBeenCalledTimes(2);
+            const [url, message] = axios.post.mock.calls[1];
+            expect(url).toBe(webhookUrl);
+            const card = message.attachments[0].content;
+            expect(card.body.find(element => element.type === 'FactSet').facts)
+                .toEqual([{ title: 'Status', value: 'Draft → Approved' }]);
+            expect(card.actions[0]).toMatchObject({ title: 'Open item', url: WEB_URL });
+
+            const saved = await getItemStateStore().get(RESOURCE, '7', 'teams');
+            expect(saved.Status).toBe('Approved');
+            const deliveries = await getDeliveryStore().list();
+            expect(deliveries.map(record => [record.target, record.status])).toEqual([
+                ['OPS', 'succeeded'],
+                ['OPS', 'succeeded']
+            ]);
+        });
+
+        it('should dead-letter a rejected card without advancing the item state', async () => {
+            axios.post.mockResolvedValue({ status: 400, data: 'Bad payload' });
+
+            await processNotification(notificationFor(clientState), context);
+
+            expect(await getItemStateStore().get(RESOURCE, '7', 'teams')).toBeNull();
+            const [deadLetter] = await getDeadLetterStore().list();
+            expect(deadLetter).toMatchObject({ stage: 'teams', error: expect.stringContaining('status 400') });
+        });
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * ClientState Validation
+ * Validates a clientState string or structured config and explains what a
+ * webhook created with it would do, before any subscription is created.
+ *
+ * POST /api/clientstate/validate
+ *   { "clientState": "destination:uipath|handler:document|queue:FIN_SCAN|tenant:PROD" }
+ *   { "config": { "destination": "uipath", "handler": "document", "queue": "FIN_SCAN" } }
+ *   Optional "resource" is used to resolve resource-based processors.
+ */
+
+const { app } = require('@azure/functions');
+const { wrapHandler, validationError } = require('../shared/error-handler');
+const { createLogger } = require('../shared/logger');
+const { validateClientState } = require('../shared/clientstate-validator');
+const { HTTP_STATUS, HTTP_HEADERS } = require('../shared/constants');
+
+app.http('clientstate-validate', {
+    methods: ['POST'],
+    authLevel: 'function',
+    route: 'clientstate/validate',
+    handler: wrapHandler(async (request, context) => {
+        const logger = createLogger(context);
+
+        let body;
+        try {
+            body = JSON.parse(await request.text());
+        } catch (parseError) {
+            throw validationError('Invalid JSON in request body', { parseError: parseError.message });
+        }
+
+        if (!body || (body.clientState === undefined && !body.config)) {
+            throw validationError('Provide either clientState or config');
+        }
+
+        if (body.clientState !== undefined && typeof body.clientState !== 'string') {
+            throw validationError('clientState must be a string', { received: typeof body.clientState });
+        }
+
+        const result = validateClientState(body.config || body.clientState, { resource: body.resource });
+
+        logger.info('Validated clientState', {
+            valid: result.valid,
+            errors: result.errors.length,
+            warnings: result.warnings.length,
+            processor: result.processor
+        });
+
+        return {
+            status: HTTP_STATUS.OK,
+            headers: { [HTTP_HEADERS.CONTENT_TYPE]: HTTP_HEADERS.CONTENT_TYPE_JSON },
+            body: JSON.stringify(result)
+        };
+    })
+});
@@ -0,0 +1,248 @@
+/**
+ * Dead-Letter Management
+ * Lists, inspects, replays and purges notifications whose dispatch failed.
+ * Replay goes back through the same dispatch path webhook-handler uses, so
+ * operators can recover after a UiPath or forward target outage.
+ *
+ * Routes:
+ * - GET    /api/dead-letters?stage=&subscriptionId=&top=   list entries
+ * - GET    /api/dead-letters/{id}                          inspect one entry
+ * - POST   /api/dead-letters/{id}                          replay one entry
+ * - POST   /api/dead-letters  { ids } | { stage, subscriptionId }   replay many
+ * - DELETE /api/dead-letters/{id}                          purge one entry
+ * - DELETE /api/dead-letters?stage=&subscriptionId=&olderThan=&all=true   purge many
+ */
+
+const { app } = require('@azure/functions');
+const config = require('../shared/config');
+const { wrapHandler, validationError, notFoundError } = require('../shared/error-handler');
+const { createLogger } = require('../shared/logger');
+const { getDeadLetterStore, DEAD_LETTER_STAGES } = require('../shared/dead-letter-store');
+const {
+    processNotification,
+    enrichNotificationsWithClientState,
+    dispatchToUiPath,
+    dispatchToForward,
+    dispatchToAdapter,
+    dispatchToTeams,
+    recordDeliveryAttempt
+} = require('./webhook-handler');
+const { HTTP_STATUS, HTTP_HEADERS } = require('../shared/constants');
+
+app.http('dead-letters', {
+    methods: ['GET', 'POST', 'DELETE'],
+    authLevel: 'function',
+    route: 'dead-letters/{id?}',
+    handler: wrapHandler(async (request, context) => {
+        const logger = createLogger(context);
+        const store = getDeadLetterStore();
+        const id = request.params?.id;
+
+        logger.logRequest(request.method, request.url, { deadLetterId: id });
+
+        if (request.method === 'GET') {
+            if (id) {
+                const entry = await store.get(id);
+                if (!entry) {
+                    throw notFoundError('Dead letter');
+                }
+                return jsonResponse(entry);
+            }
+
+            const filter = parseFilter(request);
+            const entries = await store.list(filter);
+            return jsonResponse({ count: entries.length, deadLetters: entries });
+        }
+
+        if (request.method === 'POST') {
+            if (id) {
+                const entry = await store.get(id);
+                if (!entry) {
+                    throw notFoundError('Dead letter');
+                }
+                const result = await replayDeadLetter(store, entry, context);
+                return jsonResponse(result);
+            }
+
+            const body = await readJsonBody(request);
+            const entries = await selectEntriesForReplay(store, body);
+            const results = [];
+            for (const entry of entries) {
+                results.push(await replayDeadLetter(store, entry, context));
+            }
+
+            return jsonResponse({
+                requested: entries.length,
+                replayed: results.filter(r => r.success).length,
+                failed: results.filter(r => !r.success).length,
+                results
+            });
+        }
+
+        if (request.method === 'DELETE') {
+            if (id) {
+                const removed = await store.remove(id);
+                if (!removed) {
+                    throw notFoundError('Dead letter');
+                }
+                return jsonResponse({ purged: 1, id });
+            }
+
+            const filter = parseFilter(request);
+            const hasFilter = filter.stage || filter.subscriptionId || filter.olderThan;
+            if (!hasFilter && request.query.get('all') !== 'true') {
+                throw validationError('Purging without a filter requires all=true');
+            }
+
+            const purged = await store.purge(filter);
+            logger.warn('Dead letters purged', { purged, filter });
+            return jsonResponse({ purged });
+        }
+
+        throw validationError('Method not supported', { method: request.method });
+    })
+});
+
+/**
+ * Replay a single dead-letter entry through its original dispatch path
+ * Successful replays remove the entry; failures bump its attempt count.
+ * Entries for a fan-out destination also update that destination's delivery record.
+ * @param {Object} store - Dead-letter store
+ * @param {Object} entry - Dead-letter entry
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<Object>} Replay result
+ */
+async function replayDeadLetter(store, entry, context) {
+    const logger = createLogger(context);
+    let outcome;
+
+    try {
+        switch (entry.stage) {
+            case DEAD_LETTER_STAGES.UIPATH:
+                outcome = await dispatchToUiPath(entry.notification, context);
+                break;
+            case DEAD_LETTER_STAGES.FORWARD:
+            case DEAD_LETTER_STAGES.DEFERRED:
+                outcome = await dispatchToForward(entry.notification, context);
+                break;
+            case DEAD_LETTER_STAGES.ADAPTER:
+                outcome = await dispatchToAdapter(entry.notification, context);
+                break;
+            case DEAD_LETTER_STAGES.TEAMS:
+                outcome = await dispatchToTeams(entry.notification, context);
+                break;
+            case DEAD_LETTER_STAGES.PROCESSING: {
+                const [enriched] = await enrichNotificationsWithClientState([entry.notification], context);
+                await processNotification(enriched, context);
+                outcome = { success: true };
+                break;
+            }
+            default:
+                outcome = { success: false, error: `Unknown dead-letter stage: ${entry.stage}` };
+        }
+    } catch (error) {
+        outcome = { success: false, error: error.message };
+    }
+
+    await recordDeliveryAttempt(entry.deliveryId, outcome, context);
+
+    if (outcome.success) {
+        await store.remove(entry.id);
+        logger.info('Dead letter replayed successfully', {
+            deadLetterId: entry.id,
+            stage: entry.stage,
+            subscriptionId: entry.subscriptionId
+        });
+        return { id: entry.id, stage: entry.stage, success: true };
+    }
+
+    const updated = await store.recordFailedAttempt(entry.id, outcome.error);
+    logger.warn('Dead letter replay failed', {
+        deadLetterId: entry.id,
+        stage: entry.stage,
+        subscriptionId: entry.subscriptionId,
+        attempts: updated?.attempts,
+        error: outcome.error
+    });
+    return { id: entry.id, stage: entry.stage, success: false, error: outcome.error, attempts: updated?.attempts };
+}
+
+/**
+ * Resolve which entries a bulk replay request targets
+ * @param {Object} store - Dead-letter store
+ * @param {Object} body - { ids } or { stage, subscriptionId }
+ * @returns {Promise<Array>} Entries to replay
+ */
+async function selectEntriesForReplay(store, body) {
+    const limit = config.deadLetter.maxReplayBatch;
+
+    if (Array.isArray(body.ids)) {
+        if (body.ids.length > limit) {
+            throw validationError(`Cannot replay more than ${limit} dead letters per request`, {
+                requested: body.ids.length
+            });
+        }
+        const entries = await Promise.all(body.ids.map(id => store.get(id)));
+        const missing = body.ids.filter((_id, index) => !entries[index]);
+        if (missing.length > 0) {
+            throw validationError('Some dead letters were not found', { missing });
+        }
+        return entries;
+    }
+
+    if (!body.stage && !body.subscriptionId) {
+        throw validationError('Provide ids, stage or subscriptionId to select dead letters for replay');
+    }
+
+    return store.list({ stage: body.stage, subscriptionId: body.subscriptionId, top: limit });
+}
+
+function parseFilter(request) {
+    const filter = {
+        stage: request.query.get('stage') || undefined,
+        subscriptionId: request.query.get('subscriptionId') || undefined,
+        olderThan: request.query.get('olderThan') || undefined
+    };
+
+    if (filter.stage && !Object.values(DEAD_LETTER_STAGES).includes(filter.stage)) {
+        throw validationError('Invalid dead-letter stage', {
+            received: filter.stage,
+            allowed: Object.values(DEAD_LETTER_STAGES)
+        });
+    }
+
+    if (filter.olderThan && isNaN(new Date(filter.olderThan).getTime())) {
+        throw validationError('Invalid olderThan date', { received: filter.olderThan });
+    }
+
+    const top = parseInt(request.query.get('top'), 10);
+    if (!isNaN(top) && top > 0) {
+        filter.top = top;
+    }
+
+    return filter;
+}
+
+async function readJsonBody(request) {
+    const text = await request.text();
+    if (!text) {
+        return {};
+    }
+    try {
+        return JSON.parse(text);
+    } catch (parseError) {
+        throw validationError('Invalid JSON in request body', { parseError: parseError.message });
+    }
+}
+
+function jsonResponse(body) {
+    return {
+        status: HTTP_STATUS.OK,
+        headers: { [HTTP_HEADERS.CONTENT_TYPE]: HTTP_HEADERS.CONTENT_TYPE_JSON },
+        body: JSON.stringify(body)
+    };
+}
+
+module.exports = {
+    replayDeadLetter
+};
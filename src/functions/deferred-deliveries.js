@@ -0,0 +1,88 @@
+/**
+ * Deferred Deliveries
+ * Retries forwards that were deferred because their target's circuit was open
+ * (dead letters in the deferred stage). Entries whose target circuit is still
+ * open in this instance wait for a later run; once the circuit's trial request
+ * is due, the run sends it itself. A retry that fails outright moves the entry
+ * to the forward stage for manual replay. Schedule and batch size are
+ * configured via config.forwardRetry.
+ */
+
+const { app } = require('@azure/functions');
+const config = require('../shared/config');
+const { createLogger } = require('../shared/logger');
+const { parseClientState } = require('../shared/clientstate-parser');
+const { getCircuitKey, getCircuitBreaker } = require('../shared/circuit-breaker');
+const { getDeadLetterStore, DEAD_LETTER_STAGES } = require('../shared/dead-letter-store');
+const { dispatchToForward, recordDeadLetter, recordDeliveryAttempt } = require('./webhook-handler');
+
+app.timer('deferred-deliveries', {
+    schedule: config.forwardRetry.deferredSchedule,
+    handler: async (_myTimer, context) => {
+        const logger = createLogger(context);
+
+        try {
+            const summary = await retryDeferredDeliveries(context);
+            if (summary.due > 0) {
+                logger.info('Deferred deliveries retried', summary);
+            }
+        } catch (error) {
+            logger.error('Deferred delivery run failed', {
+                error: error.message,
+                stack: error.stack
+            });
+        }
+    }
+});
+
+/**
+ * Retry deferred forwards whose target circuit allows a request
+ * @param {Object} context - Azure Functions context
+ * @param {Object} options - { store } override for tests
+ * @returns {Promise<Object>} Run summary
+ */
+async function retryDeferredDeliveries(context, options = {}) {
+    const store = options.store || getDeadLetterStore();
+    const entries = await store.list({ stage: DEAD_LETTER_STAGES.DEFERRED, top: config.forwardRetry.maxDeferredBatch });
+    const summary = { deferred: entries.length, due: 0, delivered: 0, stillDeferred: 0, failed: 0 };
+
+    for (const entry of entries) {
+        // The run takes the half-open trial itself, so an entry is retried as soon as
+        // its target may be tried again, not only once another forward closed the circuit
+        const forwardUrl = parseClientState(entry.clientState).forwardUrl;
+        if (forwardUrl && !getCircuitBreaker(getCircuitKey(forwardUrl)).canRequest()) {
+            continue;
+        }
+        summary.due++;
+
+        const outcome = await dispatchToForward(entry.notification, context, {
+            circuitTrialTaken: Boolean(forwardUrl)
+        });
+        await recordDeliveryAttempt(entry.deliveryId, outcome, context);
+
+        if (outcome.success) {
+            await store.remove(entry.id);
+            summary.delivered++;
+        } else if (outcome.deferred) {
+            await store.recordFailedAttempt(entry.id, outcome.error);
+            summary.stillDeferred++;
+        } else {
+            // The target answered and still failed after retries; leave it for manual replay
+            await recordDeadLetter(
+                DEAD_LETTER_STAGES.FORWARD,
+                entry.notification,
+                outcome.error,
+                context,
+                entry.deliveryId
+            );
+            await store.remove(entry.id);
+            summary.failed++;
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    retryDeferredDeliveries
+};
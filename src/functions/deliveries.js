@@ -0,0 +1,80 @@
+/**
+ * Delivery Status
+ * Shows, per destination, whether a notification reached it. A subscription
+ * whose clientState declares several destinations gets one delivery record
+ * per destination per notification; failed deliveries are retried through
+ * their dead letter (POST /api/dead-letters/{id}), which updates the record.
+ *
+ * Routes:
+ * - GET /api/deliveries?subscriptionId=&status=&destinationType=&itemId=&top=   list records
+ * - GET /api/deliveries/{id}                                                     inspect one record
+ */
+
+const { app } = require('@azure/functions');
+const { wrapHandler, validationError, notFoundError } = require('../shared/error-handler');
+const { createLogger } = require('../shared/logger');
+const { getDeliveryStore, DELIVERY_STATUS } = require('../shared/delivery-store');
+const { DESTINATIONS } = require('../shared/clientstate-parser');
+const { HTTP_STATUS, HTTP_HEADERS } = require('../shared/constants');
+
+app.http('deliveries', {
+    methods: ['GET'],
+    authLevel: 'function',
+    route: 'deliveries/{id?}',
+    handler: wrapHandler(async (request, context) => {
+        const logger = createLogger(context);
+        const store = getDeliveryStore();
+        const id = request.params?.id;
+
+        logger.logRequest(request.method, request.url, { deliveryId: id });
+
+        if (id) {
+            const delivery = await store.get(id);
+            if (!delivery) {
+                throw notFoundError('Delivery');
+            }
+            return jsonResponse(delivery);
+        }
+
+        const deliveries = await store.list(parseFilter(request));
+        return jsonResponse({ count: deliveries.length, deliveries });
+    })
+});
+
+function parseFilter(request) {
+    const filter = {
+        subscriptionId: request.query.get('subscriptionId') || undefined,
+        status: request.query.get('status') || undefined,
+        destinationType: request.query.get('destinationType') || undefined,
+        itemId: request.query.get('itemId') || undefined
+    };
+
+    if (filter.status && !Object.values(DELIVERY_STATUS).includes(filter.status)) {
+        throw validationError('Invalid delivery status', {
+            received: filter.status,
+            allowed: Object.values(DELIVERY_STATUS)
+        });
+    }
+
+    if (filter.destinationType && !Object.values(DESTINATIONS).includes(filter.destinationType)) {
+        throw validationError('Invalid destination type', {
+            received: filter.destinationType,
+            allowed: Object.values(DESTINATIONS)
+        });
+    }
+
+    const top = parseInt(request.query.get('top'), 10);
+    if (!isNaN(top) && top > 0) {
+        filter.top = top;
+    }
+
+    return filter;
+}
+
+function jsonResponse(body) {
+    return {
+        status: HTTP_STATUS.OK,
+        headers: { [HTTP_HEADERS.CONTENT_TYPE]: HTTP_HEADERS.CONTENT_TYPE_JSON },
+        body: JSON.stringify(body)
+    };
+}
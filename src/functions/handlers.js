@@ -0,0 +1,40 @@
+/**
+ * Handler Catalogue
+ * Lists the registered UiPath processors with the clientState tokens that
+ * select them, their options, default queue and a sample payload, so
+ * webhooks can be configured without reading the processor source.
+ *
+ * GET /api/handlers         - All registered processors
+ * GET /api/handlers/{name}  - A single processor
+ */
+
+const { app } = require('@azure/functions');
+const { wrapHandler, notFoundError } = require('../shared/error-handler');
+const { describeProcessors, describeProcessor } = require('../shared/uipath-processor-registry');
+const { HTTP_STATUS, HTTP_HEADERS } = require('../shared/constants');
+
+app.http('handlers', {
+    methods: ['GET'],
+    authLevel: 'function',
+    route: 'handlers/{name?}',
+    handler: wrapHandler((request) => {
+        const { name } = request.params;
+        let body;
+
+        if (name) {
+            body = describeProcessor(name);
+            if (!body) {
+                throw notFoundError(`Handler '${name}'`);
+            }
+        } else {
+            const handlers = describeProcessors();
+            body = { count: handlers.length, handlers };
+        }
+
+        return {
+            status: HTTP_STATUS.OK,
+            headers: { [HTTP_HEADERS.CONTENT_TYPE]: HTTP_HEADERS.CONTENT_TYPE_JSON },
+            body: JSON.stringify(body)
+        };
+    })
+});
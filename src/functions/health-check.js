@@ -1,6 +1,7 @@
 const { app } = require('@azure/functions');
 const axios = require('axios');
 const { TableClient } = require('@azure/data-tables');
+const { getCircuitStatuses, CIRCUIT_STATES } = require('../shared/circuit-breaker');
 
 // Comprehensive health check endpoint
 app.http('health-check', {
@@ -33,6 +34,9 @@ app.http('health-check', {
             // Check 5: System resources
             health.checks.system = getSystemHealth();
             
+            // Check 6: Forward target circuit breakers (this instance)
+            health.checks.forwardTargets = getForwardTargetHealth();
+            
             // Determine overall health
             const failedChecks = Object.values(health.checks).filter(c => !c.healthy);
             if (failedChecks.length > 0) {
@@ -230,6 +234,25 @@ async function getProcessingMetrics(context) {
     };
 }
 
+// A forward target being down is the target's problem, not this service's: open
+// circuits are reported as detail and never make the instance degraded
+function getForwardTargetHealth() {
+    const circuits = getCircuitStatuses();
+    const openCircuits = circuits
+        .filter(circuit => circuit.state !== CIRCUIT_STATES.CLOSED)
+        .map(circuit => circuit.target);
+    
+    return {
+        healthy: true,
+        component: 'forwarding',
+        message: openCircuits.length === 0
+            ? 'All forward targets reachable'
+            : `Circuit open for forward targets: ${openCircuits.join(', ')}`,
+        openCircuits,
+        circuits
+    };
+}
+
 function getSystemHealth() {
     const used = process.memoryUsage();
     const uptime = process.uptime();
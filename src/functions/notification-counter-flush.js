@@ -0,0 +1,30 @@
+/**
+ * Notification Counter Flush
+ * Writes buffered NotificationCount increments and LastForwardedDateTime
+ * updates to the webhook management list. Schedule is configured via
+ * config.notificationCounters.flushSchedule.
+ */
+
+const { app } = require('@azure/functions');
+const config = require('../shared/config');
+const { createLogger } = require('../shared/logger');
+const { flushNotificationCounters } = require('../shared/notification-counters');
+
+app.timer('notification-counter-flush', {
+    schedule: config.notificationCounters.flushSchedule,
+    handler: async (_myTimer, context) => {
+        const logger = createLogger(context);
+
+        try {
+            const summary = await flushNotificationCounters(context);
+            if (summary.subscriptions > 0) {
+                logger.info('Notification counters flushed', summary);
+            }
+        } catch (error) {
+            logger.error('Notification counter flush failed', {
+                error: error.message,
+                stack: error.stack
+            });
+        }
+    }
+});
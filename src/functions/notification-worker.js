@@ -0,0 +1,67 @@
+/**
+ * Notification Worker
+ * Drains the notification intake queue filled by webhook-handler and runs the
+ * existing processNotification logic for each queued Graph notification.
+ * Concurrency, batch size and schedule are configured via config.notificationQueue.
+ */
+
+const { app } = require('@azure/functions');
+const config = require('../shared/config');
+const { createLogger } = require('../shared/logger');
+const { getNotificationQueue, drainNotificationQueue } = require('../shared/notification-queue');
+const { DEAD_LETTER_STAGES } = require('../shared/dead-letter-store');
+const {
+    processNotification,
+    enrichNotificationsWithClientState,
+    recordDeadLetter
+} = require('./webhook-handler');
+
+app.timer('notification-worker', {
+    schedule: config.notificationQueue.workerSchedule,
+    handler: async (_myTimer, context) => {
+        const logger = createLogger(context);
+
+        try {
+            const summary = await runNotificationWorker(context);
+            if (summary.received > 0) {
+                logger.info('Notification worker run completed', summary);
+            }
+        } catch (error) {
+            logger.error('Notification worker run failed', {
+                error: error.message,
+                stack: error.stack
+            });
+        }
+    }
+});
+
+/**
+ * Drain the intake queue once
+ * @param {Object} context - Azure Functions context
+ * @param {Object} options - Overrides for queue and drain options
+ * @returns {Promise<Object>} Drain summary
+ */
+async function runNotificationWorker(context, options = {}) {
+    const queue = options.queue || getNotificationQueue();
+
+    return drainNotificationQueue(queue, async notification => {
+        // webhook-handler only queues authenticated notifications; the clientState lookup
+        // happens here rather than at intake so the handler can acknowledge quickly
+        const [enriched] = await enrichNotificationsWithClientState([notification], context);
+        await processNotification(enriched, context);
+    }, {
+        context,
+        concurrency: options.concurrency,
+        batchSize: options.batchSize,
+        onDiscard: (message, error) => recordDeadLetter(
+            DEAD_LETTER_STAGES.PROCESSING,
+            message.notification,
+            error.message,
+            context
+        )
+    });
+}
+
+module.exports = {
+    runNotificationWorker
+};
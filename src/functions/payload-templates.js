@@ -0,0 +1,130 @@
+/**
+ * Payload Templates
+ * Lists the output templates forward destinations can select with
+ * template:<name>, and previews what a template sends for a sample item
+ * before a subscription uses it. Previews never call Graph or touch stored
+ * item states.
+ *
+ * Routes:
+ * - GET  /api/payload-templates           list built-in and configured templates
+ * - GET  /api/payload-templates/{name}    inspect one template
+ * - POST /api/payload-templates/{name}    preview a template
+ * - POST /api/payload-templates           preview a draft: { template: { name, mode, mappings }, ... }
+ *
+ * Preview body: { item, previousItem, changeType, resource, includeFields, excludeFields }
+ *   item/previousItem are Graph list items ({ id, lastModifiedDateTime, webUrl, fields })
+ *   or plain field objects.
+ */
+
+const { app } = require('@azure/functions');
+const { wrapHandler, validationError, notFoundError } = require('../shared/error-handler');
+const { createLogger } = require('../shared/logger');
+const EnhancedForwarder = require('../shared/enhanced-forwarder');
+const { getPayloadTemplates, getPayloadTemplate, validatePayloadTemplate } = require('../shared/payload-templates');
+const { HTTP_STATUS, HTTP_HEADERS, WEBHOOK_CHANGE_TYPES } = require('../shared/constants');
+
+app.http('payload-templates', {
+    methods: ['GET', 'POST'],
+    authLevel: 'function',
+    route: 'payload-templates/{name?}',
+    handler: wrapHandler(async (request, context) => {
+        const logger = createLogger(context);
+        const name = request.params?.name;
+
+        logger.logRequest(request.method, request.url, { template: name });
+
+        if (request.method === 'GET') {
+            if (name) {
+                return jsonResponse(findTemplate(name));
+            }
+
+            const templates = getPayloadTemplates().map(template => ({
+                name: template.name,
+                description: template.description || null,
+                mode: template.mode || null,
+                builtIn: Boolean(template.builtIn)
+            }));
+            return jsonResponse({ count: templates.length, templates });
+        }
+
+        const body = await readJsonBody(request);
+        const template = name ? findTemplate(name) : readDraftTemplate(body);
+        const changeType = body.changeType || WEBHOOK_CHANGE_TYPES.UPDATED;
+        if (!Object.values(WEBHOOK_CHANGE_TYPES).includes(changeType)) {
+            throw validationError('Invalid changeType', {
+                received: changeType,
+                allowed: Object.values(WEBHOOK_CHANGE_TYPES)
+            });
+        }
+
+        const item = toSampleItem(body.item);
+        const notification = {
+            subscriptionId: 'preview',
+            resource: body.resource || 'preview',
+            changeType,
+            resourceData: { id: item?.id || null }
+        };
+
+        const forwarder = new EnhancedForwarder(context, null);
+        const preview = forwarder.previewPayload(notification, {
+            template,
+            includeFields: body.includeFields || null,
+            excludeFields: body.excludeFields || null
+        }, { item, previousItem: toSampleItem(body.previousItem) });
+
+        logger.info('Previewed payload template', { template: template.name, mode: preview.mode, changeType });
+        return jsonResponse(preview);
+    })
+});
+
+function findTemplate(name) {
+    const template = getPayloadTemplate(name);
+    if (!template) {
+        throw notFoundError('Payload template');
+    }
+    return template;
+}
+
+function readDraftTemplate(body) {
+    if (!body.template || typeof body.template !== 'object') {
+        throw validationError('Provide a template definition or preview a named template at /api/payload-templates/{name}');
+    }
+
+    const draft = { name: 'draft', ...body.template };
+    const errors = validatePayloadTemplate(draft);
+    if (errors.length > 0) {
+        throw validationError('Invalid payload template', { errors });
+    }
+    return draft;
+}
+
+// Accept a Graph list item or a plain object of fields
+function toSampleItem(sample) {
+    if (!sample || typeof sample !== 'object') {
+        return null;
+    }
+    if (sample.fields && typeof sample.fields === 'object') {
+        return sample;
+    }
+    return { id: sample.id || sample.ID || null, fields: sample };
+}
+
+async function readJsonBody(request) {
+    const text = await request.text();
+    if (!text) {
+        return {};
+    }
+    try {
+        return JSON.parse(text);
+    } catch (parseError) {
+        throw validationError('Invalid JSON in request body', { parseError: parseError.message });
+    }
+}
+
+function jsonResponse(body) {
+    return {
+        status: HTTP_STATUS.OK,
+        headers: { [HTTP_HEADERS.CONTENT_TYPE]: HTTP_HEADERS.CONTENT_TYPE_JSON },
+        body: JSON.stringify(body)
+    };
+}
@@ -0,0 +1,84 @@
+/**
+ * Subscription Lifecycle Endpoint
+ * Receives Microsoft Graph lifecycle notifications (the lifecycleNotificationUrl
+ * set by subscription-manager) and repairs the affected subscription.
+ *
+ * GET/POST ?validationToken=... - endpoint validation handshake
+ * POST { value: [{ subscriptionId, lifecycleEvent, ... }] }
+ *   lifecycleEvent: reauthorizationRequired | subscriptionRemoved | missed
+ */
+
+const { app } = require('@azure/functions');
+const { wrapHandler, validationError } = require('../shared/error-handler');
+const { validateLifecycleNotification } = require('../shared/validators');
+const { createLogger } = require('../shared/logger');
+const { handleLifecycleNotification } = require('../shared/subscription-lifecycle');
+const { authenticateNotification } = require('../shared/notification-authenticator');
+const { HTTP_STATUS, HTTP_HEADERS, ERROR_MESSAGES } = require('../shared/constants');
+
+// Graph expects lifecycle notifications to be acknowledged with 202 Accepted
+const ACCEPTED = 202;
+
+app.http('subscription-lifecycle', {
+    methods: ['GET', 'POST'],
+    authLevel: 'anonymous',
+    handler: wrapHandler(async (request, context) => {
+        const logger = createLogger(context);
+
+        const validationToken = request.query.get('validationToken');
+        if (validationToken) {
+            logger.info('Lifecycle endpoint validation request received', { method: request.method });
+
+            // Microsoft Graph requires exact 200 status and plain text response
+            return {
+                status: HTTP_STATUS.OK,
+                headers: {
+                    [HTTP_HEADERS.CONTENT_TYPE]: HTTP_HEADERS.CONTENT_TYPE_TEXT,
+                    [HTTP_HEADERS.CACHE_CONTROL]: HTTP_HEADERS.NO_CACHE
+                },
+                body: validationToken
+            };
+        }
+
+        if (request.method !== 'POST') {
+            throw validationError(ERROR_MESSAGES.MISSING_VALIDATION_TOKEN);
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(await request.text());
+        } catch (parseError) {
+            throw validationError('Invalid JSON in request body', { parseError: parseError.message });
+        }
+
+        const validated = validateLifecycleNotification(payload);
+        const results = [];
+        for (const notification of validated.value) {
+            // subscriptionRemoved can arrive after webhook-sync has already marked the subscription Deleted
+            const { authentic, reason } = await authenticateNotification(notification, context, {
+                source: 'subscription-lifecycle',
+                allowDeleted: true
+            });
+            if (!authentic) {
+                results.push({ subscriptionId: notification.subscriptionId, success: false, action: 'rejected', error: reason });
+                continue;
+            }
+            results.push(await handleLifecycleNotification(notification, context));
+        }
+
+        logger.info('Processed lifecycle notifications', {
+            count: results.length,
+            failed: results.filter(r => !r.success).length
+        });
+
+        // Graph redelivers lifecycle notifications that are not accepted, so a repair
+        // that failed (such as a recreate that could not be tracked) is tried again
+        const retry = results.some(result => result.action === 'failed');
+
+        return {
+            status: retry ? HTTP_STATUS.SERVICE_UNAVAILABLE : ACCEPTED,
+            headers: { [HTTP_HEADERS.CONTENT_TYPE]: HTTP_HEADERS.CONTENT_TYPE_JSON },
+            body: JSON.stringify({ results })
+        };
+    })
+});
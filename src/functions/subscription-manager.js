@@ -4,6 +4,15 @@ const config = require('../shared/config');
 const { getAccessToken } = require('../shared/auth');
 const { wrapHandler, validationError, handleError } = require('../shared/error-handler');
 const { validateSubscriptionRequest, validateGuid } = require('../shared/validators');
+const { getSubscriptionRegistry, fetchTrackingListItems, getTrackedResource } = require('../shared/subscription-registry');
+const { parseDestinations, serializeClientState, DESTINATIONS } = require('../shared/clientstate-parser');
+const { validateClientState } = require('../shared/clientstate-validator');
+const { buildLifecycleNotificationUrl } = require('../shared/subscription-lifecycle');
+const { generateClientSecret } = require('../shared/notification-authenticator');
+const sharepointRest = require('../shared/sharepoint-rest');
+const { parseDriveResource } = require('../shared/drive-items');
+
+const { SUBSCRIPTION_TYPES } = sharepointRest;
 
 // Subscription management endpoint
 app.http('subscription-manager', {
@@ -41,7 +50,19 @@ app.http('subscription-manager', {
             
             // Validate the subscription request
             const validatedData = validateSubscriptionRequest(subscriptionData);
-            return await createSubscription(accessToken, validatedData, context);
+
+            // Reject clientState configurations that would fail at notification time
+            const clientState = buildClientState(validatedData, context);
+            const clientStateValidation = validateClientState(clientState, { resource: validatedData.resource });
+            if (!clientStateValidation.valid) {
+                throw validationError('Invalid clientState configuration', {
+                    clientState,
+                    errors: clientStateValidation.errors,
+                    warnings: clientStateValidation.warnings
+                });
+            }
+
+            return await createSubscription(accessToken, { ...validatedData, clientState }, context);
         }
         
         if (request.method === 'DELETE') {
@@ -71,7 +92,12 @@ async function listSubscriptions(accessToken, context) {
             }
         });
 
-        context.log('Subscriptions retrieved successfully:', response.data.value.length);
+        const subscriptions = [
+            ...response.data.value.map(subscription => ({ ...subscription, subscriptionType: SUBSCRIPTION_TYPES.GRAPH })),
+            ...await listSharePointSubscriptions(accessToken, context)
+        ];
+
+        context.log('Subscriptions retrieved successfully:', subscriptions.length);
         
         return {
             status: 200,
@@ -79,8 +105,8 @@ async function listSubscriptions(accessToken, context) {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                subscriptions: response.data.value,
-                count: response.data.value.length
+                subscriptions,
+                count: subscriptions.length
             })
         };
 
@@ -96,93 +122,182 @@ async function listSubscriptions(accessToken, context) {
     }
 }
 
-async function createSubscription(accessToken, subscriptionData, context) {
-    try {
-        // Extract fields (already validated)
-        const { resource, changeType, notificationUrl, expirationDateTime } = subscriptionData;
+/**
+ * List SharePoint REST webhooks on every list that the tracking list says has one
+ * SharePoint has no tenant-wide subscription listing, so lists are found via the tracking list.
+ * @param {string} accessToken - Graph access token (for the tracking list)
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<Array>} SharePoint subscriptions in Graph shape
+ */
+async function listSharePointSubscriptions(accessToken, context) {
+    const trackingItems = (await fetchTrackingListItems(accessToken))
+        .filter(item => item.fields?.SubscriptionType === SUBSCRIPTION_TYPES.SHAREPOINT && item.fields.Status !== 'Deleted');
+    const trackedIds = new Set(trackingItems.map(item => item.fields.SubscriptionId));
+    const resources = new Set(trackingItems.map(item => getTrackedResource(item.fields)).filter(Boolean));
 
-        // Calculate expiration date (max 3 days for SharePoint webhooks)
-        const expiration = expirationDateTime || new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString();
-
-        // Build clientState - either from UiPath params or use provided/default
-        let clientState;
-        if (subscriptionData.uipath) {
-            // Auto-construct clientState from UiPath parameters
-            const uipathConfig = subscriptionData.uipath;
-            const tenant = uipathConfig.tenant || config.uipath?.tenantName || 'PROD';
-            const folder = uipathConfig.folder || uipathConfig.organizationUnitId || config.uipath?.organizationUnitId;
-            const queue = uipathConfig.queue || config.uipath?.defaultQueue;
-            const processor = uipathConfig.processor || 'document'; // default to document processor
-            const configName = uipathConfig.configName || 'WebhookIntegration';
-
-            if (!queue) {
-                throw validationError('UiPath queue name is required when using uipath configuration');
-            }
+    const subscriptions = [];
+    for (const resource of resources) {
+        try {
+            // The list also returns other apps' webhooks; only ours are tracked
+            const listSubscriptions = await sharepointRest.listListSubscriptions(context, resource);
+            subscriptions.push(...listSubscriptions.filter(subscription => trackedIds.has(subscription.id)));
+        } catch (error) {
+            context.warn(`Could not list SharePoint webhooks for ${resource}:`, error.response?.data || error.message);
+        }
+    }
+    return subscriptions;
+}
 
-            // Construct clientState in expected format
-            const parts = [
-                'processor:uipath',
-                `processor:${processor}`,
-                `uipath:${queue}`
-            ];
+/**
+ * Build the clientState for a new subscription
+ * Either constructed from structured UiPath parameters or taken from the request.
+ * @param {Object} subscriptionData - Validated subscription request
+ * @param {Object} context - Azure Functions context
+ * @returns {string} clientState
+ */
+function buildClientState(subscriptionData, context) {
+    if (!subscriptionData.uipath) {
+        // Use provided clientState or default
+        return subscriptionData.clientState || config.webhook.defaultClientState;
+    }
+
+    // Auto-construct clientState from UiPath parameters
+    const uipathConfig = subscriptionData.uipath;
+    const tenant = uipathConfig.tenant || config.uipath?.tenantName || 'PROD';
+    const folder = uipathConfig.folder || uipathConfig.organizationUnitId || config.uipath?.organizationUnitId;
+    const queue = uipathConfig.queue || config.uipath?.defaultQueue;
+    const processor = uipathConfig.processor || 'document'; // default to document processor
+    const configName = uipathConfig.configName || 'WebhookIntegration';
+
+    if (!queue) {
+        throw validationError('UiPath queue name is required when using uipath configuration');
+    }
 
-            if (tenant) parts.push(`env:${tenant}`);
-            if (folder) parts.push(`folder:${folder}`);
-            parts.push(`config:${configName}`);
+    // Construct clientState in canonical format
+    const clientState = serializeClientState({
+        destination: 'uipath',
+        handler: processor,
+        queue,
+        tenant,
+        folder,
+        configName
+    });
 
-            clientState = parts.join(';');
+    context.log('Auto-constructed UiPath clientState:', clientState);
+    return clientState;
+}
 
-            context.log('Auto-constructed UiPath clientState:', clientState);
+/**
+ * Delete a subscription whose tracking item could not be written
+ * Its notifications would all be rejected as unknown, so it is removed rather than left to expire.
+ * @param {string} accessToken - Graph access token
+ * @param {string} subscriptionId - Subscription just created
+ * @param {string} resource - Subscribed resource
+ * @param {boolean} isSharePointRest - Whether it is a SharePoint REST webhook
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<void>}
+ */
+async function removeUntrackedSubscription(accessToken, subscriptionId, resource, isSharePointRest, context) {
+    try {
+        if (isSharePointRest) {
+            await sharepointRest.deleteListSubscription(context, resource, subscriptionId);
         } else {
-            // Use provided clientState or default
-            clientState = subscriptionData.clientState || config.webhook.defaultClientState;
+            await axios.delete(`${config.api.graph.baseUrl}/subscriptions/${subscriptionId}`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                }
+            });
         }
+        context.log('Removed untracked subscription:', subscriptionId);
+    } catch (error) {
+        context.error('Failed to remove untracked subscription:', subscriptionId, error.response?.data || error.message);
+    }
+}
+
+async function createSubscription(accessToken, subscriptionData, context) {
+    try {
+        // Extract fields (already validated)
+        const { resource, changeType, notificationUrl, expirationDateTime } = subscriptionData;
+        const subscriptionType = subscriptionData.subscriptionType || SUBSCRIPTION_TYPES.GRAPH;
+        const isSharePointRest = subscriptionType === SUBSCRIPTION_TYPES.SHAREPOINT;
+
+        // Calculate expiration date (max 3 days for Graph, 180 days for SharePoint REST webhooks)
+        const maxDays = isSharePointRest ? config.sharepointWebhooks.maxExpirationDays : config.webhook.maxExpirationDays;
+        const expiration = expirationDateTime || new Date(Date.now() + maxDays * 24 * 60 * 60 * 1000).toISOString();
+
+        const clientState = subscriptionData.clientState || config.webhook.defaultClientState;
+
+        // Graph echoes the subscription's clientState in every notification, so it carries
+        // the secret; the routing clientState is kept in the tracking list
+        const clientSecret = generateClientSecret();
 
         const subscription = {
             changeType: changeType,
             notificationUrl: notificationUrl,
             resource: resource,
             expirationDateTime: expiration,
-            clientState: clientState
+            clientState: clientSecret
         };
 
-        context.log('Creating subscription:', subscription);
+        // Lifecycle notifications let subscription-lifecycle repair the subscription before it is lost
+        // (Graph only; SharePoint REST webhooks have no lifecycle notifications)
+        const lifecycleNotificationUrl = isSharePointRest ? null :
+            subscriptionData.lifecycleNotificationUrl || buildLifecycleNotificationUrl(notificationUrl);
+        if (lifecycleNotificationUrl) {
+            subscription.lifecycleNotificationUrl = lifecycleNotificationUrl;
+        }
+
+        context.log('Creating subscription:', { ...subscription, subscriptionType, clientState: '[redacted]' });
 
         try {
-            const response = await axios.post(`${config.api.graph.baseUrl}/subscriptions`, subscription, {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: config.api.timeout
-            });
+            const response = isSharePointRest
+                ? { data: await sharepointRest.createListSubscription(context, resource, subscription) }
+                : await axios.post(`${config.api.graph.baseUrl}/subscriptions`, subscription, {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: config.api.timeout
+                });
 
             context.log('Subscription created successfully:', response.data.id);
 
-            // Sync to SharePoint list asynchronously - don't wait for it to complete
             const webhookDataWithClientState = {
                 ...response.data,
-                clientState: subscription.clientState
+                clientState,
+                clientSecret,
+                subscriptionType
             };
-            
-            // Fire and forget - sync happens in background
-            syncWebhookToSharePoint(accessToken, webhookDataWithClientState, 'created', context)
-                .then(() => {
-                    context.log('SharePoint sync completed successfully for webhook:', response.data.id);
-                })
-                .catch((syncError) => {
-                    context.error('Failed to sync to SharePoint:', syncError.message);
-                    context.error('Sync error details:', syncError.response?.data || syncError);
-                    context.error('Sync error stack:', syncError.stack);
-                });
 
-            // Return immediately without waiting for sync
+            // Notifications are only authenticated once the tracking list knows the subscription,
+            // so it is not reported as created until the tracking item is written
+            try {
+                await syncWebhookToSharePoint(accessToken, webhookDataWithClientState, 'created', context);
+                context.log('SharePoint sync completed successfully for webhook:', response.data.id);
+            } catch (syncError) {
+                context.error('Failed to sync to SharePoint:', syncError.message);
+                context.error('Sync error details:', syncError.response?.data || syncError);
+                await removeUntrackedSubscription(accessToken, response.data.id, resource, isSharePointRest, context);
+
+                return {
+                    status: 502,
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        error: 'Failed to track subscription',
+                        message: syncError.message,
+                        subscriptionId: response.data.id
+                    })
+                };
+            }
+
             return {
                 status: 201,
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify(response.data)
+                body: JSON.stringify({ ...response.data, clientState })
             };
         } catch (axiosError) {
             // Log the full axios error
@@ -220,11 +335,18 @@ async function createSubscription(accessToken, subscriptionData, context) {
 
 async function deleteSubscription(accessToken, subscriptionId, context) {
     try {
-        await axios.delete(`${config.api.graph.baseUrl}/subscriptions/${subscriptionId}`, {
-            headers: {
-                'Authorization': `Bearer ${accessToken}`
-            }
-        });
+        // SharePoint REST webhooks are deleted on their list; the tracking list says which kind it is
+        const trackingItem = await getSubscriptionRegistry().get(subscriptionId, context);
+        if (trackingItem?.fields.SubscriptionType === SUBSCRIPTION_TYPES.SHAREPOINT) {
+            const resource = getTrackedResource(trackingItem.fields);
+            await sharepointRest.deleteListSubscription(context, resource, subscriptionId);
+        } else {
+            await axios.delete(`${config.api.graph.baseUrl}/subscriptions/${subscriptionId}`, {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`
+                }
+            });
+        }
 
         context.log('Subscription deleted successfully:', subscriptionId);
 
@@ -268,7 +390,16 @@ async function syncWebhookToSharePoint(accessToken, webhook, action, context) {
             let siteUrl = '';
             let listIdValue = '';
             
-            if (webhook.resource) {
+            // Determine resource type
+            let resourceType = 'List';
+
+            const drive = parseDriveResource(webhook.resource);
+            if (drive) {
+                // Drive subscriptions keep the whole resource in SiteUrl (see getTrackedResource)
+                siteUrl = webhook.resource;
+                listName = config.sharepoint.listMappings[drive.driveId] || 'Document Library';
+                resourceType = 'Library';
+            } else if (webhook.resource) {
                 const parts = webhook.resource.split('/lists/');
                 siteUrl = parts[0];
                 listIdValue = parts[1];
@@ -277,37 +408,30 @@ async function syncWebhookToSharePoint(accessToken, webhook, action, context) {
                 listName = config.sharepoint.listMappings[listIdValue] || 'Unknown List';
             }
             
-            // Determine resource type
-            let resourceType = 'List';
-            if (webhook.resource && webhook.resource.includes('sites/')) {
-                resourceType = 'List';
-            }
-            
             // Parse client state for proxy/UiPath configuration
             let isProxy = 'No';
             let forwardingUrl = '';
             let uipathQueue = '';
             
             if (webhook.clientState) {
+                const destinations = parseDestinations(webhook.clientState);
+                const forwardUrls = destinations
+                    .filter(destination => destination.type === DESTINATIONS.FORWARD)
+                    .map(destination => destination.config.forwardUrl);
+                const queues = destinations
+                    .filter(destination => destination.type === DESTINATIONS.UIPATH && destination.config.queue)
+                    .map(destination => destination.config.queue);
+
                 // Check for forwarding configuration
-                if (webhook.clientState.includes('forward:')) {
+                if (forwardUrls.length > 0) {
                     isProxy = 'Yes';
-                    const forwardMatch = webhook.clientState.match(/forward:([^;]+)/);
-                    if (forwardMatch) {
-                        forwardingUrl = forwardMatch[1];
-                    }
+                    forwardingUrl = forwardUrls.join(', ');
                 }
                 
-                // Check for UiPath configuration
-                if (webhook.clientState.includes('uipath:')) {
-                    const uipathMatch = webhook.clientState.match(/uipath:([^;]+)/);
-                    if (uipathMatch) {
-                        uipathQueue = uipathMatch[1];
-                        // Update title to include UiPath queue info
-                        if (uipathQueue) {
-                            listName = `${listName} → ${uipathQueue}`;
-                        }
-                    }
+                // Check for UiPath configuration; update title to include UiPath queue info
+                if (queues.length > 0) {
+                    uipathQueue = queues.join(', ');
+                    listName = `${listName} → ${uipathQueue}`;
                 }
             }
             
@@ -327,6 +451,8 @@ async function syncWebhookToSharePoint(accessToken, webhook, action, context) {
                     AutoRenew: true,
                     NotificationCount: 0,
                     ClientState: webhook.clientState || '',
+                    ClientSecret: webhook.clientSecret || '',
+                    SubscriptionType: webhook.subscriptionType || SUBSCRIPTION_TYPES.GRAPH,
                     ForwardingUrl: forwardingUrl,
                     IsProxy: isProxy
                 }
@@ -341,23 +467,12 @@ async function syncWebhookToSharePoint(accessToken, webhook, action, context) {
                 }
             });
             
+            getSubscriptionRegistry().invalidate(webhook.id);
             context.log('Webhook synced to SharePoint list:', webhook.id);
             
         } else if (action === 'deleted') {
             // Find and update the item in SharePoint list using Graph API
-            // Note: Can't filter by SubscriptionId as it's not indexed, so we get all items and filter in memory
-            const searchUrl = `${config.api.graph.baseUrl}/sites/${sitePath}/lists/${listId}/items?$expand=fields`;
-            const searchResponse = await axios.get(searchUrl, {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Accept': 'application/json'
-                }
-            });
-            
-            // Find the item with matching SubscriptionId
-            const matchingItem = searchResponse.data.value?.find(item => 
-                item.fields && item.fields.SubscriptionId === webhook.id
-            );
+            const matchingItem = await getSubscriptionRegistry().get(webhook.id, context);
             
             if (matchingItem) {
                 const updateUrl = `${config.api.graph.baseUrl}/sites/${sitePath}/lists/${listId}/items/${matchingItem.id}`;
@@ -374,6 +489,7 @@ async function syncWebhookToSharePoint(accessToken, webhook, action, context) {
                     }
                 });
                 
+                getSubscriptionRegistry().invalidate(webhook.id);
                 context.log('Webhook marked as deleted in SharePoint list:', webhook.id);
             } else {
                 context.log.warn('Webhook not found in SharePoint list:', webhook.id);
@@ -4,6 +4,10 @@
  * from either classic lists or document libraries into UiPath Orchestrator
  * queues. Processors are resolved at runtime via the UiPath processor registry
  * so new business rules can be plugged in without modifying this function.
+ *
+ * Deleted items (changeType 'deleted', or items that 404 when fetched) are
+ * turned into a tombstone from the last snapshot in SharePointItemStates and
+ * passed to the processor's optional onDelete hook.
  */
 
 const { app } = require('@azure/functions');
@@ -11,19 +15,27 @@ const { wrapHandler, validationError } = require('../shared/error-handler');
 const { validateWebhookNotification } = require('../shared/validators');
 const { createLogger } = require('../shared/logger');
 const { getAccessToken } = require('../shared/auth');
-const { resolveProcessor, parseClientState } = require('../shared/uipath-processor-registry');
+const { resolveProcessor, refreshListTemplates } = require('../shared/uipath-processor-registry');
+const { parseClientState } = require('../shared/clientstate-parser');
 const { getEnvironmentConfig } = require('../shared/uipath-environment-config');
+const { getItemStateStore, getItemStateId } = require('../shared/item-state-store');
+const { expandNotification } = require('../shared/delta-tracker');
+const { authenticateNotification } = require('../shared/notification-authenticator');
 const {
     shouldProcessForUiPath,
-    fetchSharePointItem
+    resolveSharePointItem
 } = require('./uipath-dispatcher');
 const {
     HTTP_STATUS,
     HTTP_HEADERS,
     SUCCESS_MESSAGES,
-    SERVICE_NAMES
+    SERVICE_NAMES,
+    WEBHOOK_CHANGE_TYPES
 } = require('../shared/constants');
 
+// Snapshots are kept separately from the forwarder's so each sees its own transitions
+const ITEM_STATE_NAMESPACE = 'uipath';
+
 // Dynamic UiPath Dispatcher Function
 app.http('uipath-dispatcher-dynamic', {
     methods: ['POST'],
@@ -48,8 +60,23 @@ app.http('uipath-dispatcher-dynamic', {
         const results = [];
 
         for (const notification of validated.value) {
-            const result = await processNotification(notification, context, logger);
-            results.push(result);
+            const { authentic, reason, trackingItem } = await authenticateNotification(notification, context, {
+                source: 'uipath-dispatcher-dynamic'
+            });
+            if (!authentic) {
+                results.push({ processed: false, reason: `Notification rejected: ${reason}`, subscriptionId: notification.subscriptionId });
+                continue;
+            }
+
+            // Graph echoes the subscription secret as clientState; routing comes from the tracking list
+            const routed = trackingItem.fields.ClientState
+                ? { ...notification, clientState: trackingItem.fields.ClientState }
+                : notification;
+
+            // List notifications carry no item ID; process every item changed since the last one
+            for (const itemNotification of await expandNotification(routed, context)) {
+                results.push(await processNotification(itemNotification, context, logger));
+            }
         }
 
         logger.logResponse(HTTP_STATUS.OK, Date.now() - start, {
@@ -77,6 +104,7 @@ async function processNotification(notification, context, logger) {
     logger.logWebhook('processing-dynamic-uipath', subscriptionId, {
         resource,
         clientState,
+        changeType: notification.changeType,
         service: 'uipath-dispatcher-dynamic'
     });
 
@@ -88,8 +116,16 @@ async function processNotification(notification, context, logger) {
         };
     }
 
-    const itemDetails = await fetchSharePointItem(resource, notification.resourceData, context);
+    if (notification.changeType === WEBHOOK_CHANGE_TYPES.DELETED) {
+        return processDeletedItem(notification, context, logger);
+    }
+
+    const { item: itemDetails, notFound } = await resolveSharePointItem(resource, notification.resourceData, context);
     if (!itemDetails) {
+        // The item was removed before it could be fetched; treat it as deleted
+        if (notFound && notification.resourceData?.id) {
+            return processDeletedItem(notification, context, logger);
+        }
         return {
             processed: false,
             reason: 'Unable to resolve SharePoint item',
@@ -97,59 +133,122 @@ async function processNotification(notification, context, logger) {
         };
     }
 
-    const descriptor = resolveProcessor({ clientState, resource, item: itemDetails });
-    if (!descriptor) {
-        logger.warn('No processor resolved for notification', {
+    const resolved = await createProcessorForItem(notification, itemDetails, context, logger);
+    if (!resolved.processor) {
+        return resolved.result;
+    }
+    const { descriptor, processor, queueName, accessToken } = resolved;
+
+    const itemId = getItemStateId(itemDetails) || notification.resourceData?.id;
+    const previousItem = await loadPreviousItem(resource, itemId, logger);
+
+    try {
+        const processorResult = await processor.process({
+            item: itemDetails,
+            previousItem,
+            queueName,
+            accessToken
+        });
+
+        // Skipped items are saved too, otherwise an intermediate status would be
+        // missed and a later return to the trigger status would look unchanged.
+        // Failed items are not, so a retry still sees the original transition.
+        if (!processorResult.error) {
+            await saveItemState(resource, itemDetails, logger);
+        }
+
+        return {
+            ...processorResult,
             subscriptionId,
-            resource,
-            clientState
+            processor: descriptor.name
+        };
+    } catch (error) {
+        logger.error('Dynamic UiPath processor failed', {
+            subscriptionId,
+            processor: descriptor.name,
+            error: error.message
         });
         return {
             processed: false,
-            reason: 'No matching UiPath processor registered',
-            subscriptionId
+            subscriptionId,
+            processor: descriptor.name,
+            error: error.message
         };
     }
+}
 
-    // Extract environment configuration from clientState
-    const envConfig = getEnvironmentConfig(clientState, context);
-    logger.info('Using UiPath environment configuration', {
-        tenantName: envConfig.tenantName,
-        folder: envConfig.organizationUnitId,
-        environment: envConfig.environment || 'DEFAULT'
-    });
+/**
+ * Hand a deleted item's tombstone to its processor's onDelete hook
+ * The tombstone is the last snapshot saved for the item; without one the
+ * item was never processed and there is nothing to undo.
+ * @param {Object} notification - Notification for the deleted item
+ * @param {Object} context - Azure Functions context
+ * @param {Object} logger - Logger
+ * @returns {Promise<Object>} Processing result
+ */
+async function processDeletedItem(notification, context, logger) {
+    const { subscriptionId, resource } = notification;
+    const itemId = notification.resourceData?.id;
 
-    const processor = descriptor.factory(context, envConfig);
-    const queueName = extractQueueName(clientState);
-    const clientStateTokens = parseClientState(clientState);
+    const lastKnownItem = await loadPreviousItem(resource, itemId, logger);
+    if (!lastKnownItem) {
+        logger.info('Deleted item has no stored state, skipping', { subscriptionId, resource, itemId });
+        return {
+            processed: false,
+            reason: 'No last known state for deleted item',
+            changeType: WEBHOOK_CHANGE_TYPES.DELETED,
+            itemId,
+            subscriptionId
+        };
+    }
 
-    let accessToken = null;
-    if (clientStateTokens.some(token => token.includes('document') || token.includes('costco'))) {
-        // Lazily fetch access token for processors that may require document operations
-        accessToken = await getAccessToken(context);
+    const resolved = await createProcessorForItem(notification, lastKnownItem, context, logger);
+    if (!resolved.processor) {
+        return { ...resolved.result, changeType: WEBHOOK_CHANGE_TYPES.DELETED, itemId };
+    }
+    const { descriptor, processor, queueName, accessToken } = resolved;
+
+    if (typeof processor.onDelete !== 'function') {
+        await removeItemState(resource, itemId, logger);
+        return {
+            processed: false,
+            reason: 'Processor does not handle deleted items',
+            changeType: WEBHOOK_CHANGE_TYPES.DELETED,
+            itemId,
+            subscriptionId,
+            processor: descriptor.name
+        };
     }
 
     try {
-        const processorResult = await processor.process({
-            item: itemDetails,
-            previousItem: null,
+        const processorResult = await processor.onDelete({
+            item: lastKnownItem,
+            deletedDateTime: new Date().toISOString(),
             queueName,
             accessToken
         });
 
+        // Keep the snapshot of a failed deletion so a retry can build the tombstone again
+        if (!processorResult.error) {
+            await removeItemState(resource, itemId, logger);
+        }
+
         return {
             ...processorResult,
+            changeType: WEBHOOK_CHANGE_TYPES.DELETED,
             subscriptionId,
             processor: descriptor.name
         };
     } catch (error) {
-        logger.error('Dynamic UiPath processor failed', {
+        logger.error('Dynamic UiPath processor failed to handle deleted item', {
             subscriptionId,
             processor: descriptor.name,
+            itemId,
             error: error.message
         });
         return {
             processed: false,
+            changeType: WEBHOOK_CHANGE_TYPES.DELETED,
             subscriptionId,
             processor: descriptor.name,
             error: error.message
@@ -157,13 +256,91 @@ async function processNotification(notification, context, logger) {
     }
 }
 
-function extractQueueName(clientState) {
-    if (!clientState) {
+/**
+ * Resolve and create the processor for an item
+ * @param {Object} notification - Notification with routing clientState
+ * @param {Object} item - Current (or last known) SharePoint item
+ * @param {Object} context - Azure Functions context
+ * @param {Object} logger - Logger
+ * @returns {Promise<Object>} { descriptor, processor, queueName, accessToken }, or { result } when none matches
+ */
+async function createProcessorForItem(notification, item, context, logger) {
+    const { subscriptionId, resource, clientState } = notification;
+
+    await refreshListTemplates(context);
+    const descriptor = resolveProcessor({ clientState, resource, item });
+    if (!descriptor) {
+        logger.warn('No processor resolved for notification', {
+            subscriptionId,
+            resource,
+            clientState
+        });
+        return {
+            result: {
+                processed: false,
+                reason: 'No matching UiPath processor registered',
+                subscriptionId
+            }
+        };
+    }
+
+    // Extract environment configuration from clientState
+    const envConfig = getEnvironmentConfig(clientState, context);
+    logger.info('Using UiPath environment configuration', {
+        tenantName: envConfig.tenantName,
+        folder: envConfig.organizationUnitId,
+        environment: envConfig.environment || 'DEFAULT'
+    });
+
+    let accessToken = null;
+    if (descriptor.requiresAccessToken) {
+        // Lazily fetch access token for processors that may require document operations
+        accessToken = await getAccessToken(context);
+    }
+
+    return {
+        descriptor,
+        processor: descriptor.factory(context, envConfig),
+        queueName: parseClientState(clientState).queue,
+        accessToken
+    };
+}
+
+/**
+ * Load the snapshot saved after the item was last processed
+ * Fails open: without a snapshot processors treat the item as new.
+ * @param {string} resource - Subscription resource
+ * @param {string} itemId - SharePoint item ID
+ * @param {Object} logger - Logger
+ * @returns {Promise<Object|null>} Previous item, or null
+ */
+async function loadPreviousItem(resource, itemId, logger) {
+    if (!itemId) {
         return null;
     }
 
-    const match = clientState.match(/uipath:([^;]+)/i);
-    return match ? match[1] : null;
+    try {
+        return await getItemStateStore().get(resource, itemId, ITEM_STATE_NAMESPACE);
+    } catch (error) {
+        logger.warn('Could not load previous item state', { resource, itemId, error: error.message });
+        return null;
+    }
+}
+
+async function saveItemState(resource, item, logger) {
+    try {
+        await getItemStateStore().save(resource, item, ITEM_STATE_NAMESPACE);
+    } catch (error) {
+        logger.warn('Could not save item state', { resource, itemId: item.id || item.ID, error: error.message });
+    }
+}
+
+async function removeItemState(resource, itemId, logger) {
+    try {
+        await getItemStateStore().remove(resource, itemId, ITEM_STATE_NAMESPACE);
+    } catch (error) {
+        logger.warn('Could not remove item state', { resource, itemId, error: error.message });
+    }
 }
 
 module.exports = {
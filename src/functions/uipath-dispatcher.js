@@ -14,6 +14,8 @@ const { createLogger } = require('../shared/logger');
 const { createUiPathQueueClient } = require('../shared/uipath-queue-client');
 const { createCostcoProcessor } = require('../templates/costco-inline-routing');
 const EnhancedForwarder = require('../shared/enhanced-forwarder');
+const { parseClientState, routesToUiPath } = require('../shared/clientstate-parser');
+const { parseDriveResource, fetchDriveDocument } = require('../shared/drive-items');
 const {
     HTTP_STATUS,
     HTTP_HEADERS,
@@ -195,13 +197,7 @@ async function processUiPathNotification(notification, context) {
         }
 
         // Extract queue name from client state if specified
-        let queueName = null;
-        if (clientState && clientState.includes('uipath:')) {
-            const queueMatch = clientState.match(/uipath:([^;]+)/);
-            if (queueMatch) {
-                queueName = queueMatch[1];
-            }
-        }
+        const queueName = parseClientState(clientState).queue;
         
         // Process item based on processor type
         const processingResult = await processItemByType(processorType, itemDetails, queueName, context);
@@ -248,17 +244,13 @@ function shouldProcessForUiPath(clientState) {
 
     // Check for UiPath processor indicator in clientState
     // Format examples:
+    // - "destination:uipath|handler:document|queue:TEST_API"
     // - "processor:uipath"
     // - "forward:url;processor:uipath"
     // - "uipath:enabled"
     // - "uipath:TEST_API" (queue name)
     // - "uipath:TEST_API;costco:routing"
-    
-    const lowercaseState = clientState.toLowerCase();
-    return lowercaseState.includes('processor:uipath') || 
-           lowercaseState.includes('uipath:enabled') ||
-           lowercaseState.includes('uipath=true') ||
-           lowercaseState.includes('uipath:'); // Matches any UiPath queue specification
+    return routesToUiPath(clientState);
 }
 
 /**
@@ -269,11 +261,44 @@ function shouldProcessForUiPath(clientState) {
  * @returns {Promise<Object|null>} SharePoint item or null if not found
  */
 async function fetchSharePointItem(resource, resourceData, context) {
+    return (await resolveSharePointItem(resource, resourceData, context)).item;
+}
+
+/**
+ * Fetch SharePoint item details, telling a removed item apart from a failed fetch
+ * @param {string} resource - Resource path from notification
+ * @param {Object} resourceData - Resource data from notification (contains item ID)
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<Object>} { item, notFound } - notFound is true when Graph returned 404
+ */
+async function resolveSharePointItem(resource, resourceData, context) {
     const logger = createLogger(context);
     
     try {
         // Get access token
         const accessToken = await getAccessToken(context);
+
+        // Document library subscriptions: drives/{drive-id}/root
+        // resourceData.id is the drive item ID set by delta-tracker's expandNotification
+        const drive = parseDriveResource(resource);
+        if (drive) {
+            if (!resourceData?.id) {
+                logger.warn('Drive notification has no drive item ID', {
+                    resource,
+                    service: 'uipath-dispatcher'
+                });
+                return { item: null, notFound: false };
+            }
+
+            const document = await fetchDriveDocument(accessToken, drive.driveId, resourceData.id);
+            logger.info('Successfully fetched drive document', {
+                itemId: document.ID,
+                fileName: document.FileLeafRef,
+                driveId: drive.driveId,
+                service: 'uipath-dispatcher'
+            });
+            return { item: document, notFound: false };
+        }
         
         // Parse the resource path to get site and list IDs
         // Format can be either:
@@ -319,13 +344,13 @@ async function fetchSharePointItem(resource, resourceData, context) {
                             Object.assign(recentItem, recentItem.fields);
                         }
                         
-                        return recentItem;
+                        return { item: recentItem, notFound: false };
                     } else {
                         logger.warn('Could not find recently modified item', {
                             resource,
                             service: 'uipath-dispatcher'
                         });
-                        return null;
+                        return { item: null, notFound: false };
                     }
                 }
             } else {
@@ -333,7 +358,7 @@ async function fetchSharePointItem(resource, resourceData, context) {
                     resource,
                     service: 'uipath-dispatcher'
                 });
-                return null;
+                return { item: null, notFound: false };
             }
         }
         
@@ -377,7 +402,7 @@ async function fetchSharePointItem(resource, resourceData, context) {
             service: 'uipath-dispatcher'
         });
 
-        return item;
+        return { item, notFound: false };
 
     } catch (error) {
         logger.error('Failed to fetch SharePoint item', {
@@ -387,7 +412,7 @@ async function fetchSharePointItem(resource, resourceData, context) {
             service: 'uipath-dispatcher'
         });
         
-        return null;
+        return { item: null, notFound: error.response?.status === 404 };
     }
 }
 
@@ -400,19 +425,9 @@ async function fetchSharePointItem(resource, resourceData, context) {
  */
 function determineProcessor(clientState, itemDetails, resource) {
     // Check clientState for explicit processor hints
-    if (clientState) {
-        const lowercaseState = clientState.toLowerCase();
-        
-        // Check for COSTCO routing indicator
-        if (lowercaseState.includes('costco:routing') || 
-            lowercaseState.includes('costco')) {
-            return 'costco';
-        }
-        
-        // Check for specific processor types
-        if (lowercaseState.includes('processor:costco')) {
-            return 'costco';
-        }
+    // Covers handler:costco, processor:costco and costco:routing
+    if (parseClientState(clientState).handler === 'costco') {
+        return 'costco';
     }
     
     // For COSTCO items, check if it matches the COSTCO template
@@ -603,6 +618,7 @@ module.exports = {
     processUiPathNotification,
     shouldProcessForUiPath,
     fetchSharePointItem,
+    resolveSharePointItem,
     determineProcessor,
     processItemByType,
     processCostcoItem,
@@ -6,17 +6,56 @@ const { getAccessToken } = require('../shared/auth');
 const { wrapHandler, validationError } = require('../shared/error-handler');
 const { validateWebhookNotification } = require('../shared/validators');
 const { createLogger } = require('../shared/logger');
+const { getNotificationQueue } = require('../shared/notification-queue');
+const { getDeadLetterStore, DEAD_LETTER_STAGES } = require('../shared/dead-letter-store');
+const { getDedupeStore, buildDedupeKey } = require('../shared/dedupe-store');
+const { getSubscriptionRegistry } = require('../shared/subscription-registry');
+const { authenticateNotification } = require('../shared/notification-authenticator');
+const { getCounterStore } = require('../shared/notification-counters');
+const { expandNotification } = require('../shared/delta-tracker');
+const { isSharePointRestNotification, normalizeSharePointRestNotification } = require('../shared/sharepoint-rest');
+const { getDeliveryStore } = require('../shared/delivery-store');
+const { buildSignatureHeaders } = require('../shared/forward-signing');
+const { buildAuthenticatedRequest } = require('../shared/forward-auth');
+const { CLOUDEVENTS_FORMATS } = require('../shared/cloudevents');
+const { getDestinationAdapter } = require('../shared/destination-adapters');
+const {
+    resolveTeamsWebhookUrl,
+    getCardTemplate,
+    buildCardData,
+    renderCardTemplate,
+    buildTeamsMessage,
+    postTeamsMessage
+} = require('../shared/teams-cards');
+const {
+    parseClientState,
+    parseDestinations,
+    routesToUiPath,
+    routesToForward,
+    routesToAdapter,
+    routesToTeams,
+    ADAPTER_DESTINATIONS,
+    DESTINATIONS
+} = require('../shared/clientstate-parser');
+const { compileRule, buildRuleContext, buildRoutingRule } = require('../shared/rule-engine');
+const { getItemStateStore, getItemStateId } = require('../shared/item-state-store');
 const { processNotification: processUiPathNotification } = require('./uipath-dispatcher-dynamic');
+const { resolveSharePointItem } = require('./uipath-dispatcher');
 const {
     HTTP_STATUS,
     HTTP_HEADERS,
-    CLIENT_STATE_PATTERNS,
     ERROR_MESSAGES,
-    SUCCESS_MESSAGES
+    SUCCESS_MESSAGES,
+    WEBHOOK_CHANGE_TYPES
 } = require('../shared/constants');
 
+// Item state namespace for routing rules, so changed() compares against the last evaluation
+const RULE_STATE_NAMESPACE = 'rules';
+// Item state namespace for Teams cards, so changed fields are those since the last card
+const TEAMS_STATE_NAMESPACE = 'teams';
+
 
-// Webhook endpoint to handle Microsoft Graph notifications
+// Webhook endpoint to handle Microsoft Graph and SharePoint REST notifications
 app.http('webhook-handler', {
     methods: ['GET', 'POST'],
     authLevel: 'anonymous',
@@ -30,7 +69,8 @@ app.http('webhook-handler', {
         });
 
         // Check for validation token in query string (works for both GET and POST)
-        const validationToken = request.query.get('validationToken');
+        // SharePoint REST webhooks send it as lowercase validationtoken
+        const validationToken = request.query.get('validationToken') || request.query.get('validationtoken');
         
         if (validationToken) {
             logger.info('Webhook validation request received', {
@@ -68,20 +108,57 @@ app.http('webhook-handler', {
                 throw validationError('Invalid JSON in request body', { parseError: parseError.message });
             }
 
+            // SharePoint REST notifications only name the list; give them the Graph shape,
+            // taking the host from the tracked subscription
+            if (Array.isArray(notifications?.value)) {
+                notifications.value = await Promise.all(notifications.value.map(async notification => {
+                    if (!isSharePointRestNotification(notification)) {
+                        return notification;
+                    }
+                    const trackingItem = await getSubscriptionRegistry().get(notification.subscriptionId, context);
+                    return normalizeSharePointRestNotification(notification, trackingItem);
+                }));
+            }
+
             // Validate the notification payload
             const validatedData = validateWebhookNotification(notifications);
 
-            // Enrich notifications with stored clientState from SharePoint tracking list
-            const enrichedNotifications = await enrichNotificationsWithClientState(validatedData.value, context);
+            // Persist each notification and acknowledge right away so slow targets
+            // never push us past Graph's response-time limit. notification-worker
+            // enriches and processes the queued notifications. Forged notifications
+            // (the echoed clientState is the subscription secret) and duplicates are
+            // dropped here, on arrival: a forged payload never claims a genuine
+            // notification's dedupe key, and retried messages are never deduped.
+            const queue = getNotificationQueue();
+            let queued = 0;
+            let rejected = 0;
+            for (const notification of validatedData.value) {
+                const { authentic } = await authenticateNotification(notification, context, {
+                    source: 'webhook-handler'
+                });
+                if (!authentic) {
+                    rejected++;
+                    continue;
+                }
+                if (await isDuplicateNotification(notification, context)) {
+                    continue;
+                }
+                try {
+                    await queue.enqueue(notification);
+                } catch (error) {
+                    // Graph redelivers after the error response; the retry must not be a duplicate
+                    await releaseDedupeClaim(notification, context);
+                    throw error;
+                }
+                queued++;
+            }
 
-            // Process each enriched notification
-            logger.info('Processing webhook notifications', {
-                count: enrichedNotifications.length
+            logger.info('Queued webhook notifications for processing', {
+                count: queued,
+                rejected,
+                duplicates: validatedData.value.length - queued - rejected,
+                backend: config.notificationQueue.backend
             });
-
-            for (const notification of enrichedNotifications) {
-                await processNotification(notification, context);
-            }
             
             const duration = Date.now() - startTime;
             logger.logResponse(200, duration, {
@@ -90,7 +167,7 @@ app.http('webhook-handler', {
             
             return {
                 status: HTTP_STATUS.OK,
-                body: SUCCESS_MESSAGES.NOTIFICATION_PROCESSED
+                body: SUCCESS_MESSAGES.NOTIFICATIONS_QUEUED
             };
         }
 
@@ -98,37 +175,8 @@ app.http('webhook-handler', {
     })
 });
 
-// Track recent notifications to prevent loops
-const recentNotifications = new Map();
-const LOOP_PREVENTION_WINDOW = config.webhook.loopPreventionWindow;
-
 async function processNotification(notification, context) {
     try {
-        // Create notification key for loop detection
-        const notificationKey = `${notification.subscriptionId}-${notification.resource}`;
-        const now = Date.now();
-        
-        // Check if we've seen this notification recently
-        const lastSeen = recentNotifications.get(notificationKey);
-        if (lastSeen && (now - lastSeen) < LOOP_PREVENTION_WINDOW) {
-            const logger = createLogger(context);
-            logger.warn('Duplicate notification detected, skipping to prevent loop', {
-                notificationKey,
-                timeSinceLastSeen: now - lastSeen
-            });
-            return;
-        }
-        
-        // Record this notification
-        recentNotifications.set(notificationKey, now);
-        
-        // Clean up old entries
-        for (const [key, timestamp] of recentNotifications.entries()) {
-            if (now - timestamp > LOOP_PREVENTION_WINDOW * 2) {
-                recentNotifications.delete(key);
-            }
-        }
-        
         const logger = createLogger(context);
         logger.logWebhook('processing', notification.subscriptionId, {
             resource: notification.resource,
@@ -161,100 +209,9 @@ async function processNotification(notification, context) {
             listId: resourceData?.listId
         });
 
-        // Check if this notification should be routed to UiPath dispatcher
-        if (clientState && shouldRouteToUiPath(clientState)) {
-            try {
-                logger.info('Routing notification to UiPath dynamic dispatcher', {
-                    subscriptionId,
-                    clientState
-                });
-                
-                // Route to UiPath dispatcher
-                const uiPathResult = await routeToUiPathDispatcher(notification, context);
-                
-                if (uiPathResult.success) {
-                    logger.info('Successfully routed to UiPath dynamic dispatcher', {
-                        subscriptionId,
-                        processed: uiPathResult.processed
-                    });
-                } else {
-                    logger.error('UiPath dynamic dispatcher routing failed', {
-                        subscriptionId,
-                        error: uiPathResult.error
-                    });
-                }
-            } catch (uiPathError) {
-                logger.error('Failed to route to UiPath dynamic dispatcher', {
-                    error: uiPathError.message,
-                    subscriptionId
-                });
-                // Continue processing even if UiPath routing fails
-            }
-        }
-
-        // Check if this notification should be forwarded
-        if (clientState && clientState.startsWith('forward:')) {
-            try {
-                // Get access token for enhanced forwarding
-                const accessToken = await getAccessToken(context);
-                
-                // Create enhanced forwarder
-                const forwarder = new EnhancedForwarder(context, accessToken);
-                
-                // Parse enhanced clientState
-                const config = forwarder.parseClientState(clientState);
-                
-                if (config && config.forwardUrl) {
-                    logger.info('Enhanced forwarding notification', {
-                        forwardUrl: config.forwardUrl,
-                        mode: config.mode
-                    });
-                    
-                    // Forward with enhanced data
-                    const result = await forwarder.forward(notification, config.forwardUrl, config);
-                    
-                    if (result.success) {
-                        logger.info('Successfully forwarded notification', {
-                            mode: config.mode,
-                            forwardUrl: config.forwardUrl
-                        });
-                        // Update forwarding statistics in background
-                        updateForwardingStats(subscriptionId, context).catch(err => 
-                            logger.error('Background forwarding stats update failed', { error: err.message })
-                        );
-                    } else {
-                        logger.error('Enhanced forwarding failed', { error: result.error });
-                    }
-                } else {
-                    // Fallback to simple forwarding
-                    const options = parseClientState(clientState);
-                    const forwardingUrl = options.forwardUrl;
-                    logger.info('Simple forwarding notification', {
-                        forwardUrl: forwardingUrl
-                    });
-                    
-                    const enrichedPayload = {
-                        timestamp: new Date().toISOString(),
-                        source: 'SharePoint-Webhook-Proxy',
-                        notification: notification,
-                        metadata: {
-                            processedBy: process.env.WEBSITE_HOSTNAME || 'webhook-handler',
-                            environment: process.env.AZURE_FUNCTIONS_ENVIRONMENT || 'production'
-                        }
-                    };
-                    
-                    await forwardNotification(enrichedPayload, forwardingUrl, context);
-                    updateForwardingStats(subscriptionId, context).catch(err => 
-                        logger.error('Background forwarding stats update failed', { error: err.message })
-                    );
-                }
-            } catch (forwardError) {
-                logger.error('Failed to forward notification', {
-                    error: forwardError.message,
-                    subscriptionId
-                });
-                // Continue processing even if forwarding fails
-            }
+        if (routesToUiPath(clientState) || routesToForward(clientState) || routesToAdapter(clientState)
+            || routesToTeams(clientState)) {
+            await dispatchNotifications(await expandListNotification(notification, context), context);
         }
 
         // Update notification count in SharePoint list
@@ -293,132 +250,684 @@ async function processNotification(notification, context) {
     }
 }
 
-async function updateForwardingStats(subscriptionId, context) {
+/**
+ * Expand a list notification into one notification per item changed since the last one
+ * Falls back to the original notification (newest item only) if the delta query fails.
+ * @param {Object} notification - Webhook notification
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<Array>} Notifications to dispatch
+ */
+async function expandListNotification(notification, context) {
+    const logger = createLogger(context);
+
     try {
-        // Get configuration
-        const listId = config.sharepoint.lists.webhookManagement;
-        const sitePath = config.sharepoint.primarySite.sitePath;
-        
-        // Get access token
-        const accessToken = await getAccessToken(context);
-        
-        // Get all items from SharePoint list
-        const searchUrl = `${config.api.graph.baseUrl}/sites/${sitePath}/lists/${listId}/items?$expand=fields`;
-        const searchResponse = await axios.get(searchUrl, {
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Accept': 'application/json'
-            }
+        const notifications = await expandNotification(notification, context);
+        if (notifications.length !== 1 || notifications[0] !== notification) {
+            logger.info('Expanded list notification into changed items', {
+                subscriptionId: notification.subscriptionId,
+                resource: notification.resource,
+                itemIds: notifications.map(n => n.resourceData.id)
+            });
+        }
+        return notifications;
+    } catch (error) {
+        logger.warn('Delta query failed, processing notification without item fan-out', {
+            subscriptionId: notification.subscriptionId,
+            resource: notification.resource,
+            error: error.message
         });
-        
-        // Find the matching item
-        const matchingItem = searchResponse.data.value?.find(item => 
-            item.fields && item.fields.SubscriptionId === subscriptionId
+        return [notification];
+    }
+}
+
+/**
+ * Deliver notifications that share a clientState (the items of one list notification)
+ * Forward destinations with format:cloudevents-batch receive every matching
+ * notification in one request; all other destinations get one dispatch each.
+ * @param {Array<Object>} notifications - Webhook notifications with resolved clientState
+ * @param {Object} context - Azure Functions context
+ */
+async function dispatchNotifications(notifications, context) {
+    const batchDestinations = notifications.length > 1
+        ? parseDestinations(notifications[0].clientState).filter(isBatchDestination)
+        : [];
+    const batches = new Map(batchDestinations.map(destination => [destination.id, []]));
+
+    for (const notification of notifications) {
+        await dispatchNotification(notification, context, batches);
+    }
+
+    for (const destination of batchDestinations) {
+        const batch = batches.get(destination.id);
+        if (batch.length > 0) {
+            await deliverBatchToDestination(batch, destination, context);
+        }
+    }
+}
+
+function isBatchDestination(destination) {
+    return destination.type === DESTINATIONS.FORWARD
+        && destination.config.outputFormat === CLOUDEVENTS_FORMATS.BATCH;
+}
+
+/**
+ * Deliver a notification to every destination in its clientState
+ * Each destination gets its own delivery record and, on failure, its own dead
+ * letter, so a failing target can be retried without re-delivering to the others.
+ * Destinations whose routing rule does not match the item are skipped.
+ * @param {Object} notification - Webhook notification with resolved clientState
+ * @param {Object} context - Azure Functions context
+ * @param {Map} [batches] - Destination id to the notifications collected for one batched
+ *   request; matching notifications for these destinations are collected instead of sent
+ */
+async function dispatchNotification(notification, context, batches = new Map()) {
+    const logger = createLogger(context);
+    const destinations = parseDestinations(notification.clientState);
+    const ruleResults = await evaluateRoutingRules(notification, destinations, context);
+
+    for (const destination of destinations) {
+        const ruleResult = ruleResults.get(destination.id);
+        if (ruleResult && !ruleResult.error && !ruleResult.matched) {
+            logger.info('Routing rule did not match, skipping destination', {
+                subscriptionId: notification.subscriptionId,
+                destinationId: destination.id,
+                itemId: notification.resourceData?.id
+            });
+            continue;
+        }
+        if (batches.has(destination.id) && !ruleResult?.error) {
+            batches.get(destination.id).push(notification);
+            continue;
+        }
+        await deliverToDestination(notification, destination, context, ruleResult?.error);
+    }
+}
+
+/**
+ * Evaluate the routing rule (when: and fields:) of each destination
+ * The item is fetched once, and only if a destination has a rule. Its state
+ * is kept under its own item-state namespace so changed() compares against
+ * the previous notification.
+ * @param {Object} notification - Webhook notification
+ * @param {Array<Object>} destinations - Destinations from parseDestinations
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<Map>} Destination id to { matched } or { error }, for destinations with a rule
+ */
+async function evaluateRoutingRules(notification, destinations, context) {
+    const results = new Map();
+    const rules = destinations
+        .map(destination => ({ destination, expression: buildRoutingRule(destination.config) }))
+        .filter(rule => rule.expression);
+
+    if (rules.length === 0) {
+        return results;
+    }
+
+    let ruleContext;
+    try {
+        ruleContext = await loadRuleContext(notification, context);
+    } catch (error) {
+        for (const { destination } of rules) {
+            results.set(destination.id, { error: error.message });
+        }
+        return results;
+    }
+
+    for (const { destination, expression } of rules) {
+        try {
+            results.set(destination.id, { matched: compileRule(expression).evaluate(ruleContext) });
+        } catch (error) {
+            results.set(destination.id, { error: error.message });
+        }
+    }
+    return results;
+}
+
+/**
+ * Load the item and its previously evaluated state for routing rules
+ * Deleted (or no longer existing) items are matched against their last known state.
+ * @param {Object} notification - Webhook notification
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<Object>} Rule context (see rule-engine buildRuleContext)
+ */
+async function loadRuleContext(notification, context) {
+    const { resource, resourceData } = notification;
+    const store = getItemStateStore();
+
+    if (notification.changeType !== WEBHOOK_CHANGE_TYPES.DELETED) {
+        const { item, notFound } = await resolveSharePointItem(resource, resourceData, context);
+        if (item) {
+            const previousItem = await store.get(resource, getItemStateId(item), RULE_STATE_NAMESPACE);
+            await store.save(resource, item, RULE_STATE_NAMESPACE);
+            return buildRuleContext({ item, previousItem, changeType: notification.changeType });
+        }
+        if (!notFound || !resourceData?.id) {
+            throw new Error('Item could not be fetched to evaluate routing rules');
+        }
+    }
+
+    const previousItem = resourceData?.id ? await store.get(resource, resourceData.id, RULE_STATE_NAMESPACE) : null;
+    if (previousItem) {
+        await store.remove(resource, resourceData.id, RULE_STATE_NAMESPACE);
+    }
+    return buildRuleContext({ item: previousItem, previousItem, changeType: WEBHOOK_CHANGE_TYPES.DELETED });
+}
+
+/**
+ * Dispatch a notification to one destination and record the outcome
+ * Calls the dispatchTo* function of the destination type; dead-letter replay
+ * calls the same function for the entry's stage, so a replay retries exactly
+ * what failed here.
+ * @param {Object} notification - Webhook notification with resolved clientState
+ * @param {Object} destination - Destination from parseDestinations
+ * @param {Object} context - Azure Functions context
+ * @param {string} [ruleError] - Why the destination's routing rule could not be evaluated;
+ *   the delivery is then failed and dead-lettered instead of dispatched
+ * @returns {Promise<Object>} Outcome with success flag and error message
+ */
+async function deliverToDestination(notification, destination, context, ruleError = null) {
+    // Downstream dispatchers only see the clientState of their own destination
+    const destinationNotification = { ...notification, clientState: destination.clientState };
+    const deliveryId = await startDelivery(destinationNotification, destination, context);
+
+    let outcome;
+    if (ruleError) {
+        outcome = { success: false, error: `Routing rule could not be evaluated: ${ruleError}` };
+    } else if (destination.type === DESTINATIONS.UIPATH) {
+        outcome = await dispatchToUiPath(destinationNotification, context);
+    } else if (ADAPTER_DESTINATIONS.includes(destination.type)) {
+        outcome = await dispatchToAdapter(destinationNotification, context);
+    } else if (destination.type === DESTINATIONS.TEAMS) {
+        outcome = await dispatchToTeams(destinationNotification, context);
+    } else {
+        outcome = await dispatchToForward(destinationNotification, context);
+    }
+
+    await recordDeliveryAttempt(deliveryId, outcome, context);
+    if (!outcome.success) {
+        // Continue with the other destinations; the dead letter allows replay of this one
+        await recordDeadLetter(
+            getFailureStage(destination.type, outcome),
+            destinationNotification,
+            outcome.error,
+            context,
+            deliveryId
         );
-        
-        if (matchingItem) {
-            const updateUrl = `${config.api.graph.baseUrl}/sites/${sitePath}/lists/${listId}/items/${matchingItem.id}`;
-            
-            // Update LastForwardedDateTime
-            await axios.patch(updateUrl, {
-                fields: {
-                    LastForwardedDateTime: new Date().toISOString()
-                }
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                }
+    }
+    return outcome;
+}
+
+/**
+ * Send several notifications to one batched forward destination in a single request
+ * Each notification keeps its own delivery record and, on failure, its own dead
+ * letter; replaying one sends a batch of one.
+ * @param {Array<Object>} notifications - Webhook notifications with resolved clientState
+ * @param {Object} destination - Destination from parseDestinations
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<Object>} Outcome with success flag and error message
+ */
+async function deliverBatchToDestination(notifications, destination, context) {
+    const destinationNotifications = notifications
+        .map(notification => ({ ...notification, clientState: destination.clientState }));
+    const deliveryIds = [];
+    for (const notification of destinationNotifications) {
+        deliveryIds.push(await startDelivery(notification, destination, context));
+    }
+
+    const outcome = await dispatchToForward(destinationNotifications, context);
+
+    for (const [index, notification] of destinationNotifications.entries()) {
+        await recordDeliveryAttempt(deliveryIds[index], outcome, context);
+        if (!outcome.success) {
+            const stage = getFailureStage(destination.type, outcome);
+            await recordDeadLetter(stage, notification, outcome.error, context, deliveryIds[index]);
+        }
+    }
+    return outcome;
+}
+
+/**
+ * Dead-letter stage of a failed delivery
+ * Deferred forwards are retried by deferred-deliveries once the target's circuit closes.
+ * @param {string} destinationType - Destination type (see DESTINATIONS)
+ * @param {Object} outcome - Dispatch outcome
+ * @returns {string} Dead-letter stage (see DEAD_LETTER_STAGES)
+ */
+function getFailureStage(destinationType, outcome) {
+    if (destinationType === DESTINATIONS.UIPATH) {
+        return DEAD_LETTER_STAGES.UIPATH;
+    }
+    if (ADAPTER_DESTINATIONS.includes(destinationType)) {
+        return DEAD_LETTER_STAGES.ADAPTER;
+    }
+    if (destinationType === DESTINATIONS.TEAMS) {
+        return DEAD_LETTER_STAGES.TEAMS;
+    }
+    return outcome.deferred ? DEAD_LETTER_STAGES.DEFERRED : DEAD_LETTER_STAGES.FORWARD;
+}
+
+/**
+ * Create the pending delivery record for a destination
+ * Fails open: if the store is unavailable the notification is still delivered.
+ * @returns {Promise<string|null>} Delivery id, or null if no record was created
+ */
+async function startDelivery(notification, destination, context) {
+    try {
+        const delivery = await getDeliveryStore().create({ notification, destination });
+        return delivery.id;
+    } catch (error) {
+        createLogger(context).warn('Delivery store unavailable, delivering without a delivery record', {
+            subscriptionId: notification.subscriptionId,
+            destinationId: destination.id,
+            error: error.message
+        });
+        return null;
+    }
+}
+
+/**
+ * Record a dispatch attempt on a delivery record
+ * Never throws - a delivery store failure must not break notification processing.
+ * @param {string|null} deliveryId - Delivery record id
+ * @param {Object} outcome - Outcome with success flag and error message
+ * @param {Object} context - Azure Functions context
+ */
+async function recordDeliveryAttempt(deliveryId, outcome, context) {
+    if (!deliveryId) {
+        return;
+    }
+
+    try {
+        await getDeliveryStore().recordAttempt(deliveryId, outcome);
+    } catch (error) {
+        createLogger(context).error('Failed to update delivery record', {
+            deliveryId,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Check the shared dedupe store to prevent loops and duplicate Graph deliveries
+ * Fails open: if the store is unavailable the notification is processed.
+ * @param {Object} notification - Webhook notification
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<boolean>} True if the notification was already seen within the window
+ */
+async function isDuplicateNotification(notification, context) {
+    const logger = createLogger(context);
+    const notificationKey = buildDedupeKey(notification);
+
+    try {
+        const claim = await getDedupeStore().claim(notificationKey);
+        if (claim.duplicate) {
+            logger.warn('Duplicate notification detected, skipping to prevent loop', {
+                notificationKey,
+                timeSinceLastSeen: claim.lastSeen ? Date.now() - claim.lastSeen : undefined
             });
-            
-            const logger = createLogger(context);
-            logger.info('Updated forwarding stats', {
+        }
+        return claim.duplicate;
+    } catch (error) {
+        logger.warn('Dedupe store unavailable, processing notification anyway', {
+            notificationKey,
+            error: error.message
+        });
+        return false;
+    }
+}
+
+/**
+ * Release the dedupe claim made for a notification that was not accepted
+ * @param {Object} notification - Webhook notification
+ * @param {Object} context - Azure Functions context
+ */
+async function releaseDedupeClaim(notification, context) {
+    const notificationKey = buildDedupeKey(notification);
+
+    try {
+        await getDedupeStore().release(notificationKey);
+    } catch (error) {
+        createLogger(context).warn('Failed to release dedupe claim, redelivery may be dropped', {
+            notificationKey,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Route a notification to the UiPath dynamic dispatcher
+ * @param {Object} notification - Webhook notification with resolved clientState
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<Object>} Outcome with success flag and error message
+ */
+async function dispatchToUiPath(notification, context) {
+    const logger = createLogger(context);
+    const { subscriptionId, clientState } = notification;
+
+    try {
+        logger.info('Routing notification to UiPath dynamic dispatcher', {
+            subscriptionId,
+            clientState
+        });
+
+        const uiPathResult = await routeToUiPathDispatcher(notification, context);
+        const error = uiPathResult.success ? uiPathResult.result?.error : uiPathResult.error;
+
+        if (error) {
+            logger.error('UiPath dynamic dispatcher routing failed', {
                 subscriptionId,
-                lastForwardedDateTime: new Date().toISOString()
+                error
             });
+            return { success: false, error };
         }
-    } catch (error) {
-        const logger = createLogger(context);
-        logger.error('Error updating forwarding stats', {
-            error: error.message,
+
+        logger.info('Successfully routed to UiPath dynamic dispatcher', {
+            subscriptionId,
+            processed: uiPathResult.processed
+        });
+        return { success: true, processed: uiPathResult.processed };
+    } catch (uiPathError) {
+        logger.error('Failed to route to UiPath dynamic dispatcher', {
+            error: uiPathError.message,
             subscriptionId
         });
-        // Don't throw - just log the error so notification processing can continue
+        return { success: false, error: uiPathError.message };
     }
 }
 
-async function updateNotificationCount(subscriptionId, context) {
+/**
+ * Forward a notification to the URL configured in its clientState
+ * @param {Object|Array<Object>} notification - Webhook notification with resolved clientState,
+ *   or the notifications of one batch
+ * @param {Object} context - Azure Functions context
+ * @param {Object} [options]
+ * @param {boolean} [options.circuitTrialTaken] - The caller already took the target's
+ *   half-open trial (see EnhancedForwarder.send)
+ * @returns {Promise<Object>} Outcome with success flag and error message; deferred is set
+ *   when the target's circuit is open and nothing was sent
+ */
+async function dispatchToForward(notification, context, options = {}) {
+    const logger = createLogger(context);
+    // A batch (see deliverBatchToDestination) shares one clientState
+    const notifications = Array.isArray(notification) ? notification : [notification];
+    const { subscriptionId, clientState } = notifications[0];
+
     try {
-        // Get configuration
-        const listId = config.sharepoint.lists.webhookManagement;
-        const sitePath = config.sharepoint.primarySite.sitePath;
-        
-        // Get access token
+        // Get access token for enhanced forwarding
         const accessToken = await getAccessToken(context);
         
-        // Find the item in SharePoint list using Graph API
-        // Note: Can't filter by SubscriptionId as it's not indexed, so we get all items and filter in memory
-        const searchUrl = `${config.api.graph.baseUrl}/sites/${sitePath}/lists/${listId}/items?$expand=fields`;
-        const searchResponse = await axios.get(searchUrl, {
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Accept': 'application/json'
-            }
-        });
+        // Create enhanced forwarder
+        const forwarder = new EnhancedForwarder(context, accessToken);
         
-        // Log the search results for debugging
-        const logger = createLogger(context);
-        logger.debug('SharePoint list search results', {
-            itemCount: searchResponse.data.value?.length || 0,
-            listId
-        });
+        // Parse enhanced clientState
+        const config = forwarder.parseClientState(clientState);
         
-        // Find the item with matching SubscriptionId
-        const matchingItem = searchResponse.data.value?.find(item => 
-            item.fields && item.fields.SubscriptionId === subscriptionId
-        );
-        
-        if (matchingItem) {
-            const item = matchingItem;
+        if (config && config.forwardUrl) {
+            logger.info('Enhanced forwarding notification', {
+                forwardUrl: config.forwardUrl,
+                mode: config.mode,
+                template: config.template,
+                format: config.outputFormat,
+                count: notifications.length
+            });
             
-            // Check if webhook is marked as deleted
-            if (item.fields.Status === 'Deleted') {
-                logger.warn('Received notification from deleted webhook', {
-                    subscriptionId,
-                    status: item.fields.Status
+            // Forward with enhanced data
+            const result = await forwarder.forwardBatch(notifications, config.forwardUrl, config, options);
+            
+            if (result.deferred) {
+                logger.warn('Forward deferred while the target circuit is open', {
+                    forwardUrl: config.forwardUrl,
+                    retryAt: result.retryAt
                 });
-                return;
+                return { success: false, deferred: true, error: result.error };
             }
+
+            if (!result.success) {
+                const error = result.error || `Forward target responded with status ${result.status}`;
+                logger.error('Enhanced forwarding failed', { error, attempts: result.attempts });
+                return { success: false, error };
+            }
+
+            logger.info('Successfully forwarded notification', {
+                mode: result.mode,
+                template: result.template,
+                forwardUrl: config.forwardUrl
+            });
+        } else {
+            // Fallback to simple forwarding
+            const options = parseClientState(clientState);
+            const forwardingUrl = options.forwardUrl;
+            logger.info('Simple forwarding notification', {
+                forwardUrl: forwardingUrl
+            });
             
-            const itemId = item.id;
-            const currentCount = item.fields.NotificationCount || 0;
-            
-            // Update the notification count using Graph API
-            const updateUrl = `${config.api.graph.baseUrl}/sites/${sitePath}/lists/${listId}/items/${itemId}`;
-            await axios.patch(updateUrl, {
-                fields: {
-                    NotificationCount: currentCount + 1
+            const enrichedPayload = {
+                timestamp: new Date().toISOString(),
+                source: 'SharePoint-Webhook-Proxy',
+                notification: notifications[0],
+                metadata: {
+                    processedBy: process.env.WEBSITE_HOSTNAME || 'webhook-handler',
+                    environment: process.env.AZURE_FUNCTIONS_ENVIRONMENT || 'production'
                 }
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                }
-            });
+            };
             
-            logger.info('Updated notification count', {
-                subscriptionId,
-                previousCount: currentCount,
-                newCount: currentCount + 1
+            await forwardNotification(enrichedPayload, forwardingUrl, context, {
+                signingKey: options.signingKey,
+                authProfile: options.authProfile
             });
-        } else {
-            logger.warn('Webhook not found in SharePoint list', {
+        }
+
+        // Update forwarding statistics in background
+        updateForwardingStats(subscriptionId, context).catch(err => 
+            logger.error('Background forwarding stats update failed', { error: err.message })
+        );
+        return { success: true };
+    } catch (forwardError) {
+        logger.error('Failed to forward notification', {
+            error: forwardError.message,
+            subscriptionId
+        });
+        return { success: false, error: forwardError.message };
+    }
+}
+
+/**
+ * Publish a notification to the Storage Queue or Service Bus destination in its clientState
+ * @param {Object} notification - Webhook notification with resolved clientState
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<Object>} Outcome with success flag and error message
+ */
+async function dispatchToAdapter(notification, context) {
+    const logger = createLogger(context);
+    const { subscriptionId, clientState } = notification;
+
+    try {
+        const destinationConfig = parseClientState(clientState);
+        const adapter = getDestinationAdapter(destinationConfig.destination);
+
+        // Only withData and withChanges payloads read the item from Graph
+        const accessToken = destinationConfig.mode === 'simple' && !destinationConfig.template
+            ? null
+            : await getAccessToken(context);
+        const forwarder = new EnhancedForwarder(context, accessToken);
+        const result = await forwarder.publish(notification, adapter, destinationConfig);
+
+        if (!result.success) {
+            logger.error('Publishing to destination failed', {
+                destination: destinationConfig.destination,
                 subscriptionId,
-                suggestion: 'It may have been deleted'
+                error: result.error
             });
+            return { success: false, error: result.error };
         }
+
+        logger.info('Published notification to destination', {
+            destination: destinationConfig.destination,
+            entity: result.entity,
+            messageId: result.messageId,
+            mode: result.mode
+        });
+
+        updateForwardingStats(subscriptionId, context).catch(err =>
+            logger.error('Background forwarding stats update failed', { error: err.message })
+        );
+        return { success: true, messageId: result.messageId };
+    } catch (error) {
+        logger.error('Failed to publish notification to destination', {
+            error: error.message,
+            subscriptionId
+        });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Post an Adaptive Card for a notification to the Teams channel in its clientState
+ * The item state is only saved once the card was posted, so a replayed card
+ * shows the same changed fields.
+ * @param {Object} notification - Webhook notification with resolved clientState
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<Object>} Outcome with success flag and error message
+ */
+async function dispatchToTeams(notification, context) {
+    const logger = createLogger(context);
+    const { subscriptionId, clientState, resource } = notification;
+
+    try {
+        const destinationConfig = parseClientState(clientState);
+        const template = getCardTemplate(destinationConfig.cardTemplate);
+        if (!template) {
+            throw new Error(`Unknown card template: ${destinationConfig.cardTemplate || config.teams.defaultCard}`);
+        }
+        const webhookUrl = resolveTeamsWebhookUrl(destinationConfig.channel);
+
+        const { item, previousItem } = await loadTeamsItem(notification, context);
+        const card = renderCardTemplate(template, buildCardData({
+            notification,
+            item,
+            previousItem,
+            includeFields: destinationConfig.includeFields,
+            excludeFields: destinationConfig.excludeFields
+        }));
+        await postTeamsMessage(webhookUrl, buildTeamsMessage(card));
+
+        const store = getItemStateStore();
+        if (item) {
+            await store.save(resource, item, TEAMS_STATE_NAMESPACE);
+        } else if (previousItem) {
+            await store.remove(resource, getItemStateId(previousItem), TEAMS_STATE_NAMESPACE);
+        }
+
+        logger.info('Posted card to Teams channel', {
+            channel: destinationConfig.channel,
+            card: template.name,
+            subscriptionId
+        });
+
+        updateForwardingStats(subscriptionId, context).catch(err =>
+            logger.error('Background forwarding stats update failed', { error: err.message })
+        );
+        return { success: true };
+    } catch (error) {
+        logger.error('Failed to post card to Teams channel', {
+            error: error.message,
+            subscriptionId
+        });
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Load the item a Teams card describes and its state as of the last card
+ * Deleted (or no longer existing) items are described by their last known state.
+ * @param {Object} notification - Webhook notification
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<Object>} { item, previousItem } - item is null once deleted
+ */
+async function loadTeamsItem(notification, context) {
+    const { resource, resourceData } = notification;
+    const store = getItemStateStore();
+
+    if (notification.changeType !== WEBHOOK_CHANGE_TYPES.DELETED) {
+        const { item, notFound } = await resolveSharePointItem(resource, resourceData, context);
+        if (item) {
+            return { item, previousItem: await store.get(resource, getItemStateId(item), TEAMS_STATE_NAMESPACE) };
+        }
+        if (!notFound || !resourceData?.id) {
+            throw new Error('Item could not be fetched to build the card');
+        }
+    }
+
+    const previousItem = resourceData?.id ? await store.get(resource, resourceData.id, TEAMS_STATE_NAMESPACE) : null;
+    return { item: null, previousItem };
+}
+
+/**
+ * Store a failed notification in the dead-letter store
+ * Never throws - a dead-letter write failure must not break notification processing.
+ * @param {string} stage - Failing stage (see DEAD_LETTER_STAGES)
+ * @param {Object} notification - Notification with resolved clientState
+ * @param {string} error - Failure reason
+ * @param {Object} context - Azure Functions context
+ * @param {string|null} deliveryId - Delivery record the dead letter belongs to
+ */
+async function recordDeadLetter(stage, notification, error, context, deliveryId = null) {
+    const logger = createLogger(context);
+
+    try {
+        const entry = await getDeadLetterStore().record({ stage, notification, error, deliveryId });
+        logger.warn('Notification dead-lettered', {
+            deadLetterId: entry.id,
+            deliveryId,
+            stage,
+            subscriptionId: notification.subscriptionId,
+            error
+        });
+    } catch (storeError) {
+        logger.error('Failed to record dead letter', {
+            stage,
+            subscriptionId: notification.subscriptionId,
+            error: storeError.message
+        });
+    }
+}
+
+/**
+ * Buffer a LastForwardedDateTime update; notification-counter-flush writes it to the tracking list
+ * @param {string} subscriptionId - Graph subscription ID
+ * @param {Object} context - Azure Functions context
+ */
+async function updateForwardingStats(subscriptionId, context) {
+    try {
+        const lastForwardedDateTime = new Date().toISOString();
+        await getCounterStore().add(subscriptionId, { lastForwardedDateTime });
+
+        const logger = createLogger(context);
+        logger.debug('Buffered forwarding stats', {
+            subscriptionId,
+            lastForwardedDateTime
+        });
+    } catch (error) {
+        const logger = createLogger(context);
+        logger.error('Error updating forwarding stats', {
+            error: error.message,
+            subscriptionId
+        });
+        // Don't throw - just log the error so notification processing can continue
+    }
+}
+
+/**
+ * Buffer a NotificationCount increment; notification-counter-flush writes it to the tracking list
+ * @param {string} subscriptionId - Graph subscription ID
+ * @param {Object} context - Azure Functions context
+ */
+async function updateNotificationCount(subscriptionId, context) {
+    try {
+        await getCounterStore().add(subscriptionId, { count: 1 });
+
+        const logger = createLogger(context);
+        logger.debug('Buffered notification count increment', { subscriptionId });
     } catch (error) {
         const logger = createLogger(context);
         logger.error('Error updating notification count', {
@@ -429,7 +938,8 @@ async function updateNotificationCount(subscriptionId, context) {
     }
 }
 
-async function forwardNotification(notification, forwardingUrl, context) {
+async function forwardNotification(notification, forwardingUrl, context, options = {}) {
+    const { signingKey = null, authProfile = null } = options;
     try {
         // If notification is already enriched, use it as-is
         const payload = notification.source ? notification : {
@@ -442,14 +952,22 @@ async function forwardNotification(notification, forwardingUrl, context) {
             }
         };
 
+        // Sign the serialized body (see forward-signing) and add the target's credentials (see forward-auth)
+        const body = JSON.stringify(payload);
+        const request = await buildAuthenticatedRequest(forwardingUrl, authProfile, {
+            timeout: config.webhook.notificationTimeout
+        });
 
         // Forward the notification
-        const response = await axios.post(forwardingUrl, payload, {
+        const response = await axios.post(request.url, body, {
             timeout: config.webhook.notificationTimeout,
+            httpsAgent: request.httpsAgent,
             headers: {
                 'Content-Type': 'application/json',
                 'X-SharePoint-Webhook-Proxy': 'true',
-                'X-Original-Subscription-Id': notification.subscriptionId || notification.notification?.subscriptionId
+                'X-Original-Subscription-Id': notification.subscriptionId || notification.notification?.subscriptionId,
+                ...buildSignatureHeaders(body, signingKey),
+                ...request.headers
             }
         });
 
@@ -472,37 +990,6 @@ async function forwardNotification(notification, forwardingUrl, context) {
     }
 }
 
-// Parse clientState to extract options
-function parseClientState(clientState) {
-    const options = {
-        forwardUrl: '',
-        detectChanges: false,
-        fields: []
-    };
-    
-    // Parse format: "forward:url;detectChanges:true;fields:Title,Status"
-    // Handle URLs with colons by splitting only on first occurrence
-    const parts = clientState.split(';');
-    
-    for (const part of parts) {
-        const colonIndex = part.indexOf(':');
-        if (colonIndex === -1) continue;
-        
-        const key = part.substring(0, colonIndex);
-        const value = part.substring(colonIndex + 1);
-        
-        if (key === 'forward') {
-            options.forwardUrl = value;
-        } else if (key === 'detectChanges') {
-            options.detectChanges = value === 'true';
-        } else if (key === 'fields') {
-            options.fields = value.split(',').map(f => f.trim());
-        }
-    }
-    
-    return options;
-}
-
 /**
  * Enrich notifications with stored clientState from SharePoint tracking list
  * Microsoft Graph doesn't preserve clientState in webhook subscriptions,
@@ -515,39 +1002,20 @@ async function enrichNotificationsWithClientState(notifications, context) {
     const logger = createLogger(context);
 
     try {
-        // Get access token
-        const accessToken = await getAccessToken(context);
-
-        // Get webhook tracking list configuration
-        const listId = config.sharepoint.lists.webhookManagement;
-        const sitePath = config.sharepoint.primarySite.sitePath;
-
-        // Fetch all tracking items from SharePoint
-        const trackingUrl = `${config.api.graph.baseUrl}/sites/${sitePath}/lists/${listId}/items?$expand=fields&$select=id,fields`;
-        const response = await axios.get(trackingUrl, {
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Accept': 'application/json'
-            },
-            timeout: config.webhook.notificationTimeout
-        });
+        const registry = getSubscriptionRegistry();
 
         // Create a map of subscriptionId -> stored clientState
+        const subscriptionIds = new Set(notifications.map(n => n.subscriptionId));
         const clientStateMap = new Map();
-        if (response.data.value) {
-            for (const item of response.data.value) {
-                if (item.fields && item.fields.SubscriptionId) {
-                    const subscriptionId = item.fields.SubscriptionId;
-                    const storedClientState = item.fields.ClientState;
-                    if (storedClientState) {
-                        clientStateMap.set(subscriptionId, storedClientState);
-                    }
-                }
+        for (const subscriptionId of subscriptionIds) {
+            const item = await registry.get(subscriptionId, context);
+            if (item && item.fields.ClientState) {
+                clientStateMap.set(subscriptionId, item.fields.ClientState);
             }
         }
 
-        logger.debug('Loaded clientState mappings from SharePoint', {
-            trackingItemsFound: response.data.value?.length || 0,
+        logger.debug('Loaded clientState mappings from subscription registry', {
+            subscriptionsRequested: subscriptionIds.size,
             clientStateMappings: clientStateMap.size
         });
 
@@ -587,24 +1055,6 @@ async function enrichNotificationsWithClientState(notifications, context) {
     }
 }
 
-/**
- * Check if notification should be routed to UiPath dispatcher
- * @param {string} clientState - Client state from notification
- * @returns {boolean} True if should route to UiPath
- */
-function shouldRouteToUiPath(clientState) {
-    if (!clientState) {
-        return false;
-    }
-
-    // Check for UiPath processor indicator in clientState
-    const lowercaseState = clientState.toLowerCase();
-    return lowercaseState.includes('processor:uipath') ||
-           lowercaseState.includes('uipath:enabled') ||
-           lowercaseState.includes('uipath=true') ||
-           lowercaseState.includes('uipath:'); // Matches any UiPath queue specification
-}
-
 /**
  * Route notification to UiPath dispatcher
  * @param {Object} notification - Webhook notification
@@ -644,5 +1094,13 @@ async function routeToUiPathDispatcher(notification, context) {
     }
 }
 
-
-
+module.exports = {
+    processNotification,
+    enrichNotificationsWithClientState,
+    dispatchToUiPath,
+    dispatchToForward,
+    dispatchToAdapter,
+    dispatchToTeams,
+    recordDeadLetter,
+    recordDeliveryAttempt
+};
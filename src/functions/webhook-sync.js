@@ -2,6 +2,12 @@ const { app } = require('@azure/functions');
 const axios = require('axios');
 const { getAccessToken } = require('../shared/auth');
 const config = require('../shared/config');
+const { fetchTrackingListItems, getSubscriptionRegistry, getTrackedResource } = require('../shared/subscription-registry');
+const { parseClientState } = require('../shared/clientstate-parser');
+const sharepointRest = require('../shared/sharepoint-rest');
+const { parseDriveResource } = require('../shared/drive-items');
+
+const { SUBSCRIPTION_TYPES } = sharepointRest;
 
 // Sync webhooks to SharePoint list using Microsoft Graph API
 app.http('webhook-sync', {
@@ -95,6 +101,13 @@ app.timer('webhook-sync-timer', {
 
 // Removed duplicate getAccessToken - now using shared auth module
 
+/**
+ * Get every Graph subscription and every tracked SharePoint REST webhook
+ * Each webhook is tagged with its subscriptionType.
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {Object} context - Azure Functions context for logging
+ * @returns {Promise<Array>} Webhooks in Graph shape
+ */
 async function getWebhooks(accessToken, context) {
     try {
         const response = await axios.get(`${config.api.graph.baseUrl}/subscriptions`, {
@@ -104,8 +117,13 @@ async function getWebhooks(accessToken, context) {
             }
         });
 
-        context.log(`Found ${response.data.value.length} webhooks`);
-        return response.data.value;
+        const webhooks = [
+            ...response.data.value.map(webhook => ({ ...webhook, subscriptionType: SUBSCRIPTION_TYPES.GRAPH })),
+            ...await getSharePointWebhooks(accessToken, context)
+        ];
+
+        context.log(`Found ${webhooks.length} webhooks`);
+        return webhooks;
     } catch (error) {
         context.log.error('Error getting webhooks:', error);
         throw error;
@@ -113,8 +131,84 @@ async function getWebhooks(accessToken, context) {
 }
 
 /**
- * Renew webhooks that are expiring within the next 24 hours
- * SharePoint webhooks have a maximum lifetime of 3 days and must be renewed before expiration
+ * Get the SharePoint REST webhooks on every list the tracking list has one for
+ * SharePoint cannot list webhooks tenant-wide, so the tracking list says where to look.
+ * A list that cannot be read is skipped rather than failing the whole sync, and
+ * its tracking items are kept as they are, marked unverified so they are not renewed.
+ * @param {string} accessToken - Microsoft Graph API access token
+ * @param {Object} context - Azure Functions context for logging
+ * @returns {Promise<Array>} Webhooks in Graph shape
+ */
+async function getSharePointWebhooks(accessToken, context) {
+    const trackingItems = await getSharePointListItems(
+        accessToken,
+        config.sharepoint.primarySite.sitePath,
+        config.sharepoint.lists.webhookManagement,
+        context
+    );
+
+    const trackedByResource = new Map();
+    for (const item of trackingItems) {
+        if (item.fields?.SubscriptionType === SUBSCRIPTION_TYPES.SHAREPOINT && item.fields.Status !== 'Deleted') {
+            const resource = getTrackedResource(item.fields);
+            trackedByResource.set(resource, [...(trackedByResource.get(resource) || []), item]);
+        }
+    }
+
+    const webhooks = [];
+    for (const [resource, items] of trackedByResource) {
+        try {
+            // The list also returns other apps' webhooks; only ours are tracked
+            const trackedIds = new Set(items.map(item => item.fields.SubscriptionId));
+            const listWebhooks = await sharepointRest.listListSubscriptions(context, resource);
+            webhooks.push(...listWebhooks.filter(webhook => trackedIds.has(webhook.id)));
+        } catch (error) {
+            context.log.warn(`Could not list SharePoint webhooks for ${resource}:`, error.response?.data || error.message);
+            // Report the tracked subscriptions as-is so they are not marked Deleted
+            webhooks.push(...items.map(item => ({
+                id: item.fields.SubscriptionId,
+                resource,
+                changeType: item.fields.ChangeType,
+                notificationUrl: item.fields.NotificationUrl,
+                expirationDateTime: item.fields.ExpirationDateTime,
+                subscriptionType: SUBSCRIPTION_TYPES.SHAREPOINT,
+                unverified: true
+            })));
+        }
+    }
+    return webhooks;
+}
+
+/**
+ * Extend one webhook with the API for its subscriptionType
+ * @returns {Promise<Object>} Renewed subscription ({ expirationDateTime })
+ */
+async function renewWebhook(accessToken, webhook, newExpiration, context) {
+    if (webhook.subscriptionType === SUBSCRIPTION_TYPES.SHAREPOINT) {
+        return sharepointRest.renewListSubscription(context, webhook.resource, webhook.id, newExpiration);
+    }
+
+    // PATCH the subscription to extend expiration
+    const response = await axios.patch(
+        `${config.api.graph.baseUrl}/subscriptions/${webhook.id}`,
+        {
+            expirationDateTime: newExpiration
+        },
+        {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
+            }
+        }
+    );
+    return response.data;
+}
+
+/**
+ * Renew webhooks that are expiring soon
+ * Graph subscriptions on SharePoint lists last at most 3 days and are renewed within
+ * 24 hours of expiry; SharePoint REST webhooks last up to 180 days and are renewed
+ * within config.sharepointWebhooks.renewalThresholdDays.
  * @param {string} accessToken - Microsoft Graph API access token
  * @param {Object} context - Azure Functions context for logging
  * @returns {Promise<Object>} Renewal results with counts of renewed/failed webhooks
@@ -133,20 +227,43 @@ async function renewExpiringWebhooks(accessToken, context) {
         const webhooks = await getWebhooks(accessToken, context);
         results.checked = webhooks.length;
 
-        // Calculate time thresholds
+        // Calculate time thresholds per subscription type
         const now = new Date();
-        const renewalThreshold = new Date(now.getTime() + 24 * 60 * 60 * 1000); // 24 hours from now
-        const newExpiration = new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000); // 3 days from now (max allowed)
+        const dayMs = 24 * 60 * 60 * 1000;
+        const windows = {
+            [SUBSCRIPTION_TYPES.GRAPH]: {
+                renewalThreshold: new Date(now.getTime() + config.webhook.renewalThresholdHours * 60 * 60 * 1000),
+                newExpiration: new Date(now.getTime() + config.webhook.maxExpirationDays * dayMs) // max allowed
+            },
+            [SUBSCRIPTION_TYPES.SHAREPOINT]: {
+                renewalThreshold: new Date(now.getTime() + config.sharepointWebhooks.renewalThresholdDays * dayMs),
+                newExpiration: new Date(now.getTime() + config.sharepointWebhooks.maxExpirationDays * dayMs)
+            }
+        };
 
-        context.log(`Checking ${webhooks.length} webhooks for renewal (threshold: ${renewalThreshold.toISOString()})`);
+        context.log(`Checking ${webhooks.length} webhooks for renewal`, {
+            graphThreshold: windows[SUBSCRIPTION_TYPES.GRAPH].renewalThreshold.toISOString(),
+            sharepointThreshold: windows[SUBSCRIPTION_TYPES.SHAREPOINT].renewalThreshold.toISOString()
+        });
 
         // Check each webhook and renew if expiring soon
         for (const webhook of webhooks) {
+            // Its list could not be read, so it may no longer exist; renew it once it can be confirmed
+            if (webhook.unverified) {
+                results.skipped++;
+                context.log.warn(`Webhook ${webhook.id} could not be verified on its list - not renewing`, {
+                    resource: webhook.resource,
+                    expiry: webhook.expirationDateTime
+                });
+                continue;
+            }
+
+            const { renewalThreshold, newExpiration } = windows[webhook.subscriptionType] || windows[SUBSCRIPTION_TYPES.GRAPH];
             const expiryDate = new Date(webhook.expirationDateTime);
             const timeUntilExpiry = expiryDate - now;
             const hoursUntilExpiry = Math.floor(timeUntilExpiry / (60 * 60 * 1000));
 
-            // Renew if expiring within 24 hours
+            // Renew if expiring within the threshold
             if (expiryDate < renewalThreshold) {
                 context.log(`Webhook ${webhook.id} expires in ${hoursUntilExpiry} hours - RENEWING`, {
                     resource: webhook.resource,
@@ -155,37 +272,27 @@ async function renewExpiringWebhooks(accessToken, context) {
                 });
 
                 try {
-                    // PATCH the subscription to extend expiration
-                    const response = await axios.patch(
-                        `${config.api.graph.baseUrl}/subscriptions/${webhook.id}`,
-                        {
-                            expirationDateTime: newExpiration.toISOString()
-                        },
-                        {
-                            headers: {
-                                'Authorization': `Bearer ${accessToken}`,
-                                'Content-Type': 'application/json'
-                            }
-                        }
-                    );
+                    const renewed = await renewWebhook(accessToken, webhook, newExpiration.toISOString(), context);
 
                     results.renewed++;
                     results.renewals.push({
                         subscriptionId: webhook.id,
+                        subscriptionType: webhook.subscriptionType,
                         resource: webhook.resource,
                         oldExpiry: webhook.expirationDateTime,
-                        newExpiry: response.data.expirationDateTime,
+                        newExpiry: renewed.expirationDateTime,
                         status: 'success'
                     });
 
                     context.log(`✅ Successfully renewed webhook ${webhook.id}`, {
-                        newExpiration: response.data.expirationDateTime
+                        newExpiration: renewed.expirationDateTime
                     });
 
                 } catch (renewError) {
                     results.failed++;
                     results.renewals.push({
                         subscriptionId: webhook.id,
+                        subscriptionType: webhook.subscriptionType,
                         resource: webhook.resource,
                         oldExpiry: webhook.expirationDateTime,
                         error: renewError.response?.data?.error?.message || renewError.message,
@@ -255,7 +362,24 @@ async function syncToSharePoint(accessToken, sitePath, listId, webhooks, context
             let listIdValue = '';
             let resourceType = 'List'; // Default
             
-            if (webhook.resource) {
+            const drive = parseDriveResource(webhook.resource);
+            if (drive) {
+                // Drive subscriptions keep the whole resource in SiteUrl (see getTrackedResource)
+                siteUrl = webhook.resource;
+                resourceType = 'Library';
+                try {
+                    const driveResponse = await axios.get(`${config.api.graph.baseUrl}/drives/${drive.driveId}?$select=name`, {
+                        headers: {
+                            'Authorization': `Bearer ${accessToken}`,
+                            'Accept': 'application/json'
+                        }
+                    });
+                    listName = driveResponse.data.name || `Drive ${drive.driveId}`;
+                } catch (driveError) {
+                    context.log.warn(`Could not fetch drive details for ${drive.driveId}:`, driveError.message);
+                    listName = `Drive ${drive.driveId}`;
+                }
+            } else if (webhook.resource) {
                 const parts = webhook.resource.split('/lists/');
                 siteUrl = parts[0];
                 listIdValue = parts[1];
@@ -286,9 +410,10 @@ async function syncToSharePoint(accessToken, sitePath, listId, webhooks, context
             // Check if this is a proxy webhook
             let isProxy = 'No';
             let forwardingUrl = '';
-            if (webhook.clientState && webhook.clientState.startsWith('forward:')) {
+            const forwardUrl = parseClientState(webhook.clientState).forwardUrl;
+            if (forwardUrl) {
                 isProxy = 'Yes';
-                forwardingUrl = webhook.clientState.substring(8);
+                forwardingUrl = forwardUrl;
             }
             
             const itemData = {
@@ -306,6 +431,7 @@ async function syncToSharePoint(accessToken, sitePath, listId, webhooks, context
                     AutoRenew: true,
                     NotificationCount: existingItem ? existingItem.fields.NotificationCount || 0 : 0,
                     ClientState: webhook.clientState || '',
+                    SubscriptionType: webhook.subscriptionType || SUBSCRIPTION_TYPES.GRAPH,
                     ForwardingUrl: forwardingUrl,
                     IsProxy: isProxy,
                     LastForwardedDateTime: existingItem ? existingItem.fields.LastForwardedDateTime || null : null
@@ -360,6 +486,9 @@ async function syncToSharePoint(accessToken, sitePath, listId, webhooks, context
             }
         }
 
+        // Tracking list changed; make notification processing reload it
+        getSubscriptionRegistry().invalidate();
+
         context.log('Sync results:', results);
         return results;
 
@@ -371,16 +500,8 @@ async function syncToSharePoint(accessToken, sitePath, listId, webhooks, context
 
 async function getSharePointListItems(accessToken, sitePath, listId, context) {
     try {
-        const apiUrl = `https://graph.microsoft.com/v1.0/sites/${sitePath}/lists/${listId}/items?$expand=fields&$top=5000`;
-        
-        const response = await axios.get(apiUrl, {
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Accept': 'application/json'
-            }
-        });
-
-        return response.data.value || [];
+        // Follows @odata.nextLink so lists with more than one page are fully synced
+        return await fetchTrackingListItems(accessToken, { sitePath, listId });
     } catch (error) {
         context.log.error('Error getting SharePoint list items:', error.response?.data || error.message);
         return [];
@@ -1,6 +1,11 @@
 jest.mock('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const axios = require('axios');
-const { getAccessToken, clearTokenCache, isTokenValid } = require('../auth');
+const config = require('../config');
+const { getAccessToken, getSharePointAccessToken, clearTokenCache, isTokenValid } = require('../auth');
 
 describe('auth module', () => {
     let mockContext;
@@ -242,4 +247,58 @@ describe('auth module', () => {
             });
         });
     });
-});
\ No newline at end of file
+
+    describe('getSharePointAccessToken', () => {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        let keyDirectory;
+
+        beforeAll(() => {
+            keyDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+            const keyPath = path.join(keyDirectory, 'key.pem');
+            fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+            config.azure.clientCertificateKeyPath = keyPath;
+            config.azure.clientCertificateThumbprint = 'A1:B2:C3:D4:E5:F6:07:18:29:3A:4B:5C:6D:7E:8F:90:01:12:23:34';
+        });
+
+        afterAll(() => {
+            delete config.azure.clientCertificateKeyPath;
+            delete config.azure.clientCertificateThumbprint;
+            fs.rmSync(keyDirectory, { recursive: true, force: true });
+        });
+
+        it('should authenticate with a client assertion signed by the certificate', async () => {
+            axios.post.mockResolvedValueOnce({ data: { access_token: 'sp-token', expires_in: 3600 } });
+
+            const token = await getSharePointAccessToken(mockContext, 'contoso.sharepoint.com');
+
+            expect(token).toBe('sp-token');
+            const params = axios.post.mock.calls[0][1];
+            expect(params.get('scope')).toBe('https://contoso.sharepoint.com/.default');
+            expect(params.get('client_secret')).toBeNull();
+            expect(params.get('client_assertion_type')).toBe('urn:ietf:params:oauth:client-assertion-type:jwt-bearer');
+
+            const [header, claims, signature] = params.get('client_assertion').split('.');
+            const decode = part => JSON.parse(Buffer.from(part, 'base64url').toString());
+            expect(decode(header)).toEqual({ alg: 'RS256', typ: 'JWT', x5t: 'obLD1OX2BxgpOktcbX6PkAESIzQ' });
+            expect(decode(claims)).toMatchObject({
+                aud: 'https://login.microsoftonline.com/test-tenant-id/oauth2/v2.0/token',
+                iss: 'test-client-id',
+                sub: 'test-client-id'
+            });
+            expect(crypto.verify('RSA-SHA256', Buffer.from(`${header}.${claims}`), publicKey,
+                Buffer.from(signature, 'base64url'))).toBe(true);
+        });
+
+        it('should refuse to request a token without a certificate credential', async () => {
+            const thumbprint = config.azure.clientCertificateThumbprint;
+            delete config.azure.clientCertificateThumbprint;
+
+            await expect(getSharePointAccessToken(mockContext, 'fabrikam.sharepoint.com'))
+                .rejects
+                .toThrow('SharePoint REST requires a certificate credential');
+            expect(axios.post).not.toHaveBeenCalled();
+
+            config.azure.clientCertificateThumbprint = thumbprint;
+        });
+    });
+});
@@ -0,0 +1,173 @@
+jest.mock('@azure/data-tables', () => ({
+    TableClient: { fromConnectionString: jest.fn() }
+}));
+jest.mock('../logger', () => ({
+    createLogger: () => ({
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        debug: jest.fn()
+    })
+}));
+jest.mock('../sharepoint-rest', () => ({
+    ...jest.requireActual('../sharepoint-rest'),
+    getListChanges: jest.fn()
+}));
+
+const { TableClient } = require('@azure/data-tables');
+const { getListChanges } = require('../sharepoint-rest');
+const {
+    ChangeTokenTracker,
+    buildChangeToken,
+    buildChangeTokenKey
+} = require('../change-token-tracker');
+
+const RESOURCE = 'sites/contoso.sharepoint.com:/sites/ops:/lists/list-1';
+const NOTIFICATION = { subscriptionId: 'sub-1', resource: RESOURCE, subscriptionType: 'sharepoint' };
+
+function createMockTable(stored) {
+    const rows = new Map();
+    if (stored) {
+        rows.set('row', { changeToken: stored, etag: 'W/"1"' });
+    }
+    return {
+        rows,
+        createTable: jest.fn().mockResolvedValue(),
+        getEntity: jest.fn(async () => {
+            if (!rows.has('row')) {
+                throw Object.assign(new Error('Not found'), { statusCode: 404 });
+            }
+            return rows.get('row');
+        }),
+        createEntity: jest.fn(async entity => {
+            rows.set('row', { ...entity, etag: 'W/"1"' });
+        }),
+        updateEntity: jest.fn(async entity => {
+            rows.set('row', { ...entity, etag: 'W/"2"' });
+        })
+    };
+}
+
+const change = (itemId, changeType, token) => ({
+    ItemId: itemId,
+    ChangeType: changeType,
+    ChangeToken: { StringValue: token }
+});
+
+describe('change-token-tracker', () => {
+    let table;
+    const context = {};
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        table = createMockTable();
+        TableClient.fromConnectionString.mockReturnValue(table);
+    });
+
+    describe('buildChangeToken', () => {
+        it('should encode the time as .NET ticks for the list', () => {
+            expect(buildChangeToken('list-1', Date.UTC(2024, 0, 1)))
+                .toBe('1;3;list-1;638396640000000000;-1');
+        });
+    });
+
+    describe('buildChangeTokenKey', () => {
+        it('should produce a table-safe row key', () => {
+            expect(buildChangeTokenKey({ hostname: 'contoso.sharepoint.com', sitePath: '/sites/ops', listId: 'list-1' }))
+                .toEqual({ partitionKey: 'changeToken', rowKey: 'contoso.sharepoint.com_sites_ops_list-1' });
+        });
+    });
+
+    describe('getChanges', () => {
+        it('should start a new list from the initial window and store the last change token', async () => {
+            getListChanges.mockResolvedValue([change(4, 1, 'tok-1'), change(5, 2, 'tok-2')]);
+            const tracker = new ChangeTokenTracker('conn', { initialWindowMs: 60000 });
+
+            const result = await tracker.getChanges(context, NOTIFICATION);
+
+            expect(getListChanges).toHaveBeenCalledWith(context, RESOURCE, expect.stringMatching(/^1;3;list-1;\d+;-1$/), 500);
+            expect(result).toMatchObject({ baseline: true, changeToken: 'tok-2' });
+            expect(result.changedItems.map(item => item.id)).toEqual(['4', '5']);
+            expect(table.createEntity).toHaveBeenCalledWith(expect.objectContaining({ changeToken: 'tok-2' }));
+        });
+
+        it('should report each item once using its latest change', async () => {
+            table = createMockTable('tok-0');
+            TableClient.fromConnectionString.mockReturnValue(table);
+            getListChanges.mockResolvedValue([
+                change(4, 1, 'tok-1'),
+                change(4, 2, 'tok-2'),
+                change(6, 2, 'tok-3'),
+                change(6, 3, 'tok-4')
+            ]);
+            const tracker = new ChangeTokenTracker('conn');
+
+            const result = await tracker.getChanges(context, NOTIFICATION);
+
+            expect(getListChanges).toHaveBeenCalledWith(context, RESOURCE, 'tok-0', 500);
+            expect(result.changedItems).toEqual([{ id: '4', changeType: 'updated' }]);
+            expect(result.deletedItems).toEqual([{ id: '6', changeType: 'deleted' }]);
+            expect(table.updateEntity).toHaveBeenCalledWith(
+                expect.objectContaining({ changeToken: 'tok-4' }),
+                'Replace',
+                { etag: 'W/"1"' }
+            );
+        });
+
+        it('should read further pages while a full page is returned', async () => {
+            table = createMockTable('tok-0');
+            TableClient.fromConnectionString.mockReturnValue(table);
+            getListChanges
+                .mockResolvedValueOnce([change(1, 2, 'tok-1'), change(2, 2, 'tok-2')])
+                .mockResolvedValueOnce([change(3, 2, 'tok-3')]);
+            const tracker = new ChangeTokenTracker('conn', { fetchLimit: 2 });
+
+            const result = await tracker.getChanges(context, NOTIFICATION);
+
+            expect(getListChanges).toHaveBeenNthCalledWith(2, context, RESOURCE, 'tok-2', 2);
+            expect(result.changedItems).toHaveLength(3);
+            expect(result.changeToken).toBe('tok-3');
+        });
+
+        it('should keep the stored token when nothing changed', async () => {
+            table = createMockTable('tok-0');
+            TableClient.fromConnectionString.mockReturnValue(table);
+            getListChanges.mockResolvedValue([]);
+            const tracker = new ChangeTokenTracker('conn');
+
+            const result = await tracker.getChanges(context, NOTIFICATION);
+
+            expect(result).toMatchObject({ changedItems: [], changeToken: 'tok-0', baseline: false });
+        });
+
+        it('should re-baseline when SharePoint rejects the stored token', async () => {
+            table = createMockTable('expired');
+            TableClient.fromConnectionString.mockReturnValue(table);
+            getListChanges
+                .mockRejectedValueOnce(Object.assign(new Error('Bad request'), { response: { status: 400 } }))
+                .mockResolvedValueOnce([change(9, 2, 'tok-9')]);
+            const tracker = new ChangeTokenTracker('conn');
+
+            const result = await tracker.getChanges(context, NOTIFICATION);
+
+            expect(getListChanges.mock.calls[1][2]).toMatch(/^1;3;list-1;/);
+            expect(result).toMatchObject({ baseline: true, changeToken: 'tok-9' });
+        });
+
+        it('should query again when another instance stored a newer token', async () => {
+            table = createMockTable('tok-0');
+            table.updateEntity
+                .mockRejectedValueOnce(Object.assign(new Error('Precondition failed'), { statusCode: 412 }));
+            TableClient.fromConnectionString.mockReturnValue(table);
+            getListChanges
+                .mockResolvedValueOnce([change(1, 2, 'tok-1')])
+                .mockResolvedValueOnce([]);
+            const tracker = new ChangeTokenTracker('conn');
+
+            const result = await tracker.getChanges(context, NOTIFICATION);
+
+            expect(getListChanges).toHaveBeenCalledTimes(2);
+            expect(result.changedItems).toEqual([]);
+        });
+    });
+});
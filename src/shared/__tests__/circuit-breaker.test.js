@@ -0,0 +1,92 @@
+const {
+    CIRCUIT_STATES,
+    CircuitBreaker,
+    getCircuitKey,
+    getCircuitBreaker,
+    getCircuitStatuses,
+    resetCircuitBreakers
+} = require('../circuit-breaker');
+
+describe('CircuitBreaker', () => {
+    let now;
+    let breaker;
+
+    beforeEach(() => {
+        now = Date.parse('2025-08-16T12:00:00Z');
+        breaker = new CircuitBreaker('orders.example.com', { failureThreshold: 3, openDuration: 60000, now: () => now });
+    });
+
+    it('should open after consecutive failures and reject requests', () => {
+        breaker.recordFailure('Status 503');
+        breaker.recordSuccess();
+        breaker.recordFailure('Status 503');
+        breaker.recordFailure('Status 503');
+        expect(breaker.canRequest()).toBe(true);
+
+        breaker.recordFailure('timeout of 10000ms exceeded');
+
+        expect(breaker.canRequest()).toBe(false);
+        expect(breaker.getStatus()).toEqual({
+            target: 'orders.example.com',
+            state: CIRCUIT_STATES.OPEN,
+            failures: 3,
+            openedAt: '2025-08-16T12:00:00.000Z',
+            retryAt: '2025-08-16T12:01:00.000Z',
+            lastError: 'timeout of 10000ms exceeded'
+        });
+    });
+
+    it('should allow one trial request once the open duration has passed', () => {
+        ['a', 'b', 'c'].forEach(error => breaker.recordFailure(error));
+        now += 60000;
+
+        expect(breaker.isOpen()).toBe(false);
+        expect(breaker.canRequest()).toBe(true);
+        expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+        expect(breaker.canRequest()).toBe(false);
+
+        breaker.recordFailure('Status 502');
+        expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+        expect(breaker.retryAt()).toBe('2025-08-16T12:02:00.000Z');
+
+        now += 60000;
+        expect(breaker.canRequest()).toBe(true);
+        breaker.recordSuccess();
+        expect(breaker.getStatus()).toMatchObject({ state: CIRCUIT_STATES.CLOSED, failures: 0, retryAt: null });
+    });
+
+    it('should let the next request take a trial that was handed back', () => {
+        ['a', 'b', 'c'].forEach(error => breaker.recordFailure(error));
+        now += 60000;
+
+        expect(breaker.canRequest()).toBe(true);
+        breaker.releaseTrial();
+
+        expect(breaker.isOpen()).toBe(false);
+        expect(breaker.canRequest()).toBe(true);
+        expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+    });
+
+    it('should give up a trial that never reports back after the open duration', () => {
+        ['a', 'b', 'c'].forEach(error => breaker.recordFailure(error));
+        now += 60000;
+        expect(breaker.canRequest()).toBe(true);
+
+        now += 59999;
+        expect(breaker.isOpen()).toBe(true);
+
+        now += 1;
+        expect(breaker.isOpen()).toBe(false);
+    });
+
+    it('should keep one breaker per target host', () => {
+        resetCircuitBreakers();
+
+        expect(getCircuitKey('https://orders.example.com:8443/api/events?x=1')).toBe('orders.example.com:8443');
+        expect(getCircuitBreaker('orders.example.com')).toBe(getCircuitBreaker('orders.example.com'));
+        getCircuitBreaker('flows.example.com');
+        expect(getCircuitStatuses().map(status => status.target)).toEqual(['orders.example.com', 'flows.example.com']);
+
+        resetCircuitBreakers();
+    });
+});
@@ -0,0 +1,230 @@
+const {
+    CLIENT_STATE_FORMATS,
+    detectFormat,
+    tokenizeClientState,
+    parseClientState,
+    serializeClientState,
+    parseDestinations,
+    routesToUiPath,
+    routesToForward,
+    routesToAdapter,
+    routesToTeams
+} = require('../clientstate-parser');
+
+describe('clientstate-parser', () => {
+    describe('detectFormat', () => {
+        it('should detect v2, legacy and empty clientState', () => {
+            expect(detectFormat('destination:uipath|handler:document')).toBe(CLIENT_STATE_FORMATS.V2);
+            expect(detectFormat('destination:forward')).toBe(CLIENT_STATE_FORMATS.V2);
+            expect(detectFormat('processor:uipath;uipath:Queue')).toBe(CLIENT_STATE_FORMATS.LEGACY);
+            expect(detectFormat('forward:https://example.com/hook')).toBe(CLIENT_STATE_FORMATS.LEGACY);
+            expect(detectFormat('')).toBe(CLIENT_STATE_FORMATS.EMPTY);
+            expect(detectFormat(null)).toBe(CLIENT_STATE_FORMATS.EMPTY);
+        });
+    });
+
+    describe('parseClientState', () => {
+        it('should normalize legacy and v2 UiPath clientState to the same config', () => {
+            const legacy = parseClientState('processor:uipath;processor:document;uipath:FIN_SCAN;env:prod;folder:606837');
+            const v2 = parseClientState('destination:uipath|handler:document|queue:FIN_SCAN|tenant:PROD|folder:606837');
+
+            const { format: legacyFormat, ...legacyConfig } = legacy;
+            const { format: v2Format, ...v2Config } = v2;
+
+            expect(legacyFormat).toBe('legacy');
+            expect(v2Format).toBe('v2');
+            expect(legacyConfig).toEqual(v2Config);
+            expect(v2Config).toMatchObject({
+                destination: 'uipath',
+                handler: 'document',
+                queue: 'FIN_SCAN',
+                tenant: 'PROD',
+                folder: '606837'
+            });
+        });
+
+        it('should read a drive folder scope from path', () => {
+            const parsed = parseClientState('destination:uipath|handler:document|queue:FIN_SCAN|path:/Invoices/2024');
+
+            expect(parsed.path).toBe('/Invoices/2024');
+            expect(parsed.extras).toEqual({});
+            expect(serializeClientState(parsed)).toBe('destination:uipath|handler:document|queue:FIN_SCAN|path:/Invoices/2024');
+        });
+
+        it('should treat legacy uipath flags as the UiPath destination without a queue', () => {
+            expect(parseClientState('uipath:enabled')).toMatchObject({ destination: 'uipath', queue: null });
+            expect(parseClientState('uipath=true')).toMatchObject({ destination: 'uipath', queue: null });
+        });
+
+        it('should map costco:routing to the costco handler', () => {
+            expect(parseClientState('uipath:TEST_API;costco:routing')).toMatchObject({
+                destination: 'uipath',
+                handler: 'costco',
+                queue: 'TEST_API'
+            });
+        });
+
+        it('should keep colons in forward URLs and parse forwarding options', () => {
+            const parsed = parseClientState(
+                'forward:https://example.com:8443/hook;mode:WITHCHANGES;includeFields:Title, Status'
+            );
+
+            expect(parsed).toMatchObject({
+                destination: 'forward',
+                forwardUrl: 'https://example.com:8443/hook',
+                mode: 'withChanges',
+                includeFields: ['Title', 'Status']
+            });
+        });
+
+        it('should enable change payloads for changeDetection:enabled', () => {
+            const parsed = parseClientState('destination:forward|url:https://webhook.site/abc|changeDetection:enabled');
+
+            expect(parsed).toMatchObject({
+                destination: 'forward',
+                forwardUrl: 'https://webhook.site/abc',
+                detectChanges: true,
+                mode: 'withChanges'
+            });
+        });
+
+        it('should not match destinations by substring', () => {
+            const parsed = parseClientState('forward:https://uipath:443.example.com/hook');
+
+            expect(parsed.destination).toBe('forward');
+            expect(routesToUiPath(parsed)).toBe(false);
+        });
+
+        it('should keep unknown keys as extras', () => {
+            expect(parseClientState('SharePointWebhook').extras).toEqual({ sharepointwebhook: true });
+            expect(parseClientState('destination:uipath|priority:High').extras).toEqual({ priority: 'High' });
+        });
+    });
+
+    describe('serializeClientState', () => {
+        it('should write canonical v2 form', () => {
+            const legacy = 'processor:uipath;processor:document;uipath:FIN_SCAN;env:PROD;folder:606837;config:Webhook';
+
+            expect(serializeClientState(parseClientState(legacy)))
+                .toBe('destination:uipath|handler:document|queue:FIN_SCAN|tenant:PROD|folder:606837|config:Webhook');
+        });
+
+        it('should round-trip forwarding configuration', () => {
+            const clientState = 'destination:forward|url:https://example.com/hook|mode:withData|excludeFields:Secret';
+
+            expect(serializeClientState(parseClientState(clientState))).toBe(clientState);
+        });
+    });
+
+    describe('routing helpers', () => {
+        it('should report UiPath and forward routing for combined legacy clientState', () => {
+            const clientState = 'forward:https://example.com;processor:uipath';
+
+            expect(routesToUiPath(clientState)).toBe(true);
+            expect(routesToForward(clientState)).toBe(true);
+            expect(routesToUiPath(null)).toBe(false);
+            expect(routesToForward('processor:uipath')).toBe(false);
+        });
+    });
+
+    describe('parseDestinations', () => {
+        it('should split repeated destinations and share keys declared before the first', () => {
+            const destinations = parseDestinations(
+                'path:/Invoices|destination:uipath|queue:FIN_SCAN|tenant:PROD|' +
+                'destination:uipath|queue:FIN_SCAN|tenant:DEV|destination:forward|url:https://example.com/hook');
+
+            expect(destinations.map(({ id, type, clientState }) => ({ id, type, clientState }))).toEqual([
+                { id: 'uipath-1', type: 'uipath', clientState: 'destination:uipath|path:/Invoices|queue:FIN_SCAN|tenant:PROD' },
+                { id: 'uipath-2', type: 'uipath', clientState: 'destination:uipath|path:/Invoices|queue:FIN_SCAN|tenant:DEV' },
+                { id: 'forward-3', type: 'forward', clientState: 'destination:forward|path:/Invoices|url:https://example.com/hook' }
+            ]);
+            expect(destinations[1].config).toMatchObject({ queue: 'FIN_SCAN', tenant: 'DEV', path: '/Invoices' });
+        });
+
+        it('should keep a single clientState as written, delivering to UiPath and its url', () => {
+            const clientState = 'forward:https://example.com;processor:uipath;uipath:FIN_SCAN';
+
+            expect(parseDestinations(clientState).map(({ type, clientState: state }) => [type, state])).toEqual([
+                ['uipath', clientState],
+                ['forward', clientState]
+            ]);
+            expect(parseDestinations('')).toEqual([]);
+            expect(parseDestinations('SharePointWebhook')).toEqual([]);
+        });
+
+        it('should route when any destination matches', () => {
+            const clientState = 'destination:forward|url:https://a.example.com|destination:uipath|queue:FIN_SCAN';
+
+            expect(routesToUiPath(clientState)).toBe(true);
+            expect(routesToForward(clientState)).toBe(true);
+        });
+    });
+
+    describe('queue destinations', () => {
+        it('should parse Storage Queue and Service Bus destinations', () => {
+            const clientState = 'destination:storagequeue|queue:sp-events|mode:withData|' +
+                'destination:servicebus|topic:sp-events|connection:ORDERS_BUS';
+
+            const destinations = parseDestinations(clientState);
+
+            expect(destinations.map(({ id, type }) => [id, type])).toEqual([
+                ['storagequeue-1', 'storagequeue'],
+                ['servicebus-2', 'servicebus']
+            ]);
+            expect(destinations[1].config).toMatchObject({ topic: 'sp-events', connection: 'ORDERS_BUS', queue: null });
+            expect(serializeClientState(destinations[1].config)).toBe('destination:servicebus|topic:sp-events|connection:ORDERS_BUS');
+            expect(routesToAdapter(clientState)).toBe(true);
+            expect(routesToAdapter('destination:forward|url:https://example.com')).toBe(false);
+        });
+    });
+
+    describe('teams destinations', () => {
+        it('should parse the channel and card template of a Teams destination', () => {
+            const clientState = "destination:teams|channel:OPS|card:status-alert|when:Status == 'Approved'";
+
+            const [destination] = parseDestinations(clientState);
+
+            expect(destination).toMatchObject({ id: 'teams-1', type: 'teams' });
+            expect(destination.config).toMatchObject({ channel: 'OPS', cardTemplate: 'status-alert', forwardUrl: null });
+            expect(serializeClientState(destination.config)).toBe(clientState);
+            expect(routesToTeams(clientState)).toBe(true);
+            expect(routesToTeams('destination:servicebus|queue:sp-events')).toBe(false);
+        });
+    });
+
+    describe('routing rules', () => {
+        it('should read when: and require shared and destination rules to both match', () => {
+            expect(parseClientState("destination:forward|url:https://example.com|when:Status == 'Approved'").when)
+                .toBe("Status == 'Approved'");
+
+            const [destination] = parseDestinations(
+                "when:changed(Status)|destination:forward|url:https://a.example.com|when:Status == 'Approved'|" +
+                'destination:forward|url:https://b.example.com');
+
+            expect(destination.config.when).toBe("(changed(Status)) and (Status == 'Approved')");
+            expect(serializeClientState(destination.config))
+                .toBe("destination:forward|url:https://a.example.com|when:(changed(Status)) and (Status == 'Approved')");
+        });
+    });
+
+    describe('payload templates', () => {
+        it('should read template: per destination', () => {
+            const [first, second] = parseDestinations(
+                'destination:forward|url:https://a.example.com|template:power-automate-item|' +
+                'destination:forward|url:https://b.example.com|mode:withData');
+
+            expect(first.config.template).toBe('power-automate-item');
+            expect(second.config.template).toBeNull();
+            expect(serializeClientState(first.config))
+                .toBe('destination:forward|url:https://a.example.com|template:power-automate-item');
+        });
+    });
+
+    describe('tokenizeClientState', () => {
+        it('should split on the separator of the detected format', () => {
+            expect(tokenizeClientState('Destination:UiPath|Handler:Document'))
+                .toEqual(['destination:uipath', 'handler:document']);
+            expect(tokenizeClientState('PROCESSOR:UIPATH; ENV:DEV ;')).toEqual(['processor:uipath', 'env:dev']);
+        });
+    });
+});
@@ -0,0 +1,262 @@
+jest.mock('../constants', () => ({
+    VALIDATION_PATTERNS: {
+        EMAIL: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        DATE_MDY: /^\d{1,2}\/\d{1,2}\/\d{4}$/,
+        PO_NUMBER: /^[A-Z0-9\-_,\s]+$/i,
+        UIPATH_QUEUE_NAME: /^[A-Za-z0-9\-_]+$/
+    },
+    HTML_ENTITY_DECODINGS: {},
+    UIPATH_PRIORITY: { LOW: 'Low', NORMAL: 'Normal', HIGH: 'High' },
+    HTTP_STATUS: { OK: 200 },
+    SERVICE_NAMES: {},
+    ERROR_MESSAGES: {},
+    HTTP_HEADERS: {}
+}));
+
+jest.mock('../logger', () => ({
+    createLogger: jest.fn(() => ({
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }))
+}));
+
+jest.mock('../../templates/generic-document-processor', () => ({
+    createGenericDocumentProcessor: jest.fn()
+}));
+
+const { validateClientState, MAX_CLIENT_STATE_LENGTH } = require('../clientstate-validator');
+const config = require('../config');
+const { resetAuthProfiles } = require('../forward-auth');
+
+const fieldsOf = issues => issues.map(issue => issue.field);
+
+describe('clientstate-validator', () => {
+    it('should accept a complete v2 UiPath clientState and explain it', () => {
+        const result = validateClientState('destination:uipath|handler:document|queue:FIN_SCAN|tenant:PROD|folder:606837');
+
+        expect(result.valid).toBe(true);
+        expect(result.errors).toEqual([]);
+        expect(result.processor).toBe('generic-document');
+        expect(result.explanation).toContain("UiPath queue 'FIN_SCAN'");
+        expect(result.explanation).toContain('PROD tenant');
+    });
+
+    it('should accept a structured config and return its canonical clientState', () => {
+        const result = validateClientState({
+            destination: 'uipath',
+            processor: 'costco',
+            queue: 'COSTCO_Routing',
+            tenant: 'dev',
+            folder: '277500'
+        });
+
+        expect(result.valid).toBe(true);
+        expect(result.clientState).toBe('destination:uipath|handler:costco|queue:COSTCO_Routing|tenant:DEV|folder:277500');
+        expect(result.processor).toBe('costco-inline-routing');
+    });
+
+    it('should reject UiPath routing without a queue or with an unknown tenant', () => {
+        const result = validateClientState('destination:uipath|handler:document|tenant:STAGING');
+
+        expect(result.valid).toBe(false);
+        expect(fieldsOf(result.errors)).toEqual(expect.arrayContaining(['queue', 'tenant']));
+        expect(result.errors.find(error => error.field === 'tenant').suggestion).toContain('DEV, PROD');
+    });
+
+    it('should reject invalid queue names and non-numeric folders', () => {
+        const result = validateClientState('destination:uipath|handler:document|queue:Bad Queue!|folder:abc');
+
+        expect(result.valid).toBe(false);
+        expect(fieldsOf(result.errors)).toEqual(expect.arrayContaining(['queue', 'folder']));
+    });
+
+    it('should reject an unknown handler unless the resource selects a processor', () => {
+        const clientState = 'destination:uipath|handler:invoices|queue:INVOICES|tenant:DEV';
+
+        const withoutResource = validateClientState(clientState);
+        expect(withoutResource.valid).toBe(false);
+        expect(withoutResource.errors[0].message).toContain("'invoices'");
+
+        const withResource = validateClientState(clientState, { resource: 'sites/x/drives/abc/root' });
+        expect(withResource.valid).toBe(true);
+        expect(withResource.processor).toBe('generic-document');
+        expect(fieldsOf(withResource.warnings)).toContain('handler');
+    });
+
+    it('should validate forward URLs and modes', () => {
+        expect(validateClientState('destination:forward').valid).toBe(false);
+        expect(validateClientState('destination:forward|url:not a url').valid).toBe(false);
+        expect(validateClientState('destination:forward|url:https://example.com/hook|mode:everything').valid).toBe(false);
+
+        const insecure = validateClientState('destination:forward|url:http://example.com/hook');
+        expect(insecure.valid).toBe(true);
+        expect(fieldsOf(insecure.warnings)).toContain('url');
+    });
+
+    it('should reject unknown destinations and clientState over the Graph length limit', () => {
+        expect(validateClientState('destination:email|url:https://example.com').errors[0].field).toBe('destination');
+
+        const longState = `destination:forward|url:https://example.com/${'a'.repeat(MAX_CLIENT_STATE_LENGTH)}`;
+        const result = validateClientState(longState);
+        expect(result.valid).toBe(false);
+        expect(fieldsOf(result.errors)).toContain('clientState');
+    });
+
+    it('should validate each destination of a multi-destination clientState', () => {
+        const result = validateClientState({
+            destinations: [
+                { destination: 'forward', url: 'https://example.com/hook' },
+                { destination: 'forward', url: 'ftp://example.com/drop' }
+            ]
+        });
+
+        expect(result.clientState).toBe('destination:forward|url:https://example.com/hook|destination:forward|url:ftp://example.com/drop');
+        expect(result.valid).toBe(false);
+        expect(result.destinations).toHaveLength(2);
+        expect(fieldsOf(result.errors)).toEqual(['destinations[1].url']);
+    });
+
+    it('should reject invalid routing rules and watched field names', () => {
+        const result = validateClientState("destination:forward|url:https://example.com/hook|when:Status = 'Approved'|fields:Amount,Due Date");
+
+        expect(result.valid).toBe(false);
+        expect(fieldsOf(result.errors)).toEqual(['when', 'fields']);
+
+        const valid = validateClientState({ destination: 'forward', url: 'https://example.com/hook', when: 'changed(Amount)' });
+        expect(valid.valid).toBe(true);
+        expect(valid.explanation).toContain('Only events matching (changed(Amount)) are delivered.');
+    });
+
+    it('should check payload template names', () => {
+        const unknown = validateClientState('destination:forward|url:https://example.com/hook|template:missing');
+        expect(unknown.valid).toBe(false);
+        expect(fieldsOf(unknown.errors)).toEqual(['template']);
+        expect(unknown.errors[0].suggestion).toContain('power-automate-item');
+
+        const result = validateClientState('destination:forward|url:https://example.com/hook|mode:withData|template:power-automate-item');
+        expect(result.valid).toBe(true);
+        expect(result.parsed.template).toBe('power-automate-item');
+        expect(fieldsOf(result.warnings)).toEqual(['mode']);
+        expect(result.explanation).toContain('using the power-automate-item payload template');
+    });
+
+    it('should check signing key names without reading secrets from clientState', () => {
+        const invalid = validateClientState('destination:forward|url:https://example.com/hook|signingKey:orders-eu');
+        expect(invalid.valid).toBe(false);
+        expect(fieldsOf(invalid.errors)).toEqual(['signingKey']);
+
+        const unset = validateClientState('destination:forward|url:https://example.com/hook|signingKey:orders');
+        expect(unset.valid).toBe(true);
+        expect(unset.parsed.signingKey).toBe('orders');
+        expect(unset.warnings[0].message).toContain('FORWARD_SIGNING_KEY_ORDERS is not set');
+        expect(unset.explanation).toContain('Forwarded requests are signed with the orders key.');
+    });
+
+    it('should check auth profiles against FORWARD_AUTH_PROFILES', () => {
+        const originalProfiles = config.forwardAuth.profiles;
+        config.forwardAuth.profiles = JSON.stringify({
+            'orders-fn': { type: 'header', header: 'x-functions-key', value: 'ORDERS_FUNCTION_KEY' }
+        });
+        resetAuthProfiles();
+
+        try {
+            const unknown = validateClientState('destination:forward|url:https://example.com/hook|auth:partner');
+            expect(unknown.valid).toBe(false);
+            expect(fieldsOf(unknown.errors)).toEqual(['auth']);
+
+            const unset = validateClientState('destination:forward|url:https://example.com/hook|auth:orders-fn');
+            expect(unset.valid).toBe(true);
+            expect(unset.parsed.authProfile).toBe('orders-fn');
+            expect(unset.warnings[0].message).toContain('ORDERS_FUNCTION_KEY');
+            expect(unset.explanation).toContain('Authenticates to the target with the orders-fn auth profile.');
+        } finally {
+            config.forwardAuth.profiles = originalProfiles;
+            resetAuthProfiles();
+        }
+    });
+
+    it('should check output formats', () => {
+        const unknown = validateClientState('destination:forward|url:https://example.com/hook|format:xml');
+        expect(unknown.valid).toBe(false);
+        expect(fieldsOf(unknown.errors)).toEqual(['format']);
+
+        const binary = validateClientState('destination:forward|url:https://example.com/hook|format:CloudEvents-Binary');
+        expect(binary.valid).toBe(true);
+        expect(binary.parsed.outputFormat).toBe('cloudevents-binary');
+        expect(binary.canonicalClientState).toBe('destination:forward|url:https://example.com/hook|format:cloudevents-binary');
+        expect(binary.explanation).toContain('Notifications are sent as binary-mode CloudEvents.');
+    });
+
+    it('should check retry policy names', () => {
+        const unknown = validateClientState('destination:forward|url:https://example.com/hook|retry:eventually');
+        expect(unknown.valid).toBe(false);
+        expect(fieldsOf(unknown.errors)).toEqual(['retry']);
+
+        const builtIn = validateClientState('destination:forward|url:https://example.com/hook|retry:none');
+        expect(builtIn.valid).toBe(true);
+        expect(builtIn.parsed.retryPolicy).toBe('none');
+        expect(builtIn.explanation).toContain('Failed forwards are retried with the none retry policy.');
+    });
+
+    it('should check Storage Queue and Service Bus destinations', () => {
+        const invalid = validateClientState('destination:storagequeue|queue:SP_Events|topic:orders');
+        expect(invalid.valid).toBe(false);
+        expect(fieldsOf(invalid.errors)).toEqual(['queue']);
+        expect(fieldsOf(invalid.warnings)).toContain('topic');
+
+        process.env.ORDERS_BUS = 'Endpoint=sb://orders.servicebus.windows.net/';
+        try {
+            const topic = validateClientState('destination:servicebus|topic:sharepoint/orders|connection:ORDERS_BUS|mode:withData');
+            expect(topic.valid).toBe(true);
+            expect(topic.warnings).toEqual([]);
+            expect(topic.parsed).toMatchObject({ destination: 'servicebus', topic: 'sharepoint/orders', connection: 'ORDERS_BUS' });
+            expect(topic.explanation).toContain("Publishes notifications to Service Bus topic 'sharepoint/orders' in withData mode.");
+        } finally {
+            delete process.env.ORDERS_BUS;
+        }
+
+        expect(fieldsOf(validateClientState('destination:servicebus|connection:ORDERS-BUS').errors))
+            .toEqual(['queue', 'connection']);
+    });
+
+    it('should check Teams channels and card templates', () => {
+        const invalid = validateClientState('destination:teams|channel:ops-eu|card:missing');
+        expect(invalid.valid).toBe(false);
+        expect(fieldsOf(invalid.errors)).toEqual(['channel', 'card']);
+        expect(invalid.errors[1].suggestion).toContain('status-alert');
+
+        const unset = validateClientState('destination:teams|channel:OPS');
+        expect(unset.valid).toBe(true);
+        expect(unset.warnings[0].message).toContain('TEAMS_WEBHOOK_URL_OPS is not set');
+
+        process.env.TEAMS_WEBHOOK_URL_OPS = 'https://contoso.webhook.office.com/webhookb2/abc';
+        try {
+            const result = validateClientState({ destination: 'teams', channel: 'OPS', card: 'status-alert', when: "Status == 'Approved'" });
+            expect(result.valid).toBe(true);
+            expect(result.warnings).toEqual([]);
+            expect(result.clientState).toBe("destination:teams|channel:OPS|card:status-alert|when:Status == 'Approved'");
+            expect(result.parsed).toMatchObject({ channel: 'OPS', cardTemplate: 'status-alert' });
+            expect(result.explanation).toContain('Posts the status-alert Adaptive Card to the OPS Teams channel.');
+        } finally {
+            delete process.env.TEAMS_WEBHOOK_URL_OPS;
+        }
+    });
+
+    it('should warn about legacy format and unrecognised keys', () => {
+        const result = validateClientState('processor:uipath;processor:document;uipath:FIN_SCAN;env:PROD;priority:High');
+
+        expect(result.valid).toBe(true);
+        expect(result.canonicalClientState).toBe('destination:uipath|handler:document|queue:FIN_SCAN|tenant:PROD|priority:High');
+        expect(fieldsOf(result.warnings)).toEqual(expect.arrayContaining(['clientState', 'priority']));
+    });
+
+    it('should treat the default clientState as valid with no routing', () => {
+        const result = validateClientState('SharePointWebhook');
+
+        expect(result.valid).toBe(true);
+        expect(result.warnings).toEqual([]);
+        expect(result.explanation).toContain('Does not route notifications');
+    });
+});
@@ -0,0 +1,72 @@
+const {
+    CONTENT_TYPES,
+    isCloudEventsFormat,
+    getEventType,
+    buildCloudEvent,
+    encodeCloudEvents
+} = require('../cloudevents');
+
+const NOTIFICATION = {
+    subscriptionId: 'sub-1',
+    resource: 'sites/contoso.sharepoint.com:/sites/ops:/lists/list-1',
+    changeType: 'updated',
+    resourceData: { id: 7 }
+};
+const DATA = { notification: NOTIFICATION, currentState: { id: '7', fields: { Title: 'Order 7' } } };
+const OPTIONS = { id: 'evt-1', time: '2025-08-16T12:00:00.000Z' };
+
+describe('cloudevents', () => {
+    it('should derive CloudEvents attributes from the notification', () => {
+        expect(buildCloudEvent(NOTIFICATION, DATA, OPTIONS)).toEqual({
+            specversion: '1.0',
+            id: 'evt-1',
+            type: 'com.sharepoint.listitem.updated',
+            source: '/sites/contoso.sharepoint.com:/sites/ops:/lists/list-1',
+            subject: '7',
+            time: '2025-08-16T12:00:00.000Z',
+            datacontenttype: 'application/json',
+            subscriptionid: 'sub-1',
+            data: DATA
+        });
+        expect(getEventType({ resource: 'drives/b!abc/root', changeType: 'deleted' })).toBe('com.sharepoint.driveitem.deleted');
+        expect(buildCloudEvent({ resource: 'sites/x' }, {}).subject).toBeUndefined();
+        expect(['cloudevents', 'cloudevents-binary', 'cloudevents-batch'].every(isCloudEventsFormat)).toBe(true);
+        expect(isCloudEventsFormat('json')).toBe(false);
+    });
+
+    it('should encode structured and binary mode', () => {
+        const event = buildCloudEvent(NOTIFICATION, DATA, OPTIONS);
+
+        const structured = encodeCloudEvents([event], 'cloudevents');
+        expect(structured.headers).toEqual({ 'Content-Type': CONTENT_TYPES.STRUCTURED });
+        expect(JSON.parse(structured.body)).toEqual(event);
+
+        const binary = encodeCloudEvents([event], 'cloudevents-binary');
+        expect(binary.headers).toEqual({
+            'Content-Type': 'application/json',
+            'ce-specversion': '1.0',
+            'ce-id': 'evt-1',
+            'ce-type': 'com.sharepoint.listitem.updated',
+            'ce-source': '/sites/contoso.sharepoint.com:/sites/ops:/lists/list-1',
+            'ce-subject': '7',
+            'ce-time': '2025-08-16T12:00:00.000Z',
+            'ce-subscriptionid': 'sub-1'
+        });
+        expect(JSON.parse(binary.body)).toEqual(DATA);
+    });
+
+    it('should encode batches as an array and reject several events otherwise', () => {
+        const events = [
+            buildCloudEvent(NOTIFICATION, DATA),
+            buildCloudEvent({ ...NOTIFICATION, resourceData: { id: 8 } }, DATA)
+        ];
+
+        const batch = encodeCloudEvents(events, 'cloudevents-batch');
+        expect(batch.headers).toEqual({ 'Content-Type': CONTENT_TYPES.BATCH });
+        expect(JSON.parse(batch.body).map(event => event.subject)).toEqual(['7', '8']);
+        expect(events[0].id).not.toBe(events[1].id);
+
+        expect(() => encodeCloudEvents(events, 'cloudevents'))
+            .toThrow('cloudevents sends one event per request; use cloudevents-batch for 2 events');
+    });
+});
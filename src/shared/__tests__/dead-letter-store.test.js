@@ -0,0 +1,94 @@
+const {
+    DEAD_LETTER_STAGES,
+    InMemoryDeadLetterStore,
+    createDeadLetterStore
+} = require('../dead-letter-store');
+
+const buildNotification = (subscriptionId = 'sub-1') => ({
+    subscriptionId,
+    resource: 'sites/contoso.sharepoint.com:/sites/test:/lists/abc',
+    changeType: 'updated',
+    clientState: 'destination:uipath|handler:document|queue:Test_Queue',
+    resourceData: { id: '42' }
+});
+
+describe('dead-letter-store', () => {
+    describe('InMemoryDeadLetterStore', () => {
+        let store;
+
+        beforeEach(() => {
+            store = new InMemoryDeadLetterStore();
+        });
+
+        it('should record a failed notification with its metadata', async () => {
+            const entry = await store.record({
+                stage: DEAD_LETTER_STAGES.UIPATH,
+                notification: buildNotification(),
+                error: new Error('Orchestrator returned 503')
+            });
+
+            expect(entry.id).toBeDefined();
+            expect(entry.stage).toBe('uipath');
+            expect(entry.subscriptionId).toBe('sub-1');
+            expect(entry.clientState).toContain('destination:uipath');
+            expect(entry.error).toBe('Orchestrator returned 503');
+            expect(entry.attempts).toBe(1);
+            expect(entry.notification.resourceData.id).toBe('42');
+            expect(await store.get(entry.id)).toEqual(entry);
+        });
+
+        it('should filter entries by stage and subscription', async () => {
+            await store.record({ stage: DEAD_LETTER_STAGES.UIPATH, notification: buildNotification('sub-1'), error: 'a' });
+            await store.record({ stage: DEAD_LETTER_STAGES.FORWARD, notification: buildNotification('sub-1'), error: 'b' });
+            await store.record({ stage: DEAD_LETTER_STAGES.FORWARD, notification: buildNotification('sub-2'), error: 'c' });
+
+            expect(await store.list()).toHaveLength(3);
+            expect(await store.list({ stage: DEAD_LETTER_STAGES.FORWARD })).toHaveLength(2);
+            expect(await store.list({ stage: DEAD_LETTER_STAGES.FORWARD, subscriptionId: 'sub-2' })).toHaveLength(1);
+            expect(await store.list({ top: 1 })).toHaveLength(1);
+        });
+
+        it('should track repeated failures', async () => {
+            const entry = await store.record({
+                stage: DEAD_LETTER_STAGES.FORWARD,
+                notification: buildNotification(),
+                error: 'timeout'
+            });
+
+            const updated = await store.recordFailedAttempt(entry.id, 'connection refused');
+
+            expect(updated.attempts).toBe(2);
+            expect(updated.error).toBe('connection refused');
+            expect(await store.recordFailedAttempt('missing', 'x')).toBeNull();
+        });
+
+        it('should remove and purge entries', async () => {
+            const first = await store.record({ stage: DEAD_LETTER_STAGES.UIPATH, notification: buildNotification(), error: 'a' });
+            await store.record({ stage: DEAD_LETTER_STAGES.UIPATH, notification: buildNotification(), error: 'b' });
+            await store.record({ stage: DEAD_LETTER_STAGES.PROCESSING, notification: buildNotification(), error: 'c' });
+
+            expect(await store.remove(first.id)).toBe(true);
+            expect(await store.remove(first.id)).toBe(false);
+            expect(await store.purge({ stage: DEAD_LETTER_STAGES.UIPATH })).toBe(1);
+            expect(await store.list()).toHaveLength(1);
+        });
+
+        it('should purge only entries older than the cutoff', async () => {
+            await store.record({ stage: DEAD_LETTER_STAGES.UIPATH, notification: buildNotification(), error: 'a' });
+
+            expect(await store.purge({ olderThan: '2000-01-01T00:00:00Z' })).toBe(0);
+            expect(await store.purge({ olderThan: new Date(Date.now() + 1000).toISOString() })).toBe(1);
+        });
+    });
+
+    describe('createDeadLetterStore', () => {
+        it('should create the in-memory backend', () => {
+            expect(createDeadLetterStore({ backend: 'memory' })).toBeInstanceOf(InMemoryDeadLetterStore);
+        });
+
+        it('should reject unknown backends', () => {
+            expect(() => createDeadLetterStore({ backend: 'floppy' }))
+                .toThrow('Unknown dead-letter store backend: floppy');
+        });
+    });
+});
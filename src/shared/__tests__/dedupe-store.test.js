@@ -0,0 +1,96 @@
+const {
+    DEDUPE_KEY_STRATEGIES,
+    buildDedupeKey,
+    InMemoryDedupeStore,
+    createDedupeStore
+} = require('../dedupe-store');
+
+const buildNotification = (overrides = {}) => ({
+    subscriptionId: 'sub-1',
+    resource: 'sites/contoso.sharepoint.com:/sites/test:/lists/abc',
+    changeType: 'updated',
+    resourceData: { id: '42', '@odata.etag': '"1"' },
+    ...overrides
+});
+
+describe('dedupe-store', () => {
+    describe('buildDedupeKey', () => {
+        it('should key by subscription and resource by default strategy', () => {
+            expect(buildDedupeKey(buildNotification(), DEDUPE_KEY_STRATEGIES.SUBSCRIPTION_RESOURCE))
+                .toBe('sub-1-sites/contoso.sharepoint.com:/sites/test:/lists/abc');
+        });
+
+        it('should distinguish item versions with the item etag strategy', () => {
+            const strategy = DEDUPE_KEY_STRATEGIES.SUBSCRIPTION_ITEM_ETAG;
+            const first = buildDedupeKey(buildNotification(), strategy);
+            const sameVersion = buildDedupeKey(buildNotification(), strategy);
+            const nextVersion = buildDedupeKey(buildNotification({ resourceData: { id: '42', '@odata.etag': '"2"' } }), strategy);
+
+            expect(first).toBe('sub-1-42-"1"');
+            expect(sameVersion).toBe(first);
+            expect(nextVersion).not.toBe(first);
+        });
+
+        it('should hash notification content with the content hash strategy', () => {
+            const strategy = DEDUPE_KEY_STRATEGIES.CONTENT_HASH;
+            const key = buildDedupeKey(buildNotification(), strategy);
+
+            expect(key).toMatch(/^[a-f0-9]{64}$/);
+            expect(buildDedupeKey(buildNotification({ clientState: 'ignored' }), strategy)).toBe(key);
+            expect(buildDedupeKey(buildNotification({ changeType: 'deleted' }), strategy)).not.toBe(key);
+        });
+
+        it('should reject unknown strategies', () => {
+            expect(() => buildDedupeKey(buildNotification(), 'coin-flip'))
+                .toThrow('Unknown dedupe key strategy: coin-flip');
+        });
+    });
+
+    describe('InMemoryDedupeStore', () => {
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        it('should report repeated claims within the window as duplicates', async () => {
+            const store = new InMemoryDedupeStore({ windowMs: 1000 });
+
+            expect((await store.claim('key')).duplicate).toBe(false);
+
+            const second = await store.claim('key');
+            expect(second.duplicate).toBe(true);
+            expect(second.lastSeen).toBeDefined();
+            expect((await store.claim('other')).duplicate).toBe(false);
+        });
+
+        it('should allow the key again once the window has passed', async () => {
+            jest.useFakeTimers();
+            jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+            const store = new InMemoryDedupeStore({ windowMs: 1000 });
+
+            await store.claim('key');
+            jest.setSystemTime(new Date('2024-01-01T00:00:02Z'));
+
+            expect((await store.claim('key')).duplicate).toBe(false);
+        });
+
+        it('should allow the key again once its claim is released', async () => {
+            const store = new InMemoryDedupeStore({ windowMs: 1000 });
+
+            await store.claim('key');
+            await store.release('key');
+
+            expect((await store.claim('key')).duplicate).toBe(false);
+        });
+    });
+
+    describe('createDedupeStore', () => {
+        it('should create the in-memory backend', () => {
+            expect(createDedupeStore({ backend: 'memory' })).toBeInstanceOf(InMemoryDedupeStore);
+        });
+
+        it('should reject unknown backends', () => {
+            expect(() => createDedupeStore({ backend: 'abacus' }))
+                .toThrow('Unknown dedupe store backend: abacus');
+        });
+    });
+});
@@ -0,0 +1,92 @@
+const {
+    DELIVERY_STATUS,
+    InMemoryDeliveryStore,
+    createDeliveryStore
+} = require('../delivery-store');
+const { parseDestinations } = require('../clientstate-parser');
+
+const CLIENT_STATE = 'destination:uipath|queue:FIN_SCAN|tenant:PROD|destination:forward|url:https://example.com/hook';
+
+const buildNotification = (subscriptionId = 'sub-1') => ({
+    subscriptionId,
+    resource: 'sites/contoso.sharepoint.com:/sites/test:/lists/abc',
+    changeType: 'updated',
+    clientState: CLIENT_STATE,
+    resourceData: { id: '42' }
+});
+
+describe('delivery-store', () => {
+    describe('InMemoryDeliveryStore', () => {
+        const [uipath, forward] = parseDestinations(CLIENT_STATE);
+        let store;
+
+        beforeEach(() => {
+            store = new InMemoryDeliveryStore();
+        });
+
+        it('should create a pending record per destination', async () => {
+            const queued = await store.create({ notification: buildNotification(), destination: uipath });
+            const forwarded = await store.create({ notification: buildNotification(), destination: forward });
+
+            expect(queued).toMatchObject({
+                subscriptionId: 'sub-1',
+                itemId: '42',
+                destinationId: 'uipath-1',
+                destinationType: 'uipath',
+                target: 'FIN_SCAN',
+                clientState: 'destination:uipath|queue:FIN_SCAN|tenant:PROD',
+                status: DELIVERY_STATUS.PENDING,
+                attempts: 0,
+                lastError: null
+            });
+            expect(forwarded.target).toBe('https://example.com/hook');
+            expect(await store.get(queued.id)).toEqual(queued);
+        });
+
+        it('should track attempts independently per destination', async () => {
+            const queued = await store.create({ notification: buildNotification(), destination: uipath });
+            const forwarded = await store.create({ notification: buildNotification(), destination: forward });
+
+            await store.recordAttempt(queued.id, { success: true });
+            const failed = await store.recordAttempt(forwarded.id, { success: false, error: 'Forward target responded with status 503' });
+            const retried = await store.recordAttempt(forwarded.id, { success: true });
+
+            expect(failed).toMatchObject({ status: DELIVERY_STATUS.FAILED, attempts: 1, lastError: 'Forward target responded with status 503' });
+            expect(retried).toMatchObject({ status: DELIVERY_STATUS.SUCCEEDED, attempts: 2, lastError: null });
+            expect(await store.get(queued.id)).toMatchObject({ status: DELIVERY_STATUS.SUCCEEDED, attempts: 1 });
+            expect(await store.recordAttempt('missing', { success: true })).toBeNull();
+        });
+
+        it('should mark deliveries held back by an open circuit as deferred', async () => {
+            const forwarded = await store.create({ notification: buildNotification(), destination: forward });
+
+            const deferred = await store.recordAttempt(forwarded.id, { success: false, deferred: true, error: 'Circuit open for example.com' });
+
+            expect(deferred).toMatchObject({ status: DELIVERY_STATUS.DEFERRED, lastError: 'Circuit open for example.com' });
+        });
+
+        it('should filter records', async () => {
+            const queued = await store.create({ notification: buildNotification('sub-1'), destination: uipath });
+            await store.create({ notification: buildNotification('sub-1'), destination: forward });
+            await store.create({ notification: buildNotification('sub-2'), destination: forward });
+            await store.recordAttempt(queued.id, { success: false, error: 'Orchestrator returned 503' });
+
+            expect(await store.list()).toHaveLength(3);
+            expect(await store.list({ subscriptionId: 'sub-1' })).toHaveLength(2);
+            expect(await store.list({ status: DELIVERY_STATUS.FAILED })).toHaveLength(1);
+            expect(await store.list({ destinationType: 'forward', subscriptionId: 'sub-2' })).toHaveLength(1);
+            expect(await store.list({ top: 1 })).toHaveLength(1);
+        });
+    });
+
+    describe('createDeliveryStore', () => {
+        it('should create the in-memory backend', () => {
+            expect(createDeliveryStore({ backend: 'memory' })).toBeInstanceOf(InMemoryDeliveryStore);
+        });
+
+        it('should reject unknown backends', () => {
+            expect(() => createDeliveryStore({ backend: 'floppy' }))
+                .toThrow('Unknown delivery store backend: floppy');
+        });
+    });
+});
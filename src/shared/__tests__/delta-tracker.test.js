@@ -0,0 +1,277 @@
+jest.mock('axios');
+jest.mock('@azure/data-tables', () => ({
+    TableClient: { fromConnectionString: jest.fn() }
+}));
+jest.mock('../auth', () => ({
+    getAccessToken: jest.fn().mockResolvedValue('token')
+}));
+jest.mock('../logger', () => ({
+    createLogger: () => ({
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        debug: jest.fn()
+    })
+}));
+
+const mockChangeTokenTracker = { getChanges: jest.fn() };
+jest.mock('../change-token-tracker', () => ({
+    getChangeTokenTracker: () => mockChangeTokenTracker
+}));
+
+const axios = require('axios');
+const { TableClient } = require('@azure/data-tables');
+const {
+    DeltaTracker,
+    parseListResource,
+    buildDeltaKey,
+    getDeltaTracker,
+    expandNotification
+} = require('../delta-tracker');
+
+const RESOURCE = 'sites/contoso.sharepoint.com:/sites/ops:/lists/list-1';
+const BASELINE_URL = 'https://graph.microsoft.com/v1.0/sites/contoso.sharepoint.com:/sites/ops:/lists/list-1/items/delta';
+const recent = () => new Date().toISOString();
+
+function createMockTable(stored) {
+    const rows = new Map();
+    if (stored) {
+        rows.set('row', { deltaLink: stored, etag: 'W/"1"' });
+    }
+    return {
+        rows,
+        createTable: jest.fn().mockResolvedValue(),
+        getEntity: jest.fn(async () => {
+            if (!rows.has('row')) {
+                throw Object.assign(new Error('Not found'), { statusCode: 404 });
+            }
+            return rows.get('row');
+        }),
+        createEntity: jest.fn(async entity => {
+            rows.set('row', { ...entity, etag: 'W/"1"' });
+        }),
+        updateEntity: jest.fn(async entity => {
+            rows.set('row', { ...entity, etag: 'W/"2"' });
+        })
+    };
+}
+
+function page(value, links) {
+    return { data: { value, ...links } };
+}
+
+describe('delta-tracker', () => {
+    let table;
+    const context = {};
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        table = createMockTable();
+        TableClient.fromConnectionString.mockReturnValue(table);
+    });
+
+    describe('parseListResource', () => {
+        it('should keep the full site path for server-relative resources', () => {
+            expect(parseListResource(RESOURCE)).toEqual({
+                siteId: 'contoso.sharepoint.com:/sites/ops:',
+                listId: 'list-1'
+            });
+            expect(parseListResource('sites/site-guid/lists/list-2')).toEqual({
+                siteId: 'site-guid',
+                listId: 'list-2'
+            });
+        });
+
+        it('should reject resources that are not lists', () => {
+            expect(parseListResource('sites/site-guid/lists/list-2/items/5')).toBeNull();
+            expect(parseListResource('drives/abc/root')).toBeNull();
+        });
+
+        it('should build a table-safe row key', () => {
+            expect(buildDeltaKey(parseListResource(RESOURCE)).rowKey)
+                .toBe('contoso.sharepoint.com__sites_ops__list-1');
+        });
+    });
+
+    describe('getChanges', () => {
+        it('should follow nextLink pages and store the final deltaLink', async () => {
+            table = createMockTable('https://graph/delta?token=old');
+            TableClient.fromConnectionString.mockReturnValue(table);
+            axios.get
+                .mockResolvedValueOnce(page([{ id: '1' }, { id: '2' }], { '@odata.nextLink': 'https://graph/next' }))
+                .mockResolvedValueOnce(page([{ id: '3' }, { id: '2', eTag: 'newer' }], { '@odata.deltaLink': 'https://graph/delta?token=new' }));
+
+            const result = await new DeltaTracker().getChanges(context, { resource: RESOURCE }, 'token');
+
+            expect(axios.get.mock.calls.map(call => call[0])).toEqual(['https://graph/delta?token=old', 'https://graph/next']);
+            expect(result.changedItems.map(item => item.id)).toEqual(['1', '2', '3']);
+            expect(result.changedItems[1].eTag).toBe('newer');
+            expect(result.baseline).toBe(false);
+            expect(table.updateEntity).toHaveBeenCalledWith(
+                expect.objectContaining({ deltaLink: 'https://graph/delta?token=new' }),
+                'Replace',
+                { etag: 'W/"1"' }
+            );
+        });
+
+        it('should not store a deltaLink when a page fails', async () => {
+            table = createMockTable('https://graph/delta?token=old');
+            TableClient.fromConnectionString.mockReturnValue(table);
+            axios.get
+                .mockResolvedValueOnce(page([{ id: '1' }], { '@odata.nextLink': 'https://graph/next' }))
+                .mockRejectedValueOnce(new Error('timeout'));
+
+            await expect(new DeltaTracker().getChanges(context, { resource: RESOURCE }, 'token')).rejects.toThrow('timeout');
+            expect(table.updateEntity).not.toHaveBeenCalled();
+        });
+
+        it('should only return recently modified items on the first run', async () => {
+            axios.get.mockResolvedValueOnce(page([
+                { id: '1', lastModifiedDateTime: '2020-01-01T00:00:00Z' },
+                { id: '2', lastModifiedDateTime: recent() }
+            ], { '@odata.deltaLink': 'https://graph/delta?token=1' }));
+
+            const result = await new DeltaTracker().getChanges(context, { resource: RESOURCE }, 'token');
+
+            expect(axios.get.mock.calls[0][0]).toBe(BASELINE_URL);
+            expect(result.baseline).toBe(true);
+            expect(result.changedItems.map(item => item.id)).toEqual(['2']);
+            expect(table.createEntity).toHaveBeenCalledWith(expect.objectContaining({ deltaLink: 'https://graph/delta?token=1' }));
+        });
+
+        it('should re-baseline when the stored deltaLink has expired', async () => {
+            table = createMockTable('https://graph/delta?token=expired');
+            TableClient.fromConnectionString.mockReturnValue(table);
+            const gone = Object.assign(new Error('Gone'), { response: { status: 410, headers: {} } });
+            axios.get
+                .mockRejectedValueOnce(gone)
+                .mockResolvedValueOnce(page([{ id: '7', lastModifiedDateTime: recent() }], { '@odata.deltaLink': 'https://graph/delta?token=fresh' }));
+
+            const result = await new DeltaTracker().getChanges(context, { resource: RESOURCE }, 'token');
+
+            expect(axios.get.mock.calls[1][0]).toBe(BASELINE_URL);
+            expect(result.baseline).toBe(true);
+            expect(result.changedItems.map(item => item.id)).toEqual(['7']);
+            expect(table.rows.get('row').deltaLink).toBe('https://graph/delta?token=fresh');
+        });
+
+        it('should report deleted items separately', async () => {
+            table = createMockTable('https://graph/delta?token=old');
+            TableClient.fromConnectionString.mockReturnValue(table);
+            axios.get.mockResolvedValueOnce(page([
+                { id: '1' },
+                { id: '2', deleted: { state: 'deleted' } }
+            ], { '@odata.deltaLink': 'https://graph/delta?token=new' }));
+
+            const result = await new DeltaTracker().getChanges(context, { resource: RESOURCE }, 'token');
+
+            expect(result.changedItems.map(item => item.id)).toEqual(['1']);
+            expect(result.deletedItems.map(item => item.id)).toEqual(['2']);
+        });
+
+        it('should query again from the newer link when another instance stored one first', async () => {
+            table = createMockTable('https://graph/delta?token=old');
+            TableClient.fromConnectionString.mockReturnValue(table);
+            table.updateEntity
+                .mockImplementationOnce(async () => {
+                    table.rows.set('row', { deltaLink: 'https://graph/delta?token=other', etag: 'W/"9"' });
+                    throw Object.assign(new Error('Precondition failed'), { statusCode: 412 });
+                });
+            axios.get
+                .mockResolvedValueOnce(page([{ id: '1' }, { id: '2' }], { '@odata.deltaLink': 'https://graph/delta?token=mine' }))
+                .mockResolvedValueOnce(page([{ id: '2' }], { '@odata.deltaLink': 'https://graph/delta?token=latest' }));
+
+            const result = await new DeltaTracker().getChanges(context, { resource: RESOURCE }, 'token');
+
+            expect(axios.get.mock.calls[1][0]).toBe('https://graph/delta?token=other');
+            expect(result.changedItems.map(item => item.id)).toEqual(['2']);
+            expect(table.rows.get('row').deltaLink).toBe('https://graph/delta?token=latest');
+        });
+    });
+
+    describe('expandNotification', () => {
+        it('should return notifications that already name an item unchanged', async () => {
+            const notification = { resource: RESOURCE, resourceData: { id: '5' } };
+
+            expect(await expandNotification(notification, context)).toEqual([notification]);
+            expect(axios.get).not.toHaveBeenCalled();
+        });
+
+        it('should create one notification per changed item', async () => {
+            axios.get.mockResolvedValueOnce(page([
+                { id: 1, eTag: '"a,1"', lastModifiedDateTime: recent() },
+                { id: 2, eTag: '"b,3"', lastModifiedDateTime: recent() }
+            ], { '@odata.deltaLink': 'https://graph/delta?token=1' }));
+            const notification = {
+                subscriptionId: 'sub-1',
+                resource: 'sites/other.sharepoint.com:/sites/x:/lists/list-9',
+                clientState: 'destination:uipath',
+                resourceData: { '@odata.type': '#Microsoft.Graph.ListItem' }
+            };
+
+            const expanded = await expandNotification(notification, context);
+
+            expect(expanded).toEqual([
+                { ...notification, resourceData: { '@odata.type': '#Microsoft.Graph.ListItem', id: '1', '@odata.etag': '"a,1"' } },
+                { ...notification, resourceData: { '@odata.type': '#Microsoft.Graph.ListItem', id: '2', '@odata.etag': '"b,3"' } }
+            ]);
+        });
+
+        it('should mark deleted items with the deleted changeType', async () => {
+            table = createMockTable('https://graph/delta?token=0');
+            getDeltaTracker().tableClient = table;
+            axios.get.mockResolvedValueOnce(page([
+                { id: 3, eTag: '"c,2"', lastModifiedDateTime: recent() },
+                { id: 4, deleted: { state: 'deleted' } }
+            ], { '@odata.deltaLink': 'https://graph/delta?token=1' }));
+            const notification = { subscriptionId: 'sub-1', resource: RESOURCE, changeType: 'updated', resourceData: {} };
+
+            const expanded = await expandNotification(notification, context);
+
+            expect(expanded.map(n => [n.resourceData.id, n.changeType])).toEqual([['3', 'updated'], ['4', 'deleted']]);
+        });
+
+        it('should expand drive notifications to files in the clientState path', async () => {
+            axios.get.mockResolvedValueOnce(page([
+                { id: 'f1', eTag: '"f1"', lastModifiedDateTime: recent(), folder: {}, parentReference: { path: '/drives/d1/root:' } },
+                { id: 'a', eTag: '"a"', lastModifiedDateTime: recent(), file: {}, parentReference: { path: '/drives/d1/root:/Invoices/2024' } },
+                { id: 'b', eTag: '"b"', lastModifiedDateTime: recent(), file: {}, parentReference: { path: '/drives/d1/root:/Other' } }
+            ], { '@odata.deltaLink': 'https://graph/drive-delta?token=1' }));
+            // The shared tracker was created by an earlier test; give it this test's table
+            getDeltaTracker().tableClient = table;
+            const notification = {
+                subscriptionId: 'sub-d',
+                resource: 'drives/d1/root',
+                clientState: 'destination:uipath|handler:document|queue:Q|path:/Invoices'
+            };
+
+            const expanded = await expandNotification(notification, context);
+
+            expect(axios.get.mock.calls[0][0]).toBe('https://graph.microsoft.com/v1.0/drives/d1/root/delta');
+            expect(table.createEntity).toHaveBeenCalledWith(expect.objectContaining({ partitionKey: 'drive', rowKey: 'd1', driveId: 'd1' }));
+            expect(expanded).toEqual([{ ...notification, resourceData: { id: 'a', '@odata.etag': '"a"' } }]);
+        });
+
+        it('should expand SharePoint REST notifications with the change token tracker', async () => {
+            mockChangeTokenTracker.getChanges.mockResolvedValue({
+                changedItems: [{ id: '7', changeType: 'created' }],
+                deletedItems: [{ id: '8', changeType: 'deleted' }]
+            });
+            const notification = {
+                subscriptionId: 'sp-sub',
+                resource: RESOURCE,
+                resourceData: {},
+                subscriptionType: 'sharepoint'
+            };
+
+            const expanded = await expandNotification(notification, context);
+
+            expect(mockChangeTokenTracker.getChanges).toHaveBeenCalledWith(context, notification);
+            expect(axios.get).not.toHaveBeenCalled();
+            expect(expanded).toEqual([
+                { ...notification, resourceData: { id: '7', '@odata.etag': undefined } },
+                { ...notification, changeType: 'deleted', resourceData: { id: '8', '@odata.etag': undefined } }
+            ]);
+        });
+    });
+});
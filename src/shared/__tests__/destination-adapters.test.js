@@ -0,0 +1,158 @@
+jest.mock('@azure/storage-queue', () => ({
+    QueueServiceClient: { fromConnectionString: jest.fn() }
+}));
+jest.mock('@azure/service-bus', () => ({
+    ServiceBusClient: jest.fn()
+}));
+
+const { QueueServiceClient } = require('@azure/storage-queue');
+const { ServiceBusClient } = require('@azure/service-bus');
+const config = require('../config');
+const {
+    InMemoryDestinationAdapter,
+    StorageQueueDestinationAdapter,
+    ServiceBusDestinationAdapter,
+    getConnectionSetting,
+    buildMessageProperties,
+    buildAdapterMessage,
+    encodeStorageQueueMessage,
+    buildServiceBusMessage,
+    createDestinationAdapter,
+    getDestinationAdapter,
+    resetDestinationAdapters
+} = require('../destination-adapters');
+
+const RESOURCE = 'sites/contoso.sharepoint.com:/sites/ops:/lists/list-1';
+const NOTIFICATION = { subscriptionId: 'sub-1', resource: RESOURCE, changeType: 'updated', resourceData: { id: 7 } };
+const PAYLOAD = { source: 'SharePoint-Webhook-Proxy-Enhanced', notification: NOTIFICATION };
+
+describe('destination-adapters', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        resetDestinationAdapters();
+        process.env.AZURE_STORAGE_CONNECTION_STRING = 'UseDevelopmentStorage=true';
+        process.env.ORDERS_BUS = 'Endpoint=sb://orders.servicebus.windows.net/;SharedAccessKeyName=send;SharedAccessKey=x';
+    });
+
+    afterEach(() => {
+        delete process.env.AZURE_STORAGE_CONNECTION_STRING;
+        delete process.env.ORDERS_BUS;
+    });
+
+    describe('messages', () => {
+        it('should describe the notification in the message properties', () => {
+            expect(buildMessageProperties(NOTIFICATION)).toEqual({
+                subscriptionId: 'sub-1',
+                changeType: 'updated',
+                listId: 'list-1',
+                itemId: '7',
+                resource: RESOURCE
+            });
+            expect(buildMessageProperties({ subscriptionId: 'sub-2', resource: 'drives/b!abc/root', changeType: 'updated' }))
+                .toMatchObject({ listId: null, itemId: null });
+        });
+
+        it('should write Storage Queue messages as a base64 JSON envelope', () => {
+            const message = buildAdapterMessage(NOTIFICATION, PAYLOAD);
+
+            const envelope = JSON.parse(Buffer.from(encodeStorageQueueMessage(message), 'base64').toString('utf8'));
+
+            expect(envelope).toEqual({ id: message.id, properties: message.properties, body: PAYLOAD });
+        });
+
+        it('should put properties on Service Bus messages and leave out empty ones', () => {
+            const message = buildAdapterMessage({ ...NOTIFICATION, resourceData: {} }, PAYLOAD);
+
+            expect(buildServiceBusMessage(message)).toEqual({
+                messageId: message.id,
+                body: PAYLOAD,
+                contentType: 'application/json',
+                subject: 'updated',
+                correlationId: 'sub-1',
+                applicationProperties: { subscriptionId: 'sub-1', changeType: 'updated', listId: 'list-1', resource: RESOURCE }
+            });
+        });
+    });
+
+    describe('connections', () => {
+        it('should use the connection: app setting or the default of the destination type', () => {
+            expect(getConnectionSetting({ destination: 'servicebus', connection: 'ORDERS_BUS' })).toBe('ORDERS_BUS');
+            expect(getConnectionSetting({ destination: 'servicebus' })).toBe(config.destinationAdapters.serviceBusConnection);
+            expect(getConnectionSetting({ destination: 'storagequeue' })).toBe('AZURE_STORAGE_CONNECTION_STRING');
+        });
+    });
+
+    describe('StorageQueueDestinationAdapter', () => {
+        it('should create the queue once and send the encoded message', async () => {
+            const queueClient = {
+                createIfNotExists: jest.fn().mockResolvedValue({}),
+                sendMessage: jest.fn().mockResolvedValue({ messageId: 'queue-msg-1' })
+            };
+            const getQueueClient = jest.fn().mockReturnValue(queueClient);
+            QueueServiceClient.fromConnectionString.mockReturnValue({ getQueueClient });
+            const adapter = new StorageQueueDestinationAdapter();
+            const message = buildAdapterMessage(NOTIFICATION, PAYLOAD);
+            const destinationConfig = { destination: 'storagequeue', queue: 'sp-events' };
+
+            const result = await adapter.publish(message, destinationConfig);
+            await adapter.publish(message, destinationConfig);
+
+            expect(result).toEqual({ messageId: 'queue-msg-1', entity: 'sp-events' });
+            expect(QueueServiceClient.fromConnectionString).toHaveBeenCalledWith('UseDevelopmentStorage=true');
+            expect(getQueueClient).toHaveBeenCalledWith('sp-events');
+            expect(queueClient.createIfNotExists).toHaveBeenCalledTimes(1);
+            expect(queueClient.sendMessage).toHaveBeenCalledWith(encodeStorageQueueMessage(message));
+        });
+
+        it('should fail when the connection app setting is not set', async () => {
+            const adapter = new StorageQueueDestinationAdapter();
+
+            await expect(adapter.publish(buildAdapterMessage(NOTIFICATION, PAYLOAD), {
+                destination: 'storagequeue',
+                queue: 'sp-events',
+                connection: 'MISSING_QUEUE_CONNECTION'
+            })).rejects.toThrow('App setting MISSING_QUEUE_CONNECTION is not set');
+        });
+    });
+
+    describe('ServiceBusDestinationAdapter', () => {
+        it('should send to the topic with one sender per entity', async () => {
+            const sender = { sendMessages: jest.fn().mockResolvedValue() };
+            const client = { createSender: jest.fn().mockReturnValue(sender) };
+            ServiceBusClient.mockImplementation(() => client);
+            const adapter = new ServiceBusDestinationAdapter();
+            const message = buildAdapterMessage(NOTIFICATION, PAYLOAD);
+            const destinationConfig = { destination: 'servicebus', topic: 'sp-events', connection: 'ORDERS_BUS' };
+
+            const result = await adapter.publish(message, destinationConfig);
+            await adapter.publish(message, destinationConfig);
+
+            expect(result).toEqual({ messageId: message.id, entity: 'sp-events' });
+            expect(ServiceBusClient).toHaveBeenCalledTimes(1);
+            expect(ServiceBusClient).toHaveBeenCalledWith(process.env.ORDERS_BUS);
+            expect(client.createSender).toHaveBeenCalledTimes(1);
+            expect(client.createSender).toHaveBeenCalledWith('sp-events');
+            expect(sender.sendMessages).toHaveBeenCalledWith(buildServiceBusMessage(message));
+        });
+    });
+
+    describe('registry', () => {
+        it('should create in-memory adapters that keep published messages', async () => {
+            const adapter = createDestinationAdapter('servicebus', { backend: 'memory' });
+            const message = buildAdapterMessage(NOTIFICATION, PAYLOAD);
+
+            await adapter.publish(message, { destination: 'servicebus', queue: 'sp-events', topic: null });
+
+            expect(adapter).toBeInstanceOf(InMemoryDestinationAdapter);
+            expect(adapter.messages).toEqual([{ ...message, entity: 'sp-events', kind: 'queue' }]);
+        });
+
+        it('should share one adapter per destination type and reject unknown types', () => {
+            expect(getDestinationAdapter('storagequeue')).toBe(getDestinationAdapter('storagequeue'));
+            expect(getDestinationAdapter('storagequeue')).toBeInstanceOf(StorageQueueDestinationAdapter);
+            expect(() => createDestinationAdapter('forward')).toThrow('No destination adapter for destination: forward');
+            expect(() => createDestinationAdapter('storagequeue', { backend: 'kafka' }))
+                .toThrow('Unknown destination adapter backend: kafka');
+        });
+    });
+});
@@ -0,0 +1,117 @@
+jest.mock('axios');
+jest.mock('../constants', () => ({
+    UIPATH_PRIORITY: { NORMAL: 'Normal' }
+}));
+jest.mock('../uipath-queue-client', () => ({
+    createUiPathQueueClient: jest.fn()
+}));
+
+const axios = require('axios');
+const { DynamicUiPathQueueClient } = require('../uipath-dynamic-queue-client');
+const {
+    parseDriveResource,
+    getDriveItemFolder,
+    isInFolderScope,
+    normaliseDriveItem,
+    fetchDriveDocument
+} = require('../drive-items');
+
+const DRIVE_ITEM = {
+    id: '01ABCDEF',
+    name: 'Invoice 1001.pdf',
+    webUrl: 'https://contoso.sharepoint.com/sites/Finance/Shared%20Documents/Invoices/Invoice%201001.pdf',
+    createdDateTime: '2025-08-16T11:00:00Z',
+    lastModifiedDateTime: '2025-08-16T11:59:00Z',
+    parentReference: { driveId: 'b!drive', path: '/drives/b!drive/root:/Invoices' },
+    file: { mimeType: 'application/pdf', hashes: { sha1Hash: 'abc' } },
+    size: 2048,
+    sharepointIds: { listItemId: '42', listItemUniqueId: 'unique-42' },
+    listItem: {
+        id: '42',
+        contentType: { name: 'Document' },
+        fields: { FileLeafRef: 'Invoice 1001.pdf', Vendor: 'Contoso', File_x0020_Type: 'pdf' }
+    }
+};
+
+describe('drive-items', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('parseDriveResource', () => {
+        it('should parse drive root resources only', () => {
+            expect(parseDriveResource('drives/b!drive/root')).toEqual({ driveId: 'b!drive' });
+            expect(parseDriveResource('/drives/b!drive/root/')).toEqual({ driveId: 'b!drive' });
+            expect(parseDriveResource('sites/contoso.sharepoint.com:/sites/ops:/lists/list-1')).toBeNull();
+            expect(parseDriveResource('drives/b!drive/items/5')).toBeNull();
+        });
+    });
+
+    describe('folder scoping', () => {
+        const inFolder = path => ({ parentReference: { path } });
+
+        it('should read the library-relative folder', () => {
+            expect(getDriveItemFolder(inFolder('/drives/b!drive/root:/Invoices/2024%20Q1'))).toBe('/Invoices/2024 Q1');
+            expect(getDriveItemFolder(inFolder('/drives/b!drive/root:'))).toBe('');
+            expect(getDriveItemFolder({})).toBeNull();
+        });
+
+        it('should keep items in the folder or below it', () => {
+            expect(isInFolderScope(inFolder('/drives/d/root:/Invoices'), '/Invoices')).toBe(true);
+            expect(isInFolderScope(inFolder('/drives/d/root:/Invoices/2024'), 'invoices/')).toBe(true);
+            expect(isInFolderScope(inFolder('/drives/d/root:/InvoicesOld'), '/Invoices')).toBe(false);
+            expect(isInFolderScope(inFolder('/drives/d/root:'), '/Invoices')).toBe(false);
+            expect(isInFolderScope(inFolder('/drives/d/root:'), null)).toBe(true);
+        });
+    });
+
+    describe('normaliseDriveItem', () => {
+        it('should produce the list item document shape', () => {
+            const document = normaliseDriveItem(DRIVE_ITEM);
+
+            expect(document).toMatchObject({
+                id: '42',
+                ID: '42',
+                Title: 'Invoice 1001.pdf',
+                FileLeafRef: 'Invoice 1001.pdf',
+                FileRef: '/sites/Finance/Shared Documents/Invoices/Invoice 1001.pdf',
+                FileDirRef: '/sites/Finance/Shared Documents/Invoices',
+                UniqueId: 'unique-42',
+                ContentType: 'Document',
+                Vendor: 'Contoso',
+                driveId: 'b!drive',
+                driveItemId: '01ABCDEF'
+            });
+        });
+
+        it('should give DynamicUiPathQueueClient everything its base metadata needs', () => {
+            const metadata = DynamicUiPathQueueClient.prototype.normaliseBaseMetadata(normaliseDriveItem(DRIVE_ITEM));
+
+            expect(metadata).toEqual({
+                ItemId: '42',
+                Title: 'Invoice 1001.pdf',
+                WebUrl: DRIVE_ITEM.webUrl,
+                LastModified: '2025-08-16T11:59:00Z',
+                Created: '2025-08-16T11:00:00Z',
+                ListItemUniqueId: 'unique-42',
+                FileName: 'Invoice 1001.pdf',
+                FilePath: '/sites/Finance/Shared Documents/Invoices/Invoice 1001.pdf',
+                FileDirectory: '/sites/Finance/Shared Documents/Invoices',
+                ContentType: 'Document',
+                FileType: 'pdf'
+            });
+        });
+    });
+
+    describe('fetchDriveDocument', () => {
+        it('should fetch the drive item with its list item fields', async () => {
+            axios.get.mockResolvedValue({ data: DRIVE_ITEM });
+
+            const document = await fetchDriveDocument('token', 'b!drive', '01ABCDEF');
+
+            expect(axios.get.mock.calls[0][0]).toContain('/drives/b!drive/items/01ABCDEF?');
+            expect(axios.get.mock.calls[0][0]).toContain('$expand=listItem($expand=fields)');
+            expect(document.ID).toBe('42');
+        });
+    });
+});
@@ -0,0 +1,394 @@
+process.env.ITEM_STATE_BACKEND = 'memory';
+
+jest.mock('axios');
+
+const axios = require('axios');
+const EnhancedForwarder = require('../enhanced-forwarder');
+const config = require('../config');
+const { verifySignature } = require('../webhook-signature');
+const { resetAuthProfiles } = require('../forward-auth');
+const { getCircuitBreaker, resetCircuitBreakers } = require('../circuit-breaker');
+const { InMemoryDestinationAdapter } = require('../destination-adapters');
+const { getItemStateStore } = require('../item-state-store');
+
+const RESOURCE = 'sites/contoso.sharepoint.com:/sites/ops:/lists/list-1';
+const CONFIG = { forwardUrl: 'https://example.com/hook', mode: 'withData', includeFields: ['Title', 'Status'] };
+
+describe('EnhancedForwarder', () => {
+    const context = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const stateStore = getItemStateStore();
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        resetCircuitBreakers();
+        jest.spyOn(EnhancedForwarder.prototype, 'wait').mockResolvedValue();
+        stateStore.states.clear();
+        await stateStore.save(RESOURCE, {
+            id: '7',
+            lastModifiedDateTime: '2025-08-16T11:59:00Z',
+            webUrl: 'https://contoso.sharepoint.com/sites/ops/Lists/Orders/7_.000',
+            fields: { Title: 'Order 7', Status: 'Approved', Secret: 'x' }
+        }, 'item');
+    });
+
+    describe('deleted items', () => {
+        const deleted = { subscriptionId: 'sub-1', resource: RESOURCE, changeType: 'deleted', resourceData: { id: '7' } };
+
+        it('should send a tombstone with the last known fields and then drop the stored state', async () => {
+            axios.post.mockResolvedValue({ status: 200 });
+
+            const result = await new EnhancedForwarder(context, 'token').forward(deleted, CONFIG.forwardUrl, CONFIG);
+
+            const payload = JSON.parse(axios.post.mock.calls[0][1]);
+            expect(axios.get).not.toHaveBeenCalled();
+            expect(payload.notification.changeType).toBe('deleted');
+            expect(payload.tombstone).toEqual({
+                id: '7',
+                deleted: true,
+                deletedDateTime: expect.any(String),
+                lastKnownState: {
+                    id: '7',
+                    lastModified: '2025-08-16T11:59:00Z',
+                    webUrl: 'https://contoso.sharepoint.com/sites/ops/Lists/Orders/7_.000',
+                    fields: { Title: 'Order 7', Status: 'Approved' }
+                }
+            });
+            expect(result.success).toBe(true);
+            expect(await stateStore.get(RESOURCE, '7', 'item')).toBeNull();
+        });
+
+        it('should keep the stored state when the tombstone is not delivered', async () => {
+            axios.post.mockResolvedValue({ status: 503 });
+
+            await new EnhancedForwarder(context, 'token').forward(deleted, CONFIG.forwardUrl, CONFIG);
+
+            expect(await stateStore.get(RESOURCE, '7', 'item')).not.toBeNull();
+        });
+
+        it('should send a tombstone when the item no longer exists', async () => {
+            axios.get.mockRejectedValue(Object.assign(new Error('Not found'), { response: { status: 404 } }));
+            axios.post.mockResolvedValue({ status: 200 });
+
+            await new EnhancedForwarder(context, 'token')
+                .forward({ ...deleted, changeType: 'updated' }, CONFIG.forwardUrl, CONFIG);
+
+            const payload = JSON.parse(axios.post.mock.calls[0][1]);
+            expect(payload.notification.changeType).toBe('deleted');
+            expect(payload.tombstone.lastKnownState.fields).toEqual({ Title: 'Order 7', Status: 'Approved' });
+        });
+    });
+
+    describe('payload templates', () => {
+        const updated = { subscriptionId: 'sub-1', resource: RESOURCE, changeType: 'updated', resourceData: { id: '7' } };
+        const current = {
+            id: '7',
+            lastModifiedDateTime: '2025-08-16T12:30:00Z',
+            webUrl: 'https://contoso.sharepoint.com/sites/ops/Lists/Orders/7_.000',
+            fields: { Title: 'Order 7', Status: 'Shipped' }
+        };
+
+        it('should reshape the payload with the template named in clientState', async () => {
+            axios.get.mockResolvedValue({ data: current });
+            axios.post.mockResolvedValue({ status: 200 });
+            const config = new EnhancedForwarder(context, 'token')
+                .parseClientState('destination:forward|url:https://example.com/hook|template:power-automate-item');
+
+            const result = await new EnhancedForwarder(context, 'token').forward(updated, config.forwardUrl, config);
+
+            const [, body, options] = axios.post.mock.calls[0];
+            expect(JSON.parse(body)).toEqual({
+                event: 'updated',
+                source: 'sharepoint',
+                item: {
+                    id: '7',
+                    title: 'Order 7',
+                    url: 'https://contoso.sharepoint.com/sites/ops/Lists/Orders/7_.000',
+                    modified: '2025-08-16 12:30'
+                },
+                firstSeen: false,
+                changedFields: [{ field: 'Status', from: 'Approved', to: 'Shipped' }]
+            });
+            expect(options.headers).toMatchObject({ 'X-Forwarding-Mode': 'withChanges', 'X-Payload-Template': 'power-automate-item' });
+            expect(result).toMatchObject({ success: true, mode: 'withChanges', template: 'power-automate-item' });
+        });
+
+        it('should fail the forward for an unknown template', async () => {
+            const result = await new EnhancedForwarder(context, 'token')
+                .forward(updated, CONFIG.forwardUrl, { ...CONFIG, template: 'missing' });
+
+            expect(axios.post).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ success: false, error: 'Unknown payload template: missing' });
+        });
+
+        it('should preview a template against a sample item without calling Graph', () => {
+            jest.spyOn(stateStore, 'get');
+
+            const preview = new EnhancedForwarder(context, null).previewPayload(
+                updated,
+                { template: { name: 'draft', mappings: [{ target: 'status', source: 'currentState.fields.Status' }] } },
+                { item: current }
+            );
+
+            expect(preview).toEqual({ mode: 'withData', template: 'draft', payload: { status: 'Shipped' } });
+            expect(axios.get).not.toHaveBeenCalled();
+            expect(stateStore.get).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('signing', () => {
+        const updated = { subscriptionId: 'sub-1', resource: RESOURCE, changeType: 'updated', resourceData: { id: '7' } };
+        const simple = { forwardUrl: CONFIG.forwardUrl, mode: 'simple' };
+
+        afterEach(() => {
+            delete process.env.FORWARD_SIGNING_KEY_ORDERS;
+            delete process.env.FORWARD_SIGNING_KEY_ORDERS_PREVIOUS;
+        });
+
+        it('should sign the exact body with the current and previous key', async () => {
+            process.env.FORWARD_SIGNING_KEY_ORDERS = 'new-secret';
+            process.env.FORWARD_SIGNING_KEY_ORDERS_PREVIOUS = 'old-secret';
+            axios.post.mockResolvedValue({ status: 200 });
+
+            const result = await new EnhancedForwarder(context, 'token')
+                .forward(updated, CONFIG.forwardUrl, { ...simple, signingKey: 'orders' });
+
+            const [, body, { headers }] = axios.post.mock.calls[0];
+            expect(result).toMatchObject({ success: true, signed: true });
+            expect(headers['X-Webhook-Signature'].split(', ')).toHaveLength(2);
+            expect(verifySignature({ body, headers, secrets: ['old-secret'] }).valid).toBe(true);
+            expect(verifySignature({ body, headers, secrets: ['new-secret'] }).valid).toBe(true);
+        });
+
+        it('should not send when the named key is not configured', async () => {
+            const result = await new EnhancedForwarder(context, 'token')
+                .forward(updated, CONFIG.forwardUrl, { ...simple, signingKey: 'orders' });
+
+            expect(axios.post).not.toHaveBeenCalled();
+            expect(result).toMatchObject({
+                success: false,
+                error: "Signing key 'orders' is not configured (set FORWARD_SIGNING_KEY_ORDERS)"
+            });
+        });
+
+        it('should send unsigned requests when no key applies', async () => {
+            axios.post.mockResolvedValue({ status: 200 });
+
+            const result = await new EnhancedForwarder(context, 'token').forward(updated, CONFIG.forwardUrl, simple);
+
+            expect(result.signed).toBe(false);
+            expect(axios.post.mock.calls[0][2].headers['X-Webhook-Signature']).toBeUndefined();
+        });
+    });
+
+    describe('auth profiles', () => {
+        const updated = { subscriptionId: 'sub-1', resource: RESOURCE, changeType: 'updated', resourceData: { id: '7' } };
+        const simple = { forwardUrl: CONFIG.forwardUrl, mode: 'simple' };
+        const originalProfiles = config.forwardAuth.profiles;
+
+        beforeEach(() => {
+            process.env.ORDERS_API_SECRET = 'api-secret';
+            config.forwardAuth.profiles = JSON.stringify({
+                'orders-api': { type: 'oauth2', tokenUrl: 'https://idp.example.com/token', clientId: 'client-1', clientSecret: 'ORDERS_API_SECRET' }
+            });
+            resetAuthProfiles();
+        });
+
+        afterEach(() => {
+            delete process.env.ORDERS_API_SECRET;
+            config.forwardAuth.profiles = originalProfiles;
+            resetAuthProfiles();
+        });
+
+        it('should send the profile credentials and fetch a new token after a 401', async () => {
+            axios.post.mockImplementation(url => Promise.resolve(url === 'https://idp.example.com/token'
+                ? { data: { access_token: 'token-1', expires_in: 3600 } }
+                : { status: 401 }));
+            const forwarder = new EnhancedForwarder(context, 'token');
+
+            const result = await forwarder.forward(updated, CONFIG.forwardUrl, { ...simple, authProfile: 'orders-api' });
+            await forwarder.forward(updated, CONFIG.forwardUrl, { ...simple, authProfile: 'orders-api' });
+
+            const targetCalls = axios.post.mock.calls.filter(([url]) => url === CONFIG.forwardUrl);
+            expect(result).toMatchObject({ success: false, status: 401 });
+            expect(targetCalls[0][2].headers.Authorization).toBe('Bearer token-1');
+            expect(axios.post.mock.calls.filter(([url]) => url !== CONFIG.forwardUrl)).toHaveLength(2);
+        });
+
+        it('should retry a forward whose token request timed out without opening the circuit', async () => {
+            axios.post
+                .mockRejectedValueOnce(Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' }))
+                .mockResolvedValueOnce({ data: { access_token: 'token-1', expires_in: 3600 } })
+                .mockResolvedValueOnce({ status: 200 });
+            const breaker = getCircuitBreaker('example.com');
+            jest.spyOn(breaker, 'recordFailure');
+
+            const result = await new EnhancedForwarder(context, 'token')
+                .forward(updated, CONFIG.forwardUrl, { ...simple, authProfile: 'orders-api' });
+
+            expect(result).toMatchObject({ success: true, status: 200, attempts: 2 });
+            expect(axios.post.mock.calls[0][2]).toMatchObject({ timeout: config.forwardRetry.timeout });
+            expect(breaker.recordFailure).not.toHaveBeenCalled();
+        });
+
+        it('should hand back a half-open trial whose token request timed out', async () => {
+            const breaker = getCircuitBreaker('example.com');
+            for (let i = 0; i < config.forwardRetry.circuitFailureThreshold; i++) {
+                breaker.recordFailure('Status 503');
+            }
+            breaker.openedAt -= config.forwardRetry.circuitOpenDuration;
+            axios.post
+                .mockRejectedValueOnce(Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' }))
+                .mockResolvedValueOnce({ data: { access_token: 'token-1', expires_in: 3600 } })
+                .mockResolvedValueOnce({ status: 200 });
+            const forwarder = new EnhancedForwarder(context, 'token');
+            const singleAttempt = { ...simple, authProfile: 'orders-api', retryPolicy: 'none' };
+
+            const timedOut = await forwarder.forward(updated, CONFIG.forwardUrl, singleAttempt);
+            const trial = await forwarder.forward(updated, CONFIG.forwardUrl, singleAttempt);
+
+            expect(timedOut).toMatchObject({ success: false, error: expect.stringContaining('timeout') });
+            expect(timedOut.deferred).toBeUndefined();
+            expect(trial).toMatchObject({ success: true, status: 200, attempts: 1 });
+            expect(breaker.getStatus()).toMatchObject({ state: 'closed', failures: 0 });
+        });
+
+        it('should not send when the profile is unknown', async () => {
+            const result = await new EnhancedForwarder(context, 'token')
+                .forward(updated, CONFIG.forwardUrl, { ...simple, authProfile: 'partner' });
+
+            expect(axios.post).not.toHaveBeenCalled();
+            expect(result).toMatchObject({ success: false, error: 'Unknown auth profile: partner' });
+        });
+    });
+
+    describe('retries and circuit breaking', () => {
+        const updated = { subscriptionId: 'sub-1', resource: RESOURCE, changeType: 'updated', resourceData: { id: '7' } };
+        const simple = { forwardUrl: CONFIG.forwardUrl, mode: 'simple' };
+
+        it('should retry retriable failures and honour Retry-After', async () => {
+            axios.post
+                .mockResolvedValueOnce({ status: 503, headers: { 'retry-after': '2' } })
+                .mockRejectedValueOnce(new Error('socket hang up'))
+                .mockResolvedValueOnce({ status: 200 });
+            const forwarder = new EnhancedForwarder(context, 'token');
+
+            const result = await forwarder.forward(updated, CONFIG.forwardUrl, simple);
+
+            expect(result).toMatchObject({ success: true, status: 200, attempts: 3 });
+            expect(forwarder.wait).toHaveBeenNthCalledWith(1, 2000);
+            expect(getCircuitBreaker('example.com').getStatus()).toMatchObject({ state: 'closed', failures: 0 });
+        });
+
+        it('should not retry client errors or destinations with retry:none', async () => {
+            axios.post.mockResolvedValueOnce({ status: 400 }).mockResolvedValueOnce({ status: 503 });
+            const forwarder = new EnhancedForwarder(context, 'token');
+
+            expect(await forwarder.forward(updated, CONFIG.forwardUrl, simple))
+                .toMatchObject({ success: false, status: 400, attempts: 1 });
+            expect(await forwarder.forward(updated, CONFIG.forwardUrl, { ...simple, retryPolicy: 'none' }))
+                .toMatchObject({ success: false, status: 503, attempts: 1 });
+            expect(forwarder.wait).not.toHaveBeenCalled();
+        });
+
+        it('should defer deliveries while the target circuit is open', async () => {
+            axios.post.mockResolvedValue({ status: 503 });
+            const forwarder = new EnhancedForwarder(context, 'token');
+
+            const failed = await forwarder.forward(updated, CONFIG.forwardUrl, simple);
+            const tripped = await forwarder.forward(updated, CONFIG.forwardUrl, simple);
+            const deferred = await forwarder.forward(updated, CONFIG.forwardUrl, simple);
+
+            expect(failed).toMatchObject({ success: false, status: 503, attempts: 3 });
+            expect(tripped).toMatchObject({ success: false, deferred: true, attempts: 2 });
+            expect(deferred).toMatchObject({ success: false, deferred: true, attempts: 0, error: 'Circuit open for example.com' });
+            expect(axios.post).toHaveBeenCalledTimes(5);
+        });
+
+        it('should send as the half-open trial a caller already took', async () => {
+            const breaker = getCircuitBreaker('example.com');
+            for (let i = 0; i < config.forwardRetry.circuitFailureThreshold; i++) {
+                breaker.recordFailure('Status 503');
+            }
+            breaker.now = () => Date.now() + config.forwardRetry.circuitOpenDuration;
+            expect(breaker.canRequest()).toBe(true);
+            axios.post.mockResolvedValueOnce({ status: 200 });
+            const forwarder = new EnhancedForwarder(context, 'token');
+
+            const result = await forwarder.forwardBatch([updated], CONFIG.forwardUrl, simple, {
+                circuitTrialTaken: true
+            });
+
+            expect(result).toMatchObject({ success: true, status: 200, attempts: 1 });
+            expect(breaker.getStatus()).toMatchObject({ state: 'closed', failures: 0 });
+        });
+    });
+
+    describe('CloudEvents output', () => {
+        const updated = { subscriptionId: 'sub-1', resource: RESOURCE, changeType: 'updated', resourceData: { id: '7' } };
+        const simple = { forwardUrl: CONFIG.forwardUrl, mode: 'simple' };
+
+        beforeEach(() => {
+            axios.post.mockResolvedValue({ status: 202 });
+        });
+
+        it('should wrap the payload in a structured CloudEvent', async () => {
+            const result = await new EnhancedForwarder(context, 'token')
+                .forward(updated, CONFIG.forwardUrl, { ...simple, outputFormat: 'cloudevents' });
+
+            const [, body, { headers }] = axios.post.mock.calls[0];
+            const event = JSON.parse(body);
+            expect(result).toMatchObject({ success: true, format: 'cloudevents', count: 1 });
+            expect(headers['Content-Type']).toBe('application/cloudevents+json; charset=utf-8');
+            expect(event).toMatchObject({ specversion: '1.0', type: 'com.sharepoint.listitem.updated', source: `/${RESOURCE}`, subject: '7' });
+            expect(event.data.notification).toEqual(updated);
+        });
+
+        it('should send several notifications as one batch', async () => {
+            const notifications = [updated, { ...updated, resourceData: { id: '8' } }];
+            const forwarder = new EnhancedForwarder(context, 'token');
+
+            const result = await forwarder.forwardBatch(notifications, CONFIG.forwardUrl, { ...simple, outputFormat: 'cloudevents-batch' });
+
+            const [, body, { headers }] = axios.post.mock.calls[0];
+            expect(result).toMatchObject({ success: true, count: 2 });
+            expect(axios.post).toHaveBeenCalledTimes(1);
+            expect(headers['Content-Type']).toBe('application/cloudevents-batch+json; charset=utf-8');
+            expect(JSON.parse(body).map(event => event.subject)).toEqual(['7', '8']);
+            expect(await forwarder.forwardBatch(notifications, CONFIG.forwardUrl, simple))
+                .toMatchObject({ success: false, error: 'Output format json cannot send a batch' });
+        });
+    });
+
+    describe('destination adapters', () => {
+        const deleted = { subscriptionId: 'sub-1', resource: RESOURCE, changeType: 'deleted', resourceData: { id: '7' } };
+        const queueConfig = { destination: 'storagequeue', queue: 'sp-events', mode: 'withData', includeFields: ['Title'] };
+
+        it('should publish the payload a forward would send with its message properties', async () => {
+            const adapter = new InMemoryDestinationAdapter();
+
+            const result = await new EnhancedForwarder(context, 'token').publish(deleted, adapter, queueConfig);
+
+            const [message] = adapter.messages;
+            expect(result).toMatchObject({ success: true, entity: 'sp-events', mode: 'withData', messageId: message.id });
+            expect(axios.post).not.toHaveBeenCalled();
+            expect(message.properties).toEqual({
+                subscriptionId: 'sub-1',
+                changeType: 'deleted',
+                listId: 'list-1',
+                itemId: '7',
+                resource: RESOURCE
+            });
+            expect(message.body.tombstone.lastKnownState.fields).toEqual({ Title: 'Order 7' });
+            expect(await stateStore.get(RESOURCE, '7', 'item')).toBeNull();
+        });
+
+        it('should keep the stored state when publishing fails', async () => {
+            const adapter = { publish: jest.fn().mockRejectedValue(new Error('App setting AZURE_STORAGE_CONNECTION_STRING is not set')) };
+
+            const result = await new EnhancedForwarder(context, 'token').publish(deleted, adapter, queueConfig);
+
+            expect(result).toMatchObject({ success: false, error: 'App setting AZURE_STORAGE_CONNECTION_STRING is not set' });
+            expect(await stateStore.get(RESOURCE, '7', 'item')).not.toBeNull();
+        });
+    });
+});
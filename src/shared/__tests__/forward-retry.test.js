@@ -0,0 +1,93 @@
+const config = require('../config');
+const {
+    validateRetryPolicy,
+    loadRetryPolicies,
+    getRetryPolicy,
+    resolveRetryPolicy,
+    isRetriable,
+    isTargetFailure,
+    parseRetryAfter,
+    computeBackoff,
+    getRetryDelay,
+    resetRetryPolicies
+} = require('../forward-retry');
+
+describe('forward-retry', () => {
+    const originalPolicies = config.forwardRetry.policies;
+
+    beforeEach(() => {
+        config.forwardRetry.policies = JSON.stringify({
+            patient: { maxAttempts: 5, baseDelay: 2000, maxDelay: 60000 },
+            gateway: { retryOn: ['network', 503], jitter: false }
+        });
+        resetRetryPolicies();
+    });
+
+    afterEach(() => {
+        config.forwardRetry.policies = originalPolicies;
+        resetRetryPolicies();
+    });
+
+    describe('policies', () => {
+        it('should merge declared policies onto the default policy', () => {
+            expect(getRetryPolicy('patient')).toMatchObject({ name: 'patient', maxAttempts: 5, baseDelay: 2000, jitter: true });
+            expect(getRetryPolicy('gateway').retryOn).toEqual(['network', '503']);
+            expect(getRetryPolicy(null).name).toBe('default');
+            expect(getRetryPolicy('NONE').maxAttempts).toBe(1);
+        });
+
+        it('should reject unknown policy names', () => {
+            expect(getRetryPolicy('missing')).toBeNull();
+            expect(() => resolveRetryPolicy('missing')).toThrow('Unknown retry policy: missing');
+        });
+
+        it('should skip invalid policies when loading', () => {
+            const policies = loadRetryPolicies({
+                ok: { maxAttempts: 2 },
+                none: { maxAttempts: 2 },
+                broken: { maxAttempts: 0, retryOn: ['sometimes'] }
+            });
+
+            expect(Object.keys(policies)).toEqual(['ok']);
+            expect(validateRetryPolicy({ maxAttempts: 0, baseDelay: -1, retryOn: ['sometimes'] })).toEqual([
+                'maxAttempts must be an integer from 1 to 10',
+                'baseDelay must be a non-negative number of milliseconds',
+                "retryOn must list 'network', '4xx', '5xx' or status codes"
+            ]);
+        });
+    });
+
+    describe('retry decisions', () => {
+        it('should match statuses against retry classes', () => {
+            const policy = getRetryPolicy('default');
+
+            expect([null, 408, 429, 500, 503].every(status => isRetriable(policy, status))).toBe(true);
+            expect([400, 401, 404].some(status => isRetriable(policy, status))).toBe(false);
+            expect(isRetriable(getRetryPolicy('gateway'), 502)).toBe(false);
+        });
+
+        it('should only count unavailable targets as circuit failures', () => {
+            expect([null, 408, 429, 502].every(isTargetFailure)).toBe(true);
+            expect([200, 400, 401, 404].some(isTargetFailure)).toBe(false);
+        });
+
+        it('should back off exponentially up to maxDelay', () => {
+            const policy = getRetryPolicy('gateway');
+
+            expect([1, 2, 3, 10].map(attempt => computeBackoff(policy, attempt))).toEqual([1000, 2000, 4000, 30000]);
+            expect(computeBackoff(getRetryPolicy('default'), 3, () => 0.5)).toBe(2000);
+        });
+
+        it('should honour Retry-After within maxDelay', () => {
+            const policy = getRetryPolicy('gateway');
+            const now = Date.parse('2025-08-16T12:00:00Z');
+
+            expect(parseRetryAfter('120')).toBe(120000);
+            expect(parseRetryAfter('Sat, 16 Aug 2025 12:00:30 GMT', now)).toBe(30000);
+            expect(parseRetryAfter('soon')).toBeNull();
+            expect(getRetryDelay(policy, 1, { headers: { 'retry-after': '5' } })).toBe(5000);
+            expect(getRetryDelay(policy, 1, { headers: { 'retry-after': '3600' } })).toBeNull();
+            expect(getRetryDelay(policy, 2, null)).toBe(2000);
+        });
+    });
+});
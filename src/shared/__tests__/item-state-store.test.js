@@ -0,0 +1,132 @@
+jest.mock('@azure/data-tables', () => ({
+    TableClient: { fromConnectionString: jest.fn() }
+}));
+
+const { TableClient } = require('@azure/data-tables');
+const {
+    buildItemStateKey,
+    InMemoryItemStateStore,
+    TableItemStateStore,
+    createItemStateStore
+} = require('../item-state-store');
+
+const RESOURCE = 'sites/contoso.sharepoint.com:/sites/test:/lists/abc';
+
+const buildItem = (status, overrides = {}) => ({
+    id: '42',
+    lastModifiedDateTime: '2025-08-16T12:00:00Z',
+    fields: { Title: 'Item 42', Status: status },
+    Title: 'Item 42',
+    Status: status,
+    ...overrides
+});
+
+describe('item-state-store', () => {
+    describe('buildItemStateKey', () => {
+        it('should use the initialize-item-states key layout', () => {
+            expect(buildItemStateKey(RESOURCE, 42)).toEqual({
+                partitionKey: 'sites_contoso.sharepoint.com__sites_test__lists_abc',
+                rowKey: 'item_42'
+            });
+            expect(buildItemStateKey(RESOURCE, 42, 'uipath').rowKey).toBe('uipath_42');
+        });
+    });
+
+    describe('InMemoryItemStateStore', () => {
+        it('should return the saved snapshot with fields merged onto the item', async () => {
+            const store = new InMemoryItemStateStore();
+            await store.save(RESOURCE, buildItem('Draft'), 'uipath');
+
+            const previous = await store.get(RESOURCE, '42', 'uipath');
+
+            expect(previous).toMatchObject({ id: '42', Status: 'Draft', fields: { Status: 'Draft' } });
+        });
+
+        it('should key drive documents by drive item ID', async () => {
+            const store = new InMemoryItemStateStore();
+            await store.save('drives/d1/root', buildItem('Draft', { driveItemId: '01ABC' }), 'uipath');
+
+            expect(await store.get('drives/d1/root', '01ABC', 'uipath')).toMatchObject({ id: '42', Status: 'Draft' });
+            expect(await store.get('drives/d1/root', '42', 'uipath')).toBeNull();
+        });
+
+        it('should keep namespaces separate', async () => {
+            const store = new InMemoryItemStateStore();
+            await store.save(RESOURCE, buildItem('Draft'), 'uipath');
+
+            expect(await store.get(RESOURCE, '42')).toBeNull();
+            expect(await store.remove(RESOURCE, '42', 'uipath')).toBe(true);
+            expect(await store.get(RESOURCE, '42', 'uipath')).toBeNull();
+        });
+
+        it('should not be affected by later changes to the saved item', async () => {
+            const store = new InMemoryItemStateStore();
+            const item = buildItem('Draft');
+            await store.save(RESOURCE, item, 'uipath');
+            item.fields.Status = 'Send Generated Form';
+
+            expect((await store.get(RESOURCE, '42', 'uipath')).Status).toBe('Draft');
+        });
+    });
+
+    describe('TableItemStateStore', () => {
+        let tableClient;
+
+        beforeEach(() => {
+            tableClient = {
+                createTable: jest.fn().mockResolvedValue(),
+                getEntity: jest.fn(),
+                upsertEntity: jest.fn().mockResolvedValue(),
+                deleteEntity: jest.fn().mockResolvedValue()
+            };
+            TableClient.fromConnectionString.mockReturnValue(tableClient);
+        });
+
+        it('should upsert the snapshot as previousState', async () => {
+            const store = new TableItemStateStore({ connectionString: 'UseDevelopmentStorage=true' });
+            await store.save(RESOURCE, buildItem('Draft'), 'uipath');
+
+            const [entity, mode] = tableClient.upsertEntity.mock.calls[0];
+            expect(mode).toBe('Replace');
+            expect(entity).toMatchObject({
+                partitionKey: 'sites_contoso.sharepoint.com__sites_test__lists_abc',
+                rowKey: 'uipath_42',
+                itemId: '42'
+            });
+            expect(JSON.parse(entity.previousState)).toEqual({
+                id: '42',
+                lastModifiedDateTime: '2025-08-16T12:00:00Z',
+                eTag: null,
+                webUrl: null,
+                fields: { Title: 'Item 42', Status: 'Draft' }
+            });
+        });
+
+        it('should read rows written by initialize-item-states', async () => {
+            tableClient.getEntity.mockResolvedValue({
+                previousState: JSON.stringify({ id: '42', fields: { Status: 'In Progress' } })
+            });
+            const store = new TableItemStateStore({ connectionString: 'UseDevelopmentStorage=true' });
+
+            expect(await store.get(RESOURCE, '42')).toMatchObject({ id: '42', Status: 'In Progress' });
+            expect(tableClient.getEntity).toHaveBeenCalledWith('sites_contoso.sharepoint.com__sites_test__lists_abc', 'item_42');
+        });
+
+        it('should return null for missing rows and rethrow other errors', async () => {
+            const store = new TableItemStateStore({ connectionString: 'UseDevelopmentStorage=true' });
+
+            tableClient.getEntity.mockRejectedValueOnce(Object.assign(new Error('Not found'), { statusCode: 404 }));
+            expect(await store.get(RESOURCE, '42')).toBeNull();
+
+            tableClient.getEntity.mockRejectedValueOnce(Object.assign(new Error('Throttled'), { statusCode: 503 }));
+            await expect(store.get(RESOURCE, '42')).rejects.toThrow('Throttled');
+        });
+    });
+
+    describe('createItemStateStore', () => {
+        it('should create the requested backend and reject unknown ones', () => {
+            expect(createItemStateStore({ backend: 'memory' })).toBeInstanceOf(InMemoryItemStateStore);
+            expect(() => createItemStateStore({ backend: 'redis' })).toThrow('Unknown item state store backend: redis');
+        });
+    });
+});
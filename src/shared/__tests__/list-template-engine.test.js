@@ -0,0 +1,324 @@
+jest.mock('../constants', () => ({
+    VALIDATION_PATTERNS: {
+        EMAIL: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        DATE_MDY: /^\d{1,2}\/\d{1,2}\/\d{4}$/,
+        PO_NUMBER: /^[A-Z0-9\-_,\s]+$/i,
+        UIPATH_QUEUE_NAME: /^[A-Za-z0-9\-_]+$/
+    },
+    HTML_ENTITY_DECODINGS: {
+        '&#58;': ':',
+        '&#x3A;': ':',
+        '%3A': ':',
+        '&amp;': '&',
+        '&#38;': '&',
+        '&lt;': '<',
+        '&gt;': '>',
+        '&quot;': '"',
+        '&#39;': "'",
+        '%7B': '{',
+        '%7D': '}'
+    },
+    UIPATH_PRIORITY: { LOW: 'Low', NORMAL: 'Normal', HIGH: 'High' },
+    UIPATH_PROCESS_TYPES: { COSTCO_INLINE_ROUTING: 'COSTCO_INLINE_ROUTING' },
+    COSTCO_CONFIG_CONSTANTS: {
+        LIST_NAME: 'COSTCO-INLINE-Trafficking-Routing',
+        SITE_PATH: 'fambrandsllc.sharepoint.com:/sites/DWI/COSTCO-INLINE-Trafficking-Routing:',
+        QUEUE_NAME: 'COSTCO-INLINE-Routing',
+        PROCESS_TYPE: 'COSTCO_INLINE_ROUTING'
+    },
+    COSTCO_STATUS_VALUES: {
+        DRAFT: 'Draft',
+        IN_PROGRESS: 'In Progress',
+        READY_FOR_REVIEW: 'Ready for Review',
+        SEND_GENERATED_FORM: 'Send Generated Form'
+    },
+    COSTCO_REQUIRED_FIELDS: ['ShiptoEmail', 'ShipDate', 'Style', 'PO_No'],
+    COSTCO_FIELD_MAPPINGS: {},
+    SERVICE_NAMES: {},
+    ERROR_MESSAGES: {},
+    HTTP_STATUS: {},
+    HTTP_HEADERS: {}
+}));
+
+jest.mock('../logger', () => ({
+    createLogger: jest.fn(() => ({
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }))
+}));
+
+const mockSubmitQueueItem = jest.fn(async () => ({ success: true, queueItemId: 99 }));
+jest.mock('../uipath-queue-client', () => ({
+    createUiPathQueueClient: jest.fn(() => ({ submitQueueItem: mockSubmitQueueItem }))
+}));
+
+const mockCreateDocumentReference = jest.fn();
+const mockExtractDocumentFromHTML = jest.fn();
+jest.mock('../sharepoint-document-handler', () => ({
+    DOCUMENT_STRATEGY: {},
+    createDocumentHandler: jest.fn(() => ({
+        createUiPathDocumentReference: mockCreateDocumentReference,
+        extractDocumentFromHTML: mockExtractDocumentFromHTML
+    }))
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    createListTemplateProcessor,
+    validateTemplateDefinition,
+    matchesTemplate,
+    evaluateMapping,
+    loadTemplateDefinitions
+} = require('../list-template-engine');
+const { createCostcoProcessor } = require('../../templates/costco-inline-routing');
+const costcoDefinition = require('../../templates/definitions/costco-inline-routing.json');
+
+const buildCostcoItem = (overrides = {}) => ({
+    ID: 42,
+    id: '42',
+    Status: 'Send Generated Form',
+    lastModifiedDateTime: '2025-08-16T11:59:00Z',
+    fields: {
+        ShiptoEmail: 'dock@example.com',
+        ShipDate: '8/20/2025',
+        Style: 'ST-1001',
+        PO_No: 'PO 123, 456',
+        Status: 'Send Generated Form',
+        Title: 'Routing form',
+        GeneratedRoutingFormURL: '<a href="/sites/DWI/Shared%20Documents/RoutingForm.xlsx">Form</a>',
+        ...overrides
+    }
+});
+
+/**
+ * Run the hand-written COSTCO template and the declarative definition on the
+ * same input and return both queue submissions
+ */
+async function runBoth(item, previousItem = null, queueName = null) {
+    mockSubmitQueueItem.mockClear();
+    const legacyResult = await createCostcoProcessor(null).processItem(item, previousItem, queueName, 'token');
+    const legacySubmission = mockSubmitQueueItem.mock.calls[0] || null;
+
+    mockSubmitQueueItem.mockClear();
+    const templateResult = await createListTemplateProcessor(costcoDefinition, null)
+        .processItem(item, previousItem, queueName, 'token');
+    const templateSubmission = mockSubmitQueueItem.mock.calls[0] || null;
+
+    return { legacyResult, legacySubmission, templateResult, templateSubmission };
+}
+
+describe('list-template-engine', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2025-08-16T12:00:00.000Z'));
+        mockCreateDocumentReference.mockReset();
+        mockExtractDocumentFromHTML.mockReset();
+        mockCreateDocumentReference.mockResolvedValue({
+            hasDocument: true,
+            strategy: 'sharepoint_hyperlink',
+            fileName: 'RoutingForm.xlsx',
+            fileExtension: 'xlsx',
+            documentUrl: 'https&#58;//fambrandsllc.sharepoint.com/sites/DWI/Shared%20Documents/RoutingForm.xlsx',
+            directDownloadUrl: 'https://fambrandsllc.sharepoint.com/download.aspx?id=1',
+            uipathCompatible: true
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('COSTCO definition parity', () => {
+        it('should define a valid template', () => {
+            expect(validateTemplateDefinition(costcoDefinition)).toEqual([]);
+        });
+
+        it('should submit the same queue item as the hand-written template', async () => {
+            const { legacySubmission, templateSubmission, templateResult } = await runBoth(buildCostcoItem());
+
+            expect(templateResult.processed).toBe(true);
+            expect(templateSubmission).toEqual(legacySubmission);
+            expect(Object.keys(templateSubmission[1].specificContent))
+                .toEqual(Object.keys(legacySubmission[1].specificContent));
+            expect(templateSubmission[0]).toBe('COSTCO-INLINE-Routing');
+            expect(templateSubmission[1].reference).toBe(`COSTCO_PO_123__456_42_${Date.now()}`);
+        });
+
+        it('should match the hand-written template when document processing falls back', async () => {
+            mockCreateDocumentReference.mockRejectedValue(new Error('Graph unavailable'));
+            mockExtractDocumentFromHTML.mockReturnValueOnce(null).mockReturnValueOnce(null);
+
+            const { legacySubmission, templateSubmission } = await runBoth(buildCostcoItem());
+
+            expect(templateSubmission).toEqual(legacySubmission);
+            expect(templateSubmission[1].specificContent.Document.DocumentUrl)
+                .toBe('https://fambrandsllc.sharepoint.com/sites/DWI/Shared%20Documents/RoutingForm.xlsx');
+        });
+
+        it('should match the hand-written template without a document and reject unparseable dates', async () => {
+            const { legacyResult, templateResult } = await runBoth(buildCostcoItem({ ShipDate: 'soon' }));
+
+            expect(templateResult.processed).toBe(false);
+            expect(templateResult.error).toBe(legacyResult.error);
+
+            const noDocument = await runBoth(buildCostcoItem({ GeneratedRoutingFormURL: undefined }));
+            expect(noDocument.templateSubmission).toEqual(noDocument.legacySubmission);
+            expect(noDocument.templateSubmission[1].specificContent.Document).toEqual({
+                HasDocument: false,
+                Reason: 'No GeneratedRoutingFormURL field found'
+            });
+        });
+
+        it('should report the same validation errors', async () => {
+            const { legacyResult, templateResult } = await runBoth(buildCostcoItem({ Style: '', ShiptoEmail: 'not-an-email' }));
+
+            expect(templateResult.processed).toBe(false);
+            expect(templateResult.error).toBe('Missing required COSTCO fields: Style');
+            expect(templateResult.error).toBe(legacyResult.error);
+
+            const invalid = await runBoth(buildCostcoItem({ ShiptoEmail: 'not-an-email' }));
+            expect(invalid.templateResult.error).toBe(invalid.legacyResult.error);
+        });
+
+        it('should apply the trigger transition and queue override like the hand-written template', async () => {
+            const unchanged = await runBoth(buildCostcoItem(), { Status: 'Send Generated Form' });
+            expect(unchanged.templateResult.processed).toBe(false);
+            expect(unchanged.legacyResult.processed).toBe(false);
+
+            const notTriggered = await runBoth({ ...buildCostcoItem(), Status: 'Draft' });
+            expect(notTriggered.templateSubmission).toBeNull();
+            expect(notTriggered.legacySubmission).toBeNull();
+
+            const override = await runBoth(buildCostcoItem(), { Status: 'Draft' }, 'COSTCO_TEST');
+            expect(override.templateSubmission).toEqual(override.legacySubmission);
+            expect(override.templateSubmission[0]).toBe('COSTCO_TEST');
+        });
+    });
+
+    describe('evaluateMapping', () => {
+        it('should use the first non-empty source, then the default, then transforms', () => {
+            const item = { Title: '', fields: { Title: ' Hello ' } };
+
+            expect(evaluateMapping({ sources: ['Title', 'fields.Title'], transform: ['trim', 'upper'] }, item)).toBe('HELLO');
+            expect(evaluateMapping({ sources: ['Missing'], default: 'n/a' }, item)).toBe('n/a');
+            expect(evaluateMapping({ value: 'constant' }, item)).toBe('constant');
+            expect(evaluateMapping({ source: '$output.Ref' }, item, { Ref: 'A' })).toBe('A');
+        });
+    });
+
+    describe('validateTemplateDefinition', () => {
+        it('should report missing match rules, unknown transforms and patterns', () => {
+            const errors = validateTemplateDefinition({
+                name: 'broken',
+                match: {},
+                fieldMappings: [{ target: 'A', source: 'A', transform: 'reverse' }, { source: 'B' }],
+                requiredFields: [{ name: 'C', pattern: 'SSN' }],
+                document: { strategy: 'attachments' },
+                queue: { priority: 'Urgent' }
+            });
+
+            expect(errors).toEqual(expect.arrayContaining([
+                'match needs at least one of handlers, resourceContains or resourcePattern',
+                "fieldMappings[0] (A) uses unknown transform 'reverse'",
+                'fieldMappings[1] is missing target',
+                "requiredFields[0] (C) uses unknown pattern 'SSN'",
+                'document.strategy must be one of: none, hyperlink',
+                'queue.priority must be one of: Low, Normal, High'
+            ]));
+        });
+    });
+
+    describe('matchesTemplate', () => {
+        it('should match on handler, resource fragment or resource pattern', () => {
+            const definition = { match: { handlers: ['invoices'], resourceContains: ['AP-Invoices'], resourcePattern: 'lists/abc-\\d+' } };
+
+            expect(matchesTemplate(definition, { clientState: { handler: 'invoices' } })).toBe(true);
+            expect(matchesTemplate(definition, { clientState: {}, resource: 'sites/x:/sites/ap-invoices:/lists/1' })).toBe(true);
+            expect(matchesTemplate(definition, { clientState: {}, resource: 'sites/x/lists/ABC-12' })).toBe(true);
+            expect(matchesTemplate(definition, { clientState: { handler: 'document' }, resource: 'sites/x/lists/other' })).toBe(false);
+        });
+    });
+
+    describe('generic definitions', () => {
+        it('should process a definition without trigger or document handling', async () => {
+            const processor = createListTemplateProcessor({
+                name: 'vendor-onboarding',
+                match: { handlers: ['vendor'] },
+                queue: { defaultQueue: 'VENDOR_ONBOARDING' },
+                fieldMappings: [
+                    { target: 'VendorName', sources: ['fields.Title'] },
+                    { target: 'Amount', sources: ['fields.Amount'], transform: 'number' }
+                ]
+            });
+
+            mockSubmitQueueItem.mockClear();
+            const result = await processor.processItem({ ID: 7, id: '7', fields: { Title: 'Contoso', Amount: '12.5' } });
+
+            expect(result).toMatchObject({ processed: true, template: 'vendor-onboarding' });
+            expect(mockSubmitQueueItem).toHaveBeenCalledWith('VENDOR_ONBOARDING', {
+                priority: 'Normal',
+                reference: `VENDOR-ONBOARDING_7_${Date.now()}`,
+                specificContent: { VendorName: 'Contoso', Amount: 12.5 }
+            });
+        });
+    });
+
+    describe('onDelete', () => {
+        const definition = {
+            name: 'vendor-onboarding',
+            match: { handlers: ['vendor'] },
+            queue: { defaultQueue: 'VENDOR_ONBOARDING' },
+            fieldMappings: [{ target: 'VendorName', sources: ['fields.Title'] }],
+            onDelete: { queue: 'VENDOR_CANCELLATIONS', priority: 'High' }
+        };
+
+        it('should submit the last known state with the deleted change type', async () => {
+            mockSubmitQueueItem.mockClear();
+            const result = await createListTemplateProcessor(definition)
+                .processDeletion({ ID: 7, id: '7', fields: { Title: 'Contoso' } }, '2025-08-16T12:00:00.000Z', 'OTHER_QUEUE');
+
+            expect(result).toMatchObject({ processed: true, template: 'vendor-onboarding' });
+            expect(mockSubmitQueueItem).toHaveBeenCalledWith('VENDOR_CANCELLATIONS', {
+                priority: 'High',
+                reference: `VENDOR-ONBOARDING_7_${Date.now()}_DELETED`,
+                specificContent: {
+                    VendorName: 'Contoso',
+                    ChangeType: 'deleted',
+                    DeletedDateTime: '2025-08-16T12:00:00.000Z'
+                }
+            });
+        });
+
+        it('should validate the onDelete block', () => {
+            expect(validateTemplateDefinition({ ...definition, onDelete: { priority: 'Urgent', fieldMappings: [{}] } }))
+                .toEqual([
+                    'onDelete.fieldMappings[0] is missing target',
+                    'onDelete.priority must be one of: Low, Normal, High'
+                ]);
+        });
+    });
+
+    describe('loadTemplateDefinitions', () => {
+        it('should load valid JSON definitions and skip invalid ones', () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'list-templates-'));
+            try {
+                fs.writeFileSync(path.join(directory, 'a.json'), JSON.stringify(costcoDefinition));
+                fs.writeFileSync(path.join(directory, 'b.json'), JSON.stringify({ name: 'no-match', fieldMappings: [] }));
+                fs.writeFileSync(path.join(directory, 'c.json'), '{ not json');
+                fs.writeFileSync(path.join(directory, 'readme.txt'), 'ignored');
+
+                expect(loadTemplateDefinitions(directory).map(definition => definition.name)).toEqual(['costco-inline-routing']);
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        });
+
+        it('should return an empty list for a missing directory', () => {
+            expect(loadTemplateDefinitions(path.join(os.tmpdir(), 'does-not-exist-list-templates'))).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,134 @@
+jest.mock('../logger', () => ({
+    createLogger: () => ({
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        debug: jest.fn()
+    })
+}));
+
+const mockRegistry = { get: jest.fn() };
+jest.mock('../subscription-registry', () => ({
+    getSubscriptionRegistry: () => mockRegistry
+}));
+
+const { InMemorySecurityAuditStore, SECURITY_AUDIT_REASONS } = require('../security-audit-store');
+
+const mockAuditStore = new InMemorySecurityAuditStore();
+jest.mock('../security-audit-store', () => ({
+    ...jest.requireActual('../security-audit-store'),
+    getSecurityAuditStore: () => mockAuditStore
+}));
+
+const config = require('../config');
+const {
+    generateClientSecret,
+    secretsMatch,
+    authenticateNotification
+} = require('../notification-authenticator');
+
+const trackingItem = (fields = {}) => ({
+    id: '3',
+    fields: {
+        SubscriptionId: 'sub-1',
+        Status: 'Active',
+        ClientState: 'destination:uipath|handler:document|queue:Q',
+        ClientSecret: 'the-secret',
+        ...fields
+    }
+});
+
+const notification = (overrides = {}) => ({
+    subscriptionId: 'sub-1',
+    resource: 'sites/contoso.sharepoint.com:/sites/ops:/lists/list-1',
+    changeType: 'updated',
+    clientState: 'the-secret',
+    tenantId: 'tenant-1',
+    ...overrides
+});
+
+describe('notification-authenticator', () => {
+    const context = {};
+    const originalTenantId = config.azure.tenantId;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockAuditStore.entries = [];
+        mockRegistry.get.mockResolvedValue(trackingItem());
+        config.azure.tenantId = 'tenant-1';
+        config.notificationAuth.requireClientSecret = false;
+    });
+
+    afterAll(() => {
+        config.azure.tenantId = originalTenantId;
+    });
+
+    it('should generate distinct URL-safe secrets', () => {
+        const first = generateClientSecret();
+
+        expect(first).toMatch(/^[A-Za-z0-9_-]{32}$/);
+        expect(generateClientSecret()).not.toBe(first);
+    });
+
+    it('should compare secrets safely', () => {
+        expect(secretsMatch('abc', 'abc')).toBe(true);
+        expect(secretsMatch('abc', 'abd')).toBe(false);
+        expect(secretsMatch('abc', 'abcd')).toBe(false);
+        expect(secretsMatch('abc', undefined)).toBe(false);
+    });
+
+    it('should accept a notification that echoes the subscription secret', async () => {
+        const result = await authenticateNotification(notification(), context, { source: 'webhook-handler' });
+
+        expect(result.authentic).toBe(true);
+        expect(result.trackingItem.fields.ClientState).toBe('destination:uipath|handler:document|queue:Q');
+        expect(mockAuditStore.entries).toHaveLength(0);
+    });
+
+    it.each([
+        ['unknown subscriptions', () => mockRegistry.get.mockResolvedValue(null), {}, SECURITY_AUDIT_REASONS.UNKNOWN_SUBSCRIPTION],
+        ['deleted subscriptions', () => mockRegistry.get.mockResolvedValue(trackingItem({ Status: 'Deleted' })), {}, SECURITY_AUDIT_REASONS.DELETED_SUBSCRIPTION],
+        ['a mismatching secret', () => {}, { clientState: 'guess' }, SECURITY_AUDIT_REASONS.SECRET_MISMATCH],
+        ['a foreign tenant', () => {}, { tenantId: 'tenant-2' }, SECURITY_AUDIT_REASONS.TENANT_MISMATCH]
+    ])('should reject %s and record an audit entry', async (_label, arrange, overrides, reason) => {
+        arrange();
+
+        const result = await authenticateNotification(notification(overrides), context, { source: 'webhook-handler' });
+
+        expect(result).toMatchObject({ authentic: false, reason });
+        expect(mockAuditStore.entries).toEqual([
+            expect.objectContaining({ reason, source: 'webhook-handler', subscriptionId: 'sub-1' })
+        ]);
+        expect(JSON.stringify(mockAuditStore.entries)).not.toContain('guess');
+    });
+
+    it('should accept deleted subscriptions when allowed', async () => {
+        mockRegistry.get.mockResolvedValue(trackingItem({ Status: 'Deleted' }));
+
+        const result = await authenticateNotification(notification(), context, { allowDeleted: true });
+
+        expect(result.authentic).toBe(true);
+    });
+
+    it('should accept subscriptions created before secrets unless secrets are required', async () => {
+        mockRegistry.get.mockResolvedValue(trackingItem({ ClientSecret: '' }));
+        const legacy = notification({ clientState: 'destination:uipath|handler:document|queue:Q' });
+
+        expect((await authenticateNotification(legacy, context)).authentic).toBe(true);
+
+        config.notificationAuth.requireClientSecret = true;
+        expect(await authenticateNotification(legacy, context)).toMatchObject({
+            authentic: false,
+            reason: SECURITY_AUDIT_REASONS.MISSING_SECRET
+        });
+    });
+
+    it('should still reject the notification when the audit store fails', async () => {
+        mockRegistry.get.mockResolvedValue(null);
+        jest.spyOn(mockAuditStore, 'record').mockRejectedValueOnce(new Error('Storage down'));
+
+        const result = await authenticateNotification(notification(), context);
+
+        expect(result.authentic).toBe(false);
+    });
+});
@@ -0,0 +1,132 @@
+jest.mock('axios');
+jest.mock('../auth', () => ({
+    getAccessToken: jest.fn().mockResolvedValue('token')
+}));
+jest.mock('../logger', () => ({
+    createLogger: jest.fn(() => ({
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }))
+}));
+
+const mockRegistry = {
+    get: jest.fn(),
+    updateCachedFields: jest.fn()
+};
+jest.mock('../subscription-registry', () => ({
+    getSubscriptionRegistry: () => mockRegistry
+}));
+
+const axios = require('axios');
+const {
+    InMemoryCounterStore,
+    createCounterStore,
+    flushNotificationCounters
+} = require('../notification-counters');
+
+const trackingItem = (fields = {}, etag = '"etag-1"') => ({
+    data: {
+        id: '7',
+        '@odata.etag': etag,
+        fields: { SubscriptionId: 'sub-1', Status: 'Active', NotificationCount: 10, ...fields }
+    }
+});
+
+describe('notification-counters', () => {
+    let mockContext;
+    let store;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockContext = global.testHelpers.createMockContext();
+        store = new InMemoryCounterStore();
+        mockRegistry.get.mockResolvedValue({ id: '7', fields: { SubscriptionId: 'sub-1' } });
+    });
+
+    describe('InMemoryCounterStore', () => {
+        it('should aggregate counts and keep the latest forward time', async () => {
+            await store.add('sub-1', { count: 1 });
+            await store.add('sub-1', { count: 1, lastForwardedDateTime: '2024-01-01T10:00:00Z' });
+            await store.add('sub-1', { lastForwardedDateTime: '2024-01-01T09:00:00Z' });
+            await store.add('sub-2', { count: 1 });
+
+            const batches = await store.collect();
+
+            expect(batches).toEqual([
+                { subscriptionId: 'sub-1', count: 2, lastForwardedDateTime: '2024-01-01T10:00:00Z' },
+                { subscriptionId: 'sub-2', count: 1, lastForwardedDateTime: null }
+            ]);
+            expect(await store.collect()).toEqual([]);
+        });
+    });
+
+    describe('createCounterStore', () => {
+        it('should reject unknown backends', () => {
+            expect(() => createCounterStore({ backend: 'tally-marks' }))
+                .toThrow('Unknown notification counter backend: tally-marks');
+        });
+    });
+
+    describe('flushNotificationCounters', () => {
+        it('should apply buffered counts in one conditional write', async () => {
+            await store.add('sub-1', { count: 1 });
+            await store.add('sub-1', { count: 1 });
+            await store.add('sub-1', { count: 1, lastForwardedDateTime: '2024-01-01T10:00:00Z' });
+            axios.get.mockResolvedValue(trackingItem());
+            axios.patch.mockResolvedValue({ status: 200 });
+
+            const summary = await flushNotificationCounters(mockContext, { store });
+
+            expect(summary).toMatchObject({ subscriptions: 1, notifications: 3, applied: 1, failed: 0 });
+            expect(axios.patch).toHaveBeenCalledTimes(1);
+            const [, body, options] = axios.patch.mock.calls[0];
+            expect(body.fields).toEqual({ NotificationCount: 13, LastForwardedDateTime: '2024-01-01T10:00:00Z' });
+            expect(options.headers['If-Match']).toBe('"etag-1"');
+            expect(mockRegistry.updateCachedFields).toHaveBeenCalledWith('sub-1', body.fields);
+        });
+
+        it('should re-read and retry when the ETag no longer matches', async () => {
+            await store.add('sub-1', { count: 2 });
+            axios.get
+                .mockResolvedValueOnce(trackingItem({ NotificationCount: 10 }, '"etag-1"'))
+                .mockResolvedValueOnce(trackingItem({ NotificationCount: 11 }, '"etag-2"'));
+            axios.patch
+                .mockResolvedValueOnce({ status: 412 })
+                .mockResolvedValueOnce({ status: 200 });
+
+            const summary = await flushNotificationCounters(mockContext, { store });
+
+            expect(summary.applied).toBe(1);
+            expect(axios.patch).toHaveBeenCalledTimes(2);
+            expect(axios.patch.mock.calls[1][1].fields.NotificationCount).toBe(13);
+            expect(axios.patch.mock.calls[1][2].headers['If-Match']).toBe('"etag-2"');
+        });
+
+        it('should release the batch for the next flush when retries are exhausted', async () => {
+            await store.add('sub-1', { count: 4 });
+            axios.get.mockResolvedValue(trackingItem());
+            axios.patch.mockResolvedValue({ status: 412 });
+
+            const summary = await flushNotificationCounters(mockContext, { store, maxRetries: 1 });
+
+            expect(summary.failed).toBe(1);
+            expect(axios.patch).toHaveBeenCalledTimes(2);
+            expect(await store.collect()).toEqual([
+                { subscriptionId: 'sub-1', count: 4, lastForwardedDateTime: null }
+            ]);
+        });
+
+        it('should drop counters for deleted webhooks', async () => {
+            await store.add('sub-1', { count: 1 });
+            axios.get.mockResolvedValue(trackingItem({ Status: 'Deleted' }));
+
+            const summary = await flushNotificationCounters(mockContext, { store });
+
+            expect(summary.skipped).toBe(1);
+            expect(axios.patch).not.toHaveBeenCalled();
+            expect(await store.collect()).toEqual([]);
+        });
+    });
+});
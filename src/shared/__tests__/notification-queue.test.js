@@ -0,0 +1,168 @@
+// Mock logger
+jest.mock('../logger', () => ({
+    createLogger: jest.fn(() => ({
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }))
+}));
+
+const {
+    InMemoryNotificationQueue,
+    createNotificationQueue,
+    drainNotificationQueue,
+    runWithConcurrency
+} = require('../notification-queue');
+
+const buildNotification = (id = '1') => ({
+    subscriptionId: `sub-${id}`,
+    resource: 'sites/contoso.sharepoint.com:/sites/test:/lists/abc',
+    changeType: 'updated',
+    resourceData: { id }
+});
+
+describe('notification-queue', () => {
+    describe('InMemoryNotificationQueue', () => {
+        let queue;
+
+        beforeEach(() => {
+            queue = new InMemoryNotificationQueue({ visibilityTimeout: 60 });
+        });
+
+        it('should enqueue and dequeue notifications in order', async () => {
+            await queue.enqueue(buildNotification('1'));
+            await queue.enqueue(buildNotification('2'));
+
+            const messages = await queue.dequeue(10);
+
+            expect(messages).toHaveLength(2);
+            expect(messages[0].notification.subscriptionId).toBe('sub-1');
+            expect(messages[1].notification.subscriptionId).toBe('sub-2');
+            expect(messages[0].dequeueCount).toBe(1);
+            expect(messages[0].receivedAt).toBeDefined();
+        });
+
+        it('should hide dequeued messages until completed or abandoned', async () => {
+            await queue.enqueue(buildNotification());
+
+            const [message] = await queue.dequeue(1);
+            expect(await queue.dequeue(1)).toHaveLength(0);
+
+            await queue.abandon(message);
+            const [retried] = await queue.dequeue(1);
+            expect(retried.dequeueCount).toBe(2);
+
+            await queue.complete(retried);
+            expect(await queue.size()).toBe(0);
+        });
+
+        it('should ignore completion with a stale pop receipt', async () => {
+            await queue.enqueue(buildNotification());
+
+            const [first] = await queue.dequeue(1);
+            await queue.abandon(first);
+            await queue.dequeue(1);
+
+            await queue.complete(first);
+            expect(await queue.size()).toBe(1);
+        });
+    });
+
+    describe('createNotificationQueue', () => {
+        it('should create the in-memory backend', () => {
+            const queue = createNotificationQueue({ backend: 'memory' });
+            expect(queue).toBeInstanceOf(InMemoryNotificationQueue);
+        });
+
+        it('should reject unknown backends', () => {
+            expect(() => createNotificationQueue({ backend: 'carrier-pigeon' }))
+                .toThrow('Unknown notification queue backend: carrier-pigeon');
+        });
+    });
+
+    describe('runWithConcurrency', () => {
+        it('should never exceed the concurrency limit', async () => {
+            let active = 0;
+            let peak = 0;
+
+            await runWithConcurrency([1, 2, 3, 4, 5, 6], 2, async () => {
+                active++;
+                peak = Math.max(peak, active);
+                await new Promise(resolve => {
+                    setTimeout(resolve, 5);
+                });
+                active--;
+            });
+
+            expect(peak).toBe(2);
+        });
+    });
+
+    describe('drainNotificationQueue', () => {
+        let queue;
+
+        beforeEach(() => {
+            queue = new InMemoryNotificationQueue({ visibilityTimeout: 60 });
+        });
+
+        it('should process and complete all queued notifications', async () => {
+            await queue.enqueue(buildNotification('1'));
+            await queue.enqueue(buildNotification('2'));
+            await queue.enqueue(buildNotification('3'));
+            const handler = jest.fn().mockResolvedValue();
+
+            const summary = await drainNotificationQueue(queue, handler, { batchSize: 2, concurrency: 2 });
+
+            expect(handler).toHaveBeenCalledTimes(3);
+            expect(summary).toEqual({ received: 3, succeeded: 3, failed: 0, discarded: 0 });
+            expect(await queue.size()).toBe(0);
+        });
+
+        it('should release failed notifications for retry', async () => {
+            await queue.enqueue(buildNotification());
+            const handler = jest.fn().mockRejectedValue(new Error('UiPath unavailable'));
+
+            const summary = await drainNotificationQueue(queue, handler, { retryDelay: 0, maxBatches: 1 });
+
+            expect(summary.failed).toBe(1);
+            expect(summary.discarded).toBe(0);
+            expect(await queue.size()).toBe(1);
+        });
+
+        it('should keep draining when a message cannot be completed or abandoned', async () => {
+            await queue.enqueue(buildNotification('1'));
+            await queue.enqueue(buildNotification('2'));
+            await queue.enqueue(buildNotification('3'));
+            jest.spyOn(queue, 'complete').mockRejectedValueOnce(new Error('lease lost'));
+            jest.spyOn(queue, 'abandon').mockRejectedValueOnce(new Error('lease lost'));
+            const handler = jest.fn(async notification => {
+                if (notification.resourceData.id === '2') {
+                    throw new Error('UiPath unavailable');
+                }
+            });
+
+            const summary = await drainNotificationQueue(queue, handler, { concurrency: 1, maxBatches: 1 });
+
+            expect(handler).toHaveBeenCalledTimes(3);
+            expect(summary).toEqual({ received: 3, succeeded: 2, failed: 1, discarded: 0 });
+            expect(queue.complete).toHaveBeenCalledTimes(2);
+            expect(await queue.size()).toBe(2);
+        });
+
+        it('should discard notifications that reach the max dequeue count', async () => {
+            await queue.enqueue(buildNotification());
+            const handler = jest.fn().mockRejectedValue(new Error('still failing'));
+
+            const summary = await drainNotificationQueue(queue, handler, {
+                retryDelay: 0,
+                maxDequeueCount: 2,
+                maxBatches: 5
+            });
+
+            expect(handler).toHaveBeenCalledTimes(2);
+            expect(summary.discarded).toBe(1);
+            expect(await queue.size()).toBe(0);
+        });
+    });
+});
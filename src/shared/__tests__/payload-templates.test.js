@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    renderPayloadTemplate,
+    getTemplateMode,
+    validatePayloadTemplate,
+    loadPayloadTemplates,
+    getPayloadTemplate
+} = require('../payload-templates');
+
+const ENVELOPE = {
+    timestamp: '2025-08-16T12:00:00.000Z',
+    notification: { subscriptionId: 'sub-1', changeType: 'updated', resourceData: { id: '7' } },
+    currentState: {
+        id: '7',
+        lastModified: '2025-08-16T11:59:30Z',
+        webUrl: 'https://contoso.sharepoint.com/sites/ops/Lists/Orders/7_.000',
+        fields: { Title: 'Order 7', Amount: '1234.5678', Tags: ['Rush', 'Export'], Status: 'Approved' }
+    },
+    changes: {
+        details: {
+            added: {},
+            modified: { Status: { old: 'Submitted', new: 'Approved' } },
+            removed: {}
+        }
+    }
+};
+
+describe('payload-templates', () => {
+    describe('renderPayloadTemplate', () => {
+        it('should rename fields, add constants and build nested objects', () => {
+            const payload = renderPayloadTemplate({
+                mappings: [
+                    { target: 'type', value: 'order.updated' },
+                    { target: 'order.id', source: 'currentState.id' },
+                    { target: 'order.name', source: 'currentState.fields.Title', transform: 'upper' },
+                    { target: 'order.owner', source: 'currentState.fields.Owner', default: 'unassigned' },
+                    { target: 'order.ref', source: '$output.order.id' },
+                    { target: 'missing', source: 'currentState.fields.Missing' }
+                ]
+            }, ENVELOPE);
+
+            expect(payload).toEqual({
+                type: 'order.updated',
+                order: { id: '7', name: 'ORDER 7', owner: 'unassigned', ref: '7' }
+            });
+        });
+
+        it('should format dates and numbers', () => {
+            const payload = renderPayloadTemplate({
+                mappings: [
+                    { target: 'modified', source: 'currentState.lastModified', format: { type: 'date', pattern: 'dd/MM/yyyy HH:mm:ss' } },
+                    { target: 'day', source: 'currentState.fields.Title', format: { type: 'date', pattern: 'yyyy-MM-dd' } },
+                    { target: 'amount', source: 'currentState.fields.Amount', format: { type: 'number', decimals: 2 } }
+                ]
+            }, ENVELOPE);
+
+            expect(payload).toEqual({ modified: '16/08/2025 11:59:30', day: 'Order 7', amount: 1234.57 });
+        });
+
+        it('should map, join and reduce arrays', () => {
+            const payload = renderPayloadTemplate({
+                mappings: [
+                    { target: 'tags', source: 'currentState.fields.Tags', array: { join: ', ' } },
+                    { target: 'primaryTag', source: 'currentState.fields.Tags', array: { first: true } },
+                    { target: 'status', source: 'currentState.fields.Status', array: {} },
+                    {
+                        target: 'changed',
+                        source: 'changes.details.modified',
+                        array: {
+                            entries: true,
+                            map: [
+                                { target: 'field', source: 'key' },
+                                { target: 'values.from', source: 'value.old' },
+                                { target: 'values.to', source: 'value.new' }
+                            ]
+                        }
+                    }
+                ]
+            }, ENVELOPE);
+
+            expect(payload).toEqual({
+                tags: 'Rush, Export',
+                primaryTag: 'Rush',
+                status: ['Approved'],
+                changed: [{ field: 'Status', values: { from: 'Submitted', to: 'Approved' } }]
+            });
+        });
+
+        it('should send the envelope unchanged for built-in templates', () => {
+            const template = getPayloadTemplate('WITHCHANGES');
+
+            expect(template).toMatchObject({ name: 'withChanges', builtIn: true });
+            expect(getTemplateMode(template)).toBe('withChanges');
+            expect(renderPayloadTemplate(template, ENVELOPE)).toBe(ENVELOPE);
+        });
+    });
+
+    describe('validatePayloadTemplate', () => {
+        it('should accept the bundled definitions', () => {
+            const definition = getPayloadTemplate('power-automate-item');
+
+            expect(definition).toBeTruthy();
+            expect(validatePayloadTemplate(definition)).toEqual([]);
+            expect(getTemplateMode({ name: 'x', mappings: [] })).toBe('withData');
+        });
+
+        it('should report invalid definitions', () => {
+            expect(validatePayloadTemplate({ name: 'withData', mode: 'everything', mappings: [] })).toEqual([
+                "name 'withData' is reserved for a built-in template",
+                'mode must be one of: simple, withData, withChanges'
+            ]);
+
+            expect(validatePayloadTemplate({
+                name: 'bad name',
+                mappings: [
+                    { target: 'a.__proto__.b', value: 1 },
+                    { target: 'when', source: 'currentState.lastModified', format: { type: 'date' } },
+                    { target: 'amount', source: 'x', format: { type: 'currency' } },
+                    { target: 'list', source: 'x', array: { first: true, join: ',', map: [{ source: 'key' }] } },
+                    { target: 'shout', source: 'x', transform: 'scream' }
+                ]
+            })).toEqual([
+                'name is required and may only contain letters, digits, - and _',
+                "mappings[4] (shout) uses unknown transform 'scream'",
+                "mappings[0] has an invalid target path 'a.__proto__.b'",
+                'mappings[1].format.pattern is required for date formats',
+                'mappings[2].format.type must be one of: date, number',
+                'mappings[3].array cannot combine first and join',
+                'mappings[3].array.map[0] is missing target'
+            ]);
+        });
+    });
+
+    describe('loadPayloadTemplates', () => {
+        it('should skip invalid and duplicate definitions', () => {
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'payload-templates-'));
+            try {
+                const valid = { name: 'flat', mappings: [{ target: 'id', source: 'currentState.id' }] };
+                fs.writeFileSync(path.join(directory, 'a.json'), JSON.stringify(valid));
+                fs.writeFileSync(path.join(directory, 'b.json'), JSON.stringify({ ...valid, name: 'FLAT' }));
+                fs.writeFileSync(path.join(directory, 'c.json'), JSON.stringify({ name: 'broken' }));
+                fs.writeFileSync(path.join(directory, 'd.json'), '{ not json');
+
+                expect(loadPayloadTemplates(directory).map(template => template.name)).toEqual(['flat']);
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        });
+
+        it('should return no definitions for a missing directory', () => {
+            expect(loadPayloadTemplates(path.join(os.tmpdir(), 'does-not-exist-payload-templates'))).toEqual([]);
+        });
+    });
+});
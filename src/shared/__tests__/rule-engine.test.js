@@ -0,0 +1,112 @@
+const {
+    compileRule,
+    validateRule,
+    buildRuleContext,
+    buildRoutingRule
+} = require('../rule-engine');
+
+const ITEM = {
+    id: '7',
+    fields: {
+        Title: 'Invoice 1001',
+        Status: 'Approved',
+        Amount: '1500',
+        FileLeafRef: 'Invoice 1001.PDF',
+        Tags: ['Finance', 'Urgent'],
+        Approver: { Email: 'ops@contoso.com' }
+    }
+};
+const PREVIOUS = { id: '7', fields: { ...ITEM.fields, Status: 'Submitted' } };
+
+const evaluate = (expression, ruleContext) => compileRule(expression).evaluate(ruleContext);
+
+describe('rule-engine', () => {
+    const updated = buildRuleContext({ item: ITEM, previousItem: PREVIOUS, changeType: 'updated' });
+
+    describe('evaluation', () => {
+        it('should compare fields with strings, numbers and lists', () => {
+            expect(evaluate("Status == 'Approved'", updated)).toBe(true);
+            expect(evaluate("Status != 'Approved'", updated)).toBe(false);
+            expect(evaluate('Amount > 1000 and Amount <= 1500', updated)).toBe(true);
+            expect(evaluate('Amount >= -1', updated)).toBe(true);
+            expect(evaluate("Status in ['Approved', 'Paid']", updated)).toBe(true);
+            expect(evaluate("Approver.Email == 'ops@contoso.com'", updated)).toBe(true);
+            expect(evaluate('Missing == null', updated)).toBe(true);
+        });
+
+        it('should match text operators without regard to case', () => {
+            expect(evaluate("FileLeafRef endsWith '.pdf'", updated)).toBe(true);
+            expect(evaluate("FileLeafRef startsWith 'invoice'", updated)).toBe(true);
+            expect(evaluate("Title contains '1001'", updated)).toBe(true);
+            expect(evaluate("Tags contains 'urgent'", updated)).toBe(true);
+        });
+
+        it('should combine conditions with and, or, not and parentheses', () => {
+            expect(evaluate("Status == 'Approved' && !(Amount < 100)", updated)).toBe(true);
+            expect(evaluate("Status == 'Draft' or Status == 'Approved'", updated)).toBe(true);
+            expect(evaluate("not (Status == 'Draft' || Amount > 10)", updated)).toBe(false);
+        });
+
+        it('should evaluate changes against the previous state', () => {
+            expect(evaluate("Status == 'Approved' && changed(Status)", updated)).toBe(true);
+            expect(evaluate('changed(Amount)', updated)).toBe(false);
+            expect(evaluate('changed()', updated)).toBe(true);
+            expect(evaluate("previous(Status) == 'Submitted'", updated)).toBe(true);
+            expect(evaluate('isNew()', updated)).toBe(false);
+            expect(evaluate("changeType() == 'updated'", updated)).toBe(true);
+        });
+
+        it('should treat every field of a first-seen item as changed', () => {
+            const created = buildRuleContext({ item: ITEM, previousItem: null, changeType: 'updated' });
+
+            expect(evaluate('isNew() and changed(Amount)', created)).toBe(true);
+            expect(evaluate('previous(Status) == null', created)).toBe(true);
+        });
+
+        it('should evaluate deleted items against their last known state', () => {
+            const deleted = buildRuleContext({ item: PREVIOUS, previousItem: PREVIOUS, changeType: 'deleted' });
+
+            expect(evaluate("changeType() == 'deleted' and Status == 'Submitted'", deleted)).toBe(true);
+            expect(evaluate('changed() or isNew()', deleted)).toBe(false);
+        });
+
+        it('should read fields merged onto the item as fetchSharePointItem returns them', () => {
+            const merged = buildRuleContext({ item: { id: '7', Status: 'Approved' } });
+
+            expect(evaluate("Status == 'Approved'", merged)).toBe(true);
+        });
+
+        it('should only read the item\'s own fields', () => {
+            expect(evaluate('constructor == null and __proto__ == null', updated)).toBe(true);
+        });
+    });
+
+    describe('validation', () => {
+        it.each([
+            ["Status == 'Approved", 'unterminated string'],
+            ['Status ==', 'expected a field, value or function'],
+            ['lookup(Status)', "unknown function 'lookup'"],
+            ["changed('Status')", 'changed() takes a field name'],
+            ['isNew(Status)', 'isNew() takes no arguments'],
+            ["Status in 'Approved'", "'in' must be followed by a list"],
+            ['Status $ 1', "unexpected character '$'"],
+            ['(Status', "expected ')'"],
+            [`${'('.repeat(30)}Status${')'.repeat(30)}`, 'nested more than'],
+            ['', 'rule is empty']
+        ])('should reject %s', (expression, message) => {
+            expect(validateRule(expression)).toContain(message);
+        });
+
+        it('should accept valid rules', () => {
+            expect(validateRule("Status == 'Approved' && changed(Amount)")).toBeNull();
+        });
+    });
+
+    describe('buildRoutingRule', () => {
+        it('should combine when: with the fields: watch list', () => {
+            expect(buildRoutingRule({ when: "Status == 'Approved'", fields: ['Amount', 'Status'] }))
+                .toBe("(Status == 'Approved') and (changed(Amount) or changed(Status))");
+            expect(buildRoutingRule({ when: null, fields: [] })).toBeNull();
+        });
+    });
+});
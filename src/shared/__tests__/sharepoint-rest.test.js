@@ -0,0 +1,123 @@
+jest.mock('axios');
+jest.mock('../auth', () => ({
+    getSharePointAccessToken: jest.fn().mockResolvedValue('sp-token')
+}));
+
+const axios = require('axios');
+const config = require('../config');
+const { getSharePointAccessToken } = require('../auth');
+const {
+    parseSharePointResource,
+    toSharePointListUrl,
+    createListSubscription,
+    renewListSubscription,
+    isSharePointRestNotification,
+    normalizeSharePointRestNotification
+} = require('../sharepoint-rest');
+
+const RESOURCE = 'sites/contoso.sharepoint.com:/sites/ops:/lists/list-1';
+const LIST_URL = "https://contoso.sharepoint.com/sites/ops/_api/web/lists('list-1')";
+
+describe('sharepoint-rest', () => {
+    const context = {};
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('resources', () => {
+        it('should split a Graph-style list resource', () => {
+            expect(parseSharePointResource(RESOURCE)).toEqual({
+                hostname: 'contoso.sharepoint.com',
+                sitePath: '/sites/ops',
+                listId: 'list-1'
+            });
+            expect(parseSharePointResource('sites/site-guid/lists/list-1')).toBeNull();
+        });
+
+        it('should build the SharePoint REST list URL', () => {
+            expect(toSharePointListUrl(RESOURCE)).toBe(LIST_URL);
+            expect(() => toSharePointListUrl('me/messages')).toThrow('Resource is not a SharePoint list');
+        });
+    });
+
+    describe('subscriptions', () => {
+        it('should create a list webhook with a SharePoint token and return it in Graph shape', async () => {
+            axios.mockResolvedValue({
+                data: { id: 'sp-sub', notificationUrl: 'https://func/api/webhook-handler', expirationDateTime: '2030-01-01T00:00:00Z' }
+            });
+
+            const created = await createListSubscription(context, RESOURCE, {
+                notificationUrl: 'https://func/api/webhook-handler',
+                expirationDateTime: '2030-01-01T00:00:00Z',
+                clientState: 'secret'
+            });
+
+            expect(getSharePointAccessToken).toHaveBeenCalledWith(context, 'contoso.sharepoint.com');
+            expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+                method: 'post',
+                url: `${LIST_URL}/subscriptions`,
+                data: expect.objectContaining({ resource: LIST_URL, clientState: 'secret' }),
+                headers: expect.objectContaining({ Authorization: 'Bearer sp-token' })
+            }));
+            expect(created).toEqual({
+                id: 'sp-sub',
+                resource: RESOURCE,
+                changeType: 'updated',
+                notificationUrl: 'https://func/api/webhook-handler',
+                expirationDateTime: '2030-01-01T00:00:00Z',
+                subscriptionType: 'sharepoint'
+            });
+        });
+
+        it('should renew a list webhook', async () => {
+            axios.mockResolvedValue({ data: '' });
+
+            const renewed = await renewListSubscription(context, RESOURCE, 'sp-sub', '2030-06-01T00:00:00Z');
+
+            expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+                method: 'patch',
+                url: `${LIST_URL}/subscriptions('sp-sub')`,
+                data: { expirationDateTime: '2030-06-01T00:00:00Z' }
+            }));
+            expect(renewed).toEqual({ id: 'sp-sub', expirationDateTime: '2030-06-01T00:00:00Z' });
+        });
+    });
+
+    describe('notifications', () => {
+        const spNotification = {
+            subscriptionId: 'sp-sub',
+            clientState: 'secret',
+            expirationDateTime: '2030-01-01T00:00:00Z',
+            resource: 'list-1',
+            tenantId: 'tenant-1',
+            siteUrl: '/sites/ops',
+            webId: 'web-1'
+        };
+
+        it('should tell SharePoint REST notifications from Graph ones', () => {
+            expect(isSharePointRestNotification(spNotification)).toBe(true);
+            expect(isSharePointRestNotification({ subscriptionId: 'g', resource: RESOURCE, changeType: 'updated' })).toBe(false);
+        });
+
+        it('should normalize a SharePoint REST notification to the Graph shape', () => {
+            const trackingItem = { fields: { SiteUrl: 'sites/fabrikam.sharepoint.com:/sites/ops:', ListId: 'list-1' } };
+
+            expect(normalizeSharePointRestNotification(spNotification, trackingItem)).toEqual({
+                subscriptionId: 'sp-sub',
+                resource: 'sites/fabrikam.sharepoint.com:/sites/ops:/lists/list-1',
+                changeType: 'updated',
+                clientState: 'secret',
+                tenantId: 'tenant-1',
+                resourceData: {},
+                subscriptionType: 'sharepoint',
+                webId: 'web-1'
+            });
+        });
+
+        it('should fall back to the primary domain for an untracked subscription', () => {
+            expect(normalizeSharePointRestNotification(spNotification, null).resource)
+                .toBe(`sites/${config.sharepoint.primarySite.domain}:/sites/ops:/lists/list-1`);
+        });
+    });
+});
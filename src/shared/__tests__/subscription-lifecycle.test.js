@@ -0,0 +1,214 @@
+jest.mock('../auth', () => ({
+    getAccessToken: jest.fn().mockResolvedValue('token')
+}));
+jest.mock('../logger', () => ({
+    createLogger: () => ({
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+        debug: jest.fn()
+    })
+}));
+jest.mock('../graph-api', () => ({
+    createSubscription: jest.fn(),
+    deleteSubscription: jest.fn(),
+    reauthorizeSubscription: jest.fn(),
+    renewSubscription: jest.fn(),
+    updateListItem: jest.fn()
+}));
+
+const mockRegistry = {
+    get: jest.fn(),
+    updateCachedFields: jest.fn(),
+    invalidate: jest.fn()
+};
+jest.mock('../subscription-registry', () => ({
+    ...jest.requireActual('../subscription-registry'),
+    getSubscriptionRegistry: () => mockRegistry
+}));
+
+const mockQueue = { enqueue: jest.fn() };
+jest.mock('../notification-queue', () => ({
+    getNotificationQueue: () => mockQueue
+}));
+
+const graphApi = require('../graph-api');
+const {
+    LIFECYCLE_EVENTS,
+    buildLifecycleNotificationUrl,
+    handleLifecycleNotification
+} = require('../subscription-lifecycle');
+
+const TRACKING_ITEM = {
+    id: '17',
+    fields: {
+        SubscriptionId: 'sub-old',
+        SiteUrl: 'sites/contoso.sharepoint.com:/sites/ops:',
+        ListId: 'list-1',
+        ChangeType: 'updated',
+        NotificationUrl: 'https://func.example.com/api/webhook-handler',
+        ClientState: 'destination:uipath|handler:document|queue:Q',
+        ClientSecret: 'stored-secret'
+    }
+};
+
+describe('subscription-lifecycle', () => {
+    const context = {};
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockRegistry.get.mockResolvedValue(TRACKING_ITEM);
+        graphApi.updateListItem.mockResolvedValue({});
+    });
+
+    describe('buildLifecycleNotificationUrl', () => {
+        it('should point at subscription-lifecycle next to the notification URL', () => {
+            expect(buildLifecycleNotificationUrl('https://func.example.com/api/webhook-handler'))
+                .toBe('https://func.example.com/api/subscription-lifecycle');
+        });
+
+        it('should return null for an unparseable notification URL', () => {
+            expect(buildLifecycleNotificationUrl('not a url')).toBeNull();
+        });
+    });
+
+    describe('reauthorizationRequired', () => {
+        it('should reauthorize the subscription and record the event', async () => {
+            graphApi.reauthorizeSubscription.mockResolvedValue();
+
+            const result = await handleLifecycleNotification({
+                subscriptionId: 'sub-old',
+                lifecycleEvent: LIFECYCLE_EVENTS.REAUTHORIZATION_REQUIRED
+            }, context);
+
+            expect(result).toMatchObject({ success: true, action: 'reauthorized' });
+            expect(graphApi.renewSubscription).not.toHaveBeenCalled();
+            expect(graphApi.updateListItem).toHaveBeenCalledWith(
+                'token',
+                expect.any(String),
+                expect.any(String),
+                '17',
+                expect.objectContaining({ LastLifecycleEvent: 'reauthorizationRequired: reauthorized' })
+            );
+        });
+
+        it('should renew the subscription when reauthorizing fails', async () => {
+            graphApi.reauthorizeSubscription.mockRejectedValue(new Error('Bad request'));
+            graphApi.renewSubscription.mockResolvedValue({ expirationDateTime: '2030-01-01T00:00:00Z' });
+
+            const result = await handleLifecycleNotification({
+                subscriptionId: 'sub-old',
+                lifecycleEvent: LIFECYCLE_EVENTS.REAUTHORIZATION_REQUIRED
+            }, context);
+
+            expect(result).toMatchObject({ success: true, action: 'renewed', reauthorizeError: 'Bad request' });
+            expect(graphApi.updateListItem.mock.calls[0][4]).toMatchObject({
+                ExpirationDateTime: '2030-01-01T00:00:00Z',
+                Status: 'Active'
+            });
+        });
+    });
+
+    describe('subscriptionRemoved', () => {
+        it('should recreate the subscription from the tracking item and queue a catch-up sweep', async () => {
+            graphApi.createSubscription.mockResolvedValue({ id: 'sub-new', expirationDateTime: '2030-01-01T00:00:00Z' });
+
+            const result = await handleLifecycleNotification({
+                subscriptionId: 'sub-old',
+                lifecycleEvent: LIFECYCLE_EVENTS.SUBSCRIPTION_REMOVED
+            }, context);
+
+            expect(result).toMatchObject({ success: true, action: 'recreated', newSubscriptionId: 'sub-new' });
+            expect(graphApi.createSubscription).toHaveBeenCalledWith('token', expect.objectContaining({
+                resource: 'sites/contoso.sharepoint.com:/sites/ops:/lists/list-1',
+                notificationUrl: 'https://func.example.com/api/webhook-handler',
+                lifecycleNotificationUrl: 'https://func.example.com/api/subscription-lifecycle'
+            }));
+
+            // Graph gets a fresh secret; the routing clientState stays in the tracking list
+            const newSecret = graphApi.createSubscription.mock.calls[0][1].clientState;
+            expect(newSecret).not.toBe('stored-secret');
+            expect(newSecret).not.toBe(TRACKING_ITEM.fields.ClientState);
+            expect(graphApi.updateListItem.mock.calls[0][4]).toMatchObject({
+                SubscriptionId: 'sub-new',
+                ClientSecret: newSecret,
+                Status: 'Active'
+            });
+            expect(mockRegistry.invalidate).toHaveBeenCalledWith('sub-old');
+            expect(mockQueue.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+                subscriptionId: 'sub-new',
+                resource: 'sites/contoso.sharepoint.com:/sites/ops:/lists/list-1',
+                clientState: newSecret
+            }));
+        });
+
+        it('should record a failure when the subscription cannot be recreated', async () => {
+            graphApi.createSubscription.mockRejectedValue(new Error('Forbidden'));
+
+            const result = await handleLifecycleNotification({
+                subscriptionId: 'sub-old',
+                lifecycleEvent: LIFECYCLE_EVENTS.SUBSCRIPTION_REMOVED
+            }, context);
+
+            expect(result).toMatchObject({ success: false, action: 'failed', error: 'Forbidden' });
+            expect(graphApi.updateListItem.mock.calls[0][4].LastLifecycleEvent).toBe('subscriptionRemoved: failed');
+            expect(mockQueue.enqueue).not.toHaveBeenCalled();
+        });
+
+        it('should delete the recreated subscription when it cannot be tracked', async () => {
+            graphApi.createSubscription.mockResolvedValue({ id: 'sub-new', expirationDateTime: '2030-01-01T00:00:00Z' });
+            graphApi.updateListItem.mockRejectedValueOnce(new Error('List unavailable'));
+
+            const result = await handleLifecycleNotification({
+                subscriptionId: 'sub-old',
+                lifecycleEvent: LIFECYCLE_EVENTS.SUBSCRIPTION_REMOVED
+            }, context);
+
+            expect(result).toMatchObject({ success: false, action: 'failed', error: 'List unavailable' });
+            expect(graphApi.deleteSubscription).toHaveBeenCalledWith('token', 'sub-new');
+            expect(mockRegistry.invalidate).not.toHaveBeenCalled();
+            expect(mockQueue.enqueue).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('missed', () => {
+        it('should queue a list-level catch-up notification', async () => {
+            const result = await handleLifecycleNotification({
+                subscriptionId: 'sub-old',
+                lifecycleEvent: LIFECYCLE_EVENTS.MISSED
+            }, context);
+
+            expect(result).toMatchObject({ success: true, action: 'catch-up-queued' });
+            expect(mockQueue.enqueue).toHaveBeenCalledWith({
+                subscriptionId: 'sub-old',
+                resource: 'sites/contoso.sharepoint.com:/sites/ops:/lists/list-1',
+                changeType: 'updated',
+                clientState: 'stored-secret',
+                resourceData: {}
+            });
+        });
+    });
+
+    it('should ignore events for subscriptions that are not tracked', async () => {
+        mockRegistry.get.mockResolvedValue(null);
+
+        const result = await handleLifecycleNotification({
+            subscriptionId: 'sub-unknown',
+            lifecycleEvent: LIFECYCLE_EVENTS.MISSED
+        }, context);
+
+        expect(result).toMatchObject({ success: false, action: 'ignored' });
+        expect(mockQueue.enqueue).not.toHaveBeenCalled();
+        expect(graphApi.updateListItem).not.toHaveBeenCalled();
+    });
+
+    it('should ignore unknown lifecycle events', async () => {
+        const result = await handleLifecycleNotification({
+            subscriptionId: 'sub-old',
+            lifecycleEvent: 'somethingNew'
+        }, context);
+
+        expect(result).toMatchObject({ success: false, action: 'ignored' });
+        expect(mockRegistry.get).not.toHaveBeenCalled();
+    });
+});
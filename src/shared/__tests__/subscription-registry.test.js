@@ -0,0 +1,103 @@
+jest.mock('axios');
+const axios = require('axios');
+const { SubscriptionRegistry, fetchTrackingListItems } = require('../subscription-registry');
+
+const buildItem = (id, subscriptionId, fields = {}) => ({
+    id,
+    fields: { SubscriptionId: subscriptionId, Status: 'Active', ...fields }
+});
+
+describe('subscription-registry', () => {
+    let mockContext;
+
+    beforeEach(() => {
+        mockContext = global.testHelpers.createMockContext();
+        jest.clearAllMocks();
+    });
+
+    describe('fetchTrackingListItems', () => {
+        it('should follow @odata.nextLink until all pages are read', async () => {
+            axios.get
+                .mockResolvedValueOnce({
+                    data: {
+                        value: [buildItem('1', 'sub-1')],
+                        '@odata.nextLink': 'https://graph.microsoft.com/v1.0/next-page'
+                    }
+                })
+                .mockResolvedValueOnce({ data: { value: [buildItem('2', 'sub-2')] } });
+
+            const items = await fetchTrackingListItems('token', { sitePath: 'site', listId: 'list', pageSize: 1 });
+
+            expect(items.map(item => item.id)).toEqual(['1', '2']);
+            expect(axios.get).toHaveBeenCalledTimes(2);
+            expect(axios.get.mock.calls[0][0]).toContain('/sites/site/lists/list/items?$expand=fields&$top=1');
+            expect(axios.get.mock.calls[1][0]).toBe('https://graph.microsoft.com/v1.0/next-page');
+        });
+    });
+
+    describe('SubscriptionRegistry', () => {
+        let fetchItems;
+        let registry;
+
+        beforeEach(() => {
+            fetchItems = jest.fn().mockResolvedValue([
+                buildItem('1', 'sub-1', { ClientState: 'destination:uipath' }),
+                buildItem('2', 'sub-2'),
+                { id: '3', fields: { Title: 'No subscription id' } }
+            ]);
+            registry = new SubscriptionRegistry({ cacheTtl: 60000, missRefreshInterval: 60000, fetchItems });
+        });
+
+        it('should serve repeated lookups from a single list read', async () => {
+            const first = await registry.get('sub-1', mockContext);
+            const second = await registry.get('sub-2', mockContext);
+
+            expect(first.fields.ClientState).toBe('destination:uipath');
+            expect(second.id).toBe('2');
+            expect(fetchItems).toHaveBeenCalledTimes(1);
+            expect(registry.getStats()).toMatchObject({ hits: 2, loads: 1, size: 2 });
+        });
+
+        it('should share one load between concurrent lookups', async () => {
+            await Promise.all([
+                registry.get('sub-1', mockContext),
+                registry.get('sub-2', mockContext),
+                registry.getAll(mockContext)
+            ]);
+
+            expect(fetchItems).toHaveBeenCalledTimes(1);
+        });
+
+        it('should reload after invalidation', async () => {
+            await registry.get('sub-1', mockContext);
+            registry.invalidate('sub-1');
+            await registry.get('sub-1', mockContext);
+
+            expect(fetchItems).toHaveBeenCalledTimes(2);
+        });
+
+        it('should reload on a miss once the miss refresh interval has passed', async () => {
+            registry = new SubscriptionRegistry({ cacheTtl: 60000, missRefreshInterval: 0, fetchItems });
+            await registry.get('sub-1', mockContext);
+            fetchItems.mockResolvedValueOnce([buildItem('4', 'sub-new')]);
+
+            const item = await registry.get('sub-new', mockContext);
+
+            expect(item.id).toBe('4');
+            expect(fetchItems).toHaveBeenCalledTimes(2);
+        });
+
+        it('should return null for unknown subscriptions without reloading inside the miss interval', async () => {
+            expect(await registry.get('unknown', mockContext)).toBeNull();
+            expect(fetchItems).toHaveBeenCalledTimes(1);
+        });
+
+        it('should apply locally written fields to the cached item', async () => {
+            await registry.get('sub-2', mockContext);
+            registry.updateCachedFields('sub-2', { NotificationCount: 5 });
+
+            const item = await registry.get('sub-2', mockContext);
+            expect(item.fields).toMatchObject({ SubscriptionId: 'sub-2', NotificationCount: 5 });
+        });
+    });
+});
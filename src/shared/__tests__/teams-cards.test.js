@@ -0,0 +1,178 @@
+jest.mock('axios');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const {
+    getTeamsWebhookSetting,
+    resolveTeamsWebhookUrl,
+    buildCardData,
+    renderCardTemplate,
+    buildTeamsMessage,
+    postTeamsMessage,
+    validateCardTemplate,
+    loadCardTemplates,
+    getCardTemplate
+} = require('../teams-cards');
+
+const RESOURCE = 'sites/contoso.sharepoint.com:/sites/ops:/lists/list-1';
+const NOTIFICATION = { subscriptionId: 'sub-1', resource: RESOURCE, changeType: 'updated', resourceData: { id: '7' } };
+const WEB_URL = 'https://contoso.sharepoint.com/sites/ops/Lists/Orders/DispForm.aspx?ID=7';
+
+const itemWith = fields => ({ id: '7', webUrl: WEB_URL, fields, ...fields });
+
+describe('teams-cards', () => {
+    describe('buildCardData', () => {
+        it('should describe the item and the fields changed since the last card', () => {
+            const previousItem = itemWith({ Title: 'Order 7', Status: 'Draft', Amount: 10, Modified: '2025-08-16T10:00:00Z' });
+            const item = itemWith({ Title: 'Order 7', Status: 'Approved', Amount: 10, Modified: '2025-08-16T11:00:00Z' });
+
+            const data = buildCardData({ notification: NOTIFICATION, item, previousItem });
+
+            expect(data).toMatchObject({
+                title: 'Order 7',
+                summary: 'Item 7 was updated',
+                itemId: '7',
+                webUrl: WEB_URL,
+                listUrl: 'https://contoso.sharepoint.com/sites/ops/Lists/Orders',
+                listId: 'list-1',
+                changes: [{ field: 'Status', old: 'Draft', new: 'Approved' }],
+                hasChanges: true,
+                isNewItem: false,
+                isDeleted: false
+            });
+        });
+
+        it('should honour field filters and mark items seen for the first time', () => {
+            const item = itemWith({ Title: 'Order 7', Status: 'Approved', Secret: 'x' });
+
+            const data = buildCardData({ notification: NOTIFICATION, item, excludeFields: ['Secret'] });
+
+            expect(data.fields).toEqual({ Title: 'Order 7', Status: 'Approved' });
+            expect(data.changes).toEqual([]);
+            expect(data.isNewItem).toBe(true);
+        });
+
+        it('should describe deleted items from their last known state', () => {
+            const previousItem = itemWith({ Title: 'Order 7', Status: 'Approved' });
+
+            const data = buildCardData({ notification: { ...NOTIFICATION, changeType: 'deleted' }, item: null, previousItem });
+
+            expect(data).toMatchObject({ title: 'Order 7', summary: 'Item 7 was deleted', isDeleted: true, hasChanges: false });
+        });
+    });
+
+    describe('renderCardTemplate', () => {
+        it('should bind values, repeat $data elements and drop elements whose $when is empty', () => {
+            const template = {
+                card: {
+                    type: 'AdaptiveCard',
+                    body: [
+                        { type: 'TextBlock', text: 'Status: ${fields.Status}' },
+                        { type: 'FactSet', facts: [{ $data: '${changes}', title: '${field}', value: '${old} → ${new}' }] },
+                        { type: 'TextBlock', $when: '${isNewItem}', text: 'New' },
+                        { type: 'TextBlock', $data: '${changes}', text: '${field} in ${$root.title}' }
+                    ],
+                    msteams: { visible: '${hasChanges}' }
+                }
+            };
+            const data = {
+                title: 'Order 7',
+                fields: { Status: 'Approved' },
+                changes: [{ field: 'Status', old: 'Draft', new: 'Approved' }, { field: 'Owner', old: '(empty)', new: 'Ana' }],
+                hasChanges: true,
+                isNewItem: false
+            };
+
+            expect(renderCardTemplate(template, data)).toEqual({
+                type: 'AdaptiveCard',
+                body: [
+                    { type: 'TextBlock', text: 'Status: Approved' },
+                    {
+                        type: 'FactSet',
+                        facts: [{ title: 'Status', value: 'Draft → Approved' }, { title: 'Owner', value: '(empty) → Ana' }]
+                    },
+                    { type: 'TextBlock', text: 'Status in Order 7' },
+                    { type: 'TextBlock', text: 'Owner in Order 7' }
+                ],
+                msteams: { visible: true }
+            });
+        });
+
+        it('should render the default card with item and list buttons', () => {
+            const data = buildCardData({
+                notification: NOTIFICATION,
+                item: itemWith({ Title: 'Order 7', Status: 'Approved' }),
+                previousItem: itemWith({ Title: 'Order 7', Status: 'Draft' })
+            });
+
+            const card = renderCardTemplate(getCardTemplate(null), data);
+
+            expect(card.body[0].text).toBe('Order 7');
+            expect(card.body.find(element => element.type === 'FactSet').facts)
+                .toEqual([{ title: 'Status', value: 'Draft → Approved' }]);
+            expect(card.actions.map(action => [action.title, action.url])).toEqual([
+                ['Open item', WEB_URL],
+                ['Open list', 'https://contoso.sharepoint.com/sites/ops/Lists/Orders']
+            ]);
+            expect(buildTeamsMessage(card).attachments[0]).toEqual({
+                contentType: 'application/vnd.microsoft.card.adaptive',
+                contentUrl: null,
+                content: card
+            });
+        });
+    });
+
+    describe('webhooks', () => {
+        afterEach(() => {
+            delete process.env.TEAMS_WEBHOOK_URL_OPS;
+        });
+
+        it('should read the webhook URL from the channel app setting', () => {
+            expect(getTeamsWebhookSetting(null)).toBe('TEAMS_WEBHOOK_URL');
+            expect(getTeamsWebhookSetting('ops')).toBe('TEAMS_WEBHOOK_URL_OPS');
+            expect(() => resolveTeamsWebhookUrl('ops')).toThrow('App setting TEAMS_WEBHOOK_URL_OPS is not set');
+
+            process.env.TEAMS_WEBHOOK_URL_OPS = 'https://contoso.webhook.office.com/webhookb2/abc';
+            expect(resolveTeamsWebhookUrl('ops')).toBe('https://contoso.webhook.office.com/webhookb2/abc');
+        });
+
+        it('should fail on error responses, including errors incoming webhooks return with status 200', async () => {
+            const message = buildTeamsMessage({ type: 'AdaptiveCard' });
+            axios.post.mockResolvedValueOnce({ status: 202, data: '' });
+            axios.post.mockResolvedValueOnce({ status: 200, data: 'Webhook message delivery failed with error: Microsoft Teams endpoint returned HTTP error 400' });
+            axios.post.mockResolvedValueOnce({ status: 429, data: {} });
+
+            await expect(postTeamsMessage('https://example.com/hook', message)).resolves.toEqual({ status: 202 });
+            await expect(postTeamsMessage('https://example.com/hook', message)).rejects.toThrow('delivery failed');
+            await expect(postTeamsMessage('https://example.com/hook', message)).rejects.toThrow('status 429');
+            expect(axios.post).toHaveBeenCalledWith('https://example.com/hook', message, expect.objectContaining({ timeout: 10000 }));
+        });
+    });
+
+    describe('card templates', () => {
+        it('should load the shipped templates next to the built-in default', () => {
+            expect(getCardTemplate('Status-Alert').name).toBe('status-alert');
+            expect(getCardTemplate('missing')).toBeNull();
+        });
+
+        it('should skip invalid and duplicate definitions', () => {
+            expect(validateCardTemplate({ name: 'default', card: { type: 'AdaptiveCard' } }))
+                .toEqual(["name 'default' is reserved for a built-in card"]);
+
+            const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'card-templates-'));
+            try {
+                const valid = { name: 'approvals', card: { type: 'AdaptiveCard', body: [] } };
+                fs.writeFileSync(path.join(directory, 'a.json'), JSON.stringify(valid));
+                fs.writeFileSync(path.join(directory, 'b.json'), JSON.stringify({ ...valid, name: 'APPROVALS' }));
+                fs.writeFileSync(path.join(directory, 'c.json'), JSON.stringify({ name: 'broken', card: { type: 'MessageCard' } }));
+                fs.writeFileSync(path.join(directory, 'd.json'), '{ not json');
+
+                expect(loadCardTemplates(directory).map(template => template.name)).toEqual(['approvals']);
+            } finally {
+                fs.rmSync(directory, { recursive: true, force: true });
+            }
+        });
+    });
+});
@@ -1,5 +1,12 @@
 // Mock constants first (before other imports)
 jest.mock('../constants', () => ({
+    VALIDATION_PATTERNS: {
+        EMAIL: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        DATE_MDY: /^\d{1,2}\/\d{1,2}\/\d{4}$/,
+        PO_NUMBER: /^[A-Z0-9\-_,\s]+$/i,
+        UIPATH_QUEUE_NAME: /^[A-Za-z0-9\-_]+$/
+    },
+    HTML_ENTITY_DECODINGS: {},
     UIPATH_PRIORITY: {
         LOW: 'Low',
         NORMAL: 'Normal',
@@ -36,16 +43,6 @@ jest.mock('../uipath-dynamic-queue-client', () => ({
     }))
 }));
 
-// Mock the costco-inline-routing module
-jest.mock('../../templates/costco-inline-routing', () => ({
-    createCostcoProcessor: jest.fn(() => ({
-        processItem: jest.fn(async () => ({
-            processed: true,
-            queueSubmission: { success: true }
-        }))
-    }))
-}));
-
 // Mock the generic-document-processor module
 jest.mock('../../templates/generic-document-processor', () => ({
     createGenericDocumentProcessor: jest.fn(() => ({
@@ -60,6 +57,9 @@ const {
     registerProcessor,
     resolveProcessor,
     listProcessors,
+    describeProcessors,
+    describeProcessor,
+    createListTemplateDescriptor,
     parseClientState
 } = require('../uipath-processor-registry');
 
@@ -210,6 +210,17 @@ describe('uipath-processor-registry', () => {
         });
     });
 
+    describe('list template onDelete', () => {
+        const definition = { name: 'vendor-onboarding', match: { handlers: ['vendor'] }, fieldMappings: [] };
+
+        it('should only give template processors an onDelete hook when the definition declares one', () => {
+            expect(createListTemplateDescriptor(definition, 'file').factory(null).onDelete).toBeUndefined();
+
+            const processor = createListTemplateDescriptor({ ...definition, onDelete: {} }, 'file').factory(null);
+            expect(typeof processor.onDelete).toBe('function');
+        });
+    });
+
     describe('resolveProcessor - generic-document', () => {
         it('should match processor:document token', () => {
             const descriptor = resolveProcessor({
@@ -352,4 +363,48 @@ describe('uipath-processor-registry', () => {
             expect(processors).toContain('generic-document');
         });
     });
+
+    describe('describeProcessors', () => {
+        it('should describe every registered processor without matcher or factory', () => {
+            const handlers = describeProcessors();
+
+            expect(handlers.map(handler => handler.name)).toEqual(listProcessors());
+            handlers.forEach(handler => {
+                expect(handler).not.toHaveProperty('matches');
+                expect(handler).not.toHaveProperty('factory');
+                expect(handler.description).toEqual(expect.any(String));
+                expect(handler.samplePayload).toEqual(expect.any(Object));
+            });
+        });
+
+        it('should expose tokens, options and default queue for costco-inline-routing', () => {
+            const costco = describeProcessor('costco-inline-routing');
+
+            expect(costco.clientStateTokens).toContain('handler:costco');
+            expect(costco.defaultQueue).toBe('COSTCO-INLINE-Routing');
+            expect(costco.options.optional.map(option => option.name)).toEqual(
+                expect.arrayContaining(['queue', 'tenant', 'folder'])
+            );
+        });
+
+        it('should require a queue for generic-document', () => {
+            const generic = describeProcessor('generic-document');
+
+            expect(generic.options.required.map(option => option.name)).toEqual(['queue']);
+            expect(generic.defaultQueue).toBeNull();
+        });
+
+        it('should return null for unknown processors', () => {
+            expect(describeProcessor('does-not-exist')).toBeNull();
+        });
+
+        it('should reject descriptors with malformed options', () => {
+            expect(() => registerProcessor({
+                name: 'bad-options',
+                factory: jest.fn(),
+                matches: jest.fn(),
+                options: { required: 'queue' }
+            })).toThrow('options must declare required/optional arrays');
+        });
+    });
 });
@@ -1,5 +1,6 @@
 const {
     validateWebhookNotification,
+    validateLifecycleNotification,
     validateSubscriptionRequest,
     validateResourceFormat,
     validateGuid,
@@ -95,6 +96,31 @@ describe('validators module', () => {
         });
     });
 
+    describe('validateLifecycleNotification', () => {
+        it('should validate a lifecycle notification payload', () => {
+            const result = validateLifecycleNotification({
+                value: [{
+                    subscriptionId: ' sub-1 ',
+                    lifecycleEvent: 'reauthorizationRequired',
+                    subscriptionExpirationDateTime: '2030-01-01T00:00:00Z',
+                    tenantId: 'tenant'
+                }]
+            });
+
+            expect(result.value[0]).toMatchObject({
+                subscriptionId: 'sub-1',
+                lifecycleEvent: 'reauthorizationRequired',
+                tenantId: 'tenant'
+            });
+        });
+
+        it('should throw error for a missing lifecycleEvent', () => {
+            expect(() => validateLifecycleNotification({ value: [{ subscriptionId: 'sub-1' }] }))
+                .toThrow('missing or invalid lifecycleEvent');
+            expect(() => validateLifecycleNotification({})).toThrow('Invalid lifecycle notification format');
+        });
+    });
+
     describe('validateSubscriptionRequest', () => {
         it('should validate correct subscription request', () => {
             const request = {
@@ -169,6 +195,53 @@ describe('validators module', () => {
                 .toThrow('Expiration date cannot exceed 3 days for SharePoint webhooks');
         });
 
+        it('should allow SharePoint REST webhooks to run for up to 180 days', () => {
+            const request = {
+                resource: 'sites/example.sharepoint.com:/sites/mysite:/lists/123e4567-e89b-12d3-a456-426614174000',
+                changeType: 'updated',
+                notificationUrl: 'https://example.com/webhook',
+                subscriptionType: 'sharepoint',
+                expirationDateTime: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toISOString() // +90 days
+            };
+
+            expect(validateSubscriptionRequest(request).subscriptionType).toBe('sharepoint');
+
+            request.expirationDateTime = new Date(Date.now() + 181 * 24 * 60 * 60 * 1000).toISOString();
+            expect(() => validateSubscriptionRequest(request))
+                .toThrow('Expiration date cannot exceed 180 days for SharePoint REST webhooks');
+        });
+
+        it('should accept drive root subscriptions for updated changes', () => {
+            const request = {
+                resource: 'drives/b!abc123/root',
+                changeType: 'updated',
+                notificationUrl: 'https://example.com/webhook'
+            };
+
+            expect(validateSubscriptionRequest(request).resource).toBe('drives/b!abc123/root');
+            expect(() => validateSubscriptionRequest({ ...request, changeType: 'created' }))
+                .toThrow('Drive subscriptions only support the updated changeType');
+            expect(() => validateSubscriptionRequest({ ...request, subscriptionType: 'sharepoint' }))
+                .toThrow('Drive resources are only supported for Graph subscriptions');
+        });
+
+        it('should default to Graph subscriptions and reject unknown subscription types', () => {
+            const request = {
+                resource: 'sites/example.sharepoint.com:/sites/mysite:/lists/123e4567-e89b-12d3-a456-426614174000',
+                changeType: 'updated',
+                notificationUrl: 'https://example.com/webhook'
+            };
+
+            expect(validateSubscriptionRequest(request).subscriptionType).toBe('graph');
+            expect(() => validateSubscriptionRequest({ ...request, subscriptionType: 'exchange' }))
+                .toThrow('Invalid subscriptionType value');
+            expect(() => validateSubscriptionRequest({
+                ...request,
+                subscriptionType: 'sharepoint',
+                lifecycleNotificationUrl: 'https://example.com/lifecycle'
+            })).toThrow('lifecycleNotificationUrl is only supported for Graph subscriptions');
+        });
+
         it('should throw error for clientState exceeding 128 characters', () => {
             const request = {
                 resource: 'sites/example.sharepoint.com:/sites/mysite:/lists/123e4567-e89b-12d3-a456-426614174000',
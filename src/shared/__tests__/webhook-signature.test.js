@@ -0,0 +1,85 @@
+const {
+    SIGNATURE_HEADERS,
+    VERIFICATION_FAILURES,
+    computeSignature,
+    signPayload,
+    verifySignature,
+    createReplayGuard
+} = require('../webhook-signature');
+const { resolveSigningSecrets, getSigningKeySettings } = require('../forward-signing');
+
+const BODY = JSON.stringify({ notification: { subscriptionId: 'sub-1', changeType: 'updated' } });
+const NOW = 1755345600;
+
+describe('webhook-signature', () => {
+    const sign = (secrets, options = {}) => signPayload(BODY, secrets, { id: 'req-1', timestamp: NOW, ...options });
+
+    it('should sign id, timestamp and body with HMAC-SHA256', () => {
+        const headers = sign(['secret']);
+
+        expect(headers).toEqual({
+            [SIGNATURE_HEADERS.ID]: 'req-1',
+            [SIGNATURE_HEADERS.TIMESTAMP]: String(NOW),
+            [SIGNATURE_HEADERS.SIGNATURE]: `v1=${computeSignature('secret', 'req-1', NOW, BODY)}`
+        });
+        expect(computeSignature('secret', 'req-1', NOW, BODY)).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('should accept a request signed with any active key', () => {
+        const headers = sign(['new-secret', 'old-secret']);
+
+        expect(verifySignature({ body: BODY, headers, secrets: ['old-secret'], now: NOW })).toEqual({
+            valid: true, reason: null, id: 'req-1', timestamp: NOW
+        });
+        expect(verifySignature({ body: BODY, headers, secrets: ['new-secret'], now: NOW }).valid).toBe(true);
+    });
+
+    it('should read headers regardless of casing', () => {
+        const headers = Object.fromEntries(Object.entries(sign(['secret'])).map(([key, value]) => [key.toLowerCase(), value]));
+
+        expect(verifySignature({ body: Buffer.from(BODY), headers, secrets: ['secret'], now: NOW }).valid).toBe(true);
+        expect(verifySignature({ body: BODY, headers: new Headers(headers), secrets: ['secret'], now: NOW }).valid).toBe(true);
+    });
+
+    it.each([
+        ['a tampered body', { body: BODY.replace('updated', 'deleted') }, VERIFICATION_FAILURES.SIGNATURE_MISMATCH],
+        ['the wrong secret', { secrets: ['other'] }, VERIFICATION_FAILURES.SIGNATURE_MISMATCH],
+        ['an old timestamp', { now: NOW + 301 }, VERIFICATION_FAILURES.TIMESTAMP_OUT_OF_RANGE],
+        ['a future timestamp', { now: NOW - 301 }, VERIFICATION_FAILURES.TIMESTAMP_OUT_OF_RANGE],
+        ['missing headers', { headers: {} }, VERIFICATION_FAILURES.MISSING_HEADERS],
+        ['a malformed timestamp', { headers: { ...sign(['secret']), [SIGNATURE_HEADERS.TIMESTAMP]: 'soon' } }, VERIFICATION_FAILURES.INVALID_TIMESTAMP]
+    ])('should reject %s', (label, overrides, reason) => {
+        const result = verifySignature({ body: BODY, headers: sign(['secret']), secrets: ['secret'], now: NOW, ...overrides });
+
+        expect(result).toMatchObject({ valid: false, reason });
+    });
+
+    it('should reject replayed request ids', () => {
+        const isReplay = createReplayGuard();
+        const headers = sign(['secret']);
+
+        expect(verifySignature({ body: BODY, headers, secrets: ['secret'], now: NOW, isReplay }).valid).toBe(true);
+        expect(verifySignature({ body: BODY, headers, secrets: ['secret'], now: NOW, isReplay }))
+            .toMatchObject({ valid: false, reason: VERIFICATION_FAILURES.REPLAYED });
+    });
+
+    describe('forward-signing', () => {
+        it('should read the named key and its previous secret from app settings', () => {
+            const env = {
+                FORWARD_SIGNING_KEY: 'default-secret',
+                FORWARD_SIGNING_KEY_ORDERS: 'new-secret',
+                FORWARD_SIGNING_KEY_ORDERS_PREVIOUS: 'old-secret',
+                FORWARD_SIGNING_KEY_STALE_PREVIOUS: 'old-secret'
+            };
+
+            expect(resolveSigningSecrets('orders', env)).toEqual(['new-secret', 'old-secret']);
+            expect(resolveSigningSecrets(null, env)).toEqual(['default-secret']);
+            expect(resolveSigningSecrets('stale', env)).toEqual([]);
+            expect(resolveSigningSecrets('../orders', env)).toEqual([]);
+            expect(getSigningKeySettings('orders')).toEqual({
+                current: 'FORWARD_SIGNING_KEY_ORDERS',
+                previous: 'FORWARD_SIGNING_KEY_ORDERS_PREVIOUS'
+            });
+        });
+    });
+});
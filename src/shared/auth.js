@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+const fs = require('fs');
 const axios = require('axios');
 const config = require('./config');
 
@@ -61,6 +63,78 @@ function getCacheStatistics() {
     };
 }
 
+// The certificate's private key is read once and kept for signing client assertions
+let certificateKey = null;
+
+/**
+ * Check that a certificate credential is configured
+ * @returns {boolean} True if the key path and thumbprint are set
+ */
+function hasCertificateCredential() {
+    return Boolean(config.azure.clientCertificateKeyPath && config.azure.clientCertificateThumbprint);
+}
+
+/**
+ * Build a client assertion (a JWT signed with the certificate's private key)
+ * @param {string} tokenUrl - Token endpoint the assertion is for
+ * @returns {string} Signed client assertion
+ */
+function buildClientAssertion(tokenUrl) {
+    if (!certificateKey) {
+        certificateKey = crypto.createPrivateKey({
+            key: fs.readFileSync(config.azure.clientCertificateKeyPath, 'utf8'),
+            passphrase: config.azure.clientCertificateKeyPassword
+        });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const header = {
+        alg: 'RS256',
+        typ: 'JWT',
+        // Azure AD finds the certificate by its SHA-1 thumbprint
+        x5t: Buffer.from(config.azure.clientCertificateThumbprint.replace(/:/g, ''), 'hex').toString('base64url')
+    };
+    const claims = {
+        aud: tokenUrl,
+        iss: config.azure.clientId,
+        sub: config.azure.clientId,
+        jti: crypto.randomUUID(),
+        nbf: now,
+        exp: now + 600
+    };
+    const unsigned = `${encode(header)}.${encode(claims)}`;
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), certificateKey).toString('base64url');
+    return `${unsigned}.${signature}`;
+}
+
+/**
+ * Request an app-only token for a scope from Azure AD
+ * @param {string} scope - Resource scope (e.g. https://graph.microsoft.com/.default)
+ * @param {Object} options - { certificate: authenticate with the certificate instead of the secret }
+ * @returns {Promise<Object>} Token endpoint response
+ */
+function requestClientCredentialsToken(scope, options = {}) {
+    const tokenUrl = `https://login.microsoftonline.com/${config.azure.tenantId}/oauth2/v2.0/token`;
+
+    const tokenParams = new URLSearchParams();
+    tokenParams.append('client_id', config.azure.clientId);
+    if (options.certificate) {
+        tokenParams.append('client_assertion_type', 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer');
+        tokenParams.append('client_assertion', buildClientAssertion(tokenUrl));
+    } else {
+        tokenParams.append('client_secret', config.azure.clientSecret);
+    }
+    tokenParams.append('scope', scope);
+    tokenParams.append('grant_type', 'client_credentials');
+
+    return axios.post(tokenUrl, tokenParams, {
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+        }
+    });
+}
+
 /**
  * Get Microsoft Graph access token using client credentials
  * Implements caching to reduce authentication API calls
@@ -93,19 +167,7 @@ async function getAccessToken(context, forceRefresh = false) {
         if (context) {
             context.log('Fetching new access token from Azure AD');
         }
-        const tokenUrl = `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`;
-        
-        const tokenParams = new URLSearchParams();
-        tokenParams.append('client_id', clientId);
-        tokenParams.append('client_secret', clientSecret);
-        tokenParams.append('scope', config.api.graph.scope);
-        tokenParams.append('grant_type', 'client_credentials');
-
-        const tokenResponse = await axios.post(tokenUrl, tokenParams, {
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            }
-        });
+        const tokenResponse = await requestClientCredentialsToken(config.api.graph.scope);
 
         // Cache the token
         tokenCache.token = tokenResponse.data.access_token;
@@ -132,8 +194,55 @@ async function getAccessToken(context, forceRefresh = false) {
     }
 }
 
+// SharePoint REST tokens are scoped to a hostname, so they are cached per host
+const sharePointTokenCache = new Map();
+
+/**
+ * Get a SharePoint REST access token for a tenant hostname
+ * Used for native SharePoint list webhooks and change queries. SharePoint REST
+ * only accepts app-only tokens obtained with a certificate, so the app's
+ * certificate credential (AZURE_CLIENT_CERTIFICATE_*) must be configured.
+ * @param {Object} context - Azure Functions context for logging
+ * @param {string} hostname - SharePoint hostname (e.g. contoso.sharepoint.com)
+ * @returns {Promise<string>} Access token
+ */
+async function getSharePointAccessToken(context, hostname) {
+    const cached = sharePointTokenCache.get(hostname);
+    if (cached && (cached.expiresAt - Date.now()) > 5 * 60 * 1000) {
+        return cached.token;
+    }
+
+    if (!config.azure.clientId || !config.azure.tenantId) {
+        throw new Error('Missing required Azure AD credentials in environment variables');
+    }
+    if (!hasCertificateCredential()) {
+        throw new Error('SharePoint REST requires a certificate credential: set AZURE_CLIENT_CERTIFICATE_KEY_PATH ' +
+            'and AZURE_CLIENT_CERTIFICATE_THUMBPRINT');
+    }
+
+    try {
+        const tokenResponse = await requestClientCredentialsToken(`https://${hostname}/.default`, {
+            certificate: true
+        });
+        const expiresIn = tokenResponse.data.expires_in || 3600; // Default to 1 hour
+        sharePointTokenCache.set(hostname, {
+            token: tokenResponse.data.access_token,
+            expiresAt: Date.now() + (expiresIn * 1000)
+        });
+        return tokenResponse.data.access_token;
+    } catch (error) {
+        sharePointTokenCache.delete(hostname);
+        if (context) {
+            context.error('Error getting SharePoint access token:', error.response?.data || error.message);
+        }
+        throw new Error('Failed to obtain SharePoint access token: ' + (error.response?.data?.error_description || error.message));
+    }
+}
+
 module.exports = {
     getAccessToken,
+    getSharePointAccessToken,
+    hasCertificateCredential,
     clearTokenCache,
     isTokenValid,
     getCacheStatistics
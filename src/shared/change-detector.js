@@ -1,5 +1,58 @@
 const { TableClient } = require("@azure/data-tables");
 
+/**
+ * Compare two item states field by field
+ * Used by ChangeDetector and by routing rules (rule-engine changed()).
+ * @param {Object|null} previous - Previous item state ({ fields })
+ * @param {Object} current - Current item state ({ fields })
+ * @returns {Array<Object>} { field, old, new, type } per changed field, or a single
+ *   _new_item entry when there is no previous state
+ */
+function compareItemStates(previous, current) {
+    const changes = [];
+    
+    if (!previous || !previous.fields) {
+        return [{
+            field: '_new_item',
+            type: 'created',
+            new: current.fields?.Title || 'New Item'
+        }];
+    }
+
+    const previousFields = previous.fields;
+    const currentFields = current.fields;
+
+    // Compare each field
+    for (const field in currentFields) {
+        // Skip system fields
+        if (field.startsWith('_') && field !== '_UIVersionString') continue;
+        if (field.includes('@odata')) continue;
+        
+        const oldValue = previousFields[field];
+        const newValue = currentFields[field];
+        
+        if (oldValue !== newValue) {
+            changes.push({
+                field: field,
+                old: oldValue,
+                new: newValue,
+                type: getFieldType(field)
+            });
+        }
+    }
+
+    return changes;
+}
+
+function getFieldType(fieldName) {
+    // Determine field type based on name/value
+    if (fieldName.toLowerCase().includes('date')) return 'date';
+    if (fieldName.toLowerCase().includes('lookupid')) return 'lookup';
+    if (fieldName === 'Title') return 'text';
+    if (fieldName === '_UIVersionString') return 'version';
+    return 'unknown';
+}
+
 class ChangeDetector {
     constructor(connectionString) {
         this.tableClient = TableClient.fromConnectionString(
@@ -59,48 +112,11 @@ class ChangeDetector {
     }
 
     compareStates(previous, current) {
-        const changes = [];
-        
-        if (!previous || !previous.fields) {
-            return [{
-                field: '_new_item',
-                type: 'created',
-                new: current.fields?.Title || 'New Item'
-            }];
-        }
-
-        const previousFields = previous.fields;
-        const currentFields = current.fields;
-
-        // Compare each field
-        for (const field in currentFields) {
-            // Skip system fields
-            if (field.startsWith('_') && field !== '_UIVersionString') continue;
-            if (field.includes('@odata')) continue;
-            
-            const oldValue = previousFields[field];
-            const newValue = currentFields[field];
-            
-            if (oldValue !== newValue) {
-                changes.push({
-                    field: field,
-                    old: oldValue,
-                    new: newValue,
-                    type: this.getFieldType(field)
-                });
-            }
-        }
-
-        return changes;
+        return compareItemStates(previous, current);
     }
 
     getFieldType(fieldName) {
-        // Determine field type based on name/value
-        if (fieldName.toLowerCase().includes('date')) return 'date';
-        if (fieldName.toLowerCase().includes('lookupid')) return 'lookup';
-        if (fieldName === 'Title') return 'text';
-        if (fieldName === '_UIVersionString') return 'version';
-        return 'unknown';
+        return getFieldType(fieldName);
     }
 
     async saveState(partitionKey, rowKey, item) {
@@ -138,4 +154,4 @@ class ChangeDetector {
     }
 }
 
-module.exports = { ChangeDetector };
\ No newline at end of file
+module.exports = { ChangeDetector, compareItemStates };
\ No newline at end of file
@@ -0,0 +1,260 @@
+/**
+ * Change Token Tracker
+ * SharePoint REST counterpart of DeltaTracker: enumerates every list item
+ * changed since the last notification using the list's GetChanges API. One
+ * change token per list is kept in the SharePointChangeTokens table
+ * (config.sharepointWebhooks.changeTokenTable).
+ *
+ * - All GetChanges pages are read before the new token is stored, so a
+ *   failure part-way through replays the same changes next time.
+ * - A list seen for the first time starts from a token built for
+ *   config.delta.initialWindowMs ago, so the change that triggered the
+ *   notification is not lost. SharePoint rejects expired tokens with 400;
+ *   the list is then re-baselined the same way.
+ * - Token writes are ETag-checked. When another instance stored a newer
+ *   token first, the query is repeated from that token so no change is
+ *   reported twice.
+ */
+
+const { TableClient } = require('@azure/data-tables');
+const config = require('./config');
+const { createLogger } = require('./logger');
+const { getListChanges, parseSharePointResource } = require('./sharepoint-rest');
+
+const CHANGE_TOKEN_PARTITION_KEY = 'changeToken';
+
+// .NET ticks (100ns since 0001-01-01) at the Unix epoch
+const EPOCH_TICKS = 621355968000000000n;
+const TICKS_PER_MS = 10000n;
+
+// SharePoint ChangeType values for item changes
+const SP_CHANGE_TYPES = {
+    1: 'created',
+    2: 'updated',
+    3: 'deleted',
+    7: 'updated' // Restore from recycle bin
+};
+
+/**
+ * Build a list change token for a point in time
+ * Format: 1;3;{list-id};{ticks};-1 (version; list scope; list; time; any change)
+ * @param {string} listId - List GUID
+ * @param {number} timestampMs - Point in time (ms since epoch)
+ * @returns {string} Change token string
+ */
+function buildChangeToken(listId, timestampMs) {
+    const ticks = EPOCH_TICKS + BigInt(Math.floor(timestampMs)) * TICKS_PER_MS;
+    return `1;3;${listId};${ticks};-1`;
+}
+
+/**
+ * Build the table key for a list's stored change token
+ * @param {Object} list - { hostname, sitePath, listId }
+ * @returns {Object} { partitionKey, rowKey }
+ */
+function buildChangeTokenKey({ hostname, sitePath, listId }) {
+    return {
+        partitionKey: CHANGE_TOKEN_PARTITION_KEY,
+        rowKey: `${hostname}${sitePath}_${listId}`.replace(/[/:\\#?]/g, '_')
+    };
+}
+
+/**
+ * Keep the latest change per item, split into changed and deleted items
+ */
+function collectChanges(changes) {
+    const latest = new Map();
+    for (const change of changes) {
+        const changeType = SP_CHANGE_TYPES[change.ChangeType];
+        if (changeType && change.ItemId !== undefined) {
+            latest.set(String(change.ItemId), { id: String(change.ItemId), changeType });
+        }
+    }
+
+    const changedItems = [];
+    const deletedItems = [];
+    for (const item of latest.values()) {
+        (item.changeType === 'deleted' ? deletedItems : changedItems).push(item);
+    }
+    return { changedItems, deletedItems };
+}
+
+class ChangeTokenTracker {
+    constructor(connectionString, options = {}) {
+        this.tableClient = TableClient.fromConnectionString(
+            connectionString || config.storage.connectionString,
+            options.tableName || config.sharepointWebhooks.changeTokenTable
+        );
+        this.initialWindowMs = options.initialWindowMs ?? config.delta.initialWindowMs;
+        this.fetchLimit = options.fetchLimit || config.sharepointWebhooks.changeFetchLimit;
+        this.maxPages = options.maxPages || config.sharepointWebhooks.maxPages;
+        this.maxRetries = options.maxRetries ?? config.sharepointWebhooks.maxRetries;
+        this.initialized = false;
+    }
+
+    async initialize() {
+        if (!this.initialized) {
+            await this.tableClient.createTable(); // Creates if doesn't exist
+            this.initialized = true;
+        }
+    }
+
+    async loadChangeToken(key) {
+        try {
+            const entity = await this.tableClient.getEntity(key.partitionKey, key.rowKey);
+            return { changeToken: entity.changeToken || null, etag: entity.etag };
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return { changeToken: null, etag: null };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Store a change token if nobody else stored one since it was loaded
+     * @returns {Promise<boolean>} False if another instance got there first
+     */
+    async saveChangeToken(key, list, changeToken, etag) {
+        const entity = {
+            partitionKey: key.partitionKey,
+            rowKey: key.rowKey,
+            hostname: list.hostname,
+            sitePath: list.sitePath,
+            listId: list.listId,
+            changeToken,
+            lastUpdated: new Date().toISOString()
+        };
+
+        try {
+            if (etag) {
+                await this.tableClient.updateEntity(entity, 'Replace', { etag });
+            } else {
+                await this.tableClient.createEntity(entity);
+            }
+            return true;
+        } catch (error) {
+            if (error.statusCode === 412 || error.statusCode === 409) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read every change after a token
+     * @returns {Promise<Object>} { changes, changeToken }
+     */
+    async fetchAllPages(context, resource, changeToken) {
+        const changes = [];
+        let token = changeToken;
+
+        for (let page = 0; page < this.maxPages; page++) {
+            const batch = await getListChanges(context, resource, token, this.fetchLimit);
+            changes.push(...batch);
+
+            if (batch.length > 0) {
+                token = batch[batch.length - 1].ChangeToken.StringValue;
+            }
+            if (batch.length < this.fetchLimit) {
+                return { changes, changeToken: token };
+            }
+        }
+
+        throw new Error(`GetChanges exceeded ${this.maxPages} pages`);
+    }
+
+    /**
+     * Read changes from the stored token (or a fresh baseline)
+     * Re-baselines once if SharePoint rejects the stored token.
+     */
+    async queryFromStoredToken(context, key, list, resource, logger) {
+        const stored = await this.loadChangeToken(key);
+        const baselineToken = buildChangeToken(list.listId, Date.now() - this.initialWindowMs);
+        let baseline = !stored.changeToken;
+
+        try {
+            const result = await this.fetchAllPages(context, resource, stored.changeToken || baselineToken);
+            return { ...result, baseline, etag: stored.etag };
+        } catch (error) {
+            if (error.response?.status !== 400 || baseline) {
+                throw error;
+            }
+
+            logger.warn('Stored change token rejected, re-baselining list', {
+                sitePath: list.sitePath,
+                listId: list.listId
+            });
+            baseline = true;
+            const result = await this.fetchAllPages(context, resource, baselineToken);
+            return { ...result, baseline, etag: stored.etag };
+        }
+    }
+
+    /**
+     * Get every item changed since the last call for the notification's list
+     * @param {Object} context - Azure Functions context
+     * @param {Object} notification - Graph-style notification for a list resource
+     * @returns {Promise<Object>} { changedItems, deletedItems, changeToken, baseline }
+     */
+    async getChanges(context, notification) {
+        const logger = createLogger(context);
+        const list = parseSharePointResource(notification.resource);
+        if (!list) {
+            throw new Error(`Resource is not a SharePoint list: ${notification.resource}`);
+        }
+
+        await this.initialize();
+        const key = buildChangeTokenKey(list);
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            const result = await this.queryFromStoredToken(context, key, list, notification.resource, logger);
+
+            if (!await this.saveChangeToken(key, list, result.changeToken, result.etag)) {
+                logger.debug('Change token was updated by another instance, querying again', {
+                    listId: list.listId,
+                    attempt
+                });
+                continue;
+            }
+
+            const { changedItems, deletedItems } = collectChanges(result.changes);
+
+            logger.info('Change token query completed', {
+                listId: list.listId,
+                baseline: result.baseline,
+                changedCount: changedItems.length,
+                deletedCount: deletedItems.length
+            });
+
+            return {
+                changedItems,
+                deletedItems,
+                changeToken: result.changeToken,
+                baseline: result.baseline
+            };
+        }
+
+        throw new Error(`Change token for list ${list.listId} kept changing after ${this.maxRetries} retries`);
+    }
+}
+
+let trackerInstance = null;
+
+/**
+ * Get the shared change token tracker
+ * @returns {ChangeTokenTracker} Change token tracker instance
+ */
+function getChangeTokenTracker() {
+    if (!trackerInstance) {
+        trackerInstance = new ChangeTokenTracker();
+    }
+    return trackerInstance;
+}
+
+module.exports = {
+    ChangeTokenTracker,
+    buildChangeToken,
+    buildChangeTokenKey,
+    getChangeTokenTracker
+};
@@ -0,0 +1,184 @@
+/**
+ * Circuit Breaker
+ * Stops EnhancedForwarder from calling a forward target that keeps failing.
+ * One breaker per target host:
+ * - closed:    requests are sent; consecutive failures are counted
+ * - open:      after config.forwardRetry.circuitFailureThreshold failures, requests
+ *              are not sent and deliveries are deferred (see the deferred-deliveries timer)
+ * - half-open: once config.forwardRetry.circuitOpenDuration has passed, one trial
+ *              request is sent; success closes the circuit, failure opens it again
+ *
+ * Breakers live in memory, so each function instance keeps its own view of a
+ * target. health-check reports the breakers of the instance that answers.
+ */
+
+const config = require('./config');
+const { createLogger } = require('./logger');
+
+const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker {
+    /**
+     * @param {string} key - Target host
+     * @param {Object} options - { failureThreshold, openDuration, now }
+     */
+    constructor(key, options = {}) {
+        this.key = key;
+        this.failureThreshold = options.failureThreshold || config.forwardRetry.circuitFailureThreshold;
+        this.openDuration = options.openDuration || config.forwardRetry.circuitOpenDuration;
+        this.now = options.now || Date.now;
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.trialStartedAt = null;
+        this.lastError = null;
+        this.logger = createLogger();
+    }
+
+    /**
+     * Whether the breaker currently rejects requests
+     * @returns {boolean} True while open and before the trial request is due
+     */
+    isOpen() {
+        if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+            // A trial that never reports back is given up after openDuration, so a lost
+            // trial cannot hold the circuit open for good
+            return this.trialInFlight && this.now() < this.trialStartedAt + this.openDuration;
+        }
+        return this.state === CIRCUIT_STATES.OPEN && this.now() < this.openedAt + this.openDuration;
+    }
+
+    /**
+     * Ask to send a request; moves an expired open circuit to half-open
+     * @returns {boolean} True if the request may be sent
+     */
+    canRequest() {
+        if (this.state === CIRCUIT_STATES.CLOSED) {
+            return true;
+        }
+        if (this.isOpen()) {
+            return false;
+        }
+        this.state = CIRCUIT_STATES.HALF_OPEN;
+        this.trialInFlight = true;
+        this.trialStartedAt = this.now();
+        return true;
+    }
+
+    /**
+     * Give back a half-open trial that never reached the target, so the next request can take it
+     */
+    releaseTrial() {
+        this.trialInFlight = false;
+    }
+
+    recordSuccess() {
+        if (this.state !== CIRCUIT_STATES.CLOSED) {
+            this.logger.info('Forward target recovered, closing circuit', { target: this.key });
+        }
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastError = null;
+    }
+
+    /**
+     * @param {string} error - Why the attempt failed
+     */
+    recordFailure(error) {
+        this.failures++;
+        this.lastError = error || null;
+        this.trialInFlight = false;
+
+        if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+            if (this.state !== CIRCUIT_STATES.OPEN) {
+                this.logger.warn('Forward target failing, opening circuit', {
+                    target: this.key,
+                    failures: this.failures,
+                    error: this.lastError
+                });
+            }
+            this.state = CIRCUIT_STATES.OPEN;
+            this.openedAt = this.now();
+        }
+    }
+
+    /**
+     * When the next trial request is due
+     * @returns {string|null} ISO time, or null when the circuit is closed
+     */
+    retryAt() {
+        if (this.state === CIRCUIT_STATES.CLOSED) {
+            return null;
+        }
+        return new Date(this.openedAt + this.openDuration).toISOString();
+    }
+
+    getStatus() {
+        return {
+            target: this.key,
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.retryAt(),
+            lastError: this.lastError
+        };
+    }
+}
+
+const breakers = new Map();
+
+/**
+ * Breaker key of a forward URL
+ * @param {string} targetUrl - Forward URL
+ * @returns {string} Host (with port, if any)
+ */
+function getCircuitKey(targetUrl) {
+    try {
+        return new URL(targetUrl).host;
+    } catch {
+        return String(targetUrl);
+    }
+}
+
+/**
+ * Get the breaker of a target, creating it on first use
+ * @param {string} key - Target host (see getCircuitKey)
+ * @returns {CircuitBreaker} Breaker
+ */
+function getCircuitBreaker(key) {
+    if (!breakers.has(key)) {
+        breakers.set(key, new CircuitBreaker(key));
+    }
+    return breakers.get(key);
+}
+
+/**
+ * Status of every breaker in this instance
+ * @returns {Array<Object>} Breaker statuses
+ */
+function getCircuitStatuses() {
+    return [...breakers.values()].map(breaker => breaker.getStatus());
+}
+
+/**
+ * Forget all breakers (tests)
+ */
+function resetCircuitBreakers() {
+    breakers.clear();
+}
+
+module.exports = {
+    CIRCUIT_STATES,
+    CircuitBreaker,
+    getCircuitKey,
+    getCircuitBreaker,
+    getCircuitStatuses,
+    resetCircuitBreakers
+};
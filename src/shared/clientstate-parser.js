@@ -0,0 +1,538 @@
+/**
+ * ClientState Parser
+ * Single parser/serializer for webhook clientState strings. Every consumer
+ * (webhook-handler, EnhancedForwarder, UiPath processor registry, UiPath
+ * environment config, subscription-manager, webhook-sync) reads clientState
+ * through this module so they all agree on keys, casing and matching rules.
+ *
+ * Supported formats:
+ * - v2:     destination:uipath|handler:document|queue:FIN_SCAN|tenant:PROD|folder:606837
+ *           (path:/Invoices limits a drive subscription to one library folder)
+ * - legacy: processor:uipath;processor:document;uipath:FIN_SCAN;env:PROD;folder:606837
+ *           forward:https://example.com/hook;mode:withChanges;includeFields:Title,Status
+ *
+ * Both formats normalize to the same config object; serializeClientState
+ * always writes the canonical v2 form.
+ *
+ * Multiple destinations (v2 only): every destination: key starts a new
+ * destination and keys before the first one are shared by all of them, e.g.
+ *   path:/Invoices|destination:uipath|queue:FIN_SCAN|tenant:PROD|destination:uipath|queue:FIN_SCAN|tenant:UAT
+ *   |destination:forward|url:https://example.com/hook
+ * parseDestinations splits such a clientState into one single-destination
+ * clientState per target; parseClientState reads it as one config.
+ *
+ * Routing rules: when:<rule> (see rule-engine) limits delivery to matching
+ * events. A shared when: and a destination's own when: must both match.
+ *
+ * Payload templates: template:<name> (see payload-templates) reshapes what a
+ * forward destination sends; the built-in templates match the forward modes.
+ *
+ * Signing: signingKey:<name> (see forward-signing) names the app setting that
+ * holds a forward destination's HMAC secret; the secret itself never appears here.
+ * auth:<profile> (see forward-auth) selects the credentials sent to the target.
+ * retry:<policy> (see forward-retry) selects how failed forwards are retried.
+ *
+ * Output format: format:<format> selects how a forward destination encodes what it
+ * sends - json (default) or CloudEvents (see cloudevents).
+ *
+ * Queue destinations (v2 only, see destination-adapters) publish the forward payload
+ * to Azure messaging instead of a URL:
+ *   destination:storagequeue|queue:sp-events
+ *   destination:servicebus|topic:sp-events|connection:ORDERS_BUS
+ * connection:<name> names the app setting that holds the connection string.
+ *
+ * Teams destinations (v2 only, see teams-cards) post an Adaptive Card to a channel:
+ *   destination:teams|channel:OPS|card:status-alert
+ * channel:<name> names the app setting suffix of the webhook URL and card:<name>
+ * selects the card template.
+ */
+
+const CLIENT_STATE_FORMATS = {
+    V2: 'v2',
+    LEGACY: 'legacy',
+    EMPTY: 'empty'
+};
+
+const DESTINATIONS = {
+    UIPATH: 'uipath',
+    FORWARD: 'forward',
+    STORAGE_QUEUE: 'storagequeue',
+    SERVICE_BUS: 'servicebus',
+    TEAMS: 'teams'
+};
+
+// Destinations delivered through a destination adapter
+const ADAPTER_DESTINATIONS = [DESTINATIONS.STORAGE_QUEUE, DESTINATIONS.SERVICE_BUS];
+
+const FORWARD_MODES = ['simple', 'withData', 'withChanges'];
+
+const FORWARD_FORMATS = ['json', 'cloudevents', 'cloudevents-binary', 'cloudevents-batch'];
+
+// Canonical key order used when serializing
+const CANONICAL_KEYS = [
+    'destination', 'handler', 'queue', 'topic', 'connection', 'channel', 'card', 'tenant', 'folder', 'label', 'config', 'path',
+    'url', 'mode', 'format', 'template', 'signingKey', 'auth', 'retry', 'detectChanges', 'fields', 'includeFields', 'excludeFields', 'when'
+];
+
+/**
+ * Detect which syntax a clientState string uses
+ * @param {string} clientState - Raw clientState
+ * @returns {string} One of CLIENT_STATE_FORMATS
+ */
+function detectFormat(clientState) {
+    if (!clientState || typeof clientState !== 'string' || !clientState.trim()) {
+        return CLIENT_STATE_FORMATS.EMPTY;
+    }
+    if (/(^|\|)\s*destination:/i.test(clientState)) {
+        return CLIENT_STATE_FORMATS.V2;
+    }
+    if (clientState.includes('|') && !clientState.includes(';')) {
+        return CLIENT_STATE_FORMATS.V2;
+    }
+    return CLIENT_STATE_FORMATS.LEGACY;
+}
+
+/**
+ * Split a clientState string into trimmed key/value pairs
+ * Values may contain colons (URLs), so only the first colon separates key and value.
+ * @param {string} clientState - Raw clientState
+ * @returns {Array<{key: string, value: string}>} Pairs; key is lowercased, value is null for bare tokens
+ */
+function splitPairs(clientState) {
+    const separator = detectFormat(clientState) === CLIENT_STATE_FORMATS.V2 ? '|' : ';';
+
+    return clientState
+        .split(separator)
+        .map(token => token.trim())
+        .filter(Boolean)
+        .map(token => {
+            const colonIndex = token.indexOf(':');
+            if (colonIndex === -1) {
+                const equalsIndex = token.indexOf('=');
+                if (equalsIndex === -1) {
+                    return { key: token.toLowerCase(), value: null };
+                }
+                return {
+                    key: token.substring(0, equalsIndex).trim().toLowerCase(),
+                    value: token.substring(equalsIndex + 1).trim()
+                };
+            }
+            return {
+                key: token.substring(0, colonIndex).trim().toLowerCase(),
+                value: token.substring(colonIndex + 1).trim()
+            };
+        });
+}
+
+/**
+ * Tokenize clientState into lowercased "key:value" strings
+ * @param {string} clientState - Raw clientState
+ * @returns {Array<string>} Tokens
+ */
+function tokenizeClientState(clientState) {
+    if (detectFormat(clientState) === CLIENT_STATE_FORMATS.EMPTY) {
+        return [];
+    }
+    const separator = detectFormat(clientState) === CLIENT_STATE_FORMATS.V2 ? '|' : ';';
+    return clientState
+        .split(separator)
+        .map(token => token.trim())
+        .filter(Boolean)
+        .map(token => token.toLowerCase());
+}
+
+function splitList(value) {
+    return value.split(',').map(field => field.trim()).filter(Boolean);
+}
+
+function normalizeMode(value) {
+    const match = FORWARD_MODES.find(mode => mode.toLowerCase() === value.toLowerCase());
+    return match || value;
+}
+
+function isTruthy(value) {
+    return ['true', 'enabled', 'yes', '1'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Create an empty config object
+ * @returns {Object} Config with every field present
+ */
+function createEmptyConfig() {
+    return {
+        format: CLIENT_STATE_FORMATS.EMPTY,
+        destination: null,
+        handler: null,
+        queue: null,
+        topic: null,
+        connection: null,
+        channel: null,
+        cardTemplate: null,
+        tenant: null,
+        folder: null,
+        label: null,
+        configName: null,
+        path: null,
+        forwardUrl: null,
+        mode: 'simple',
+        outputFormat: 'json',
+        template: null,
+        signingKey: null,
+        authProfile: null,
+        retryPolicy: null,
+        detectChanges: false,
+        fields: [],
+        includeFields: null,
+        excludeFields: null,
+        when: null,
+        extras: {}
+    };
+}
+
+/**
+ * Apply a key/value pair shared by both formats
+ * @returns {boolean} True if the key was recognised
+ */
+function applyCommonPair(result, key, value) {
+    switch (key) {
+        case 'handler':
+            result.handler = value.toLowerCase();
+            return true;
+        case 'queue':
+            result.queue = value;
+            return true;
+        case 'topic':
+            result.topic = value;
+            return true;
+        case 'connection':
+            result.connection = value;
+            return true;
+        case 'channel':
+            result.channel = value;
+            return true;
+        case 'card':
+            result.cardTemplate = value;
+            return true;
+        case 'tenant':
+        case 'env':
+        case 'environment':
+            result.tenant = value.toUpperCase();
+            return true;
+        case 'folder':
+        case 'organizationunitid':
+            result.folder = value;
+            return true;
+        case 'label':
+            result.label = value;
+            return true;
+        case 'config':
+            result.configName = value;
+            return true;
+        case 'path':
+        case 'folderpath':
+            result.path = value;
+            return true;
+        case 'url':
+        case 'forward':
+            result.forwardUrl = value;
+            return true;
+        case 'mode':
+            result.mode = normalizeMode(value);
+            return true;
+        case 'format':
+            result.outputFormat = value.toLowerCase();
+            return true;
+        case 'template':
+            result.template = value;
+            return true;
+        case 'signingkey':
+            result.signingKey = value;
+            return true;
+        case 'auth':
+            result.authProfile = value;
+            return true;
+        case 'retry':
+            result.retryPolicy = value;
+            return true;
+        case 'detectchanges':
+        case 'changedetection':
+            result.detectChanges = isTruthy(value);
+            return true;
+        case 'fields':
+            result.fields = splitList(value);
+            return true;
+        case 'includefields':
+            result.includeFields = splitList(value);
+            return true;
+        case 'excludefields':
+            result.excludeFields = splitList(value);
+            return true;
+        case 'when':
+        case 'rule':
+            // Repeated rules (shared and per destination) must all match
+            result.when = result.when ? `(${result.when}) and (${value})` : value;
+            return true;
+        default:
+            return false;
+    }
+}
+
+function parseV2(pairs, result) {
+    for (const { key, value } of pairs) {
+        if (value === null) {
+            result.extras[key] = true;
+            continue;
+        }
+        if (key === 'destination') {
+            result.destination = value.toLowerCase();
+            continue;
+        }
+        if (!applyCommonPair(result, key, value)) {
+            result.extras[key] = value;
+        }
+    }
+}
+
+function parseLegacy(pairs, result) {
+    let uipathRequested = false;
+
+    for (const { key, value } of pairs) {
+        if (value === null) {
+            result.extras[key] = true;
+            continue;
+        }
+
+        const lowerValue = value.toLowerCase();
+
+        if (key === 'processor') {
+            // processor:uipath selects the destination, any other processor is the handler
+            if (lowerValue === DESTINATIONS.UIPATH) {
+                uipathRequested = true;
+            } else {
+                result.handler = lowerValue;
+            }
+        } else if (key === 'uipath') {
+            uipathRequested = true;
+            if (!['enabled', 'true'].includes(lowerValue)) {
+                result.queue = value;
+            }
+        } else if (key === 'costco') {
+            // costco:routing
+            result.handler = 'costco';
+        } else if (!applyCommonPair(result, key, value)) {
+            result.extras[key] = value;
+        }
+    }
+
+    if (uipathRequested) {
+        result.destination = DESTINATIONS.UIPATH;
+    } else if (result.forwardUrl) {
+        result.destination = DESTINATIONS.FORWARD;
+    }
+}
+
+/**
+ * Parse a clientState string (v2 or legacy) into a config object
+ * @param {string} clientState - Raw clientState
+ * @returns {Object} Normalized config
+ */
+function parseClientState(clientState) {
+    const result = createEmptyConfig();
+    result.format = detectFormat(clientState);
+
+    if (result.format === CLIENT_STATE_FORMATS.EMPTY) {
+        return result;
+    }
+
+    const pairs = splitPairs(clientState);
+    if (result.format === CLIENT_STATE_FORMATS.V2) {
+        parseV2(pairs, result);
+    } else {
+        parseLegacy(pairs, result);
+    }
+
+    // changeDetection:enabled implies change payloads unless a mode was given explicitly
+    if (result.detectChanges && !pairs.some(pair => pair.key === 'mode')) {
+        result.mode = 'withChanges';
+    }
+
+    return result;
+}
+
+/**
+ * Split a v2 clientState into one clientState per destination: key
+ * Keys before the first destination: are copied into every group.
+ * @param {string} clientState - Raw clientState
+ * @returns {Array<string>} clientState per destination (the input itself if it declares at most one)
+ */
+function splitDestinationGroups(clientState) {
+    const format = detectFormat(clientState);
+    if (format === CLIENT_STATE_FORMATS.EMPTY) {
+        return [];
+    }
+    if (format !== CLIENT_STATE_FORMATS.V2) {
+        return [clientState];
+    }
+
+    const tokens = clientState.split('|').map(token => token.trim()).filter(Boolean);
+    const isDestination = token => /^destination\s*:/i.test(token);
+    if (tokens.filter(isDestination).length <= 1) {
+        return [clientState];
+    }
+
+    const shared = [];
+    const groups = [];
+    for (const token of tokens) {
+        if (isDestination(token)) {
+            groups.push([token]);
+        } else if (groups.length === 0) {
+            shared.push(token);
+        } else {
+            groups[groups.length - 1].push(token);
+        }
+    }
+    return groups.map(group => [group[0], ...shared, ...group.slice(1)].join('|'));
+}
+
+/**
+ * Resolve every destination a clientState delivers to
+ * A destination routing to UiPath that also names a url delivers to both,
+ * as a single-destination clientState always has. Each destination keeps
+ * its group's clientState as written, so processors see the same tokens.
+ * @param {string} clientState - Raw clientState
+ * @returns {Array<Object>} { id, type, clientState, config } per destination, in declaration order
+ */
+function parseDestinations(clientState) {
+    const destinations = [];
+    const add = (type, group, config) => destinations.push({
+        id: `${type}-${destinations.length + 1}`,
+        type,
+        clientState: group,
+        config
+    });
+
+    for (const group of splitDestinationGroups(clientState)) {
+        const parsed = parseClientState(group);
+        if (parsed.destination === DESTINATIONS.UIPATH) {
+            add(DESTINATIONS.UIPATH, group, parsed);
+        }
+        if (parsed.forwardUrl) {
+            add(DESTINATIONS.FORWARD, group, parsed);
+        }
+        if (ADAPTER_DESTINATIONS.includes(parsed.destination) || parsed.destination === DESTINATIONS.TEAMS) {
+            add(parsed.destination, group, parsed);
+        }
+    }
+
+    return destinations;
+}
+
+/**
+ * Serialize a config object to canonical v2 clientState
+ * @param {Object} config - Config as returned by parseClientState (or a subset)
+ * @returns {string} Canonical clientState
+ */
+function serializeClientState(config = {}) {
+    const values = {
+        destination: config.destination,
+        handler: config.handler,
+        queue: config.queue,
+        topic: config.topic,
+        connection: config.connection,
+        channel: config.channel,
+        card: config.cardTemplate,
+        tenant: config.tenant ? String(config.tenant).toUpperCase() : null,
+        folder: config.folder,
+        label: config.label,
+        config: config.configName,
+        path: config.path,
+        url: config.forwardUrl,
+        mode: config.mode && config.mode !== 'simple' ? config.mode : null,
+        format: config.outputFormat && config.outputFormat !== 'json' ? config.outputFormat : null,
+        template: config.template,
+        signingKey: config.signingKey,
+        auth: config.authProfile,
+        retry: config.retryPolicy,
+        detectChanges: config.detectChanges && config.mode !== 'withChanges' ? 'true' : null,
+        fields: config.fields && config.fields.length > 0 ? config.fields.join(',') : null,
+        includeFields: config.includeFields ? config.includeFields.join(',') : null,
+        excludeFields: config.excludeFields ? config.excludeFields.join(',') : null,
+        when: config.when
+    };
+
+    const parts = CANONICAL_KEYS
+        .filter(key => values[key] !== null && values[key] !== undefined && values[key] !== '')
+        .map(key => `${key}:${values[key]}`);
+
+    for (const [key, value] of Object.entries(config.extras || {})) {
+        parts.push(value === true ? key : `${key}:${value}`);
+    }
+
+    return parts.join('|');
+}
+
+/**
+ * Check whether a clientState routes to UiPath
+ * @param {string|Object} clientState - Raw clientState or parsed config
+ * @returns {boolean} True if UiPath processing is requested
+ */
+function routesToUiPath(clientState) {
+    if (typeof clientState === 'string' || !clientState) {
+        return parseDestinations(clientState).some(destination => destination.type === DESTINATIONS.UIPATH);
+    }
+    return clientState.destination === DESTINATIONS.UIPATH;
+}
+
+/**
+ * Check whether a clientState forwards notifications to a URL
+ * @param {string|Object} clientState - Raw clientState or parsed config
+ * @returns {boolean} True if a forward URL is configured
+ */
+function routesToForward(clientState) {
+    if (typeof clientState === 'string' || !clientState) {
+        return parseDestinations(clientState).some(destination => destination.type === DESTINATIONS.FORWARD);
+    }
+    return Boolean(clientState.forwardUrl);
+}
+
+/**
+ * Check whether a clientState publishes notifications to a Storage Queue or Service Bus
+ * @param {string|Object} clientState - Raw clientState or parsed config
+ * @returns {boolean} True if a queue destination is configured
+ */
+function routesToAdapter(clientState) {
+    if (typeof clientState === 'string' || !clientState) {
+        return parseDestinations(clientState).some(destination => ADAPTER_DESTINATIONS.includes(destination.type));
+    }
+    return ADAPTER_DESTINATIONS.includes(clientState.destination);
+}
+
+/**
+ * Check whether a clientState posts cards to a Teams channel
+ * @param {string|Object} clientState - Raw clientState or parsed config
+ * @returns {boolean} True if a Teams destination is configured
+ */
+function routesToTeams(clientState) {
+    if (typeof clientState === 'string' || !clientState) {
+        return parseDestinations(clientState).some(destination => destination.type === DESTINATIONS.TEAMS);
+    }
+    return clientState.destination === DESTINATIONS.TEAMS;
+}
+
+module.exports = {
+    CLIENT_STATE_FORMATS,
+    DESTINATIONS,
+    ADAPTER_DESTINATIONS,
+    FORWARD_MODES,
+    FORWARD_FORMATS,
+    detectFormat,
+    tokenizeClientState,
+    parseClientState,
+    serializeClientState,
+    splitDestinationGroups,
+    parseDestinations,
+    routesToUiPath,
+    routesToForward,
+    routesToAdapter,
+    routesToTeams
+};
@@ -0,0 +1,685 @@
+/**
+ * ClientState Validator
+ * Checks a clientState string (or structured config) before a subscription
+ * is created, so misconfigurations surface immediately instead of failing
+ * silently at notification time. Used by the clientstate-validate function
+ * and by subscription-manager.
+ */
+
+const config = require('./config');
+const {
+    parseClientState,
+    serializeClientState,
+    splitDestinationGroups,
+    CLIENT_STATE_FORMATS,
+    DESTINATIONS,
+    ADAPTER_DESTINATIONS,
+    FORWARD_MODES,
+    FORWARD_FORMATS
+} = require('./clientstate-parser');
+const { ENVIRONMENT_PRESETS } = require('./uipath-environment-config');
+const { resolveProcessor } = require('./uipath-processor-registry');
+const { validateRule, buildRoutingRule } = require('./rule-engine');
+const { getPayloadTemplate, getPayloadTemplates, getTemplateMode } = require('./payload-templates');
+const { SIGNING_KEY_NAME_PATTERN, getSigningKeySettings, resolveSigningSecrets } = require('./forward-signing');
+const { getAuthProfile, findMissingSettings } = require('./forward-auth');
+const { getRetryPolicy } = require('./forward-retry');
+const {
+    ADAPTER_BACKENDS,
+    CONNECTION_NAME_PATTERN,
+    ENTITY_NAME_PATTERNS,
+    getConnectionSetting
+} = require('./destination-adapters');
+const { CHANNEL_NAME_PATTERN, getTeamsWebhookSetting, getCardTemplate, getCardTemplates } = require('./teams-cards');
+const { VALIDATION_PATTERNS } = require('./constants');
+
+// Microsoft Graph rejects clientState values longer than this
+const MAX_CLIENT_STATE_LENGTH = 128;
+
+const FORWARD_FORMAT_DESCRIPTIONS = {
+    cloudevents: 'structured-mode CloudEvents',
+    'cloudevents-binary': 'binary-mode CloudEvents',
+    'cloudevents-batch': 'CloudEvents batches, one request per list notification'
+};
+
+const ADAPTER_DESCRIPTIONS = {
+    storagequeue: 'Storage Queue',
+    servicebus: 'Service Bus'
+};
+
+/**
+ * Normalize validation input into a raw clientState string
+ * A structured config may list several destinations as { destinations: [...] }.
+ * @param {string|Object} input - clientState string or structured config
+ * @returns {string} clientState
+ */
+function toClientState(input) {
+    if (typeof input === 'string') {
+        return input;
+    }
+    if (!input || typeof input !== 'object') {
+        return '';
+    }
+    if (Array.isArray(input.destinations)) {
+        return input.destinations.map(toClientState).filter(Boolean).join('|');
+    }
+    return serializeClientState({
+        destination: input.destination,
+        handler: input.handler || input.processor,
+        queue: input.queue,
+        topic: input.topic,
+        connection: input.connection,
+        channel: input.channel,
+        cardTemplate: input.cardTemplate || input.card,
+        tenant: input.tenant || input.env,
+        folder: input.folder,
+        label: input.label,
+        configName: input.configName,
+        path: input.path,
+        forwardUrl: input.url || input.forwardUrl,
+        mode: input.mode,
+        outputFormat: input.outputFormat || input.format,
+        template: input.template,
+        signingKey: input.signingKey,
+        authProfile: input.authProfile || input.auth,
+        retryPolicy: input.retryPolicy || input.retry,
+        includeFields: input.includeFields,
+        excludeFields: input.excludeFields,
+        fields: input.fields,
+        when: input.when
+    });
+}
+
+function validateUiPath(parsed, clientState, resource, errors, warnings) {
+    if (!parsed.queue) {
+        errors.push({
+            field: 'queue',
+            message: 'A UiPath queue is required when routing to UiPath',
+            suggestion: 'Add queue:<QueueName>'
+        });
+    } else if (!VALIDATION_PATTERNS.UIPATH_QUEUE_NAME.test(parsed.queue)) {
+        errors.push({
+            field: 'queue',
+            message: `Queue name '${parsed.queue}' contains invalid characters`,
+            suggestion: 'Queue names may only contain letters, numbers, hyphens and underscores'
+        });
+    }
+
+    if (!parsed.tenant) {
+        warnings.push({
+            field: 'tenant',
+            message: 'No tenant specified; the UiPath tenant from app settings will be used',
+            suggestion: `Add tenant:<${Object.keys(ENVIRONMENT_PRESETS).join('|')}>`
+        });
+    } else if (!ENVIRONMENT_PRESETS[parsed.tenant]) {
+        errors.push({
+            field: 'tenant',
+            message: `Unknown environment preset '${parsed.tenant}'`,
+            suggestion: `Use one of: ${Object.keys(ENVIRONMENT_PRESETS).join(', ')}`
+        });
+    }
+
+    if (parsed.folder && !/^\d+$/.test(parsed.folder)) {
+        errors.push({
+            field: 'folder',
+            message: `Folder ID '${parsed.folder}' is not a valid number`,
+            suggestion: `Use a numeric folder ID like '${Object.values(ENVIRONMENT_PRESETS)[0].organizationUnitId}'`
+        });
+    }
+
+    // Resolve from clientState alone first, so a resource-based fallback is reported separately
+    let processor = resolveProcessor({ clientState });
+    if (!processor && resource) {
+        processor = resolveProcessor({ clientState, resource });
+        if (processor) {
+            warnings.push({
+                field: 'handler',
+                message: `Processor '${processor.name}' is selected from the resource path, not the clientState`,
+                suggestion: 'Set handler explicitly so routing does not depend on the list URL'
+            });
+        }
+    }
+
+    if (!processor) {
+        errors.push({
+            field: 'handler',
+            message: parsed.handler
+                ? `No registered processor handles '${parsed.handler}'`
+                : 'No processor could be resolved for this clientState',
+            suggestion: 'Use a registered handler such as handler:document or handler:costco (see GET /api/handlers)'
+        });
+    }
+
+    return processor;
+}
+
+function validateForward(parsed, errors, warnings) {
+    if (!parsed.forwardUrl) {
+        errors.push({
+            field: 'url',
+            message: 'A forward URL is required when forwarding notifications',
+            suggestion: 'Add url:https://...'
+        });
+        return;
+    }
+
+    let url;
+    try {
+        url = new URL(parsed.forwardUrl);
+    } catch {
+        errors.push({
+            field: 'url',
+            message: `Forward URL '${parsed.forwardUrl}' is not a valid URL`
+        });
+        return;
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        errors.push({
+            field: 'url',
+            message: `Forward URL must use http or https, got '${url.protocol}'`
+        });
+    } else if (url.protocol === 'http:') {
+        warnings.push({
+            field: 'url',
+            message: 'Forward URL is not using HTTPS; notification data will be sent unencrypted'
+        });
+    }
+
+    if (!FORWARD_MODES.includes(parsed.mode)) {
+        errors.push({
+            field: 'mode',
+            message: `Unknown forwarding mode '${parsed.mode}'`,
+            suggestion: `Use one of: ${FORWARD_MODES.join(', ')}`
+        });
+    }
+
+    if (!FORWARD_FORMATS.includes(parsed.outputFormat)) {
+        errors.push({
+            field: 'format',
+            message: `Unknown output format '${parsed.outputFormat}'`,
+            suggestion: `Use one of: ${FORWARD_FORMATS.join(', ')}`
+        });
+    }
+
+    if (parsed.template) {
+        validatePayloadTemplateName(parsed, errors, warnings);
+    }
+
+    if (parsed.signingKey) {
+        validateSigningKey(parsed, errors, warnings);
+    }
+
+    if (parsed.authProfile) {
+        validateAuthProfileName(parsed, errors, warnings);
+    }
+
+    if (parsed.retryPolicy && !getRetryPolicy(parsed.retryPolicy)) {
+        errors.push({
+            field: 'retry',
+            message: `Unknown retry policy '${parsed.retryPolicy}'`,
+            suggestion: 'Use default or none, or declare the policy in the FORWARD_RETRY_POLICIES app setting'
+        });
+    }
+}
+
+function validateAdapter(parsed, errors, warnings) {
+    validateAdapterEntity(parsed, errors, warnings);
+
+    // A url on the same destination already had its payload settings checked
+    if (!parsed.forwardUrl && !FORWARD_MODES.includes(parsed.mode)) {
+        errors.push({
+            field: 'mode',
+            message: `Unknown forwarding mode '${parsed.mode}'`,
+            suggestion: `Use one of: ${FORWARD_MODES.join(', ')}`
+        });
+    }
+
+    if (!parsed.forwardUrl && parsed.template) {
+        validatePayloadTemplateName(parsed, errors, warnings);
+    }
+
+    if (parsed.connection && !CONNECTION_NAME_PATTERN.test(parsed.connection)) {
+        errors.push({
+            field: 'connection',
+            message: `Connection name '${parsed.connection}' may only contain letters, digits and _`,
+            suggestion: 'The name selects an app setting; put the connection string in that setting, not in clientState'
+        });
+    } else if (config.destinationAdapters.backend === ADAPTER_BACKENDS.AZURE && !process.env[getConnectionSetting(parsed)]) {
+        warnings.push({
+            field: 'connection',
+            message: `${getConnectionSetting(parsed)} is not set here; deliveries will fail until it is configured`
+        });
+    }
+}
+
+function validateAdapterEntity(parsed, errors, warnings) {
+    const service = ADAPTER_DESCRIPTIONS[parsed.destination];
+    const entity = parsed.destination === DESTINATIONS.SERVICE_BUS && parsed.topic ? 'topic' : 'queue';
+
+    if (!parsed[entity]) {
+        errors.push({
+            field: 'queue',
+            message: `A queue is required when publishing to ${service}`,
+            suggestion: parsed.destination === DESTINATIONS.SERVICE_BUS ? 'Add queue:<name> or topic:<name>' : 'Add queue:<name>'
+        });
+    } else if (!ENTITY_NAME_PATTERNS[parsed.destination].test(parsed[entity])) {
+        errors.push({
+            field: entity,
+            message: `'${parsed[entity]}' is not a valid ${service} ${entity} name`,
+            suggestion: parsed.destination === DESTINATIONS.STORAGE_QUEUE
+                ? 'Storage Queue names are 3-63 lowercase letters, digits and single hyphens'
+                : 'Use letters, digits, periods, hyphens, underscores and slashes'
+        });
+    }
+
+    if (parsed.topic && parsed.destination === DESTINATIONS.STORAGE_QUEUE) {
+        warnings.push({
+            field: 'topic',
+            message: 'topic only applies to Service Bus and is ignored for Storage Queue destinations'
+        });
+    } else if (parsed.topic && parsed.queue) {
+        warnings.push({
+            field: 'queue',
+            message: `queue is ignored; messages are published to topic '${parsed.topic}'`
+        });
+    }
+}
+
+function validateTeams(parsed, errors, warnings) {
+    if (parsed.channel && !CHANNEL_NAME_PATTERN.test(parsed.channel)) {
+        errors.push({
+            field: 'channel',
+            message: `Channel name '${parsed.channel}' may only contain letters, digits and _`,
+            suggestion: 'The name selects an app setting; put the webhook URL in that setting, not in clientState'
+        });
+    } else if (!process.env[getTeamsWebhookSetting(parsed.channel)]) {
+        warnings.push({
+            field: 'channel',
+            message: `${getTeamsWebhookSetting(parsed.channel)} is not set here; cards will fail until it is configured`
+        });
+    }
+
+    if (!getCardTemplate(parsed.cardTemplate)) {
+        errors.push({
+            field: 'card',
+            message: `Unknown card template '${parsed.cardTemplate || config.teams.defaultCard}'`,
+            suggestion: `Use one of: ${getCardTemplates().map(template => template.name).join(', ')}`
+        });
+    }
+
+    if (parsed.forwardUrl) {
+        warnings.push({
+            field: 'url',
+            message: 'url also forwards notifications to that URL; Teams webhook URLs belong in the channel app setting'
+        });
+    }
+}
+
+function validateAuthProfileName(parsed, errors, warnings) {
+    const profile = getAuthProfile(parsed.authProfile);
+    if (!profile) {
+        errors.push({
+            field: 'auth',
+            message: `Unknown auth profile '${parsed.authProfile}'`,
+            suggestion: 'Declare the profile in the FORWARD_AUTH_PROFILES app setting'
+        });
+        return;
+    }
+
+    const missing = findMissingSettings(profile);
+    if (missing.length > 0) {
+        warnings.push({
+            field: 'auth',
+            message: `Auth profile '${profile.name}' needs app settings that are not set here: ${missing.join(', ')}`
+        });
+    }
+}
+
+function validateSigningKey(parsed, errors, warnings) {
+    if (!SIGNING_KEY_NAME_PATTERN.test(parsed.signingKey)) {
+        errors.push({
+            field: 'signingKey',
+            message: `Signing key name '${parsed.signingKey}' may only contain letters, digits and _`,
+            suggestion: 'The name selects an app setting; put the secret in that setting, not in clientState'
+        });
+    } else if (resolveSigningSecrets(parsed.signingKey).length === 0) {
+        warnings.push({
+            field: 'signingKey',
+            message: `${getSigningKeySettings(parsed.signingKey).current} is not set here; forwards will fail until it is configured`
+        });
+    }
+}
+
+function validatePayloadTemplateName(parsed, errors, warnings) {
+    const template = getPayloadTemplate(parsed.template);
+    if (!template) {
+        errors.push({
+            field: 'template',
+            message: `Unknown payload template '${parsed.template}'`,
+            suggestion: `Use one of: ${getPayloadTemplates().map(candidate => candidate.name).join(', ')}`
+        });
+    } else if (parsed.mode !== 'simple' && parsed.mode !== getTemplateMode(template)) {
+        warnings.push({
+            field: 'mode',
+            message: `mode is ignored; the ${template.name} payload template uses ${getTemplateMode(template)} mode`
+        });
+    }
+}
+
+function validateRoutingRule(parsed, errors) {
+    const whenError = parsed.when ? validateRule(parsed.when) : null;
+    if (whenError) {
+        errors.push({
+            field: 'when',
+            message: whenError,
+            suggestion: "Use 'or' instead of '||'; '|' separates clientState keys"
+        });
+    }
+
+    const invalidFields = (parsed.fields || []).filter(field => validateRule(`changed(${field})`));
+    if (invalidFields.length > 0) {
+        errors.push({
+            field: 'fields',
+            message: `Invalid watched field names: ${invalidFields.join(', ')}`,
+            suggestion: 'Use SharePoint internal field names such as Status or Amount'
+        });
+    }
+}
+
+function collectFormatWarnings(parsed, canonicalClientState, warnings) {
+    if (parsed.destination === DESTINATIONS.FORWARD && (parsed.queue || parsed.handler)) {
+        warnings.push({
+            field: parsed.queue ? 'queue' : 'handler',
+            message: 'queue and handler are ignored when destination is forward'
+        });
+    }
+
+    const isAdapter = ADAPTER_DESTINATIONS.includes(parsed.destination);
+
+    if ((parsed.topic || parsed.connection) && !isAdapter) {
+        warnings.push({
+            field: parsed.topic ? 'topic' : 'connection',
+            message: `${parsed.topic ? 'topic' : 'connection'} only applies to storagequeue and servicebus destinations`
+        });
+    }
+
+    if ((parsed.channel || parsed.cardTemplate) && parsed.destination !== DESTINATIONS.TEAMS) {
+        warnings.push({
+            field: parsed.channel ? 'channel' : 'card',
+            message: `${parsed.channel ? 'channel' : 'card'} only applies to teams destinations`
+        });
+    }
+
+    if (parsed.template && !parsed.forwardUrl && !isAdapter) {
+        warnings.push({
+            field: 'template',
+            message: 'template only shapes forwarded payloads and is ignored without a url or queue destination'
+        });
+    }
+
+    if (parsed.signingKey && !parsed.forwardUrl) {
+        warnings.push({
+            field: 'signingKey',
+            message: 'signingKey only signs forwarded requests and is ignored without a url'
+        });
+    }
+
+    if (parsed.authProfile && !parsed.forwardUrl) {
+        warnings.push({
+            field: 'auth',
+            message: 'auth only applies to forwarded requests and is ignored without a url'
+        });
+    }
+
+    if (parsed.outputFormat !== 'json' && !parsed.forwardUrl) {
+        warnings.push({
+            field: 'format',
+            message: 'format only applies to forwarded requests and is ignored without a url'
+        });
+    }
+
+    if (parsed.retryPolicy && !parsed.forwardUrl) {
+        warnings.push({
+            field: 'retry',
+            message: 'retry only applies to forwarded requests and is ignored without a url'
+        });
+    }
+
+    // Bare tokens (e.g. the default 'SharePointWebhook') are treated as labels
+    for (const key of Object.keys(parsed.extras).filter(extra => parsed.extras[extra] !== true)) {
+        warnings.push({
+            field: key,
+            message: `Unrecognised clientState key '${key}' will be ignored`
+        });
+    }
+
+    if (parsed.format === CLIENT_STATE_FORMATS.LEGACY && parsed.destination) {
+        warnings.push({
+            field: 'clientState',
+            message: 'clientState uses the legacy format',
+            suggestion: `Canonical form: ${canonicalClientState}`
+        });
+    }
+}
+
+/**
+ * Build a human-readable description of what the webhook will do
+ * @param {Object} parsed - Parsed clientState
+ * @param {Object|null} processor - Resolved processor descriptor
+ * @returns {string} Explanation
+ */
+function explainClientState(parsed, processor) {
+    const sentences = [];
+
+    if (parsed.destination === DESTINATIONS.UIPATH) {
+        const tenant = parsed.tenant ? `the ${parsed.tenant} tenant` : 'the default tenant';
+        const folder = parsed.folder ? ` folder ${parsed.folder}` : '';
+        const via = processor ? ` using the ${processor.name} processor` : '';
+        sentences.push(`Submits changed items to UiPath queue '${parsed.queue || '(missing)'}' in ${tenant}${folder}${via}.`);
+    }
+
+    if (parsed.forwardUrl) {
+        const fieldFilter = parsed.includeFields ? ` (fields: ${parsed.includeFields.join(', ')})` : '';
+        const shape = parsed.template ? `using the ${parsed.template} payload template` : `in ${parsed.mode} mode`;
+        sentences.push(`Forwards notifications to ${parsed.forwardUrl} ${shape}${fieldFilter}.`);
+        if (FORWARD_FORMAT_DESCRIPTIONS[parsed.outputFormat]) {
+            sentences.push(`Notifications are sent as ${FORWARD_FORMAT_DESCRIPTIONS[parsed.outputFormat]}.`);
+        }
+        if (parsed.signingKey) {
+            sentences.push(`Forwarded requests are signed with the ${parsed.signingKey} key.`);
+        }
+        if (parsed.authProfile) {
+            sentences.push(`Authenticates to the target with the ${parsed.authProfile} auth profile.`);
+        }
+        if (parsed.retryPolicy) {
+            sentences.push(`Failed forwards are retried with the ${parsed.retryPolicy} retry policy.`);
+        }
+    }
+
+    if (ADAPTER_DESCRIPTIONS[parsed.destination]) {
+        const entity = parsed.destination === DESTINATIONS.SERVICE_BUS && parsed.topic
+            ? `topic '${parsed.topic}'`
+            : `queue '${parsed.queue || '(missing)'}'`;
+        const shape = parsed.template ? `using the ${parsed.template} payload template` : `in ${parsed.mode} mode`;
+        sentences.push(`Publishes notifications to ${ADAPTER_DESCRIPTIONS[parsed.destination]} ${entity} ${shape}.`);
+        if (parsed.connection) {
+            sentences.push(`Connects with the ${parsed.connection} app setting.`);
+        }
+    }
+
+    if (parsed.destination === DESTINATIONS.TEAMS) {
+        const channel = parsed.channel ? `the ${parsed.channel} Teams channel` : 'the default Teams channel';
+        sentences.push(`Posts the ${parsed.cardTemplate || config.teams.defaultCard} Adaptive Card to ${channel}.`);
+    }
+
+    if (parsed.path && sentences.length > 0) {
+        sentences.push(`Only files under ${parsed.path} are included.`);
+    }
+
+    const rule = buildRoutingRule(parsed);
+    if (rule && sentences.length > 0) {
+        sentences.push(`Only events matching ${rule} are delivered.`);
+    }
+
+    if (sentences.length === 0) {
+        sentences.push('Does not route notifications anywhere; only notification counts are tracked.');
+    }
+
+    return sentences.join(' ');
+}
+
+/**
+ * Validate a single-destination clientState
+ * @param {string} clientState - Raw clientState
+ * @param {Object} options - { resource }
+ * @returns {Object} Validation result (see validateClientState)
+ */
+function validateDestination(clientState, options) {
+    const errors = [];
+    const warnings = [];
+    const parsed = parseClientState(clientState);
+    const canonicalClientState = serializeClientState(parsed);
+    let processor = null;
+
+    if (parsed.format === CLIENT_STATE_FORMATS.EMPTY) {
+        warnings.push({
+            field: 'clientState',
+            message: 'clientState is empty; notifications will not be routed'
+        });
+    }
+
+    if (clientState.length > MAX_CLIENT_STATE_LENGTH) {
+        errors.push({
+            field: 'clientState',
+            message: `clientState is ${clientState.length} characters; Microsoft Graph allows ${MAX_CLIENT_STATE_LENGTH}`,
+            suggestion: canonicalClientState.length <= MAX_CLIENT_STATE_LENGTH
+                ? `Use the canonical form: ${canonicalClientState}`
+                : 'Shorten the queue name, URL or field lists'
+        });
+    }
+
+    if (parsed.destination && !Object.values(DESTINATIONS).includes(parsed.destination)) {
+        errors.push({
+            field: 'destination',
+            message: `Unknown destination '${parsed.destination}'`,
+            suggestion: `Use one of: ${Object.values(DESTINATIONS).join(', ')}`
+        });
+    }
+
+    if (parsed.destination === DESTINATIONS.UIPATH) {
+        processor = validateUiPath(parsed, clientState, options.resource, errors, warnings);
+    }
+
+    if (parsed.destination === DESTINATIONS.FORWARD || parsed.forwardUrl) {
+        validateForward(parsed, errors, warnings);
+    }
+
+    if (ADAPTER_DESTINATIONS.includes(parsed.destination)) {
+        validateAdapter(parsed, errors, warnings);
+    }
+
+    if (parsed.destination === DESTINATIONS.TEAMS) {
+        validateTeams(parsed, errors, warnings);
+    }
+
+    if (parsed.path && options.resource && !/^\/?drives\//i.test(options.resource)) {
+        warnings.push({
+            field: 'path',
+            message: 'path only limits drive (drives/{drive-id}/root) subscriptions and will be ignored',
+            suggestion: 'Subscribe to the library drive to scope notifications to a folder'
+        });
+    }
+
+    validateRoutingRule(parsed, errors);
+    collectFormatWarnings(parsed, canonicalClientState, warnings);
+
+    return {
+        valid: errors.length === 0,
+        clientState,
+        canonicalClientState,
+        parsed: {
+            destination: parsed.destination,
+            handler: parsed.handler,
+            queue: parsed.queue,
+            topic: parsed.topic,
+            connection: parsed.connection,
+            channel: parsed.channel,
+            cardTemplate: parsed.cardTemplate,
+            tenant: parsed.tenant,
+            folder: parsed.folder,
+            label: parsed.label,
+            path: parsed.path,
+            forwardUrl: parsed.forwardUrl,
+            mode: parsed.mode,
+            outputFormat: parsed.outputFormat,
+            template: parsed.template,
+            signingKey: parsed.signingKey,
+            authProfile: parsed.authProfile,
+            retryPolicy: parsed.retryPolicy,
+            includeFields: parsed.includeFields,
+            excludeFields: parsed.excludeFields,
+            fields: parsed.fields,
+            when: parsed.when,
+            format: parsed.format
+        },
+        processor: processor ? processor.name : null,
+        explanation: explainClientState(parsed, processor),
+        errors,
+        warnings
+    };
+}
+
+/**
+ * Validate a clientState that declares several destinations
+ * Each destination is checked on its own and its findings are reported under
+ * destinations[i]. A multi-destination clientState is only kept in the
+ * tracking list, so the Graph length limit applies per destination.
+ * @param {string} clientState - Raw clientState
+ * @param {Array<string>} groups - clientState per destination (see splitDestinationGroups)
+ * @param {Object} options - { resource }
+ * @returns {Object} Validation result with a destinations array
+ */
+function validateDestinations(clientState, groups, options) {
+    const destinations = groups.map(group => validateDestination(group, options));
+    const collect = key => destinations.flatMap((result, index) =>
+        result[key].map(finding => ({ ...finding, field: `destinations[${index}].${finding.field}` })));
+    const errors = collect('errors');
+
+    return {
+        valid: errors.length === 0,
+        clientState,
+        canonicalClientState: destinations.map(result => result.canonicalClientState).join('|'),
+        parsed: null,
+        processor: null,
+        explanation: destinations
+            .map((result, index) => `Destination ${index + 1}: ${result.explanation}`)
+            .join(' '),
+        errors,
+        warnings: collect('warnings'),
+        destinations
+    };
+}
+
+/**
+ * Validate a clientState string or structured config
+ * @param {string|Object} input - clientState string or structured config
+ * @param {Object} options - { resource } subscription resource, used for processor resolution
+ * @returns {Object} { valid, clientState, canonicalClientState, parsed, processor, explanation, errors, warnings },
+ *   plus destinations (one result each) when several destinations are declared
+ */
+function validateClientState(input, options = {}) {
+    const clientState = toClientState(input);
+    const groups = splitDestinationGroups(clientState);
+
+    if (groups.length > 1) {
+        return validateDestinations(clientState, groups, options);
+    }
+    return validateDestination(clientState, options);
+}
+
+module.exports = {
+    MAX_CLIENT_STATE_LENGTH,
+    validateClientState,
+    explainClientState
+};
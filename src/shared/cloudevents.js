@@ -0,0 +1,122 @@
+/**
+ * CloudEvents
+ * Encodes forwarded notifications as CloudEvents 1.0 for receivers such as
+ * Event Grid or Knative. A forward destination selects the encoding with
+ * format:<format>:
+ * - cloudevents:        structured mode, the event is the JSON body
+ *                       (application/cloudevents+json)
+ * - cloudevents-binary: binary mode, attributes are ce-* headers and the body is data
+ * - cloudevents-batch:  batched mode, a JSON array of events
+ *                       (application/cloudevents-batch+json)
+ *
+ * Attributes:
+ * - type:    com.sharepoint.<listitem|driveitem>.<changeType>, e.g. com.sharepoint.listitem.updated
+ * - source:  the subscription resource, e.g. /sites/contoso.sharepoint.com:/sites/ops:/lists/<list id>
+ * - subject: the item id
+ * - data:    the EnhancedForwarder payload (after any payload template)
+ * - subscriptionid (extension): the Graph subscription
+ */
+
+const crypto = require('crypto');
+const { parseDriveResource } = require('./drive-items');
+
+const CLOUDEVENTS_SPEC_VERSION = '1.0';
+const EVENT_TYPE_PREFIX = 'com.sharepoint';
+
+const CLOUDEVENTS_FORMATS = {
+    STRUCTURED: 'cloudevents',
+    BINARY: 'cloudevents-binary',
+    BATCH: 'cloudevents-batch'
+};
+
+const CONTENT_TYPES = {
+    STRUCTURED: 'application/cloudevents+json; charset=utf-8',
+    BATCH: 'application/cloudevents-batch+json; charset=utf-8',
+    DATA: 'application/json'
+};
+
+// Context attributes sent as ce-* headers in binary mode (everything except data)
+const BINARY_ATTRIBUTES = ['specversion', 'id', 'type', 'source', 'subject', 'time', 'subscriptionid'];
+
+/**
+ * Whether an output format is one of the CloudEvents encodings
+ * @param {string} format - format from clientState
+ * @returns {boolean} True for cloudevents, cloudevents-binary and cloudevents-batch
+ */
+function isCloudEventsFormat(format) {
+    return Object.values(CLOUDEVENTS_FORMATS).includes(format);
+}
+
+/**
+ * Event type of a notification
+ * @param {Object} notification - Webhook notification
+ * @returns {string} e.g. com.sharepoint.listitem.updated
+ */
+function getEventType(notification) {
+    const kind = parseDriveResource(notification.resource) ? 'driveitem' : 'listitem';
+    return `${EVENT_TYPE_PREFIX}.${kind}.${String(notification.changeType || 'updated').toLowerCase()}`;
+}
+
+/**
+ * Build a CloudEvent for a forwarded notification
+ * @param {Object} notification - Webhook notification
+ * @param {Object} data - Payload EnhancedForwarder would send
+ * @param {Object} options - { id, time } to override the generated values
+ * @returns {Object} CloudEvent
+ */
+function buildCloudEvent(notification, data, options = {}) {
+    const event = {
+        specversion: CLOUDEVENTS_SPEC_VERSION,
+        id: options.id || crypto.randomUUID(),
+        type: getEventType(notification),
+        source: `/${String(notification.resource || 'sharepoint').replace(/^\//, '')}`,
+        time: options.time || new Date().toISOString(),
+        datacontenttype: CONTENT_TYPES.DATA,
+        data
+    };
+
+    // Optional attributes are omitted rather than sent empty
+    const subject = notification.resourceData?.id;
+    if (subject !== undefined && subject !== null) {
+        event.subject = String(subject);
+    }
+    if (notification.subscriptionId) {
+        event.subscriptionid = notification.subscriptionId;
+    }
+    return event;
+}
+
+/**
+ * Encode events for one request
+ * @param {Array<Object>} events - CloudEvents (exactly one unless format is cloudevents-batch)
+ * @param {string} format - cloudevents, cloudevents-binary or cloudevents-batch
+ * @returns {Object} { body, headers } - body is the serialized string to send
+ */
+function encodeCloudEvents(events, format) {
+    if (format === CLOUDEVENTS_FORMATS.BATCH) {
+        return { body: JSON.stringify(events), headers: { 'Content-Type': CONTENT_TYPES.BATCH } };
+    }
+    if (events.length !== 1) {
+        throw new Error(`${format} sends one event per request; use cloudevents-batch for ${events.length} events`);
+    }
+
+    const [event] = events;
+    if (format === CLOUDEVENTS_FORMATS.BINARY) {
+        const headers = { 'Content-Type': event.datacontenttype };
+        for (const attribute of BINARY_ATTRIBUTES.filter(name => event[name] !== undefined)) {
+            headers[`ce-${attribute}`] = event[attribute];
+        }
+        return { body: JSON.stringify(event.data), headers };
+    }
+    return { body: JSON.stringify(event), headers: { 'Content-Type': CONTENT_TYPES.STRUCTURED } };
+}
+
+module.exports = {
+    CLOUDEVENTS_SPEC_VERSION,
+    CLOUDEVENTS_FORMATS,
+    CONTENT_TYPES,
+    isCloudEventsFormat,
+    getEventType,
+    buildCloudEvent,
+    encodeCloudEvents
+};
@@ -8,6 +8,10 @@ module.exports = {
     azure: {
         clientId: process.env.AZURE_CLIENT_ID,
         clientSecret: process.env.AZURE_CLIENT_SECRET,
+        // Certificate credential; SharePoint REST rejects app-only tokens obtained with a secret
+        clientCertificateKeyPath: process.env.AZURE_CLIENT_CERTIFICATE_KEY_PATH, // PEM private key
+        clientCertificateKeyPassword: process.env.AZURE_CLIENT_CERTIFICATE_KEY_PASSWORD,
+        clientCertificateThumbprint: process.env.AZURE_CLIENT_CERTIFICATE_THUMBPRINT, // SHA-1, hex
         tenantId: process.env.AZURE_TENANT_ID,
         functionKey: process.env.FUNCTION_KEY
     },
@@ -62,10 +66,12 @@ module.exports = {
     // Webhook Configuration
     webhook: {
         maxExpirationDays: 3,
+        renewalThresholdHours: 24,
         defaultClientState: 'SharePointWebhook',
         validationTimeout: 5000, // 5 seconds
         notificationTimeout: 10000, // 10 seconds
-        loopPreventionWindow: 10000 // 10 seconds
+        loopPreventionWindow: parseInt(process.env.DEDUPE_WINDOW_MS || '10000', 10), // 10 seconds
+        lifecycleNotificationUrl: process.env.LIFECYCLE_NOTIFICATION_URL || null // Defaults to subscription-lifecycle next to notificationUrl
     },
 
     // Azure Table Storage Configuration
@@ -75,6 +81,146 @@ module.exports = {
         connectionString: process.env.AZURE_STORAGE_CONNECTION_STRING
     },
 
+    // Last processed item snapshots, used for status transition detection
+    itemStates: {
+        backend: process.env.ITEM_STATE_BACKEND || 'table', // memory, table
+        tableName: process.env.STORAGE_TABLE_NAME || 'SharePointItemStates'
+    },
+
+    // Per-list Graph deltaLinks, used to fan list notifications out per changed item
+    delta: {
+        enabled: process.env.DELTA_FANOUT_ENABLED !== 'false',
+        tableName: process.env.DELTA_TOKEN_TABLE || 'SharePointDeltaTokens',
+        initialWindowMs: parseInt(process.env.DELTA_INITIAL_WINDOW_MS || '300000', 10), // 5 minutes
+        maxPages: 50,
+        maxRetries: 3 // Re-queries after another instance stored a newer deltaLink
+    },
+
+    // Native SharePoint REST list webhooks (subscriptionType: 'sharepoint')
+    sharepointWebhooks: {
+        maxExpirationDays: 180, // SharePoint allows up to 180 days
+        renewalThresholdDays: parseInt(process.env.SP_WEBHOOK_RENEWAL_THRESHOLD_DAYS || '30', 10),
+        changeTokenTable: process.env.CHANGE_TOKEN_TABLE || 'SharePointChangeTokens',
+        changeFetchLimit: 500, // Changes per GetChanges call
+        maxPages: 50,
+        maxRetries: 3 // Re-queries after another instance stored a newer change token
+    },
+
+    // Notification intake queue (webhook-handler acknowledges, notification-worker processes)
+    notificationQueue: {
+        backend: process.env.NOTIFICATION_QUEUE_BACKEND || 'table', // memory, storage-queue, table
+        queueName: process.env.NOTIFICATION_QUEUE_NAME || 'sharepoint-notifications',
+        tableName: process.env.NOTIFICATION_QUEUE_TABLE || 'NotificationQueue',
+        workerSchedule: process.env.NOTIFICATION_WORKER_SCHEDULE || '*/15 * * * * *', // Every 15 seconds
+        concurrency: parseInt(process.env.NOTIFICATION_WORKER_CONCURRENCY || '4', 10),
+        batchSize: parseInt(process.env.NOTIFICATION_WORKER_BATCH_SIZE || '16', 10),
+        maxBatchesPerRun: 10,
+        visibilityTimeout: 300, // 5 minutes (seconds)
+        retryDelay: 30, // seconds, multiplied by the dequeue count
+        maxDequeueCount: 5
+    },
+
+    // Dead-letter store for notifications whose dispatch failed
+    deadLetter: {
+        backend: process.env.DEAD_LETTER_BACKEND || 'table', // memory, table
+        tableName: process.env.DEAD_LETTER_TABLE || 'NotificationDeadLetters',
+        maxReplayBatch: 50
+    },
+
+    // Per-destination delivery records for fan-out subscriptions
+    delivery: {
+        backend: process.env.DELIVERY_BACKEND || 'table', // memory, table
+        tableName: process.env.DELIVERY_TABLE || 'NotificationDeliveries'
+    },
+
+    // Cached view of the webhook management list, indexed by SubscriptionId
+    subscriptionRegistry: {
+        cacheTtl: parseInt(process.env.SUBSCRIPTION_CACHE_TTL_MS || '300000', 10), // 5 minutes
+        missRefreshInterval: 30000, // 30 seconds
+        pageSize: 200
+    },
+
+    // Declarative list-to-queue templates (see src/shared/list-template-engine.js)
+    listTemplates: {
+        directory: process.env.LIST_TEMPLATE_DIRECTORY || null, // Defaults to src/templates/definitions
+        sitePath: process.env.LIST_TEMPLATE_SITE_PATH || process.env.SHAREPOINT_SITE_PATH || 'fambrandsllc.sharepoint.com:/sites/sphookmanagement:',
+        listId: process.env.LIST_TEMPLATE_LIST_ID || null, // Optional SharePoint config list
+        refreshInterval: parseInt(process.env.LIST_TEMPLATE_REFRESH_MS || '300000', 10) // 5 minutes
+    },
+
+    // Output templates for forwarded payloads (see src/shared/payload-templates.js)
+    payloadTemplates: {
+        directory: process.env.PAYLOAD_TEMPLATE_DIRECTORY || null // Defaults to src/templates/payloads
+    },
+
+    // Buffered NotificationCount / LastForwardedDateTime updates for the tracking list
+    notificationCounters: {
+        backend: process.env.NOTIFICATION_COUNTER_BACKEND || 'table', // memory, table
+        tableName: process.env.NOTIFICATION_COUNTER_TABLE || 'NotificationCounters',
+        flushSchedule: process.env.NOTIFICATION_COUNTER_FLUSH_SCHEDULE || '0 */1 * * * *', // Every minute
+        maxRetries: 3 // Re-reads after a 412 (ETag mismatch)
+    },
+
+    // Duplicate notification detection (window is webhook.loopPreventionWindow)
+    dedupe: {
+        backend: process.env.DEDUPE_BACKEND || 'table', // memory, table
+        tableName: process.env.DEDUPE_TABLE || 'NotificationDedupe',
+        keyStrategy: process.env.DEDUPE_KEY_STRATEGY || 'subscription-resource', // subscription-item-etag, content-hash
+        purgeInterval: 600000 // 10 minutes
+    },
+
+    // Notification authenticity checks (see src/shared/notification-authenticator.js)
+    notificationAuth: {
+        requireClientSecret: process.env.REQUIRE_CLIENT_SECRET === 'true', // Also reject subscriptions created before secrets were issued
+        clientSecretBytes: 24
+    },
+
+    // HMAC signing of forwarded requests (see src/shared/forward-signing.js)
+    forwardSigning: {
+        settingPrefix: 'FORWARD_SIGNING_KEY', // Secrets live in FORWARD_SIGNING_KEY[_<NAME>] and its _PREVIOUS setting
+        requireSignature: process.env.FORWARD_SIGNING_REQUIRED === 'true' // Fail forwards that have no signing key
+    },
+
+    // Outbound credentials for forward targets (see src/shared/forward-auth.js)
+    forwardAuth: {
+        profiles: process.env.FORWARD_AUTH_PROFILES || null, // JSON object of named profiles; secrets are app setting names
+        tokenRefreshMargin: 300000 // Refresh OAuth2 tokens 5 minutes before they expire
+    },
+
+    // Retries and per-host circuit breaking for forwards (see src/shared/forward-retry.js)
+    forwardRetry: {
+        policies: process.env.FORWARD_RETRY_POLICIES || null, // JSON object of named retry policies
+        defaultPolicy: process.env.FORWARD_RETRY_POLICY || 'default', // Policy for destinations without retry:
+        timeout: 10000, // Per attempt (ms)
+        circuitFailureThreshold: parseInt(process.env.FORWARD_CIRCUIT_FAILURE_THRESHOLD || '5', 10), // Consecutive failures
+        circuitOpenDuration: parseInt(process.env.FORWARD_CIRCUIT_OPEN_MS || '60000', 10), // Before a trial request (ms)
+        deferredSchedule: process.env.DEFERRED_DELIVERY_SCHEDULE || '0 */1 * * * *', // Every minute
+        maxDeferredBatch: 50
+    },
+
+    // Storage Queue and Service Bus destinations (see src/shared/destination-adapters.js)
+    destinationAdapters: {
+        backend: process.env.DESTINATION_ADAPTER_BACKEND || 'azure', // azure, memory (in-process fake for local runs)
+        // App settings holding the connection string of destinations without connection:
+        storageQueueConnection: process.env.STORAGE_QUEUE_DESTINATION_CONNECTION || 'AZURE_STORAGE_CONNECTION_STRING',
+        serviceBusConnection: process.env.SERVICE_BUS_DESTINATION_CONNECTION || 'SERVICE_BUS_CONNECTION_STRING'
+    },
+
+    // Teams channel destinations (see src/shared/teams-cards.js)
+    teams: {
+        // Webhook URLs are read from <prefix> (no channel:) or <prefix>_<CHANNEL>
+        settingPrefix: process.env.TEAMS_WEBHOOK_SETTING_PREFIX || 'TEAMS_WEBHOOK_URL',
+        cardDirectory: process.env.TEAMS_CARD_DIRECTORY || null, // Defaults to src/templates/cards
+        defaultCard: process.env.TEAMS_DEFAULT_CARD || 'default', // Card of destinations without card:
+        timeout: parseInt(process.env.TEAMS_TIMEOUT_MS || '10000', 10)
+    },
+
+    // Rejected notifications
+    securityAudit: {
+        backend: process.env.SECURITY_AUDIT_BACKEND || 'table', // memory, table
+        tableName: process.env.SECURITY_AUDIT_TABLE || 'SecurityAudit'
+    },
+
     // Function App Configuration
     functionApp: {
         name: process.env.WEBSITE_SITE_NAME || 'webhook-functions-sharepoint-002',
@@ -21,7 +21,7 @@
  * SharePoint field name encodings for special characters
  * SharePoint internally encodes special characters in field names
  */
-export const SHAREPOINT_ENCODINGS = {
+const SHAREPOINT_ENCODINGS = {
     SPACE: '_x0020_',
     UNDERSCORE: '_x005f_',
     HYPHEN: '_x002d_',
@@ -35,7 +35,7 @@ export const SHAREPOINT_ENCODINGS = {
 /**
  * Common SharePoint field mappings with their encoded equivalents
  */
-export const SHAREPOINT_FIELD_MAPPINGS = {
+const SHAREPOINT_FIELD_MAPPINGS = {
     'Ship To Email': 'Ship_x0020_To_x0020_Email',
     'Ship Date': 'Ship_x0020_Date',
     'Ship-To': 'Ship_x002d_To',
@@ -47,7 +47,7 @@ export const SHAREPOINT_FIELD_MAPPINGS = {
 /**
  * HTML entity decodings for URLs and content
  */
-export const HTML_ENTITY_DECODINGS = {
+const HTML_ENTITY_DECODINGS = {
     '&#58;': ':',          // Colon
     '&#x3A;': ':',         // Hex colon
     '%3A': ':',            // URL-encoded colon
@@ -68,7 +68,7 @@ export const HTML_ENTITY_DECODINGS = {
 /**
  * UiPath queue item priority levels
  */
-export const UIPATH_PRIORITY = {
+const UIPATH_PRIORITY = {
     LOW: 'Low',
     NORMAL: 'Normal',
     HIGH: 'High'
@@ -77,7 +77,7 @@ export const UIPATH_PRIORITY = {
 /**
  * UiPath queue item status values
  */
-export const UIPATH_QUEUE_STATUS = {
+const UIPATH_QUEUE_STATUS = {
     NEW: 'New',
     IN_PROGRESS: 'InProgress',
     SUCCESSFUL: 'Successful',
@@ -90,7 +90,7 @@ export const UIPATH_QUEUE_STATUS = {
 /**
  * UiPath API endpoints (relative to orchestrator URL)
  */
-export const UIPATH_API_ENDPOINTS = {
+const UIPATH_API_ENDPOINTS = {
     ADD_QUEUE_ITEM: '/odata/Queues/UiPathODataSvc.AddQueueItem',
     QUEUE_ITEMS: '/odata/QueueItems',
     GET_QUEUE_ITEM: '/odata/QueueItems({id})',
@@ -100,7 +100,7 @@ export const UIPATH_API_ENDPOINTS = {
 /**
  * UiPath process types for different templates
  */
-export const UIPATH_PROCESS_TYPES = {
+const UIPATH_PROCESS_TYPES = {
     COSTCO_INLINE_ROUTING: 'COSTCO_INLINE_ROUTING',
     GENERIC_PROCESSING: 'GENERIC_PROCESSING'
 };
@@ -108,7 +108,7 @@ export const UIPATH_PROCESS_TYPES = {
 /**
  * UiPath queue names for different processes
  */
-export const UIPATH_QUEUE_NAMES = {
+const UIPATH_QUEUE_NAMES = {
     COSTCO_INLINE_ROUTING: 'COSTCO-INLINE-Routing',
     TEST_API: 'TEST_API'
 };
@@ -120,7 +120,7 @@ export const UIPATH_QUEUE_NAMES = {
 /**
  * COSTCO routing status values
  */
-export const COSTCO_STATUS_VALUES = {
+const COSTCO_STATUS_VALUES = {
     DRAFT: 'Draft',
     IN_PROGRESS: 'In Progress',
     READY_FOR_REVIEW: 'Ready for Review',
@@ -132,7 +132,7 @@ export const COSTCO_STATUS_VALUES = {
 /**
  * Webhook processing status values
  */
-export const WEBHOOK_STATUS = {
+const WEBHOOK_STATUS = {
     ACTIVE: 'Active',
     DELETED: 'Deleted',
     EXPIRED: 'Expired',
@@ -147,7 +147,7 @@ export const WEBHOOK_STATUS = {
 /**
  * HTTP status codes commonly used in the application
  */
-export const HTTP_STATUS = {
+const HTTP_STATUS = {
     OK: 200,
     BAD_REQUEST: 400,
     UNAUTHORIZED: 401,
@@ -162,7 +162,7 @@ export const HTTP_STATUS = {
 /**
  * HTTP headers used in webhook processing
  */
-export const HTTP_HEADERS = {
+const HTTP_HEADERS = {
     CONTENT_TYPE: 'Content-Type',
     AUTHORIZATION: 'Authorization',
     ACCEPT: 'application/json',
@@ -182,7 +182,7 @@ export const HTTP_HEADERS = {
 /**
  * Regular expression patterns for validation
  */
-export const VALIDATION_PATTERNS = {
+const VALIDATION_PATTERNS = {
     EMAIL: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
     DATE_MDY: /^\d{1,2}\/\d{1,2}\/\d{4}$/,  // M/D/YYYY format
     PO_NUMBER: /^[A-Z0-9\-_,\s]+$/i,        // Alphanumeric with hyphens, underscores, commas, spaces
@@ -196,7 +196,7 @@ export const VALIDATION_PATTERNS = {
 /**
  * COSTCO template configuration constants
  */
-export const COSTCO_CONFIG_CONSTANTS = {
+const COSTCO_CONFIG_CONSTANTS = {
     LIST_NAME: 'COSTCO-INLINE-Trafficking-Routing',
     SITE_PATH: 'fambrandsllc.sharepoint.com:/sites/DWI/COSTCO-INLINE-Trafficking-Routing:',
     QUEUE_NAME: 'COSTCO-INLINE-Routing',
@@ -206,7 +206,7 @@ export const COSTCO_CONFIG_CONSTANTS = {
 /**
  * COSTCO required fields for validation
  */
-export const COSTCO_REQUIRED_FIELDS = [
+const COSTCO_REQUIRED_FIELDS = [
     'ShiptoEmail',
     'ShipDate',
     'Style',
@@ -216,7 +216,7 @@ export const COSTCO_REQUIRED_FIELDS = [
 /**
  * COSTCO field mappings from SharePoint internal names to UiPath field names
  */
-export const COSTCO_FIELD_MAPPINGS = {
+const COSTCO_FIELD_MAPPINGS = {
     'ShiptoEmail': 'ShipToEmail',
     'ShipDate': 'ShipDate',
     'Style': 'Style',
@@ -240,7 +240,7 @@ export const COSTCO_FIELD_MAPPINGS = {
 /**
  * Webhook change types supported by Microsoft Graph
  */
-export const WEBHOOK_CHANGE_TYPES = {
+const WEBHOOK_CHANGE_TYPES = {
     CREATED: 'created',
     UPDATED: 'updated',
     DELETED: 'deleted'
@@ -249,7 +249,7 @@ export const WEBHOOK_CHANGE_TYPES = {
 /**
  * Client state patterns for routing notifications
  */
-export const CLIENT_STATE_PATTERNS = {
+const CLIENT_STATE_PATTERNS = {
     FORWARD_PREFIX: 'forward:',
     UIPATH_PROCESSOR: 'processor:uipath',
     UIPATH_ENABLED: 'uipath:enabled',
@@ -261,7 +261,7 @@ export const CLIENT_STATE_PATTERNS = {
 /**
  * Default timeout values (in milliseconds)
  */
-export const TIMEOUT_VALUES = {
+const TIMEOUT_VALUES = {
     DEFAULT_TIMEOUT: 30000,           // 30 seconds
     NOTIFICATION_TIMEOUT: 10000,      // 10 seconds
     UIPATH_API_TIMEOUT: 60000,       // 60 seconds
@@ -271,7 +271,7 @@ export const TIMEOUT_VALUES = {
 /**
  * Retry configuration values
  */
-export const RETRY_CONFIG = {
+const RETRY_CONFIG = {
     DEFAULT_RETRY_ATTEMPTS: 3,
     DEFAULT_RETRY_DELAY: 1000,       // 1 second
     BACKOFF_MULTIPLIER: 2
@@ -284,7 +284,7 @@ export const RETRY_CONFIG = {
 /**
  * Standard error messages used throughout the application
  */
-export const ERROR_MESSAGES = {
+const ERROR_MESSAGES = {
     INVALID_JSON: 'Invalid JSON in request body',
     METHOD_NOT_ALLOWED: 'Method not allowed',
     MISSING_VALIDATION_TOKEN: 'Missing validation token',
@@ -301,8 +301,9 @@ export const ERROR_MESSAGES = {
 /**
  * Success messages
  */
-export const SUCCESS_MESSAGES = {
+const SUCCESS_MESSAGES = {
     NOTIFICATION_PROCESSED: 'Notifications processed successfully',
+    NOTIFICATIONS_QUEUED: 'Notifications accepted for processing',
     UIPATH_DISPATCH_COMPLETED: 'UiPath dispatch completed',
     FORWARDING_SUCCESSFUL: 'Successfully forwarded notification',
     QUEUE_SUBMISSION_SUCCESS: 'Successfully submitted item to UiPath queue'
@@ -315,7 +316,7 @@ export const SUCCESS_MESSAGES = {
 /**
  * Log levels and categories
  */
-export const LOG_LEVELS = {
+const LOG_LEVELS = {
     ERROR: 'error',
     WARN: 'warn',
     INFO: 'info',
@@ -325,7 +326,7 @@ export const LOG_LEVELS = {
 /**
  * Service names for logging context
  */
-export const SERVICE_NAMES = {
+const SERVICE_NAMES = {
     WEBHOOK_HANDLER: 'webhook-handler',
     UIPATH_DISPATCHER: 'uipath-dispatcher',
     UIPATH_QUEUE_CLIENT: 'uipath',
@@ -340,7 +341,7 @@ export const SERVICE_NAMES = {
 /**
  * Microsoft Graph API configuration
  */
-export const GRAPH_API_CONFIG = {
+const GRAPH_API_CONFIG = {
     BASE_URL: 'https://graph.microsoft.com/v1.0',
     SCOPES: ['https://graph.microsoft.com/.default'],
     AUTHORITY: 'https://login.microsoftonline.com/common'
@@ -353,7 +354,7 @@ export const GRAPH_API_CONFIG = {
 /**
  * Document processing strategies
  */
-export const DOCUMENT_STRATEGIES = {
+const DOCUMENT_STRATEGIES = {
     DIRECT_DOWNLOAD: 'direct_download',
     BASE64_CONTENT: 'base64_content',
     SHAREPOINT_URL: 'sharepoint_url',
@@ -364,7 +365,7 @@ export const DOCUMENT_STRATEGIES = {
 /**
  * File extensions supported for document processing
  */
-export const SUPPORTED_FILE_EXTENSIONS = {
+const SUPPORTED_FILE_EXTENSIONS = {
     EXCEL: ['.xlsx', '.xls'],
     WORD: ['.docx', '.doc'],
     PDF: ['.pdf'],
@@ -379,7 +380,7 @@ export const SUPPORTED_FILE_EXTENSIONS = {
 /**
  * Field name sanitization mappings
  */
-export const FIELD_SANITIZATION = {
+const FIELD_SANITIZATION = {
     '@': '_at_',
     '.': '_dot_',
     '$': '_dollar_'
@@ -388,7 +389,8 @@ export const FIELD_SANITIZATION = {
 /**
  * Control characters regex for cleaning field values
  */
-export const CONTROL_CHARACTERS_REGEX = /[\u0000-\u001F\u007F-\u009F]/g;
+// eslint-disable-next-line no-control-regex -- matching control characters is the point
+const CONTROL_CHARACTERS_REGEX = /[\u0000-\u001F\u007F-\u009F]/g;
 
 // ============================================================================
 // ENVIRONMENT VARIABLE NAMES
@@ -397,7 +399,7 @@ export const CONTROL_CHARACTERS_REGEX = /[\u0000-\u001F\u007F-\u009F]/g;
 /**
  * Environment variable names used in the application
  */
-export const ENV_VARS = {
+const ENV_VARS = {
     // Azure Functions
     FUNCTIONS_WORKER_RUNTIME: 'FUNCTIONS_WORKER_RUNTIME',
     AZURE_WEB_JOBS_STORAGE: 'AzureWebJobsStorage',
@@ -425,7 +427,7 @@ export const ENV_VARS = {
 // ============================================================================
 
 // Default export for convenience
-export default {
+module.exports = {
     SHAREPOINT_ENCODINGS,
     SHAREPOINT_FIELD_MAPPINGS,
     HTML_ENTITY_DECODINGS,
@@ -456,4 +458,4 @@ export default {
     FIELD_SANITIZATION,
     CONTROL_CHARACTERS_REGEX,
     ENV_VARS
-};
\ No newline at end of file
+};
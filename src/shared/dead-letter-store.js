@@ -0,0 +1,312 @@
+/**
+ * Dead-Letter Store
+ * Keeps notifications whose dispatch failed (UiPath routing, forwarding,
+ * publishing to a queue destination or queue processing) so operators can inspect and replay them once the
+ * downstream system has recovered.
+ *
+ * Backends:
+ * - memory: process-local store for tests and local development
+ * - table: Azure Table Storage (NotificationDeadLetters)
+ */
+
+const { TableClient } = require('@azure/data-tables');
+const config = require('./config');
+
+/**
+ * Failure stages a dead-letter entry can belong to
+ */
+const DEAD_LETTER_STAGES = {
+    UIPATH: 'uipath',
+    FORWARD: 'forward',
+    DEFERRED: 'deferred', // forward held back by an open circuit, retried by deferred-deliveries
+    ADAPTER: 'adapter', // Storage Queue or Service Bus publish
+    TEAMS: 'teams', // Teams channel card
+    PROCESSING: 'processing'
+};
+
+/**
+ * Generate a time-ordered dead-letter id
+ * @returns {string} Dead-letter id
+ */
+function generateId() {
+    return `${String(Date.now()).padStart(15, '0')}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Build a dead-letter entry from a failed notification
+ * @param {Object} params
+ * @param {string} params.stage - Failing stage (see DEAD_LETTER_STAGES)
+ * @param {Object} params.notification - Notification as it was dispatched
+ * @param {string|Error} params.error - Failure reason
+ * @param {number} params.attempts - Attempts made so far
+ * @param {string} params.deliveryId - Delivery record to update on replay (see delivery-store)
+ * @returns {Object} Dead-letter entry
+ */
+function buildEntry({ stage, notification, error, attempts = 1, deliveryId = null }) {
+    const now = new Date().toISOString();
+    return {
+        id: generateId(),
+        stage,
+        subscriptionId: notification?.subscriptionId || null,
+        resource: notification?.resource || null,
+        changeType: notification?.changeType || null,
+        clientState: notification?.clientState || null,
+        deliveryId,
+        error: error instanceof Error ? error.message : String(error || 'Unknown error'),
+        attempts,
+        firstFailedAt: now,
+        lastFailedAt: now,
+        notification
+    };
+}
+
+/**
+ * Check whether an entry matches list/purge filters
+ * @param {Object} entry - Dead-letter entry
+ * @param {Object} filter - { stage, subscriptionId, olderThan }
+ * @returns {boolean} True if entry matches
+ */
+function matchesFilter(entry, filter = {}) {
+    if (filter.stage && entry.stage !== filter.stage) {
+        return false;
+    }
+    if (filter.subscriptionId && entry.subscriptionId !== filter.subscriptionId) {
+        return false;
+    }
+    if (filter.olderThan && new Date(entry.lastFailedAt) >= new Date(filter.olderThan)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * In-memory dead-letter store used for tests and local development
+ */
+class InMemoryDeadLetterStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async record(params) {
+        const entry = buildEntry(params);
+        this.entries.set(entry.id, entry);
+        return entry;
+    }
+
+    async list(filter = {}) {
+        const matching = [...this.entries.values()].filter(entry => matchesFilter(entry, filter));
+        return filter.top ? matching.slice(0, filter.top) : matching;
+    }
+
+    async get(id) {
+        return this.entries.get(id) || null;
+    }
+
+    async recordFailedAttempt(id, error) {
+        const entry = this.entries.get(id);
+        if (!entry) {
+            return null;
+        }
+        entry.attempts++;
+        entry.error = error instanceof Error ? error.message : String(error);
+        entry.lastFailedAt = new Date().toISOString();
+        return entry;
+    }
+
+    async remove(id) {
+        return this.entries.delete(id);
+    }
+
+    async purge(filter = {}) {
+        let removed = 0;
+        for (const entry of await this.list(filter)) {
+            this.entries.delete(entry.id);
+            removed++;
+        }
+        return removed;
+    }
+}
+
+/**
+ * Azure Table Storage dead-letter store
+ */
+class TableDeadLetterStore {
+    constructor(options = {}) {
+        this.tableClient = TableClient.fromConnectionString(
+            options.connectionString || config.storage.connectionString,
+            options.tableName || config.deadLetter.tableName
+        );
+        this.partitionKey = 'deadletter';
+        this.initialized = false;
+    }
+
+    async initialize() {
+        if (!this.initialized) {
+            await this.tableClient.createTable(); // Creates if doesn't exist
+            this.initialized = true;
+        }
+    }
+
+    toEntity(entry) {
+        return {
+            partitionKey: this.partitionKey,
+            rowKey: entry.id,
+            stage: entry.stage,
+            subscriptionId: entry.subscriptionId,
+            resource: entry.resource,
+            changeType: entry.changeType,
+            clientState: entry.clientState,
+            deliveryId: entry.deliveryId,
+            error: entry.error,
+            attempts: entry.attempts,
+            firstFailedAt: entry.firstFailedAt,
+            lastFailedAt: entry.lastFailedAt,
+            notification: JSON.stringify(entry.notification)
+        };
+    }
+
+    fromEntity(entity) {
+        return {
+            id: entity.rowKey,
+            stage: entity.stage,
+            subscriptionId: entity.subscriptionId || null,
+            resource: entity.resource || null,
+            changeType: entity.changeType || null,
+            clientState: entity.clientState || null,
+            deliveryId: entity.deliveryId || null,
+            error: entity.error,
+            attempts: entity.attempts,
+            firstFailedAt: entity.firstFailedAt,
+            lastFailedAt: entity.lastFailedAt,
+            notification: JSON.parse(entity.notification || 'null')
+        };
+    }
+
+    async record(params) {
+        await this.initialize();
+        const entry = buildEntry(params);
+        await this.tableClient.createEntity(this.toEntity(entry));
+        return entry;
+    }
+
+    async list(filter = {}) {
+        await this.initialize();
+        const clauses = [`PartitionKey eq '${this.partitionKey}'`];
+        if (filter.stage) {
+            clauses.push(`stage eq '${filter.stage.replace(/'/g, "''")}'`);
+        }
+        if (filter.subscriptionId) {
+            clauses.push(`subscriptionId eq '${filter.subscriptionId.replace(/'/g, "''")}'`);
+        }
+
+        const entries = [];
+        const iterator = this.tableClient.listEntities({ queryOptions: { filter: clauses.join(' and ') } });
+        for await (const entity of iterator) {
+            const entry = this.fromEntity(entity);
+            if (!matchesFilter(entry, filter)) {
+                continue;
+            }
+            entries.push(entry);
+            if (filter.top && entries.length >= filter.top) {
+                break;
+            }
+        }
+        return entries;
+    }
+
+    async get(id) {
+        await this.initialize();
+        try {
+            const entity = await this.tableClient.getEntity(this.partitionKey, id);
+            return this.fromEntity(entity);
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async recordFailedAttempt(id, error) {
+        const entry = await this.get(id);
+        if (!entry) {
+            return null;
+        }
+        entry.attempts++;
+        entry.error = error instanceof Error ? error.message : String(error);
+        entry.lastFailedAt = new Date().toISOString();
+        await this.tableClient.updateEntity({
+            partitionKey: this.partitionKey,
+            rowKey: id,
+            attempts: entry.attempts,
+            error: entry.error,
+            lastFailedAt: entry.lastFailedAt
+        }, 'Merge');
+        return entry;
+    }
+
+    async remove(id) {
+        await this.initialize();
+        try {
+            await this.tableClient.deleteEntity(this.partitionKey, id);
+            return true;
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async purge(filter = {}) {
+        let removed = 0;
+        for (const entry of await this.list(filter)) {
+            if (await this.remove(entry.id)) {
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+const STORE_BACKENDS = {
+    memory: InMemoryDeadLetterStore,
+    table: TableDeadLetterStore
+};
+
+let storeInstance = null;
+
+/**
+ * Create a dead-letter store for the requested backend
+ * @param {Object} options - Backend options (backend, connectionString, tableName)
+ * @returns {Object} Dead-letter store instance
+ */
+function createDeadLetterStore(options = {}) {
+    const backend = options.backend || config.deadLetter.backend;
+    const StoreClass = STORE_BACKENDS[backend];
+
+    if (!StoreClass) {
+        throw new Error(`Unknown dead-letter store backend: ${backend}`);
+    }
+
+    return new StoreClass(options);
+}
+
+/**
+ * Get the shared dead-letter store for the configured backend
+ * @returns {Object} Dead-letter store instance
+ */
+function getDeadLetterStore() {
+    if (!storeInstance) {
+        storeInstance = createDeadLetterStore();
+    }
+    return storeInstance;
+}
+
+module.exports = {
+    DEAD_LETTER_STAGES,
+    InMemoryDeadLetterStore,
+    TableDeadLetterStore,
+    createDeadLetterStore,
+    getDeadLetterStore
+};
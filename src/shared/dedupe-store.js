@@ -0,0 +1,278 @@
+/**
+ * Notification Dedupe Store
+ * Detects duplicate Graph deliveries across Function App instances and cold
+ * starts. A notification is "claimed" the first time its dedupe key is seen;
+ * further claims within the dedupe window are reported as duplicates. A claim
+ * is released when the notification it was made for could not be accepted.
+ *
+ * Backends:
+ * - memory: process-local store for tests and local development
+ * - table: Azure Table Storage (NotificationDedupe), using conditional
+ *   inserts so only one instance wins a claim
+ *
+ * Key strategies:
+ * - subscription-resource: subscriptionId + resource (default, previous behaviour)
+ * - subscription-item-etag: subscriptionId + item id + etag
+ * - content-hash: hash of subscriptionId, resource, changeType and resourceData
+ */
+
+const crypto = require('crypto');
+const { TableClient } = require('@azure/data-tables');
+const config = require('./config');
+
+const DEDUPE_KEY_STRATEGIES = {
+    SUBSCRIPTION_RESOURCE: 'subscription-resource',
+    SUBSCRIPTION_ITEM_ETAG: 'subscription-item-etag',
+    CONTENT_HASH: 'content-hash'
+};
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Build the dedupe key for a notification
+ * @param {Object} notification - Graph notification
+ * @param {string} strategy - One of DEDUPE_KEY_STRATEGIES
+ * @returns {string} Dedupe key
+ */
+function buildDedupeKey(notification, strategy = config.dedupe.keyStrategy) {
+    const subscriptionId = notification.subscriptionId;
+    const resourceData = notification.resourceData || {};
+
+    switch (strategy) {
+        case DEDUPE_KEY_STRATEGIES.SUBSCRIPTION_RESOURCE:
+            return `${subscriptionId}-${notification.resource}`;
+
+        case DEDUPE_KEY_STRATEGIES.SUBSCRIPTION_ITEM_ETAG: {
+            const itemId = resourceData.id || notification.resource;
+            const etag = resourceData['@odata.etag'] || resourceData.eTag || resourceData.etag || '';
+            return `${subscriptionId}-${itemId}-${etag}`;
+        }
+
+        case DEDUPE_KEY_STRATEGIES.CONTENT_HASH:
+            return sha256(JSON.stringify({
+                subscriptionId,
+                resource: notification.resource,
+                changeType: notification.changeType,
+                resourceData
+            }));
+
+        default:
+            throw new Error(`Unknown dedupe key strategy: ${strategy}`);
+    }
+}
+
+/**
+ * In-memory dedupe store used for tests and local development
+ */
+class InMemoryDedupeStore {
+    constructor(options = {}) {
+        this.windowMs = options.windowMs || config.webhook.loopPreventionWindow;
+        this.seen = new Map();
+    }
+
+    /**
+     * Claim a dedupe key
+     * @param {string} key - Dedupe key
+     * @returns {Promise<Object>} { duplicate, lastSeen }
+     */
+    async claim(key) {
+        const now = Date.now();
+        const lastSeen = this.seen.get(key);
+
+        if (lastSeen && (now - lastSeen) < this.windowMs) {
+            return { duplicate: true, lastSeen };
+        }
+
+        this.seen.set(key, now);
+
+        // Clean up old entries
+        for (const [seenKey, timestamp] of this.seen.entries()) {
+            if (now - timestamp > this.windowMs * 2) {
+                this.seen.delete(seenKey);
+            }
+        }
+
+        return { duplicate: false, lastSeen: null };
+    }
+
+    /**
+     * Give up a claim, so the next delivery of the key is not a duplicate
+     * @param {string} key - Dedupe key
+     * @returns {Promise<void>}
+     */
+    async release(key) {
+        this.seen.delete(key);
+    }
+}
+
+/**
+ * Azure Table Storage dedupe store
+ * Rows expire logically after the dedupe window; expired rows are taken over
+ * with an ETag-conditional replace and removed periodically.
+ */
+class TableDedupeStore {
+    constructor(options = {}) {
+        this.tableClient = TableClient.fromConnectionString(
+            options.connectionString || config.storage.connectionString,
+            options.tableName || config.dedupe.tableName
+        );
+        this.windowMs = options.windowMs || config.webhook.loopPreventionWindow;
+        this.purgeIntervalMs = options.purgeIntervalMs || config.dedupe.purgeInterval;
+        this.lastPurge = Date.now();
+        this.initialized = false;
+    }
+
+    async initialize() {
+        if (!this.initialized) {
+            await this.tableClient.createTable(); // Creates if doesn't exist
+            this.initialized = true;
+        }
+    }
+
+    // Table keys cannot contain '/', '\', '#' or '?', so rows are addressed by hash
+    toKeys(key) {
+        const hash = sha256(key);
+        return { partitionKey: hash.substring(0, 2), rowKey: hash };
+    }
+
+    async claim(key) {
+        await this.initialize();
+        const now = Date.now();
+        const { partitionKey, rowKey } = this.toKeys(key);
+        const entity = {
+            partitionKey,
+            rowKey,
+            key,
+            seenAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.windowMs).toISOString()
+        };
+
+        this.purgeExpiredInBackground(now);
+
+        try {
+            await this.tableClient.createEntity(entity);
+            return { duplicate: false, lastSeen: null };
+        } catch (error) {
+            if (error.statusCode !== 409) {
+                throw error;
+            }
+        }
+
+        let existing;
+        try {
+            existing = await this.tableClient.getEntity(partitionKey, rowKey);
+        } catch (error) {
+            if (error.statusCode === 404) {
+                // Purged between insert and read; the next delivery will claim it
+                return { duplicate: false, lastSeen: null };
+            }
+            throw error;
+        }
+
+        if (Date.parse(existing.expiresAt) > now) {
+            return { duplicate: true, lastSeen: Date.parse(existing.seenAt) };
+        }
+
+        try {
+            await this.tableClient.updateEntity(entity, 'Replace', { etag: existing.etag });
+            return { duplicate: false, lastSeen: null };
+        } catch (error) {
+            if (error.statusCode === 412) {
+                // Another instance took over the expired claim first
+                return { duplicate: true, lastSeen: Date.parse(existing.seenAt) };
+            }
+            throw error;
+        }
+    }
+
+    async release(key) {
+        await this.initialize();
+        const { partitionKey, rowKey } = this.toKeys(key);
+        try {
+            await this.tableClient.deleteEntity(partitionKey, rowKey);
+        } catch (error) {
+            if (error.statusCode !== 404) {
+                throw error;
+            }
+        }
+    }
+
+    purgeExpiredInBackground(now) {
+        if (now - this.lastPurge < this.purgeIntervalMs) {
+            return;
+        }
+        this.lastPurge = now;
+        this.purgeExpired(now).catch(() => {
+            // Expired rows are harmless; the next purge will retry
+        });
+    }
+
+    /**
+     * Delete rows whose dedupe window has passed
+     * @param {number} now - Current timestamp
+     * @returns {Promise<number>} Number of rows removed
+     */
+    async purgeExpired(now = Date.now()) {
+        await this.initialize();
+        let removed = 0;
+        const iterator = this.tableClient.listEntities({
+            queryOptions: { filter: `expiresAt lt '${new Date(now).toISOString()}'` }
+        });
+        for await (const entity of iterator) {
+            try {
+                await this.tableClient.deleteEntity(entity.partitionKey, entity.rowKey, { etag: entity.etag });
+                removed++;
+            } catch (error) {
+                if (error.statusCode !== 404 && error.statusCode !== 412) {
+                    throw error;
+                }
+            }
+        }
+        return removed;
+    }
+}
+
+const STORE_BACKENDS = {
+    memory: InMemoryDedupeStore,
+    table: TableDedupeStore
+};
+
+let storeInstance = null;
+
+/**
+ * Create a dedupe store for the requested backend
+ * @param {Object} options - Backend options (backend, connectionString, tableName, windowMs)
+ * @returns {Object} Dedupe store instance
+ */
+function createDedupeStore(options = {}) {
+    const backend = options.backend || config.dedupe.backend;
+    const StoreClass = STORE_BACKENDS[backend];
+
+    if (!StoreClass) {
+        throw new Error(`Unknown dedupe store backend: ${backend}`);
+    }
+
+    return new StoreClass(options);
+}
+
+/**
+ * Get the shared dedupe store for the configured backend
+ * @returns {Object} Dedupe store instance
+ */
+function getDedupeStore() {
+    if (!storeInstance) {
+        storeInstance = createDedupeStore();
+    }
+    return storeInstance;
+}
+
+module.exports = {
+    DEDUPE_KEY_STRATEGIES,
+    buildDedupeKey,
+    InMemoryDedupeStore,
+    TableDedupeStore,
+    createDedupeStore,
+    getDedupeStore
+};
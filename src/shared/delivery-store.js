@@ -0,0 +1,280 @@
+/**
+ * Delivery Store
+ * One record per notification per destination, so a subscription that fans
+ * out to several destinations (see clientstate-parser parseDestinations)
+ * shows which of them received a notification. A failed delivery is
+ * dead-lettered with its deliveryId; replaying it retries that destination
+ * only and updates the record.
+ *
+ * Record status: pending (dispatch started), succeeded, failed, deferred
+ * (target's circuit open, retried by deferred-deliveries).
+ *
+ * Backends:
+ * - memory: process-local store for tests and local development
+ * - table: Azure Table Storage (NotificationDeliveries)
+ */
+
+const { TableClient } = require('@azure/data-tables');
+const config = require('./config');
+const { DESTINATIONS } = require('./clientstate-parser');
+
+const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    DEFERRED: 'deferred'
+};
+
+/**
+ * Generate a time-ordered delivery id
+ * @returns {string} Delivery id
+ */
+function generateId() {
+    return `${String(Date.now()).padStart(15, '0')}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Build a pending delivery record
+ * @param {Object} params
+ * @param {Object} params.notification - Notification as dispatched to the destination
+ * @param {Object} params.destination - Destination from parseDestinations
+ * @returns {Object} Delivery record
+ */
+function buildRecord({ notification, destination }) {
+    const now = new Date().toISOString();
+    let target = destination.config.topic || destination.config.queue;
+    if (destination.type === DESTINATIONS.FORWARD) {
+        target = destination.config.forwardUrl;
+    } else if (destination.type === DESTINATIONS.TEAMS) {
+        // Webhook URLs stay in app settings; the channel names the target
+        target = destination.config.channel || 'default';
+    }
+    return {
+        id: generateId(),
+        subscriptionId: notification?.subscriptionId || null,
+        resource: notification?.resource || null,
+        itemId: notification?.resourceData?.id || null,
+        changeType: notification?.changeType || null,
+        destinationId: destination.id,
+        destinationType: destination.type,
+        target: target || null,
+        clientState: destination.clientState,
+        status: DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Apply a dispatch outcome to a record
+ * @param {Object} record - Delivery record
+ * @param {Object} outcome - { success, deferred, error }
+ * @returns {Object} The updated record
+ */
+function applyAttempt(record, outcome) {
+    record.attempts++;
+    if (outcome.success) {
+        record.status = DELIVERY_STATUS.SUCCEEDED;
+    } else {
+        record.status = outcome.deferred ? DELIVERY_STATUS.DEFERRED : DELIVERY_STATUS.FAILED;
+    }
+    record.lastError = outcome.success ? null : String(outcome.error || 'Unknown error');
+    record.updatedAt = new Date().toISOString();
+    return record;
+}
+
+/**
+ * Check whether a record matches list filters
+ * @param {Object} record - Delivery record
+ * @param {Object} filter - { subscriptionId, status, destinationType, itemId }
+ * @returns {boolean} True if record matches
+ */
+function matchesFilter(record, filter = {}) {
+    return ['subscriptionId', 'status', 'destinationType', 'itemId']
+        .every(key => !filter[key] || record[key] === filter[key]);
+}
+
+/**
+ * In-memory delivery store used for tests and local development
+ */
+class InMemoryDeliveryStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async create(params) {
+        const record = buildRecord(params);
+        this.records.set(record.id, record);
+        return { ...record };
+    }
+
+    async recordAttempt(id, outcome) {
+        const record = this.records.get(id);
+        if (!record) {
+            return null;
+        }
+        return { ...applyAttempt(record, outcome) };
+    }
+
+    async get(id) {
+        const record = this.records.get(id);
+        return record ? { ...record } : null;
+    }
+
+    async list(filter = {}) {
+        const matching = [...this.records.values()]
+            .filter(record => matchesFilter(record, filter))
+            .map(record => ({ ...record }));
+        return filter.top ? matching.slice(0, filter.top) : matching;
+    }
+}
+
+/**
+ * Azure Table Storage delivery store
+ */
+class TableDeliveryStore {
+    constructor(options = {}) {
+        this.tableClient = TableClient.fromConnectionString(
+            options.connectionString || config.storage.connectionString,
+            options.tableName || config.delivery.tableName
+        );
+        this.partitionKey = 'delivery';
+        this.initialized = false;
+    }
+
+    async initialize() {
+        if (!this.initialized) {
+            await this.tableClient.createTable(); // Creates if doesn't exist
+            this.initialized = true;
+        }
+    }
+
+    toEntity(record) {
+        const { id, ...fields } = record;
+        return {
+            partitionKey: this.partitionKey,
+            rowKey: id,
+            ...fields
+        };
+    }
+
+    fromEntity(entity) {
+        return {
+            id: entity.rowKey,
+            subscriptionId: entity.subscriptionId || null,
+            resource: entity.resource || null,
+            itemId: entity.itemId || null,
+            changeType: entity.changeType || null,
+            destinationId: entity.destinationId,
+            destinationType: entity.destinationType,
+            target: entity.target || null,
+            clientState: entity.clientState || null,
+            status: entity.status,
+            attempts: entity.attempts,
+            lastError: entity.lastError || null,
+            createdAt: entity.createdAt,
+            updatedAt: entity.updatedAt
+        };
+    }
+
+    async create(params) {
+        await this.initialize();
+        const record = buildRecord(params);
+        await this.tableClient.createEntity(this.toEntity(record));
+        return record;
+    }
+
+    async recordAttempt(id, outcome) {
+        const record = await this.get(id);
+        if (!record) {
+            return null;
+        }
+        applyAttempt(record, outcome);
+        await this.tableClient.updateEntity({
+            partitionKey: this.partitionKey,
+            rowKey: id,
+            status: record.status,
+            attempts: record.attempts,
+            lastError: record.lastError,
+            updatedAt: record.updatedAt
+        }, 'Merge');
+        return record;
+    }
+
+    async get(id) {
+        await this.initialize();
+        try {
+            const entity = await this.tableClient.getEntity(this.partitionKey, id);
+            return this.fromEntity(entity);
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async list(filter = {}) {
+        await this.initialize();
+        const clauses = [`PartitionKey eq '${this.partitionKey}'`];
+        for (const key of ['subscriptionId', 'status', 'destinationType', 'itemId']) {
+            if (filter[key]) {
+                clauses.push(`${key} eq '${String(filter[key]).replace(/'/g, "''")}'`);
+            }
+        }
+
+        const records = [];
+        const iterator = this.tableClient.listEntities({ queryOptions: { filter: clauses.join(' and ') } });
+        for await (const entity of iterator) {
+            records.push(this.fromEntity(entity));
+            if (filter.top && records.length >= filter.top) {
+                break;
+            }
+        }
+        return records;
+    }
+}
+
+const STORE_BACKENDS = {
+    memory: InMemoryDeliveryStore,
+    table: TableDeliveryStore
+};
+
+let storeInstance = null;
+
+/**
+ * Create a delivery store for the requested backend
+ * @param {Object} options - Backend options (backend, connectionString, tableName)
+ * @returns {Object} Delivery store instance
+ */
+function createDeliveryStore(options = {}) {
+    const backend = options.backend || config.delivery.backend;
+    const StoreClass = STORE_BACKENDS[backend];
+
+    if (!StoreClass) {
+        throw new Error(`Unknown delivery store backend: ${backend}`);
+    }
+
+    return new StoreClass(options);
+}
+
+/**
+ * Get the shared delivery store for the configured backend
+ * @returns {Object} Delivery store instance
+ */
+function getDeliveryStore() {
+    if (!storeInstance) {
+        storeInstance = createDeliveryStore();
+    }
+    return storeInstance;
+}
+
+module.exports = {
+    DELIVERY_STATUS,
+    InMemoryDeliveryStore,
+    TableDeliveryStore,
+    createDeliveryStore,
+    getDeliveryStore
+};
@@ -1,12 +1,119 @@
+/**
+ * Delta Tracker
+ * Enumerates every list item (or, for drives/{id}/root subscriptions, every
+ * drive item) changed since the last notification using the Graph delta
+ * query. One deltaLink per list or drive is kept in the
+ * SharePointDeltaTokens table (config.delta.tableName).
+ *
+ * - All @odata.nextLink pages are read before the new deltaLink is stored,
+ *   so a failure part-way through replays the same changes next time.
+ * - A 410 Gone means Graph has expired the stored link; the link is dropped
+ *   and the list is re-baselined. Baseline runs enumerate the whole list, so
+ *   only items modified within config.delta.initialWindowMs are returned.
+ * - deltaLink writes are ETag-checked. When another instance stored a newer
+ *   link first, the query is repeated from that link so no change is
+ *   reported twice.
+ */
+
 const axios = require('axios');
-const { TableClient } = require("@azure/data-tables");
+const { TableClient } = require('@azure/data-tables');
+const config = require('./config');
+const { getAccessToken } = require('./auth');
+const { createLogger } = require('./logger');
+const { SUBSCRIPTION_TYPES } = require('./sharepoint-rest');
+const { getChangeTokenTracker } = require('./change-token-tracker');
+const { parseDriveResource, isInFolderScope } = require('./drive-items');
+const { parseClientState } = require('./clientstate-parser');
+
+const DELTA_PARTITION_KEY = 'delta';
+const DRIVE_DELTA_PARTITION_KEY = 'drive';
+
+/**
+ * Parse a list subscription resource
+ * Handles both sites/{site-id}/lists/{list-id} and
+ * sites/domain:/sites/name:/lists/{list-id}.
+ * @param {string} resource - Subscription resource
+ * @returns {Object|null} { siteId, listId }, or null for non-list resources
+ */
+function parseListResource(resource) {
+    const match = String(resource || '').match(/^\/?sites\/(.+)\/lists\/([^/]+)\/?$/);
+    if (!match) {
+        return null;
+    }
+    return { siteId: match[1], listId: match[2] };
+}
+
+/**
+ * Build the table key for a list's stored deltaLink
+ * @param {Object} list - { siteId, listId }
+ * @returns {Object} { partitionKey, rowKey }
+ */
+function buildDeltaKey({ siteId, listId }) {
+    return {
+        partitionKey: DELTA_PARTITION_KEY,
+        rowKey: `${siteId}_${listId}`.replace(/[/:\\#?]/g, '_')
+    };
+}
+
+/**
+ * Work out what a delta query for a subscription resource should read
+ * @param {string} resource - List or drive subscription resource
+ * @returns {Object|null} { key, baselineUrl, entity, label }, or null if delta is not supported
+ */
+function resolveDeltaTarget(resource) {
+    const list = parseListResource(resource);
+    if (list) {
+        return {
+            key: buildDeltaKey(list),
+            baselineUrl: `${config.api.graph.baseUrl}/sites/${list.siteId}/lists/${list.listId}/items/delta`,
+            entity: { siteId: list.siteId, listId: list.listId },
+            label: { siteId: list.siteId, listId: list.listId }
+        };
+    }
+
+    const drive = parseDriveResource(resource);
+    if (drive) {
+        return {
+            key: {
+                partitionKey: DRIVE_DELTA_PARTITION_KEY,
+                rowKey: drive.driveId.replace(/[/:\\#?]/g, '_')
+            },
+            baselineUrl: `${config.api.graph.baseUrl}/drives/${drive.driveId}/root/delta`,
+            entity: { driveId: drive.driveId },
+            label: { driveId: drive.driveId }
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Keep the latest entry per item, split into changed and deleted items
+ * The same item can appear more than once across delta pages.
+ */
+function collectChanges(items) {
+    const latest = new Map();
+    for (const item of items) {
+        latest.set(String(item.id), item);
+    }
+
+    const changedItems = [];
+    const deletedItems = [];
+    for (const item of latest.values()) {
+        (item.deleted ? deletedItems : changedItems).push(item);
+    }
+    return { changedItems, deletedItems };
+}
 
 class DeltaTracker {
-    constructor(connectionString) {
+    constructor(connectionString, options = {}) {
         this.tableClient = TableClient.fromConnectionString(
-            connectionString || process.env.AZURE_STORAGE_CONNECTION_STRING,
-            "SharePointDeltaTokens"
+            connectionString || config.storage.connectionString,
+            options.tableName || config.delta.tableName
         );
+        this.initialWindowMs = options.initialWindowMs ?? config.delta.initialWindowMs;
+        this.maxPages = options.maxPages || config.delta.maxPages;
+        this.maxRetries = options.maxRetries ?? config.delta.maxRetries;
         this.initialized = false;
     }
 
@@ -17,61 +124,237 @@ class DeltaTracker {
         }
     }
 
-    async getRecentChanges(context, notification, accessToken) {
-        await this.initialize();
-        
+    async loadDeltaLink(key) {
         try {
-            // Parse resource to get site and list info
-            const resourceParts = notification.resource.split('/');
-            const siteId = resourceParts.slice(0, 3).join('/');
-            const listId = resourceParts[4];
-            
-            // Get stored delta token
-            const deltaKey = {
-                partitionKey: 'delta',
-                rowKey: `${siteId}_${listId}`.replace(/[/:]/g, '_')
-            };
-            
-            let deltaUrl;
-            try {
-                const entity = await this.tableClient.getEntity(deltaKey.partitionKey, deltaKey.rowKey);
-                deltaUrl = entity.deltaLink;
-                context.log('Using stored delta link');
-            } catch (error) {
-                // No previous delta token
-                deltaUrl = `https://graph.microsoft.com/v1.0/sites/${siteId}/lists/${listId}/items/delta`;
-                context.log('No previous delta token, starting fresh');
+            const entity = await this.tableClient.getEntity(key.partitionKey, key.rowKey);
+            return { deltaLink: entity.deltaLink || null, etag: entity.etag };
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return { deltaLink: null, etag: null };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Store a deltaLink if nobody else stored one since it was loaded
+     * @returns {Promise<boolean>} False if another instance got there first
+     */
+    async saveDeltaLink(target, deltaLink, etag) {
+        const entity = {
+            partitionKey: target.key.partitionKey,
+            rowKey: target.key.rowKey,
+            ...target.entity,
+            deltaLink,
+            lastUpdated: new Date().toISOString()
+        };
+
+        try {
+            if (etag) {
+                await this.tableClient.updateEntity(entity, 'Replace', { etag });
+            } else {
+                await this.tableClient.createEntity(entity);
+            }
+            return true;
+        } catch (error) {
+            if (error.statusCode === 412 || error.statusCode === 409) {
+                return false;
             }
-            
-            // Query for changes
-            const response = await axios.get(deltaUrl, {
+            throw error;
+        }
+    }
+
+    /**
+     * Read every page of a delta query
+     * @returns {Promise<Object>} { items, deltaLink }
+     */
+    async fetchAllPages(url, accessToken) {
+        const items = [];
+        let nextUrl = url;
+
+        for (let page = 0; page < this.maxPages; page++) {
+            const response = await axios.get(nextUrl, {
                 headers: {
                     'Authorization': `Bearer ${accessToken}`,
                     'Accept': 'application/json'
-                }
+                },
+                timeout: config.api.timeout
             });
-            
-            // Store new delta token
+
+            items.push(...(response.data.value || []));
+
             if (response.data['@odata.deltaLink']) {
-                await this.tableClient.upsertEntity({
-                    partitionKey: deltaKey.partitionKey,
-                    rowKey: deltaKey.rowKey,
-                    deltaLink: response.data['@odata.deltaLink'],
-                    lastUpdated: new Date().toISOString()
+                return { items, deltaLink: response.data['@odata.deltaLink'] };
+            }
+            nextUrl = response.data['@odata.nextLink'];
+            if (!nextUrl) {
+                throw new Error('Delta response had neither @odata.nextLink nor @odata.deltaLink');
+            }
+        }
+
+        throw new Error(`Delta query exceeded ${this.maxPages} pages`);
+    }
+
+    /**
+     * Run one delta query from the stored link (or a fresh baseline)
+     * Re-baselines once if Graph reports the stored link as expired.
+     */
+    async queryFromStoredLink(target, accessToken, logger) {
+        const stored = await this.loadDeltaLink(target.key);
+        const { baselineUrl } = target;
+        let baseline = !stored.deltaLink;
+
+        try {
+            const page = await this.fetchAllPages(stored.deltaLink || baselineUrl, accessToken);
+            return { ...page, baseline, etag: stored.etag };
+        } catch (error) {
+            if (error.response?.status !== 410 || baseline) {
+                throw error;
+            }
+
+            logger.warn('Stored deltaLink expired, re-baselining', target.label);
+            baseline = true;
+            // Graph may point at where the new enumeration should start
+            const restartUrl = error.response.headers?.location || baselineUrl;
+            const page = await this.fetchAllPages(restartUrl, accessToken);
+            return { ...page, baseline, etag: stored.etag };
+        }
+    }
+
+    /**
+     * Get every item changed since the last call for the notification's list or drive
+     * @param {Object} context - Azure Functions context
+     * @param {Object} notification - Graph notification for a list or drive resource
+     * @param {string} accessToken - Graph access token
+     * @returns {Promise<Object>} { changedItems, deletedItems, deltaLink, baseline }
+     */
+    async getChanges(context, notification, accessToken) {
+        const logger = createLogger(context);
+        const target = resolveDeltaTarget(notification.resource);
+        if (!target) {
+            throw new Error(`Resource is not a SharePoint list or drive: ${notification.resource}`);
+        }
+
+        await this.initialize();
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            const result = await this.queryFromStoredLink(target, accessToken, logger);
+
+            if (!await this.saveDeltaLink(target, result.deltaLink, result.etag)) {
+                logger.debug('deltaLink was updated by another instance, querying again', {
+                    ...target.label,
+                    attempt
                 });
+                continue;
+            }
+
+            let { changedItems, deletedItems } = collectChanges(result.items);
+            if (result.baseline) {
+                // A baseline lists every item; only recent ones count as changes
+                const cutoff = Date.now() - this.initialWindowMs;
+                changedItems = changedItems.filter(item =>
+                    new Date(item.lastModifiedDateTime).getTime() >= cutoff);
+                deletedItems = [];
             }
-            
-            // Return changed items
+
+            logger.info('Delta query completed', {
+                ...target.label,
+                baseline: result.baseline,
+                changedCount: changedItems.length,
+                deletedCount: deletedItems.length
+            });
+
             return {
-                changedItems: response.data.value || [],
-                deltaLink: response.data['@odata.deltaLink']
+                changedItems,
+                deletedItems,
+                deltaLink: result.deltaLink,
+                baseline: result.baseline
             };
-            
-        } catch (error) {
-            context.error('Delta query failed:', error);
-            throw error;
         }
+
+        throw new Error(`deltaLink for ${notification.resource} kept changing after ${this.maxRetries} retries`);
+    }
+
+    // Kept for get-recent-changes
+    getRecentChanges(context, notification, accessToken) {
+        return this.getChanges(context, notification, accessToken);
+    }
+}
+
+let trackerInstance = null;
+
+/**
+ * Get the shared delta tracker
+ * @returns {DeltaTracker} Delta tracker instance
+ */
+function getDeltaTracker() {
+    if (!trackerInstance) {
+        trackerInstance = new DeltaTracker();
     }
+    return trackerInstance;
+}
+
+/**
+ * Expand a list or drive notification into one notification per changed item
+ * Graph list notifications carry no item ID, so without this only one item
+ * of a burst of edits would be processed. SharePoint REST notifications
+ * (subscriptionType 'sharepoint') are expanded with the change token tracker
+ * instead. Drive notifications are always expanded, to files only, limited
+ * to the clientState path when one is set. Deleted items are returned with
+ * changeType 'deleted' so consumers can emit tombstones. Notifications that
+ * already name an item, or that are not for a list or drive, are returned
+ * unchanged.
+ * @param {Object} notification - Graph notification (with routing clientState)
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<Array>} Notifications with resourceData.id set
+ */
+async function expandNotification(notification, context) {
+    if (notification.resourceData?.id || !resolveDeltaTarget(notification.resource)) {
+        return [notification];
+    }
+
+    const isDrive = Boolean(parseDriveResource(notification.resource));
+    let changedItems;
+    let deletedItems;
+    if (notification.subscriptionType === SUBSCRIPTION_TYPES.SHAREPOINT) {
+        // SharePoint REST notifications never name items, so they are always expanded
+        ({ changedItems, deletedItems } = await getChangeTokenTracker().getChanges(context, notification));
+    } else if (config.delta.enabled || isDrive) {
+        // Drive notifications cannot be resolved to an item any other way
+        const accessToken = await getAccessToken(context);
+        ({ changedItems, deletedItems } = await getDeltaTracker().getChanges(context, notification, accessToken));
+    } else {
+        return [notification];
+    }
+
+    if (isDrive) {
+        // Deleted drive items may have lost their file facet and folder; keep them unless out of scope
+        const { path } = parseClientState(notification.clientState);
+        changedItems = changedItems.filter(item => item.file && isInFolderScope(item, path));
+        deletedItems = deletedItems.filter(item => isInFolderScope(item, path));
+    }
+
+    const toItemNotification = (item, changeType) => ({
+        ...notification,
+        changeType,
+        resourceData: {
+            ...notification.resourceData,
+            id: String(item.id),
+            '@odata.etag': item.eTag || item['@odata.etag']
+        }
+    });
+
+    return [
+        ...changedItems.map(item => toItemNotification(item, notification.changeType)),
+        ...deletedItems.map(item => toItemNotification(item, 'deleted'))
+    ];
 }
 
-module.exports = { DeltaTracker };
\ No newline at end of file
+module.exports = {
+    DeltaTracker,
+    parseListResource,
+    buildDeltaKey,
+    resolveDeltaTarget,
+    getDeltaTracker,
+    expandNotification
+};
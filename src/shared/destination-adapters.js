@@ -0,0 +1,295 @@
+/**
+ * Destination Adapters
+ * Publish notifications to Azure messaging next to HTTP forwarding and UiPath.
+ * A destination selects its adapter with destination:<type>:
+ * - storagequeue: Azure Storage Queue named by queue:<name>
+ * - servicebus:   Service Bus queue (queue:<name>) or topic (topic:<name>)
+ *
+ * The message body is the payload a forward would send (mode:, template: and
+ * the field filters apply). Each message carries subscriptionId, changeType,
+ * listId, itemId and resource as properties: Service Bus application
+ * properties (changeType is also the subject), or the properties object of
+ * the JSON envelope written to a Storage Queue (base64 encoded, as queue
+ * triggers expect).
+ *
+ * connection:<name> names the app setting holding the connection string; without
+ * it config.destinationAdapters selects one per type. Local runs can point
+ * AZURE_STORAGE_CONNECTION_STRING at Azurite (UseDevelopmentStorage=true), or set
+ * DESTINATION_ADAPTER_BACKEND=memory to keep published messages in memory.
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const { DESTINATIONS } = require('./clientstate-parser');
+
+const ADAPTER_BACKENDS = {
+    AZURE: 'azure',
+    MEMORY: 'memory'
+};
+
+const CONNECTION_NAME_PATTERN = /^[A-Za-z0-9_]+$/;
+
+// Queue and topic names each service accepts
+const ENTITY_NAME_PATTERNS = {
+    // 3-63 lowercase letters, digits and single hyphens
+    [DESTINATIONS.STORAGE_QUEUE]: /^(?!.*--)[a-z0-9][a-z0-9-]{1,61}[a-z0-9]$/,
+    // Up to 260 letters, digits, periods, hyphens, underscores and slashes
+    [DESTINATIONS.SERVICE_BUS]: /^[A-Za-z0-9]([A-Za-z0-9._/-]{0,258}[A-Za-z0-9])?$/
+};
+
+/**
+ * App setting holding a destination's connection string
+ * @param {Object} destinationConfig - Parsed clientState of the destination
+ * @returns {string} App setting name
+ */
+function getConnectionSetting(destinationConfig) {
+    if (destinationConfig.connection) {
+        return destinationConfig.connection;
+    }
+    return destinationConfig.destination === DESTINATIONS.SERVICE_BUS
+        ? config.destinationAdapters.serviceBusConnection
+        : config.destinationAdapters.storageQueueConnection;
+}
+
+/**
+ * Read a destination's connection string
+ * @param {Object} destinationConfig - Parsed clientState of the destination
+ * @returns {string} Connection string
+ * @throws {Error} If the app setting is not set
+ */
+function resolveConnectionString(destinationConfig) {
+    const setting = getConnectionSetting(destinationConfig);
+    const connectionString = process.env[setting];
+    if (!connectionString) {
+        throw new Error(`App setting ${setting} is not set`);
+    }
+    return connectionString;
+}
+
+/**
+ * Queue or topic a destination publishes to
+ * @param {Object} destinationConfig - Parsed clientState of the destination
+ * @returns {Object} { kind, name } where kind is queue or topic
+ */
+function getDestinationEntity(destinationConfig) {
+    if (destinationConfig.destination === DESTINATIONS.SERVICE_BUS && destinationConfig.topic) {
+        return { kind: 'topic', name: destinationConfig.topic };
+    }
+    return { kind: 'queue', name: destinationConfig.queue };
+}
+
+/**
+ * Properties published with every message
+ * @param {Object} notification - Webhook notification
+ * @returns {Object} { subscriptionId, changeType, listId, itemId, resource }
+ */
+function buildMessageProperties(notification) {
+    const resource = notification.resource || null;
+    const listMatch = /\/lists\/([^/?]+)/i.exec(resource || '');
+    return {
+        subscriptionId: notification.subscriptionId || null,
+        changeType: notification.changeType || null,
+        listId: notification.resourceData?.listId || (listMatch ? listMatch[1] : null),
+        itemId: notification.resourceData?.id ? String(notification.resourceData.id) : null,
+        resource
+    };
+}
+
+/**
+ * Build the message an adapter publishes
+ * @param {Object} notification - Webhook notification
+ * @param {Object} payload - Payload EnhancedForwarder built for the destination
+ * @returns {Object} { id, body, properties }
+ */
+function buildAdapterMessage(notification, payload) {
+    return {
+        id: crypto.randomUUID(),
+        body: payload,
+        properties: buildMessageProperties(notification)
+    };
+}
+
+/**
+ * Storage Queue message text: the base64 encoded JSON envelope
+ * @param {Object} message - Adapter message
+ * @returns {string} Message text
+ */
+function encodeStorageQueueMessage(message) {
+    const envelope = { id: message.id, properties: message.properties, body: message.body };
+    return Buffer.from(JSON.stringify(envelope)).toString('base64');
+}
+
+/**
+ * Service Bus message; properties without a value are left out
+ * @param {Object} message - Adapter message
+ * @returns {Object} ServiceBusMessage
+ */
+function buildServiceBusMessage(message) {
+    const applicationProperties = Object.fromEntries(
+        Object.entries(message.properties).filter(([, value]) => value !== null && value !== undefined)
+    );
+    return {
+        messageId: message.id,
+        body: message.body,
+        contentType: 'application/json',
+        subject: message.properties.changeType || undefined,
+        correlationId: message.properties.subscriptionId || undefined,
+        applicationProperties
+    };
+}
+
+/**
+ * In-memory adapter used for tests and local development
+ * Published messages are kept in messages, in publish order.
+ */
+class InMemoryDestinationAdapter {
+    constructor(options = {}) {
+        this.type = options.type || null;
+        this.messages = [];
+    }
+
+    async publish(message, destinationConfig) {
+        const entity = getDestinationEntity(destinationConfig);
+        this.messages.push({ ...message, entity: entity.name, kind: entity.kind });
+        return { messageId: message.id, entity: entity.name };
+    }
+
+    clear() {
+        this.messages = [];
+    }
+}
+
+/**
+ * Azure Storage Queue adapter
+ * Queues are created on first use.
+ */
+class StorageQueueDestinationAdapter {
+    constructor() {
+        const { QueueServiceClient } = require('@azure/storage-queue');
+        this.QueueServiceClient = QueueServiceClient;
+        this.queueClients = new Map();
+    }
+
+    async getQueueClient(destinationConfig) {
+        const setting = getConnectionSetting(destinationConfig);
+        const key = `${setting}/${destinationConfig.queue}`;
+        if (!this.queueClients.has(key)) {
+            const queueClient = this.QueueServiceClient
+                .fromConnectionString(resolveConnectionString(destinationConfig))
+                .getQueueClient(destinationConfig.queue);
+            await queueClient.createIfNotExists();
+            this.queueClients.set(key, queueClient);
+        }
+        return this.queueClients.get(key);
+    }
+
+    async publish(message, destinationConfig) {
+        const queueClient = await this.getQueueClient(destinationConfig);
+        const response = await queueClient.sendMessage(encodeStorageQueueMessage(message));
+        return { messageId: response.messageId, entity: destinationConfig.queue };
+    }
+}
+
+/**
+ * Azure Service Bus adapter
+ * One client per connection string and one sender per queue or topic, kept
+ * for the lifetime of the function instance. Queues and topics must exist.
+ */
+class ServiceBusDestinationAdapter {
+    constructor() {
+        const { ServiceBusClient } = require('@azure/service-bus');
+        this.ServiceBusClient = ServiceBusClient;
+        this.clients = new Map();
+        this.senders = new Map();
+    }
+
+    getSender(destinationConfig) {
+        const setting = getConnectionSetting(destinationConfig);
+        const entity = getDestinationEntity(destinationConfig);
+        const key = `${setting}/${entity.name}`;
+        if (!this.senders.has(key)) {
+            if (!this.clients.has(setting)) {
+                this.clients.set(setting, new this.ServiceBusClient(resolveConnectionString(destinationConfig)));
+            }
+            this.senders.set(key, this.clients.get(setting).createSender(entity.name));
+        }
+        return this.senders.get(key);
+    }
+
+    async publish(message, destinationConfig) {
+        const entity = getDestinationEntity(destinationConfig);
+        await this.getSender(destinationConfig).sendMessages(buildServiceBusMessage(message));
+        return { messageId: message.id, entity: entity.name };
+    }
+}
+
+const ADAPTERS = {
+    [ADAPTER_BACKENDS.AZURE]: {
+        [DESTINATIONS.STORAGE_QUEUE]: StorageQueueDestinationAdapter,
+        [DESTINATIONS.SERVICE_BUS]: ServiceBusDestinationAdapter
+    },
+    [ADAPTER_BACKENDS.MEMORY]: {
+        [DESTINATIONS.STORAGE_QUEUE]: InMemoryDestinationAdapter,
+        [DESTINATIONS.SERVICE_BUS]: InMemoryDestinationAdapter
+    }
+};
+
+// One adapter per destination type so clients and senders are reused
+const adapterInstances = new Map();
+
+/**
+ * Create an adapter for a destination type
+ * @param {string} type - Destination type (storagequeue, servicebus)
+ * @param {Object} options - { backend } override (defaults to config.destinationAdapters.backend)
+ * @returns {Object} Adapter instance
+ */
+function createDestinationAdapter(type, options = {}) {
+    const backend = options.backend || config.destinationAdapters.backend;
+    const backendAdapters = ADAPTERS[backend];
+    if (!backendAdapters) {
+        throw new Error(`Unknown destination adapter backend: ${backend}`);
+    }
+    const AdapterClass = backendAdapters[type];
+    if (!AdapterClass) {
+        throw new Error(`No destination adapter for destination: ${type}`);
+    }
+    return new AdapterClass({ ...options, type });
+}
+
+/**
+ * Get the shared adapter of a destination type for the configured backend
+ * @param {string} type - Destination type (storagequeue, servicebus)
+ * @returns {Object} Adapter instance
+ */
+function getDestinationAdapter(type) {
+    const key = `${config.destinationAdapters.backend}/${type}`;
+    if (!adapterInstances.has(key)) {
+        adapterInstances.set(key, createDestinationAdapter(type));
+    }
+    return adapterInstances.get(key);
+}
+
+/**
+ * Forget shared adapters (tests)
+ */
+function resetDestinationAdapters() {
+    adapterInstances.clear();
+}
+
+module.exports = {
+    ADAPTER_BACKENDS,
+    CONNECTION_NAME_PATTERN,
+    ENTITY_NAME_PATTERNS,
+    InMemoryDestinationAdapter,
+    StorageQueueDestinationAdapter,
+    ServiceBusDestinationAdapter,
+    getConnectionSetting,
+    getDestinationEntity,
+    buildMessageProperties,
+    buildAdapterMessage,
+    encodeStorageQueueMessage,
+    buildServiceBusMessage,
+    createDestinationAdapter,
+    getDestinationAdapter,
+    resetDestinationAdapters
+};
@@ -0,0 +1,155 @@
+/**
+ * Drive Items
+ * Support for document library subscriptions on drives/{drive-id}/root.
+ * Graph driveItem notifications name only the drive; delta-tracker finds the
+ * changed files and this module resolves each one to its list item, so
+ * processors receive the same document shape as for list subscriptions
+ * (fields merged at the top level, FileLeafRef, FileRef, FileDirRef, UniqueId).
+ *
+ * Folder scoping: a clientState path (e.g. path:/Invoices/2024) limits a drive
+ * subscription to files under that folder of the library.
+ */
+
+const axios = require('axios');
+const config = require('./config');
+
+const DRIVE_ITEM_SELECT = [
+    'id', 'name', 'webUrl', 'eTag', 'createdDateTime', 'lastModifiedDateTime',
+    'createdBy', 'lastModifiedBy', 'parentReference', 'file', 'folder', 'size', 'sharepointIds'
+].join(',');
+
+/**
+ * Parse a drive subscription resource
+ * @param {string} resource - Subscription resource (drives/{drive-id}/root)
+ * @returns {Object|null} { driveId }, or null for other resources
+ */
+function parseDriveResource(resource) {
+    const match = String(resource || '').match(/^\/?drives\/([^/]+)\/root\/?$/);
+    if (!match) {
+        return null;
+    }
+    return { driveId: match[1] };
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * Normalise a folder path to /a/b form (no trailing slash, root is '')
+ */
+function normaliseFolderPath(path) {
+    const trimmed = String(path || '').trim().replace(/\/+$/, '');
+    if (!trimmed) {
+        return '';
+    }
+    return trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+}
+
+/**
+ * Get the library-relative folder that contains a drive item
+ * parentReference.path looks like /drives/{drive-id}/root:/Invoices/2024
+ * @param {Object} driveItem - Graph driveItem
+ * @returns {string|null} Folder path such as /Invoices/2024 ('' for the root), or null if unknown
+ */
+function getDriveItemFolder(driveItem) {
+    const parentPath = driveItem?.parentReference?.path;
+    if (typeof parentPath !== 'string') {
+        return null;
+    }
+    const rootIndex = parentPath.indexOf('root:');
+    if (rootIndex === -1) {
+        return null;
+    }
+    return normaliseFolderPath(safeDecode(parentPath.substring(rootIndex + 'root:'.length)));
+}
+
+/**
+ * Check whether a drive item sits under a folder
+ * Items whose folder cannot be determined are kept.
+ * @param {Object} driveItem - Graph driveItem
+ * @param {string|null} folderPath - Library-relative folder, or null for the whole library
+ * @returns {boolean} True if the item is in scope
+ */
+function isInFolderScope(driveItem, folderPath) {
+    const scope = normaliseFolderPath(folderPath).toLowerCase();
+    if (!scope) {
+        return true;
+    }
+
+    const folder = getDriveItemFolder(driveItem);
+    if (folder === null) {
+        return true;
+    }
+    const lowerFolder = folder.toLowerCase();
+    return lowerFolder === scope || lowerFolder.startsWith(`${scope}/`);
+}
+
+/**
+ * Convert a driveItem (with expanded listItem) to the document item shape
+ * used for list subscriptions
+ * @param {Object} driveItem - Graph driveItem with listItem.fields expanded
+ * @returns {Object} Document item
+ */
+function normaliseDriveItem(driveItem) {
+    const listItem = driveItem.listItem || {};
+    const fields = listItem.fields || {};
+    const fileRef = driveItem.webUrl ? safeDecode(new URL(driveItem.webUrl).pathname) : null;
+    const listItemId = listItem.id || driveItem.sharepointIds?.listItemId || null;
+
+    return {
+        // Merge fields into the main item object, as fetchSharePointItem does
+        ...fields,
+        id: listItemId,
+        ID: listItemId,
+        Title: fields.Title || driveItem.name,
+        FileLeafRef: fields.FileLeafRef || driveItem.name,
+        FileRef: fileRef,
+        FileDirRef: fileRef ? fileRef.substring(0, fileRef.lastIndexOf('/')) : null,
+        UniqueId: driveItem.sharepointIds?.listItemUniqueId || null,
+        ContentType: fields.ContentType || listItem.contentType?.name || null,
+        webUrl: driveItem.webUrl,
+        createdDateTime: driveItem.createdDateTime,
+        lastModifiedDateTime: driveItem.lastModifiedDateTime,
+        driveId: driveItem.parentReference?.driveId || null,
+        driveItemId: driveItem.id,
+        fields,
+        parentReference: driveItem.parentReference,
+        file: driveItem.file,
+        size: driveItem.size
+    };
+}
+
+/**
+ * Fetch a drive item with its list item fields and normalise it
+ * @param {string} accessToken - Graph access token
+ * @param {string} driveId - Drive ID
+ * @param {string} driveItemId - Drive item ID
+ * @returns {Promise<Object>} Document item
+ */
+async function fetchDriveDocument(accessToken, driveId, driveItemId) {
+    const url = `${config.api.graph.baseUrl}/drives/${driveId}/items/${driveItemId}` +
+        `?$select=${DRIVE_ITEM_SELECT}&$expand=listItem($expand=fields)`;
+
+    const response = await axios.get(url, {
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Accept': 'application/json'
+        },
+        timeout: config.webhook.notificationTimeout
+    });
+
+    return normaliseDriveItem(response.data);
+}
+
+module.exports = {
+    parseDriveResource,
+    getDriveItemFolder,
+    isInFolderScope,
+    normaliseDriveItem,
+    fetchDriveDocument
+};
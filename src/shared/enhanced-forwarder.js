@@ -1,4 +1,17 @@
 const axios = require('axios');
+const { parseClientState } = require('./clientstate-parser');
+const { parseDriveResource, fetchDriveDocument } = require('./drive-items');
+const { getItemStateId, getItemStateStore } = require('./item-state-store');
+const { getPayloadTemplate, getTemplateMode, renderPayloadTemplate } = require('./payload-templates');
+const { buildSignatureHeaders } = require('./forward-signing');
+const { buildAuthenticatedRequest, invalidateAuthProfile } = require('./forward-auth');
+const { resolveRetryPolicy, isRetriable, isTargetFailure, getRetryDelay } = require('./forward-retry');
+const { getCircuitKey, getCircuitBreaker } = require('./circuit-breaker');
+const { CLOUDEVENTS_FORMATS, isCloudEventsFormat, buildCloudEvent, encodeCloudEvents } = require('./cloudevents');
+const { buildAdapterMessage } = require('./destination-adapters');
+
+// withChanges snapshots live in the item state store's 'item' namespace
+const ITEM_STATE_NAMESPACE = 'item';
 
 class EnhancedForwarder {
     constructor(context, accessToken) {
@@ -6,97 +19,71 @@ class EnhancedForwarder {
         this.accessToken = accessToken;
     }
     
-    // Parse enhanced clientState format
+    // Parse enhanced clientState format (legacy or v2, see clientstate-parser)
     parseClientState(clientState) {
-        if (!clientState) return null;
+        const parsed = parseClientState(clientState);
+        if (!parsed.forwardUrl) return null;
         
-        const parts = clientState.split(';');
-        const config = {
-            forwardUrl: null,
-            mode: 'simple', // simple, withData, withChanges
-            includeFields: null,
-            excludeFields: null
+        return {
+            forwardUrl: parsed.forwardUrl,
+            mode: parsed.mode, // simple, withData, withChanges
+            outputFormat: parsed.outputFormat, // json or a CloudEvents encoding (see cloudevents)
+            template: parsed.template, // payload template name (see payload-templates)
+            signingKey: parsed.signingKey, // HMAC key name (see forward-signing)
+            authProfile: parsed.authProfile, // target credentials (see forward-auth)
+            retryPolicy: parsed.retryPolicy, // retry policy name (see forward-retry)
+            includeFields: parsed.includeFields,
+            excludeFields: parsed.excludeFields
         };
-        
-        parts.forEach(part => {
-            const colonIndex = part.indexOf(':');
-            if (colonIndex === -1) return;
-            
-            const key = part.substring(0, colonIndex);
-            const value = part.substring(colonIndex + 1);
-            
-            switch(key) {
-                case 'forward':
-                    config.forwardUrl = value;
-                    break;
-                case 'mode':
-                    config.mode = value; // simple, withData, withChanges
-                    break;
-                case 'includeFields':
-                    config.includeFields = value.split(',');
-                    break;
-                case 'excludeFields':
-                    config.excludeFields = value.split(',');
-                    break;
-            }
-        });
-        
-        return config.forwardUrl ? config : null;
     }
     
     // Get current item data
     async getItemData(resource, itemId) {
         try {
-            // If itemId is provided, get specific item
-            if (itemId) {
-                const itemUrl = `https://graph.microsoft.com/v1.0/${resource}/items/${itemId}?$expand=fields`;
-                const response = await axios.get(itemUrl, {
-                    headers: {
-                        'Authorization': `Bearer ${this.accessToken}`,
-                        'Accept': 'application/json'
-                    }
-                });
-                return response.data;
-            }
-            
-            // Otherwise get recent items
-            const listUrl = `https://graph.microsoft.com/v1.0/${resource}/items?$expand=fields&$orderby=lastModifiedDateTime desc&$top=5`;
-            const response = await axios.get(listUrl, {
+            return await this.fetchItemData(resource, itemId);
+        } catch (error) {
+            this.context.error('Failed to get item data:', error.message);
+            return null;
+        }
+    }
+
+    // Fetch current item data; Graph errors (e.g. 404 for a removed item) are thrown
+    async fetchItemData(resource, itemId) {
+        // Drive subscriptions name a drive item; resolve it to its list item
+        const drive = parseDriveResource(resource);
+        if (drive) {
+            return itemId ? fetchDriveDocument(this.accessToken, drive.driveId, itemId) : null;
+        }
+
+        // If itemId is provided, get specific item
+        if (itemId) {
+            const itemUrl = `https://graph.microsoft.com/v1.0/${resource}/items/${itemId}?$expand=fields`;
+            const response = await axios.get(itemUrl, {
                 headers: {
                     'Authorization': `Bearer ${this.accessToken}`,
                     'Accept': 'application/json'
                 }
             });
-            
-            // Return most recently modified item
-            return response.data.value[0] || null;
-        } catch (error) {
-            this.context.error('Failed to get item data:', error.message);
-            return null;
+            return response.data;
         }
+        
+        // Otherwise get recent items
+        const listUrl = `https://graph.microsoft.com/v1.0/${resource}/items?$expand=fields&$orderby=lastModifiedDateTime desc&$top=5`;
+        const response = await axios.get(listUrl, {
+            headers: {
+                'Authorization': `Bearer ${this.accessToken}`,
+                'Accept': 'application/json'
+            }
+        });
+        
+        // Return most recently modified item
+        return response.data.value[0] || null;
     }
     
-    // Get previous version if available
+    // Get the item's last stored state, if it has been tracked
     async getPreviousVersion(resource, itemId) {
         try {
-            // Try to get from Azure Table Storage if we're tracking states
-            const connectionString = process.env.AZURE_STORAGE_CONNECTION_STRING;
-            if (connectionString) {
-                const { TableClient } = require('@azure/data-tables');
-                const stateTable = TableClient.fromConnectionString(connectionString, 'SharePointItemStates');
-                
-                const partitionKey = resource.replace(/[/:]/g, '_');
-                const rowKey = `item_${itemId}`;
-                
-                try {
-                    const entity = await stateTable.getEntity(partitionKey, rowKey);
-                    return JSON.parse(entity.previousState || '{}');
-                } catch {
-                    // No previous state found
-                }
-            }
-            
-            return null;
+            return await getItemStateStore().get(resource, itemId, ITEM_STATE_NAMESPACE);
         } catch (error) {
             this.context.warn('Could not get previous version:', error.message);
             return null;
@@ -166,9 +153,21 @@ class EnhancedForwarder {
         return filtered;
     }
     
-    // Build enhanced payload based on mode
-    async buildEnhancedPayload(notification, config) {
-        const basePayload = {
+    // Resolve the payload template in config (a name, or a definition being previewed)
+    resolveTemplate(config) {
+        if (!config.template) return null;
+        if (typeof config.template === 'object') return config.template;
+        
+        const template = getPayloadTemplate(config.template);
+        if (!template) {
+            throw new Error(`Unknown payload template: ${config.template}`);
+        }
+        return template;
+    }
+    
+    // Notification and metadata sent in every mode
+    buildBasePayload(notification, config) {
+        return {
             timestamp: new Date().toISOString(),
             source: 'SharePoint-Webhook-Proxy-Enhanced',
             notification: notification,
@@ -177,58 +176,78 @@ class EnhancedForwarder {
                 forwardingMode: config.mode
             }
         };
+    }
+    
+    // Build enhanced payload based on mode
+    async buildEnhancedPayload(notification, config) {
+        const basePayload = this.buildBasePayload(notification, config);
+        
+        // Deleted items get a tombstone in every mode
+        if (notification.changeType === 'deleted') {
+            return this.buildDeletedPayload(notification, basePayload, config);
+        }
         
         // Simple mode - just forward the notification
         if (config.mode === 'simple') {
             return basePayload;
         }
         
-        // Get current item data
-        const currentData = await this.getItemData(notification.resource);
+        // Get current item data (the newest item if the notification names none)
+        let currentData = null;
+        try {
+            currentData = await this.fetchItemData(notification.resource, notification.resourceData?.id);
+        } catch (error) {
+            // The item was removed before it could be fetched
+            if (error.response?.status === 404 && notification.resourceData?.id) {
+                return this.buildDeletedPayload(notification, basePayload, config);
+            }
+            this.context.error('Failed to get item data:', error.message);
+        }
         if (!currentData) {
             this.context.warn('Could not fetch current data, falling back to simple mode');
             return basePayload;
         }
         
+        // WithChanges mode - compare with the stored state, then store the current one
+        if (config.mode === 'withChanges') {
+            const previousData = await this.getPreviousVersion(notification.resource, getItemStateId(currentData));
+            await this.storeCurrentState(notification.resource, currentData);
+            return this.composeItemPayload(basePayload, config, currentData, previousData);
+        }
+        
+        return this.composeItemPayload(basePayload, config, currentData, null);
+    }
+    
+    // Add the item's state (and, in withChanges mode, its changes) to the base payload
+    composeItemPayload(basePayload, config, currentData, previousData) {
         // Filter fields if configured
         const filteredFields = this.filterFields(
             currentData.fields,
             config.includeFields,
             config.excludeFields
         );
+        const currentState = {
+            id: currentData.id,
+            lastModified: currentData.lastModifiedDateTime,
+            webUrl: currentData.webUrl,
+            fields: filteredFields
+        };
         
         // WithData mode - include current state
         if (config.mode === 'withData') {
-            return {
-                ...basePayload,
-                currentState: {
-                    id: currentData.id,
-                    lastModified: currentData.lastModifiedDateTime,
-                    webUrl: currentData.webUrl,
-                    fields: filteredFields
-                }
-            };
+            return { ...basePayload, currentState };
         }
         
         // WithChanges mode - include current state and changes
         if (config.mode === 'withChanges') {
-            const previousData = await this.getPreviousVersion(notification.resource, currentData.id);
             const changes = this.compareVersions(currentData, previousData);
             
-            // Store current state for next comparison
-            await this.storeCurrentState(notification.resource, currentData);
-            
             // Determine if this is the first time we're seeing this item
             const isFirstTime = !previousData;
             
             return {
                 ...basePayload,
-                currentState: {
-                    id: currentData.id,
-                    lastModified: currentData.lastModifiedDateTime,
-                    webUrl: currentData.webUrl,
-                    fields: filteredFields
-                },
+                currentState,
                 changes: {
                     summary: {
                         addedFields: Object.keys(changes.added).length,
@@ -253,60 +272,233 @@ class EnhancedForwarder {
         return basePayload;
     }
     
+    // Build the delete payload from the item's last stored state (null if it was never tracked)
+    async buildDeletedPayload(notification, basePayload, config) {
+        const itemId = notification.resourceData?.id || null;
+        const previousData = itemId ? await this.getPreviousVersion(notification.resource, itemId) : null;
+        
+        return this.composeDeletedPayload(notification, basePayload, config, previousData);
+    }
+    
+    // Add a tombstone carrying the item's last known state to the base payload
+    composeDeletedPayload(notification, basePayload, config, previousData) {
+        const itemId = notification.resourceData?.id || null;
+        
+        return {
+            ...basePayload,
+            notification: { ...notification, changeType: 'deleted' },
+            tombstone: {
+                id: itemId,
+                deleted: true,
+                deletedDateTime: new Date().toISOString(),
+                lastKnownState: previousData ? {
+                    id: previousData.id,
+                    lastModified: previousData.lastModifiedDateTime,
+                    webUrl: previousData.webUrl,
+                    fields: this.filterFields(
+                        previousData.fields,
+                        config.includeFields,
+                        config.excludeFields
+                    )
+                } : null
+            }
+        };
+    }
+    
     // Store current state for future comparisons
     async storeCurrentState(resource, itemData) {
         try {
-            const connectionString = process.env.AZURE_STORAGE_CONNECTION_STRING;
-            if (!connectionString) return;
-            
-            const { TableClient } = require('@azure/data-tables');
-            const stateTable = TableClient.fromConnectionString(connectionString, 'SharePointItemStates');
-            
-            const partitionKey = resource.replace(/[/:]/g, '_');
-            const rowKey = `item_${itemData.id}`;
-            
-            const entity = {
-                partitionKey,
-                rowKey,
-                resource,
-                itemId: itemData.id,
-                lastModified: itemData.lastModifiedDateTime,
-                previousState: JSON.stringify(itemData),
-                timestamp: new Date().toISOString()
-            };
-            
-            await stateTable.upsertEntity(entity, 'Replace');
+            await getItemStateStore().save(resource, itemData, ITEM_STATE_NAMESPACE);
         } catch (error) {
             this.context.warn('Could not store item state:', error.message);
         }
     }
     
+    // Drop the stored state of a deleted item once its tombstone is delivered
+    async removeStoredState(resource, itemId) {
+        if (!itemId) return;
+        
+        try {
+            await getItemStateStore().remove(resource, itemId, ITEM_STATE_NAMESPACE);
+        } catch (error) {
+            this.context.warn('Could not remove item state:', error.message);
+        }
+    }
+    
+    // Build the payload a forward would send for a sample item, without Graph or state table calls
+    previewPayload(notification, config, { item = null, previousItem = null } = {}) {
+        const template = this.resolveTemplate(config);
+        const payloadConfig = template ? { ...config, mode: getTemplateMode(template) } : config;
+        const basePayload = this.buildBasePayload(notification, payloadConfig);
+        
+        let envelope = basePayload;
+        if (notification.changeType === 'deleted') {
+            envelope = this.composeDeletedPayload(notification, basePayload, payloadConfig, previousItem || item);
+        } else if (payloadConfig.mode !== 'simple' && item) {
+            envelope = this.composeItemPayload(basePayload, payloadConfig, item, previousItem);
+        }
+        
+        return {
+            mode: payloadConfig.mode,
+            template: template?.name || null,
+            payload: template ? renderPayloadTemplate(template, envelope) : envelope
+        };
+    }
+    
+    // Encode payloads for the destination's output format
+    // Returns the serialized body, so the signature covers the exact bytes sent
+    encodeBody(notifications, payloads, config) {
+        const format = config.outputFormat || 'json';
+        if (isCloudEventsFormat(format)) {
+            const events = notifications.map((notification, index) => buildCloudEvent(notification, payloads[index]));
+            return encodeCloudEvents(events, format);
+        }
+        if (payloads.length !== 1) {
+            throw new Error(`Output format ${format} sends one notification per request`);
+        }
+        return { body: JSON.stringify(payloads[0]), headers: {} };
+    }
+    
+    // Build the payloads for notifications; a payload template decides the mode
+    // and reshapes the payload built for it
+    async buildPayloads(notifications, config) {
+        const template = this.resolveTemplate(config);
+        const payloadConfig = template ? { ...config, mode: getTemplateMode(template) } : config;
+        const envelopes = [];
+        for (const notification of notifications) {
+            envelopes.push(await this.buildEnhancedPayload(notification, payloadConfig));
+        }
+        const payloads = template
+            ? envelopes.map(envelope => renderPayloadTemplate(template, envelope))
+            : envelopes;
+        
+        return { template, payloadConfig, envelopes, payloads };
+    }
+    
+    // Keep a deleted item's state until its tombstone is delivered, so a replay can rebuild it
+    async releaseTombstones(notifications, envelopes) {
+        for (const [index, envelope] of envelopes.entries()) {
+            if (envelope.tombstone) {
+                await this.removeStoredState(notifications[index].resource, envelope.tombstone.id);
+            }
+        }
+    }
+    
     // Main forwarding method
-    async forward(notification, targetUrl, config) {
+    forward(notification, targetUrl, config) {
+        return this.send([notification], targetUrl, config);
+    }
+    
+    // Forward several notifications in one request (format:cloudevents-batch)
+    async forwardBatch(notifications, targetUrl, config, options = {}) {
+        if (notifications.length > 1 && config.outputFormat !== CLOUDEVENTS_FORMATS.BATCH) {
+            return {
+                success: false,
+                error: `Output format ${config.outputFormat || 'json'} cannot send a batch`,
+                mode: config.mode
+            };
+        }
+        return await this.send(notifications, targetUrl, config, options);
+    }
+    
+    // Failed attempts are retried under the destination's retry policy; while the
+    // target's circuit is open nothing is sent and the result is marked deferred.
+    // options.circuitTrialTaken says the caller already took the target's half-open
+    // trial (see deferred-deliveries), so the first attempt uses it.
+    async send(notifications, targetUrl, config, options = {}) {
+        let breaker = null;
+        let trialHeld = Boolean(options.circuitTrialTaken);
         try {
             const startTime = Date.now();
+            const policy = resolveRetryPolicy(config.retryPolicy);
+            breaker = getCircuitBreaker(getCircuitKey(targetUrl));
             
-            // Build payload based on mode
-            const payload = await this.buildEnhancedPayload(notification, config);
+            const { template, payloadConfig, envelopes, payloads } = await this.buildPayloads(notifications, config);
             
-            // Log payload size
-            const payloadSize = JSON.stringify(payload).length;
+            const { body, headers: formatHeaders } = this.encodeBody(notifications, payloads, config);
+            const payloadSize = body.length;
             this.context.log(`Forwarding enhanced payload (${payloadSize} bytes) to ${targetUrl}`);
             
-            // Forward the enhanced payload
-            const response = await axios.post(targetUrl, payload, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-SharePoint-Webhook': 'true',
-                    'X-Forwarding-Mode': config.mode
-                },
-                timeout: 10000,
-                validateStatus: () => true
-            });
+            let attempts = 0;
+            let response = null;
+            let signed = false;
+            let lastError = null;
+            
+            for (;;) {
+                // Signed per attempt, so each retry carries a fresh timestamp
+                const signatureHeaders = buildSignatureHeaders(body, config.signingKey);
+                signed = Object.keys(signatureHeaders).length > 0;
+                
+                // Checked before authenticating, so no token is fetched for a target that is down
+                if (!trialHeld && !breaker.canRequest()) {
+                    return this.deferredResult(breaker, payloadConfig.mode, attempts);
+                }
+                trialHeld = false;
+                
+                let auth;
+                try {
+                    auth = await this.authenticateAttempt(targetUrl, config.authProfile, policy);
+                } catch (error) {
+                    breaker.releaseTrial();
+                    throw error;
+                }
+                const { request, error: authError } = auth;
+                
+                attempts++;
+                if (authError) {
+                    // The target was never contacted: a half-open trial is handed back, and the
+                    // retry policy treats a token endpoint that did not answer like a network error
+                    breaker.releaseTrial();
+                    response = null;
+                    lastError = authError;
+                } else {
+                    ({ response, error: lastError } = await this.sendAttempt(request, body, {
+                        ...formatHeaders,
+                        'X-Forwarding-Mode': payloadConfig.mode,
+                        ...(template ? { 'X-Payload-Template': template.name } : {}),
+                        ...signatureHeaders
+                    }, policy));
+                }
+                const status = response ? response.status : null;
+                
+                // A rejected token is fetched again on the next attempt
+                if (status === 401 && config.authProfile) {
+                    invalidateAuthProfile(config.authProfile);
+                }
+                
+                if (!authError) {
+                    if (isTargetFailure(status)) {
+                        breaker.recordFailure(lastError ? lastError.message : `Status ${status}`);
+                    } else {
+                        breaker.recordSuccess();
+                    }
+                }
+                
+                if ((status >= 200 && status < 300) || attempts >= policy.maxAttempts || !isRetriable(policy, status)) {
+                    break;
+                }
+                
+                const delay = getRetryDelay(policy, attempts, response);
+                if (delay === null) {
+                    this.context.warn(`Forward target asked to retry after more than ${policy.maxDelay}ms, giving up`);
+                    break;
+                }
+                this.context.warn(`Forward attempt ${attempts} failed (${status || lastError.message}), retrying in ${delay}ms`);
+                await this.wait(delay);
+            }
+            
+            if (!response) {
+                throw lastError;
+            }
             
             const duration = Date.now() - startTime;
+            const success = response.status >= 200 && response.status < 300;
+            
+            if (success) {
+                await this.releaseTombstones(notifications, envelopes);
+            }
             
-            this.context.log(`Enhanced forwarding completed in ${duration}ms with mode: ${config.mode}, status: ${response.status}`);
+            this.context.log(`Enhanced forwarding completed in ${duration}ms with mode: ${payloadConfig.mode}, status: ${response.status}`);
             
             // Log response details for debugging
             if (response.status !== 200) {
@@ -314,14 +506,23 @@ class EnhancedForwarder {
             }
             
             return {
-                success: response.status >= 200 && response.status < 300,
+                success,
                 status: response.status,
                 duration,
-                mode: config.mode,
+                mode: payloadConfig.mode,
+                template: template?.name || null,
+                format: config.outputFormat || 'json',
+                count: notifications.length,
+                signed,
+                attempts,
                 payloadSize
             };
             
         } catch (error) {
+            // A trial taken by the caller but never used goes back to the breaker
+            if (trialHeld && breaker) {
+                breaker.releaseTrial();
+            }
             this.context.error('Enhanced forwarding failed:', error);
             return {
                 success: false,
@@ -330,6 +531,88 @@ class EnhancedForwarder {
             };
         }
     }
+    
+    // Publish a notification's payload through a destination adapter (Storage Queue, Service Bus)
+    async publish(notification, adapter, config) {
+        try {
+            const startTime = Date.now();
+            const { template, payloadConfig, envelopes, payloads } = await this.buildPayloads([notification], config);
+            const result = await adapter.publish(buildAdapterMessage(notification, payloads[0]), config);
+            await this.releaseTombstones([notification], envelopes);
+            
+            const duration = Date.now() - startTime;
+            this.context.log(`Published enhanced payload to ${config.destination} ${result.entity} in ${duration}ms with mode: ${payloadConfig.mode}`);
+            
+            return {
+                success: true,
+                messageId: result.messageId,
+                entity: result.entity,
+                duration,
+                mode: payloadConfig.mode,
+                template: template?.name || null
+            };
+        } catch (error) {
+            this.context.error('Publishing to destination adapter failed:', error);
+            return {
+                success: false,
+                error: error.message,
+                mode: config.mode
+            };
+        }
+    }
+    
+    // Add the target's credentials; a token endpoint that did not answer is returned like a
+    // network error so the retry policy applies, any other auth error is thrown
+    async authenticateAttempt(targetUrl, profileName, policy) {
+        try {
+            const request = await buildAuthenticatedRequest(targetUrl, profileName, { timeout: policy.timeout });
+            return { request, error: null };
+        } catch (error) {
+            if (!error.retryable) {
+                throw error;
+            }
+            return { request: null, error };
+        }
+    }
+    
+    // Send one attempt; network errors and timeouts are returned rather than thrown
+    async sendAttempt(request, body, headers, policy) {
+        try {
+            const response = await axios.post(request.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-SharePoint-Webhook': 'true',
+                    ...headers,
+                    ...request.headers
+                },
+                httpsAgent: request.httpsAgent,
+                timeout: policy.timeout,
+                validateStatus: () => true
+            });
+            return { response, error: null };
+        } catch (error) {
+            return { response: null, error };
+        }
+    }
+    
+    // Result of a forward held back by an open circuit; the caller defers the delivery
+    deferredResult(breaker, mode, attempts) {
+        this.context.warn(`Circuit open for ${breaker.key}, deferring delivery until ${breaker.retryAt()}`);
+        return {
+            success: false,
+            deferred: true,
+            error: `Circuit open for ${breaker.key}`,
+            retryAt: breaker.retryAt(),
+            mode,
+            attempts
+        };
+    }
+    
+    wait(ms) {
+        return new Promise(resolve => {
+            setTimeout(resolve, ms);
+        });
+    }
 }
 
 module.exports = EnhancedForwarder;
\ No newline at end of file
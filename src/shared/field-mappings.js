@@ -0,0 +1,147 @@
+/**
+ * Field Mappings
+ * Declarative value mappings shared by list templates (list-template-engine)
+ * and payload templates (payload-templates).
+ *
+ * A mapping reads a constant (value) or the first non-empty of one or more
+ * dot-separated paths (source | sources), falls back to default and runs the
+ * named transforms in order: { target, value | source | sources, default, transform }
+ */
+
+/**
+ * Value transforms available to field mappings
+ * A transform returning undefined omits the field from the payload.
+ */
+const TRANSFORMS = {
+    string: value => String(value),
+    trim: value => (typeof value === 'string' ? value.trim() : value),
+    upper: value => (typeof value === 'string' ? value.toUpperCase() : value),
+    lower: value => (typeof value === 'string' ? value.toLowerCase() : value),
+    number: value => {
+        const number = Number(value);
+        return Number.isNaN(number) ? value : number;
+    },
+    isoDate: value => {
+        if (!value) {
+            return value;
+        }
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? value : date.toISOString();
+    },
+    localeDate: value => {
+        if (!value) {
+            return undefined;
+        }
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? undefined : date.toLocaleDateString('en-US');
+    },
+    referenceSafe: value => (typeof value === 'string' ? value.replace(/[,\s]/g, '_') : value)
+};
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Read a dot-separated path from an object (e.g. "fields.Status")
+ */
+function getPath(source, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), source);
+}
+
+/**
+ * Resolve a single source reference
+ * Supports item paths, $now and $output.<Field>.
+ */
+function readSource(sourceRef, item, output) {
+    if (sourceRef === '$now') {
+        return new Date().toISOString();
+    }
+    if (sourceRef.startsWith('$output.')) {
+        return output[sourceRef.substring('$output.'.length)];
+    }
+    return getPath(item, sourceRef);
+}
+
+/**
+ * Evaluate a field mapping against an item
+ * @param {Object} mapping - { value | source | sources, default, transform }
+ * @param {Object} item - SharePoint item
+ * @param {Object} output - Payload built so far
+ * @returns {*} Mapped value (undefined to omit)
+ */
+function evaluateMapping(mapping, item, output = {}) {
+    let value;
+
+    if (Object.prototype.hasOwnProperty.call(mapping, 'value')) {
+        ({ value } = mapping);
+    } else {
+        const sources = mapping.sources || [mapping.source];
+        value = sources.map(sourceRef => readSource(sourceRef, item, output)).find(candidate => !isEmpty(candidate));
+    }
+
+    if (isEmpty(value) && mapping.default !== undefined) {
+        value = mapping.default;
+    }
+
+    const transforms = [].concat(mapping.transform || []);
+    for (const name of transforms) {
+        value = TRANSFORMS[name](value);
+    }
+
+    return value;
+}
+
+/**
+ * Evaluate mappings in order; later mappings may read earlier ones through $output
+ * @param {Array} mappings - Field mappings
+ * @param {Object} item - SharePoint item
+ * @param {Object} output - Payload to add to
+ * @returns {Object} The payload
+ */
+function applyMappings(mappings, item, output = {}) {
+    for (const mapping of mappings || []) {
+        const value = evaluateMapping(mapping, item, output);
+        if (value !== undefined) {
+            output[mapping.target] = value;
+        }
+    }
+    return output;
+}
+
+/**
+ * Validate a list of mappings, collecting errors
+ * @param {Array} mappings - Field mappings
+ * @param {string} label - Name used in error messages (e.g. "fieldMappings")
+ * @param {Array<string>} errors - Error list to add to
+ */
+function validateMappings(mappings, label, errors) {
+    if (!Array.isArray(mappings)) {
+        errors.push(`${label} must be an array`);
+        return;
+    }
+    mappings.forEach((mapping, index) => {
+        if (!mapping || !mapping.target) {
+            errors.push(`${label}[${index}] is missing target`);
+            return;
+        }
+        if (!Object.prototype.hasOwnProperty.call(mapping, 'value') && !mapping.source && !Array.isArray(mapping.sources)) {
+            errors.push(`${label}[${index}] (${mapping.target}) needs value, source or sources`);
+        }
+        for (const name of [].concat(mapping.transform || [])) {
+            if (!TRANSFORMS[name]) {
+                errors.push(`${label}[${index}] (${mapping.target}) uses unknown transform '${name}'`);
+            }
+        }
+    });
+}
+
+module.exports = {
+    TRANSFORMS,
+    isEmpty,
+    getPath,
+    readSource,
+    evaluateMapping,
+    applyMappings,
+    validateMappings
+};
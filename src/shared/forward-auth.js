@@ -0,0 +1,326 @@
+/**
+ * Forward Auth Profiles
+ * Credentials for protected forward targets. A destination references a
+ * named profile with auth:<name>; profiles are declared in the
+ * FORWARD_AUTH_PROFILES app setting as a JSON object keyed by name:
+ *
+ *   {
+ *     "orders-fn":  { "type": "header", "header": "x-functions-key", "value": "ORDERS_FUNCTION_KEY" },
+ *     "flow":       { "type": "query", "parameter": "sig", "value": "APPROVAL_FLOW_SIG" },
+ *     "orders-api": { "type": "oauth2", "tokenUrl": "https://login.microsoftonline.com/<tenant>/oauth2/v2.0/token",
+ *                     "clientId": "<app id>", "clientSecret": "ORDERS_API_SECRET", "scope": "api://orders/.default" },
+ *     "legacy":     { "type": "basic", "username": "svc-webhooks", "password": "LEGACY_API_PASSWORD" },
+ *     "partner":    { "type": "mtls", "certificate": "PARTNER_CERT_PEM", "key": "PARTNER_KEY_PEM" }
+ *   }
+ *
+ * Secret fields (value, clientSecret, password, certificate, key, pfx,
+ * passphrase) hold a secret reference, never the secret: a string names an
+ * app setting (Key Vault references resolve there), and
+ * { "provider": "<name>", "name": "<secret>" } asks a provider registered
+ * with registerSecretProvider.
+ *
+ * OAuth2 tokens are cached per profile until config.forwardAuth.tokenRefreshMargin
+ * before they expire, like the Graph token in auth.js.
+ */
+
+const https = require('https');
+const axios = require('axios');
+const config = require('./config');
+const { createLogger } = require('./logger');
+
+const AUTH_PROFILE_TYPES = {
+    HEADER: 'header',
+    QUERY: 'query',
+    BASIC: 'basic',
+    OAUTH2: 'oauth2',
+    MTLS: 'mtls'
+};
+
+// Fields each type requires, and which of them are secret references
+const PROFILE_FIELDS = {
+    header: { required: ['header', 'value'], secrets: ['value'] },
+    query: { required: ['parameter', 'value'], secrets: ['value'] },
+    basic: { required: ['username', 'password'], secrets: ['password'] },
+    oauth2: { required: ['tokenUrl', 'clientId', 'clientSecret'], secrets: ['clientSecret'] },
+    mtls: { required: [], secrets: ['certificate', 'key', 'pfx', 'passphrase', 'ca'] }
+};
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const secretProviders = {
+    setting: name => process.env[name]
+};
+
+/**
+ * Register a secret provider for { provider, name } references
+ * @param {string} name - Provider name used in profiles
+ * @param {Function} resolve - (secretName) => value or Promise of value
+ */
+function registerSecretProvider(name, resolve) {
+    secretProviders[name] = resolve;
+}
+
+function describeSecretReference(reference) {
+    return typeof reference === 'string' ? reference : `${reference.provider}:${reference.name}`;
+}
+
+/**
+ * Resolve a secret reference
+ * @param {string|Object} reference - App setting name or { provider, name }
+ * @returns {Promise<string|undefined>} Secret value
+ */
+async function resolveSecret(reference) {
+    if (typeof reference === 'string') {
+        return secretProviders.setting(reference);
+    }
+    const provider = secretProviders[reference.provider];
+    if (!provider) {
+        throw new Error(`Unknown secret provider: ${reference.provider}`);
+    }
+    return await provider(reference.name);
+}
+
+function isSecretReference(reference) {
+    if (typeof reference === 'string') {
+        return reference.length > 0;
+    }
+    return Boolean(reference) && typeof reference.provider === 'string' && typeof reference.name === 'string';
+}
+
+/**
+ * Validate an auth profile definition
+ * @param {Object} profile - Profile definition
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateAuthProfile(profile) {
+    if (!profile || typeof profile !== 'object') {
+        return ['Auth profile must be an object'];
+    }
+
+    const fields = PROFILE_FIELDS[profile.type];
+    if (!fields) {
+        return [`type must be one of: ${Object.values(AUTH_PROFILE_TYPES).join(', ')}`];
+    }
+
+    const errors = fields.required
+        .filter(field => !profile[field])
+        .map(field => `${field} is required for ${profile.type} profiles`);
+
+    for (const field of fields.secrets.filter(secret => profile[secret] !== undefined)) {
+        if (!isSecretReference(profile[field])) {
+            errors.push(`${field} must be an app setting name or { provider, name }`);
+        } else if (typeof profile[field] === 'object' && !secretProviders[profile[field].provider]) {
+            errors.push(`${field} uses unknown secret provider '${profile[field].provider}'`);
+        }
+    }
+
+    if (profile.type === AUTH_PROFILE_TYPES.MTLS && !profile.pfx && !(profile.certificate && profile.key)) {
+        errors.push('mtls profiles need certificate and key, or pfx');
+    }
+    if (profile.type === AUTH_PROFILE_TYPES.OAUTH2 && !/^https:\/\//i.test(profile.tokenUrl || '')) {
+        errors.push('tokenUrl must use https');
+    }
+
+    return errors;
+}
+
+/**
+ * Parse and validate profiles from their JSON app setting
+ * Invalid profiles are logged and skipped.
+ * @param {string|Object|null} source - JSON text or parsed object
+ * @returns {Object} Valid profiles keyed by name
+ */
+function loadAuthProfiles(source = config.forwardAuth.profiles) {
+    const logger = createLogger();
+    if (!source) {
+        return {};
+    }
+
+    let definitions = source;
+    if (typeof source === 'string') {
+        try {
+            definitions = JSON.parse(source);
+        } catch (error) {
+            logger.error('FORWARD_AUTH_PROFILES is not valid JSON', { error: error.message });
+            return {};
+        }
+    }
+
+    const profiles = {};
+    for (const [name, profile] of Object.entries(definitions || {})) {
+        const errors = PROFILE_NAME_PATTERN.test(name) ? validateAuthProfile(profile) : ['name may only contain letters, digits, - and _'];
+        if (errors.length > 0) {
+            logger.error('Skipping invalid auth profile', { name, errors });
+            continue;
+        }
+        profiles[name] = { ...profile, name };
+    }
+    return profiles;
+}
+
+let loadedProfiles = null;
+
+/**
+ * Find a configured auth profile
+ * @param {string} name - Profile name from clientState
+ * @returns {Object|null} Profile definition
+ */
+function getAuthProfile(name) {
+    if (!loadedProfiles) {
+        loadedProfiles = loadAuthProfiles();
+    }
+    return Object.prototype.hasOwnProperty.call(loadedProfiles, name) ? loadedProfiles[name] : null;
+}
+
+/**
+ * List the secret references of a profile that currently resolve to nothing
+ * Used by clientstate-validator; only app settings are checked.
+ * @param {Object} profile - Profile definition
+ * @returns {Array<string>} Missing app setting names
+ */
+function findMissingSettings(profile) {
+    return PROFILE_FIELDS[profile.type].secrets
+        .map(field => profile[field])
+        .filter(reference => typeof reference === 'string' && !secretProviders.setting(reference));
+}
+
+async function requireSecret(profile, field) {
+    const value = await resolveSecret(profile[field]);
+    if (!value) {
+        throw new Error(`Secret ${describeSecretReference(profile[field])} for auth profile '${profile.name}' is not set`);
+    }
+    return value;
+}
+
+function readOptionalSecret(profile, field) {
+    return profile[field] === undefined ? Promise.resolve(undefined) : requireSecret(profile, field);
+}
+
+// OAuth2 tokens cached per profile
+const tokenCache = new Map();
+
+async function getProfileToken(profile, timeout = config.forwardRetry.timeout) {
+    const cached = tokenCache.get(profile.name);
+    if (cached && (cached.expiresAt - Date.now()) > config.forwardAuth.tokenRefreshMargin) {
+        return cached.token;
+    }
+
+    const params = new URLSearchParams();
+    params.append('grant_type', 'client_credentials');
+    params.append('client_id', profile.clientId);
+    params.append('client_secret', await requireSecret(profile, 'clientSecret'));
+    if (profile.scope) {
+        params.append('scope', profile.scope);
+    }
+    if (profile.audience) {
+        params.append('audience', profile.audience);
+    }
+
+    try {
+        const response = await axios.post(profile.tokenUrl, params, {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout
+        });
+        const expiresIn = response.data.expires_in || 3600; // Default to 1 hour
+        tokenCache.set(profile.name, {
+            token: response.data.access_token,
+            expiresAt: Date.now() + (expiresIn * 1000)
+        });
+        return response.data.access_token;
+    } catch (error) {
+        tokenCache.delete(profile.name);
+        const tokenError = new Error(`Failed to obtain token for auth profile '${profile.name}': ${error.response?.data?.error_description || error.message}`);
+        // A token endpoint that timed out or could not be reached may answer on the next attempt
+        tokenError.retryable = !error.response;
+        throw tokenError;
+    }
+}
+
+// Client certificate agents cached per profile
+const agentCache = new Map();
+
+async function getProfileAgent(profile) {
+    if (!agentCache.has(profile.name)) {
+        const pfx = await readOptionalSecret(profile, 'pfx');
+        agentCache.set(profile.name, new https.Agent({
+            cert: await readOptionalSecret(profile, 'certificate'),
+            key: await readOptionalSecret(profile, 'key'),
+            pfx: pfx ? Buffer.from(pfx, 'base64') : undefined,
+            passphrase: await readOptionalSecret(profile, 'passphrase'),
+            ca: await readOptionalSecret(profile, 'ca')
+        }));
+    }
+    return agentCache.get(profile.name);
+}
+
+/**
+ * Add a profile's credentials to an outgoing forward request
+ * @param {string} targetUrl - Forward URL from clientState
+ * @param {string|null} profileName - auth profile from clientState
+ * @param {Object} options - { timeout } for OAuth2 token requests (ms), normally the forward's own timeout
+ * @returns {Promise<Object>} { url, headers, httpsAgent } to use for the request
+ * @throws {Error} If the profile is unknown or one of its secrets is not set; errors with
+ *   retryable set mean the token endpoint did not answer
+ */
+async function buildAuthenticatedRequest(targetUrl, profileName, options = {}) {
+    if (!profileName) {
+        return { url: targetUrl, headers: {} };
+    }
+
+    const profile = getAuthProfile(profileName);
+    if (!profile) {
+        throw new Error(`Unknown auth profile: ${profileName}`);
+    }
+
+    switch (profile.type) {
+        case AUTH_PROFILE_TYPES.HEADER: {
+            const value = await requireSecret(profile, 'value');
+            return { url: targetUrl, headers: { [profile.header]: `${profile.prefix || ''}${value}` } };
+        }
+        case AUTH_PROFILE_TYPES.QUERY: {
+            const url = new URL(targetUrl);
+            url.searchParams.set(profile.parameter, await requireSecret(profile, 'value'));
+            return { url: url.toString(), headers: {} };
+        }
+        case AUTH_PROFILE_TYPES.BASIC: {
+            const credentials = Buffer.from(`${profile.username}:${await requireSecret(profile, 'password')}`).toString('base64');
+            return { url: targetUrl, headers: { Authorization: `Basic ${credentials}` } };
+        }
+        case AUTH_PROFILE_TYPES.OAUTH2:
+            return { url: targetUrl, headers: { Authorization: `Bearer ${await getProfileToken(profile, options.timeout)}` } };
+        case AUTH_PROFILE_TYPES.MTLS:
+            return { url: targetUrl, headers: {}, httpsAgent: await getProfileAgent(profile) };
+        default:
+            throw new Error(`Unsupported auth profile type: ${profile.type}`);
+    }
+}
+
+/**
+ * Drop a profile's cached token, e.g. after the target answered 401
+ * @param {string} profileName - auth profile from clientState
+ */
+function invalidateAuthProfile(profileName) {
+    tokenCache.delete(profileName);
+}
+
+/**
+ * Clear loaded profiles and cached credentials (tests, settings reload)
+ */
+function resetAuthProfiles() {
+    loadedProfiles = null;
+    tokenCache.clear();
+    agentCache.clear();
+}
+
+module.exports = {
+    AUTH_PROFILE_TYPES,
+    registerSecretProvider,
+    resolveSecret,
+    validateAuthProfile,
+    loadAuthProfiles,
+    getAuthProfile,
+    findMissingSettings,
+    buildAuthenticatedRequest,
+    invalidateAuthProfile,
+    resetAuthProfiles
+};
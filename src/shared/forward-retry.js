@@ -0,0 +1,241 @@
+/**
+ * Forward Retry Policies
+ * How EnhancedForwarder retries a forward that failed. A destination selects a
+ * policy with retry:<name>; destinations without one use
+ * config.forwardRetry.defaultPolicy. Policies are declared in the
+ * FORWARD_RETRY_POLICIES app setting as a JSON object keyed by name, and
+ * unset fields fall back to the default policy:
+ *
+ *   {
+ *     "patient": { "maxAttempts": 5, "baseDelay": 2000, "maxDelay": 60000 },
+ *     "gateway": { "retryOn": ["network", "502", "503", "504"], "respectRetryAfter": false }
+ *   }
+ *
+ * Fields:
+ * - maxAttempts:       attempts including the first one (1 disables retries)
+ * - baseDelay:         delay before the first retry (ms), doubled for each further retry
+ * - maxDelay:          longest wait between attempts (ms); a longer Retry-After ends the retries
+ * - jitter:            wait a random part of the backoff, so retries of many events spread out
+ * - retryOn:           'network' (no response), '4xx', '5xx' or a status code such as '429'
+ * - respectRetryAfter: wait as long as the target's Retry-After header asks
+ * - timeout:           per-attempt timeout (ms, default config.forwardRetry.timeout)
+ *
+ * The built-in policies are default and none (a single attempt).
+ */
+
+const config = require('./config');
+const { createLogger } = require('./logger');
+
+const DEFAULT_POLICY = {
+    maxAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    jitter: true,
+    retryOn: ['network', '408', '429', '5xx'],
+    respectRetryAfter: true,
+    timeout: config.forwardRetry.timeout
+};
+
+const BUILT_IN_POLICIES = {
+    default: { ...DEFAULT_POLICY, name: 'default' },
+    none: { ...DEFAULT_POLICY, name: 'none', maxAttempts: 1 }
+};
+
+const POLICY_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const RETRY_CLASS_PATTERN = /^(network|[45]xx|[1-5]\d\d)$/;
+const MAX_ATTEMPTS = 10;
+const MS_PER_SECOND = 1000;
+
+/**
+ * Validate a retry policy definition
+ * @param {Object} policy - Policy definition (unset fields use the default policy)
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateRetryPolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return ['Retry policy must be an object'];
+    }
+
+    const errors = [];
+    if (policy.maxAttempts !== undefined
+        && !(Number.isInteger(policy.maxAttempts) && policy.maxAttempts >= 1 && policy.maxAttempts <= MAX_ATTEMPTS)) {
+        errors.push(`maxAttempts must be an integer from 1 to ${MAX_ATTEMPTS}`);
+    }
+    for (const field of ['baseDelay', 'maxDelay', 'timeout']) {
+        if (policy[field] !== undefined && !(Number.isInteger(policy[field]) && policy[field] >= 0)) {
+            errors.push(`${field} must be a non-negative number of milliseconds`);
+        }
+    }
+    if (policy.retryOn !== undefined
+        && !(Array.isArray(policy.retryOn) && policy.retryOn.every(entry => RETRY_CLASS_PATTERN.test(String(entry))))) {
+        errors.push("retryOn must list 'network', '4xx', '5xx' or status codes");
+    }
+    return errors;
+}
+
+/**
+ * Parse and validate policies from their JSON app setting
+ * Invalid policies are logged and skipped.
+ * @param {string|Object|null} source - JSON text or parsed object
+ * @returns {Object} Valid policies keyed by name, merged onto the default policy
+ */
+function loadRetryPolicies(source = config.forwardRetry.policies) {
+    const logger = createLogger();
+    if (!source) {
+        return {};
+    }
+
+    let definitions = source;
+    if (typeof source === 'string') {
+        try {
+            definitions = JSON.parse(source);
+        } catch (error) {
+            logger.error('FORWARD_RETRY_POLICIES is not valid JSON', { error: error.message });
+            return {};
+        }
+    }
+
+    const policies = {};
+    for (const [name, policy] of Object.entries(definitions || {})) {
+        let errors = validateRetryPolicy(policy);
+        if (!POLICY_NAME_PATTERN.test(name)) {
+            errors = ['name may only contain letters, digits, - and _'];
+        } else if (BUILT_IN_POLICIES[name.toLowerCase()]) {
+            errors = [`name '${name}' is reserved for a built-in policy`];
+        }
+        if (errors.length > 0) {
+            logger.error('Skipping invalid retry policy', { name, errors });
+            continue;
+        }
+        policies[name] = { ...DEFAULT_POLICY, ...policy, retryOn: (policy.retryOn || DEFAULT_POLICY.retryOn).map(String), name };
+    }
+    return policies;
+}
+
+let loadedPolicies = null;
+
+/**
+ * Find a retry policy
+ * @param {string|null} name - retry policy from clientState (null for the configured default)
+ * @returns {Object|null} Policy, or null for an unknown name
+ */
+function getRetryPolicy(name) {
+    if (!loadedPolicies) {
+        loadedPolicies = loadRetryPolicies();
+    }
+    const policyName = name || config.forwardRetry.defaultPolicy;
+    const builtIn = BUILT_IN_POLICIES[String(policyName).toLowerCase()];
+    if (builtIn) {
+        return builtIn;
+    }
+    if (Object.prototype.hasOwnProperty.call(loadedPolicies, policyName)) {
+        return loadedPolicies[policyName];
+    }
+    // A misconfigured default must not stop every forward
+    return name ? null : BUILT_IN_POLICIES.default;
+}
+
+/**
+ * Find a retry policy or fail the forward
+ * @param {string|null} name - retry policy from clientState
+ * @returns {Object} Policy
+ * @throws {Error} If the policy is unknown
+ */
+function resolveRetryPolicy(name) {
+    const policy = getRetryPolicy(name);
+    if (!policy) {
+        throw new Error(`Unknown retry policy: ${name}`);
+    }
+    return policy;
+}
+
+/**
+ * Whether a failed attempt may be retried under a policy
+ * @param {Object} policy - Retry policy
+ * @param {number|null} status - Response status, null when no response arrived
+ * @returns {boolean} True if the policy retries it
+ */
+function isRetriable(policy, status) {
+    if (status === null || status === undefined) {
+        return policy.retryOn.includes('network');
+    }
+    return policy.retryOn.includes(String(status)) || policy.retryOn.includes(`${String(status)[0]}xx`);
+}
+
+/**
+ * Whether an attempt says the target itself is unavailable
+ * Counted by the circuit breaker regardless of the retry policy; other 4xx
+ * answers come from a target that is up.
+ * @param {number|null} status - Response status, null when no response arrived
+ * @returns {boolean} True for network errors, timeouts, throttling and 5xx
+ */
+function isTargetFailure(status) {
+    return status === null || status === undefined || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Read a Retry-After header
+ * @param {string|number} header - Delay in seconds or an HTTP date
+ * @param {number} now - Current time (ms)
+ * @returns {number|null} Delay in ms, or null when absent or unreadable
+ */
+function parseRetryAfter(header, now = Date.now()) {
+    if (header === undefined || header === null || header === '') {
+        return null;
+    }
+    const value = String(header).trim();
+    if (/^\d+$/.test(value)) {
+        return Number(value) * MS_PER_SECOND;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff before a retry
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Function} random - Random source for jitter
+ * @returns {number} Delay in ms
+ */
+function computeBackoff(policy, attempt, random = Math.random) {
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+    return policy.jitter ? Math.round(delay * random()) : delay;
+}
+
+/**
+ * Delay before the next attempt
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object|null} response - Failed response, if any
+ * @returns {number|null} Delay in ms, or null when the target asked for a longer wait than maxDelay
+ */
+function getRetryDelay(policy, attempt, response) {
+    const retryAfter = policy.respectRetryAfter ? parseRetryAfter(response?.headers?.['retry-after']) : null;
+    if (retryAfter === null) {
+        return computeBackoff(policy, attempt);
+    }
+    return retryAfter <= policy.maxDelay ? retryAfter : null;
+}
+
+/**
+ * Clear loaded policies (tests, settings reload)
+ */
+function resetRetryPolicies() {
+    loadedPolicies = null;
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    BUILT_IN_POLICIES,
+    validateRetryPolicy,
+    loadRetryPolicies,
+    getRetryPolicy,
+    resolveRetryPolicy,
+    isRetriable,
+    isTargetFailure,
+    parseRetryAfter,
+    computeBackoff,
+    getRetryDelay,
+    resetRetryPolicies
+};
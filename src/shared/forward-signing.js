@@ -0,0 +1,80 @@
+/**
+ * Forward Signing
+ * Signs requests sent by EnhancedForwarder and webhook-handler's
+ * forwardNotification (see webhook-signature for the header format).
+ *
+ * Secrets never appear in clientState. A destination names its key with
+ * signingKey:<name>, and the secret is read from app settings:
+ * - FORWARD_SIGNING_KEY_<NAME>           current secret
+ * - FORWARD_SIGNING_KEY_<NAME>_PREVIOUS  previous secret, kept during rotation
+ * Destinations without signingKey use FORWARD_SIGNING_KEY (and
+ * FORWARD_SIGNING_KEY_PREVIOUS) when set, and are sent unsigned otherwise
+ * unless FORWARD_SIGNING_REQUIRED is true.
+ *
+ * Rotation: set _PREVIOUS to the old secret and the key to the new one;
+ * requests carry a signature for each, so receivers can switch at any time.
+ * Remove _PREVIOUS once every receiver uses the new secret.
+ */
+
+const config = require('./config');
+const { signPayload } = require('./webhook-signature');
+
+const SIGNING_KEY_NAME_PATTERN = /^[A-Za-z0-9_]+$/;
+
+/**
+ * App settings holding a signing key's secrets
+ * @param {string|null} keyName - signingKey from clientState (null for the default key)
+ * @returns {Object} { current, previous } setting names
+ */
+function getSigningKeySettings(keyName) {
+    const { settingPrefix } = config.forwardSigning;
+    const current = keyName ? `${settingPrefix}_${keyName.toUpperCase()}` : settingPrefix;
+    return { current, previous: `${current}_PREVIOUS` };
+}
+
+/**
+ * Active secrets of a signing key, newest first
+ * @param {string|null} keyName - signingKey from clientState (null for the default key)
+ * @param {Object} env - Settings to read (defaults to process.env)
+ * @returns {Array<string>} Secrets; empty when the key has no current secret
+ */
+function resolveSigningSecrets(keyName, env = process.env) {
+    if (keyName && !SIGNING_KEY_NAME_PATTERN.test(keyName)) {
+        return [];
+    }
+    const settings = getSigningKeySettings(keyName);
+    if (!env[settings.current]) {
+        return [];
+    }
+    return [env[settings.current], env[settings.previous]].filter(Boolean);
+}
+
+/**
+ * Build signature headers for a forwarded request body
+ * @param {string} body - Serialized body, exactly as it will be sent
+ * @param {string|null} keyName - signingKey from clientState
+ * @returns {Object} Headers to add (empty when the request is sent unsigned)
+ * @throws {Error} If the named key, or a required default key, is not configured
+ */
+function buildSignatureHeaders(body, keyName = null) {
+    const secrets = resolveSigningSecrets(keyName);
+
+    if (secrets.length === 0) {
+        if (keyName) {
+            throw new Error(`Signing key '${keyName}' is not configured (set ${getSigningKeySettings(keyName).current})`);
+        }
+        if (config.forwardSigning.requireSignature) {
+            throw new Error(`Forward signing is required but ${getSigningKeySettings(null).current} is not set`);
+        }
+        return {};
+    }
+
+    return signPayload(body, secrets);
+}
+
+module.exports = {
+    SIGNING_KEY_NAME_PATTERN,
+    getSigningKeySettings,
+    resolveSigningSecrets,
+    buildSignatureHeaders
+};
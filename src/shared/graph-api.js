@@ -48,6 +48,42 @@ async function deleteSubscription(accessToken, subscriptionId) {
     });
 }
 
+/**
+ * Reauthorize a webhook subscription after a reauthorizationRequired lifecycle event
+ * @param {string} accessToken - Graph API access token
+ * @param {string} subscriptionId - Subscription ID to reauthorize
+ * @returns {Promise<void>}
+ */
+async function reauthorizeSubscription(accessToken, subscriptionId) {
+    await axios.post(`https://graph.microsoft.com/v1.0/subscriptions/${subscriptionId}/reauthorize`, null, {
+        headers: {
+            'Authorization': `Bearer ${accessToken}`
+        },
+        timeout: 30000
+    });
+}
+
+/**
+ * Extend a webhook subscription's expiration
+ * @param {string} accessToken - Graph API access token
+ * @param {string} subscriptionId - Subscription ID to renew
+ * @param {string} expirationDateTime - New expiration (ISO 8601)
+ * @returns {Promise<Object>} Updated subscription
+ */
+async function renewSubscription(accessToken, subscriptionId, expirationDateTime) {
+    const response = await axios.patch(`https://graph.microsoft.com/v1.0/subscriptions/${subscriptionId}`, {
+        expirationDateTime
+    }, {
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+        },
+        timeout: 30000
+    });
+
+    return response.data;
+}
+
 /**
  * Get SharePoint list items
  * @param {string} accessToken - Graph API access token
@@ -205,6 +241,8 @@ module.exports = {
     getSubscriptions,
     createSubscription,
     deleteSubscription,
+    reauthorizeSubscription,
+    renewSubscription,
     getListItems,
     createListItem,
     updateListItem,
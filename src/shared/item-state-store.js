@@ -0,0 +1,205 @@
+/**
+ * Item State Store
+ * Keeps the last processed snapshot of each SharePoint item in the
+ * SharePointItemStates table so processors can see real transitions
+ * ("Status went from X to Y") instead of only the current item.
+ *
+ * Rows use the same layout as initialize-item-states:
+ *   partitionKey: resource with '/' and ':' replaced by '_'
+ *   rowKey:       <namespace>_<itemId>
+ *   previousState: JSON snapshot
+ * Each consumer uses its own namespace ('item' for forwarding, 'uipath' for
+ * the UiPath dispatcher) so one consumer saving a snapshot never hides a
+ * transition from another.
+ *
+ * Backends:
+ * - memory: process-local store for tests and local development
+ * - table: Azure Table Storage (config.itemStates.tableName)
+ */
+
+const { TableClient } = require('@azure/data-tables');
+const config = require('./config');
+
+const DEFAULT_NAMESPACE = 'item';
+
+/**
+ * Build the table keys for an item snapshot
+ * @param {string} resource - Subscription resource (list path)
+ * @param {string|number} itemId - SharePoint item ID
+ * @param {string} namespace - Consumer namespace
+ * @returns {Object} { partitionKey, rowKey }
+ */
+function buildItemStateKey(resource, itemId, namespace = DEFAULT_NAMESPACE) {
+    return {
+        partitionKey: String(resource).replace(/[/:]/g, '_'),
+        rowKey: `${namespace}_${itemId}`
+    };
+}
+
+/**
+ * Get the ID an item's snapshot is stored under
+ * Drive documents are keyed by drive item ID, the only ID a drive delta
+ * reports for a deleted file.
+ * @param {Object} item - SharePoint item or drive document
+ * @returns {string|number} Item state ID
+ */
+function getItemStateId(item) {
+    return item.driveItemId || item.id || item.ID;
+}
+
+/**
+ * Reduce an item to the snapshot that is stored
+ * Items fetched by the dispatcher have their fields merged onto the top
+ * level; only the Graph shape (id, etag, webUrl, fields) is kept.
+ */
+function toSnapshot(item) {
+    return {
+        id: item.id || item.ID,
+        lastModifiedDateTime: item.lastModifiedDateTime || item.Modified || null,
+        eTag: item.eTag || item['@odata.etag'] || null,
+        webUrl: item.webUrl || null,
+        fields: item.fields || item
+    };
+}
+
+/**
+ * Rebuild an item from a stored snapshot, merging fields onto the top level
+ * the same way fetchSharePointItem does
+ */
+function fromSnapshot(snapshot) {
+    if (!snapshot) {
+        return null;
+    }
+    return snapshot.fields ? { ...snapshot, ...snapshot.fields } : snapshot;
+}
+
+class InMemoryItemStateStore {
+    constructor() {
+        this.states = new Map();
+    }
+
+    toKey(resource, itemId, namespace) {
+        const { partitionKey, rowKey } = buildItemStateKey(resource, itemId, namespace);
+        return `${partitionKey}|${rowKey}`;
+    }
+
+    async get(resource, itemId, namespace = DEFAULT_NAMESPACE) {
+        return fromSnapshot(this.states.get(this.toKey(resource, itemId, namespace)) || null);
+    }
+
+    async save(resource, item, namespace = DEFAULT_NAMESPACE) {
+        const snapshot = toSnapshot(item);
+        this.states.set(this.toKey(resource, getItemStateId(item), namespace), JSON.parse(JSON.stringify(snapshot)));
+    }
+
+    async remove(resource, itemId, namespace = DEFAULT_NAMESPACE) {
+        return this.states.delete(this.toKey(resource, itemId, namespace));
+    }
+}
+
+class TableItemStateStore {
+    constructor(options = {}) {
+        this.tableClient = TableClient.fromConnectionString(
+            options.connectionString || config.storage.connectionString,
+            options.tableName || config.itemStates.tableName
+        );
+        this.initialized = false;
+    }
+
+    async initialize() {
+        if (!this.initialized) {
+            await this.tableClient.createTable(); // Creates if doesn't exist
+            this.initialized = true;
+        }
+    }
+
+    async get(resource, itemId, namespace = DEFAULT_NAMESPACE) {
+        await this.initialize();
+        const { partitionKey, rowKey } = buildItemStateKey(resource, itemId, namespace);
+
+        try {
+            const entity = await this.tableClient.getEntity(partitionKey, rowKey);
+            return fromSnapshot(JSON.parse(entity.previousState || 'null'));
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async save(resource, item, namespace = DEFAULT_NAMESPACE) {
+        await this.initialize();
+        const snapshot = toSnapshot(item);
+        const itemId = getItemStateId(item);
+        const { partitionKey, rowKey } = buildItemStateKey(resource, itemId, namespace);
+
+        await this.tableClient.upsertEntity({
+            partitionKey,
+            rowKey,
+            resource,
+            itemId: String(itemId),
+            lastModified: snapshot.lastModifiedDateTime,
+            previousState: JSON.stringify(snapshot),
+            timestamp: new Date().toISOString()
+        }, 'Replace');
+    }
+
+    async remove(resource, itemId, namespace = DEFAULT_NAMESPACE) {
+        await this.initialize();
+        const { partitionKey, rowKey } = buildItemStateKey(resource, itemId, namespace);
+
+        try {
+            await this.tableClient.deleteEntity(partitionKey, rowKey);
+            return true;
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+const STORE_BACKENDS = {
+    memory: InMemoryItemStateStore,
+    table: TableItemStateStore
+};
+
+let storeInstance = null;
+
+/**
+ * Create an item state store for the requested backend
+ * @param {Object} options - Backend options (backend, connectionString, tableName)
+ * @returns {Object} Item state store instance
+ */
+function createItemStateStore(options = {}) {
+    const backend = options.backend || config.itemStates.backend;
+    const StoreClass = STORE_BACKENDS[backend];
+
+    if (!StoreClass) {
+        throw new Error(`Unknown item state store backend: ${backend}`);
+    }
+
+    return new StoreClass(options);
+}
+
+/**
+ * Get the shared item state store for the configured backend
+ * @returns {Object} Item state store instance
+ */
+function getItemStateStore() {
+    if (!storeInstance) {
+        storeInstance = createItemStateStore();
+    }
+    return storeInstance;
+}
+
+module.exports = {
+    buildItemStateKey,
+    getItemStateId,
+    InMemoryItemStateStore,
+    TableItemStateStore,
+    createItemStateStore,
+    getItemStateStore
+};
@@ -0,0 +1,663 @@
+/**
+ * List Template Engine
+ * Executes declarative list-to-queue templates so a new SharePoint list can be
+ * routed to UiPath with a JSON definition instead of a hand-written template
+ * like costco-inline-routing.js.
+ *
+ * A definition describes:
+ * - match:          { handlers, resourceContains, resourcePattern } used by the processor registry
+ * - trigger:        { field, value, previousValues, requireChange } status transition that submits the item
+ * - queue:          { defaultQueue, priority }
+ * - requiredFields: [{ name, sources, pattern, message }] validated before submission
+ * - fieldMappings:  [{ target, value | source | sources, default, transform }] SharePoint -> queue content
+ * - document:       { strategy: 'none' | 'hyperlink', sources, sitePath, baseUrl, fallbackFileName }
+ * - derivedFields:  mappings evaluated after the document block (may read $output.<Field>)
+ * - reference:      { pattern, values } queue item reference, e.g. "COSTCO_{PONumber}_{itemId}_{timestamp}"
+ * - onDelete:       { queue, priority, fieldMappings } optional; when a processed item is deleted its last
+ *                   known state is submitted with ChangeType 'deleted' so the robot can cancel earlier work
+ *
+ * Definitions are loaded from config.listTemplates.directory (src/templates/definitions)
+ * and, optionally, from a SharePoint config list (TemplateDefinition column).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { createLogger } = require('./logger');
+const { createUiPathQueueClient } = require('./uipath-queue-client');
+const { validationError } = require('./error-handler');
+const { createDocumentHandler } = require('./sharepoint-document-handler');
+const { fetchTrackingListItems } = require('./subscription-registry');
+const { TRANSFORMS, isEmpty, getPath, evaluateMapping, applyMappings, validateMappings } = require('./field-mappings');
+const { VALIDATION_PATTERNS, HTML_ENTITY_DECODINGS, UIPATH_PRIORITY } = require('./constants');
+
+const DOCUMENT_STRATEGIES = ['none', 'hyperlink'];
+const DEFAULT_DEFINITIONS_DIRECTORY = path.join(__dirname, '../templates/definitions');
+
+function validateMatch(match, errors) {
+    if (!match.handlers?.length && !match.resourceContains?.length && !match.resourcePattern) {
+        errors.push('match needs at least one of handlers, resourceContains or resourcePattern');
+    }
+    if (match.resourcePattern) {
+        try {
+            new RegExp(match.resourcePattern, 'i');
+        } catch (error) {
+            errors.push(`match.resourcePattern is not a valid regular expression: ${error.message}`);
+        }
+    }
+}
+
+function validateDocumentAndQueue(definition, errors) {
+    const strategy = definition.document?.strategy || 'none';
+    if (!DOCUMENT_STRATEGIES.includes(strategy)) {
+        errors.push(`document.strategy must be one of: ${DOCUMENT_STRATEGIES.join(', ')}`);
+    }
+    if (strategy === 'hyperlink' && !definition.document.sources?.length) {
+        errors.push('document.sources is required for the hyperlink strategy');
+    }
+
+    if (definition.queue?.priority && !Object.values(UIPATH_PRIORITY).includes(definition.queue.priority)) {
+        errors.push(`queue.priority must be one of: ${Object.values(UIPATH_PRIORITY).join(', ')}`);
+    }
+}
+
+function validateOnDelete(onDelete, errors) {
+    if (typeof onDelete !== 'object') {
+        errors.push('onDelete must be an object');
+        return;
+    }
+    if (onDelete.fieldMappings) {
+        validateMappings(onDelete.fieldMappings, 'onDelete.fieldMappings', errors);
+    }
+    if (onDelete.priority && !Object.values(UIPATH_PRIORITY).includes(onDelete.priority)) {
+        errors.push(`onDelete.priority must be one of: ${Object.values(UIPATH_PRIORITY).join(', ')}`);
+    }
+}
+
+/**
+ * Validate a template definition
+ * @param {Object} definition - Parsed template definition
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateTemplateDefinition(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+        return ['Template definition must be an object'];
+    }
+    if (!definition.name || typeof definition.name !== 'string') {
+        errors.push('name is required');
+    }
+
+    validateMatch(definition.match || {}, errors);
+
+    if (definition.trigger && !definition.trigger.field) {
+        errors.push('trigger.field is required when a trigger is defined');
+    }
+
+    validateMappings(definition.fieldMappings, 'fieldMappings', errors);
+    if (definition.derivedFields) {
+        validateMappings(definition.derivedFields, 'derivedFields', errors);
+    }
+
+    for (const [index, rule] of (definition.requiredFields || []).entries()) {
+        if (!rule.name) {
+            errors.push(`requiredFields[${index}] is missing name`);
+        }
+        if (rule.pattern && !VALIDATION_PATTERNS[rule.pattern]) {
+            errors.push(`requiredFields[${index}] (${rule.name}) uses unknown pattern '${rule.pattern}'`);
+        }
+    }
+
+    validateDocumentAndQueue(definition, errors);
+    if (definition.onDelete !== undefined) {
+        validateOnDelete(definition.onDelete, errors);
+    }
+
+    return errors;
+}
+
+/**
+ * Check whether a definition's match rules select a notification
+ * @param {Object} definition - Template definition
+ * @param {Object} params - { clientState (parsed), resource }
+ * @returns {boolean} True if the template applies
+ */
+function matchesTemplate(definition, { clientState, resource }) {
+    const match = definition.match || {};
+
+    if (clientState?.handler && (match.handlers || []).includes(clientState.handler)) {
+        return true;
+    }
+    if (!resource) {
+        return false;
+    }
+
+    const lowerResource = resource.toLowerCase();
+    if ((match.resourceContains || []).some(fragment => lowerResource.includes(fragment.toLowerCase()))) {
+        return true;
+    }
+    return Boolean(match.resourcePattern) && new RegExp(match.resourcePattern, 'i').test(resource);
+}
+
+/**
+ * Processor executing a declarative template definition
+ */
+class ListTemplateProcessor {
+    constructor(definition, context = null, configOverrides = null) {
+        this.definition = definition;
+        this.label = definition.displayName || definition.name;
+        this.logger = createLogger(context);
+        this.queueClient = createUiPathQueueClient(context, configOverrides);
+        this.documentHandler = createDocumentHandler(context);
+        this.context = context;
+    }
+
+    /**
+     * Check the trigger transition
+     * @param {Object} item - SharePoint list item
+     * @param {Object} previousItem - Previous version of the item (if available)
+     * @returns {boolean} True if item should be processed
+     */
+    shouldProcessItem(item, previousItem = null) {
+        const { trigger } = this.definition;
+        if (!trigger) {
+            return true;
+        }
+
+        const currentValue = getPath(item, trigger.field);
+        if (trigger.value !== undefined && currentValue !== trigger.value) {
+            this.logger.debug('Item does not match template trigger value', {
+                template: this.definition.name,
+                currentValue,
+                requiredValue: trigger.value,
+                itemId: item.ID
+            });
+            return false;
+        }
+
+        if (previousItem) {
+            const previousValue = getPath(previousItem, trigger.field);
+
+            if (trigger.requireChange !== false && previousValue === currentValue) {
+                this.logger.debug('Trigger field has not changed - skipping processing', {
+                    template: this.definition.name,
+                    value: currentValue,
+                    itemId: item.ID
+                });
+                return false;
+            }
+
+            if (trigger.previousValues && !trigger.previousValues.includes(previousValue)) {
+                this.logger.warn('Trigger change from unexpected previous value', {
+                    template: this.definition.name,
+                    previousValue,
+                    currentValue,
+                    expectedPreviousValues: trigger.previousValues,
+                    itemId: item.ID
+                });
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Validate required fields and their patterns
+     * @param {Object} item - SharePoint list item
+     * @throws {AppError} If validation fails
+     */
+    validateRequiredFields(item) {
+        const rules = this.definition.requiredFields || [];
+        const valueOf = rule => evaluateMapping({ sources: rule.sources || [rule.name] }, item);
+
+        const missingFields = rules.filter(rule => isEmpty(valueOf(rule))).map(rule => rule.name);
+        if (missingFields.length > 0) {
+            throw validationError(
+                `Missing required ${this.label} fields: ${missingFields.join(', ')}`,
+                { missingFields, itemId: item.ID || item.id }
+            );
+        }
+
+        const invalidFields = [];
+        for (const rule of rules.filter(entry => entry.pattern)) {
+            const value = valueOf(rule);
+            if (typeof value === 'string' && !VALIDATION_PATTERNS[rule.pattern].test(value)) {
+                invalidFields.push({
+                    field: rule.name,
+                    value,
+                    reason: rule.message || `Does not match ${rule.pattern}`
+                });
+            }
+        }
+
+        if (invalidFields.length > 0) {
+            throw validationError(
+                `Invalid field values in ${this.label} item`,
+                { invalidFields, itemId: item.ID || item.id }
+            );
+        }
+    }
+
+    /**
+     * Decode HTML entities in URLs
+     */
+    decodeUrl(url) {
+        if (!url || typeof url !== 'string') {
+            return url;
+        }
+
+        let decodedUrl = url;
+        for (const [encoded, decoded] of Object.entries(HTML_ENTITY_DECODINGS)) {
+            decodedUrl = decodedUrl.replace(new RegExp(encoded.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), decoded);
+        }
+        return decodedUrl;
+    }
+
+    /**
+     * Extract a usable URL (or text) from a SharePoint hyperlink field value
+     */
+    cleanHyperlinkValue(value) {
+        if (typeof value !== 'string') {
+            return value;
+        }
+
+        const hrefMatch = value.match(/href=["']([^"']+)["']/);
+        if (hrefMatch) {
+            const url = hrefMatch[1]
+                .replace(/&amp;/g, '&')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&quot;/g, '"')
+                .replace(/&#39;/g, "'")
+                .replace(/&#58;/g, ':')
+                .replace(/&#x3A;/gi, ':')
+                .replace(/%3A/gi, ':')
+                .replace(/%7B/g, '{')
+                .replace(/%7D/g, '}');
+            const { baseUrl } = this.definition.document;
+            return baseUrl && url.startsWith('/sites/') ? `${baseUrl}${url}` : url;
+        }
+
+        const text = value.replace(/<[^>]*>/g, '').trim();
+        // eslint-disable-next-line no-control-regex
+        return (text || value).replace(/[\u0000-\u001F\u007F-\u009F]/g, '').trim();
+    }
+
+    /**
+     * Resolve document information for the hyperlink strategy
+     * @param {Object} item - SharePoint list item
+     * @param {string} accessToken - Graph API access token (optional)
+     * @returns {Promise<Object>} Document information
+     */
+    async processDocument(item, accessToken = null) {
+        const documentConfig = this.definition.document;
+        const fieldValue = evaluateMapping({ sources: documentConfig.sources }, item);
+        const fallbackFileName = documentConfig.fallbackFileName || 'Document';
+
+        if (isEmpty(fieldValue)) {
+            return {
+                hasDocument: false,
+                reason: `No ${documentConfig.sources[0].replace(/^fields\./, '')} field found`
+            };
+        }
+
+        try {
+            return await this.documentHandler.createUiPathDocumentReference(
+                fieldValue,
+                accessToken,
+                documentConfig.sitePath
+            );
+        } catch (error) {
+            this.logger.error('Failed to process document for template', {
+                template: this.definition.name,
+                itemId: item.ID || item.id,
+                error: error.message
+            });
+
+            let docInfo = null;
+            try {
+                docInfo = this.documentHandler.extractDocumentFromHTML(fieldValue);
+            } catch (fallbackError) {
+                this.logger.warn('Fallback document extraction failed', {
+                    template: this.definition.name,
+                    itemId: item.ID || item.id,
+                    fallbackError: fallbackError.message
+                });
+            }
+            if (docInfo) {
+                return {
+                    hasDocument: true,
+                    strategy: 'fallback',
+                    fileName: docInfo.fileName || fallbackFileName,
+                    originalUrl: docInfo.url,
+                    documentUrl: docInfo.cleanUrl || docInfo.url,
+                    cleanUrl: docInfo.cleanUrl,
+                    requiresDownload: true,
+                    error: error.message,
+                    fallback: true,
+                    instructions: 'Fallback processing - UiPath should use documentUrl for file access'
+                };
+            }
+
+            return {
+                hasDocument: true,
+                strategy: 'basic_cleanup',
+                fileName: fallbackFileName,
+                originalUrl: fieldValue,
+                documentUrl: this.cleanHyperlinkValue(fieldValue),
+                requiresDownload: true,
+                error: error.message,
+                instructions: 'Basic URL cleanup applied - UiPath should handle document access directly'
+            };
+        }
+    }
+
+    /**
+     * Build the Document block of the queue payload
+     * @param {Object} documentInfo - Result of processDocument
+     * @returns {Object} Document content
+     */
+    buildDocumentContent(documentInfo) {
+        if (!documentInfo || !documentInfo.hasDocument) {
+            return {
+                HasDocument: false,
+                Reason: documentInfo?.reason || 'No document information provided'
+            };
+        }
+
+        const document = {
+            HasDocument: documentInfo.hasDocument,
+            Strategy: documentInfo.strategy,
+            FileName: documentInfo.fileName,
+            FileExtension: documentInfo.fileExtension,
+            RequiresDownload: documentInfo.requiresDownload !== false,
+            Instructions: documentInfo.instructions,
+            UiPathCompatible: documentInfo.uipathCompatible || true,
+            ProcessedAt: documentInfo.processedAt || new Date().toISOString()
+        };
+
+        for (const [key, target] of [['documentUrl', 'DocumentUrl'], ['cleanUrl', 'CleanUrl'], ['originalUrl', 'OriginalUrl']]) {
+            if (documentInfo[key]) {
+                document[target] = this.decodeUrl(documentInfo[key]);
+            }
+        }
+        if (documentInfo.directDownloadUrl) {
+            document.DirectDownloadUrl = this.decodeUrl(documentInfo.directDownloadUrl);
+            document.Instructions = 'Direct download URL available - use DirectDownloadUrl for immediate file access';
+        }
+        if (documentInfo.downloadUrl) {
+            document.DownloadUrl = this.decodeUrl(documentInfo.downloadUrl);
+        }
+        if (documentInfo.content && documentInfo.strategy === 'base64_content') {
+            document.Content = documentInfo.content;
+            document.ContentType = documentInfo.contentType;
+            document.Size = documentInfo.size;
+            document.Encoding = documentInfo.encoding;
+        }
+        if (documentInfo.documentId) {
+            document.DocumentId = documentInfo.documentId;
+        }
+        if (documentInfo.error) {
+            document.ProcessingError = documentInfo.error;
+        }
+        if (documentInfo.fallback) {
+            document.FallbackProcessing = true;
+        }
+
+        return document;
+    }
+
+    /**
+     * Transform an item into queue content
+     * @param {Object} item - SharePoint list item
+     * @param {Object} documentInfo - Document information (ignored for strategy 'none')
+     * @returns {Object} Queue item specific content
+     */
+    transformItemData(item, documentInfo = null) {
+        const output = applyMappings(this.definition.fieldMappings, item);
+        if ((this.definition.document?.strategy || 'none') !== 'none') {
+            output.Document = this.buildDocumentContent(documentInfo);
+        }
+        return applyMappings(this.definition.derivedFields, item, output);
+    }
+
+    /**
+     * Build the queue item reference from the definition's pattern
+     * @param {Object} item - SharePoint list item
+     * @param {Object} output - Transformed queue content
+     * @returns {string} Reference
+     */
+    buildReference(item, output) {
+        const reference = this.definition.reference || {
+            pattern: `${this.definition.name.toUpperCase()}_{itemId}_{timestamp}`,
+            values: { itemId: { sources: ['id', 'ID', 'fields.id'], default: 'NOID' } }
+        };
+
+        return reference.pattern.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (name === 'timestamp') {
+                return String(Date.now());
+            }
+            const mapping = reference.values?.[name] || { source: `$output.${name}` };
+            const value = evaluateMapping(mapping, item, output);
+            return isEmpty(value) ? '' : String(value);
+        });
+    }
+
+    /**
+     * Process an item and submit it to the UiPath queue
+     * @param {Object} item - SharePoint list item
+     * @param {Object} previousItem - Previous version of item (optional)
+     * @param {string} queueNameOverride - Override the default queue name (optional)
+     * @param {string} accessToken - Graph API access token for document processing (optional)
+     * @returns {Promise<Object>} Processing result
+     */
+    async processItem(item, previousItem = null, queueNameOverride = null, accessToken = null) {
+        try {
+            if (!this.shouldProcessItem(item, previousItem)) {
+                return {
+                    processed: false,
+                    reason: 'Item does not meet processing criteria',
+                    itemId: item.ID,
+                    template: this.definition.name
+                };
+            }
+
+            this.validateRequiredFields(item);
+
+            const documentInfo = this.definition.document?.strategy === 'hyperlink'
+                ? await this.processDocument(item, accessToken)
+                : null;
+            const specificContent = this.transformItemData(item, documentInfo);
+
+            const queueName = queueNameOverride || this.definition.queue?.defaultQueue;
+            if (!queueName) {
+                throw validationError(`No queue configured for template ${this.definition.name}`);
+            }
+
+            const reference = this.buildReference(item, specificContent);
+            const queueResult = await this.queueClient.submitQueueItem(queueName, {
+                priority: this.definition.queue?.priority || UIPATH_PRIORITY.NORMAL,
+                reference,
+                specificContent
+            });
+
+            const result = {
+                processed: true,
+                queueSubmission: queueResult,
+                itemId: item.ID,
+                reference,
+                template: this.definition.name
+            };
+
+            this.logger.info('Processed item with list template', {
+                template: this.definition.name,
+                itemId: item.ID || item.id,
+                queueName
+            });
+
+            return result;
+        } catch (error) {
+            this.logger.error('Failed to process item with list template', {
+                template: this.definition.name,
+                itemId: item?.ID,
+                error: error.message
+            });
+
+            return {
+                processed: false,
+                error: error.message,
+                itemId: item?.ID,
+                template: this.definition.name
+            };
+        }
+    }
+
+    /**
+     * Submit the last known state of a deleted item (definitions with onDelete only)
+     * The trigger, required fields and document block do not apply to deletions.
+     * @param {Object} item - Last known state of the deleted item
+     * @param {string} deletedDateTime - When the deletion was detected
+     * @param {string} queueNameOverride - Queue from clientState; onDelete.queue takes precedence (optional)
+     * @returns {Promise<Object>} Processing result
+     */
+    async processDeletion(item, deletedDateTime = new Date().toISOString(), queueNameOverride = null) {
+        const onDelete = this.definition.onDelete || {};
+
+        try {
+            const specificContent = applyMappings(onDelete.fieldMappings || this.definition.fieldMappings, item);
+            specificContent.ChangeType = 'deleted';
+            specificContent.DeletedDateTime = deletedDateTime;
+
+            const queueName = onDelete.queue || queueNameOverride || this.definition.queue?.defaultQueue;
+            if (!queueName) {
+                throw validationError(`No queue configured for template ${this.definition.name}`);
+            }
+
+            const reference = `${this.buildReference(item, specificContent)}_DELETED`;
+            const queueResult = await this.queueClient.submitQueueItem(queueName, {
+                priority: onDelete.priority || this.definition.queue?.priority || UIPATH_PRIORITY.NORMAL,
+                reference,
+                specificContent
+            });
+
+            this.logger.info('Submitted deleted item with list template', {
+                template: this.definition.name,
+                itemId: item.ID || item.id,
+                queueName
+            });
+
+            return {
+                processed: true,
+                queueSubmission: queueResult,
+                itemId: item.ID,
+                reference,
+                template: this.definition.name
+            };
+        } catch (error) {
+            this.logger.error('Failed to submit deleted item with list template', {
+                template: this.definition.name,
+                itemId: item?.ID,
+                error: error.message
+            });
+
+            return {
+                processed: false,
+                error: error.message,
+                itemId: item?.ID,
+                template: this.definition.name
+            };
+        }
+    }
+}
+
+/**
+ * Create a processor for a template definition
+ * @param {Object} definition - Validated template definition
+ * @param {Object} context - Azure Functions context
+ * @param {Object} configOverrides - UiPath environment overrides
+ * @returns {ListTemplateProcessor} Processor instance
+ */
+function createListTemplateProcessor(definition, context = null, configOverrides = null) {
+    return new ListTemplateProcessor(definition, context, configOverrides);
+}
+
+/**
+ * Load template definitions from *.json files in a directory
+ * Invalid definitions are logged and skipped so one bad file does not stop the others.
+ * @param {string} directory - Directory containing definitions
+ * @returns {Array<Object>} Valid definitions, sorted by file name
+ */
+function loadTemplateDefinitions(directory = config.listTemplates.directory || DEFAULT_DEFINITIONS_DIRECTORY) {
+    const logger = createLogger();
+
+    if (!directory || !fs.existsSync(directory)) {
+        return [];
+    }
+
+    const definitions = [];
+    for (const fileName of fs.readdirSync(directory).filter(name => name.endsWith('.json')).sort()) {
+        try {
+            const definition = JSON.parse(fs.readFileSync(path.join(directory, fileName), 'utf8'));
+            const errors = validateTemplateDefinition(definition);
+            if (errors.length > 0) {
+                logger.error('Skipping invalid list template definition', { fileName, errors });
+                continue;
+            }
+            definitions.push(definition);
+        } catch (error) {
+            logger.error('Failed to read list template definition', { fileName, error: error.message });
+        }
+    }
+
+    return definitions;
+}
+
+/**
+ * Load template definitions from a SharePoint config list
+ * Each item stores its JSON definition in the TemplateDefinition column; items
+ * with Enabled set to false are ignored.
+ * @param {string} accessToken - Graph API access token
+ * @param {Object} options - { sitePath, listId }
+ * @returns {Promise<Array<Object>>} Valid definitions
+ */
+async function fetchTemplateDefinitionsFromList(accessToken, options = {}) {
+    const logger = createLogger();
+    const items = await fetchTrackingListItems(accessToken, {
+        sitePath: options.sitePath || config.listTemplates.sitePath,
+        listId: options.listId || config.listTemplates.listId
+    });
+
+    const definitions = [];
+    for (const item of items) {
+        const fields = item.fields || {};
+        if (fields.Enabled === false || !fields.TemplateDefinition) {
+            continue;
+        }
+
+        try {
+            const definition = JSON.parse(fields.TemplateDefinition);
+            const errors = validateTemplateDefinition(definition);
+            if (errors.length > 0) {
+                logger.error('Skipping invalid list template definition', { itemId: item.id, errors });
+                continue;
+            }
+            definitions.push(definition);
+        } catch (error) {
+            logger.error('Failed to parse list template definition', { itemId: item.id, error: error.message });
+        }
+    }
+
+    return definitions;
+}
+
+module.exports = {
+    TRANSFORMS,
+    ListTemplateProcessor,
+    createListTemplateProcessor,
+    validateTemplateDefinition,
+    matchesTemplate,
+    evaluateMapping,
+    loadTemplateDefinitions,
+    fetchTemplateDefinitionsFromList
+};
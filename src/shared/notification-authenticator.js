@@ -0,0 +1,123 @@
+/**
+ * Notification Authenticator
+ * webhook-handler is anonymous, so anyone who knows the URL can post a
+ * payload that passes validateWebhookNotification. Each subscription
+ * created by subscription-manager gets a random secret: Graph holds it as
+ * the subscription's clientState and echoes it in every notification, and
+ * the tracking list keeps it in ClientSecret next to the routing ClientState.
+ *
+ * A notification is rejected (and a security audit entry recorded) when:
+ * - its subscriptionId is not in the tracking list
+ * - the tracking item has Status 'Deleted'
+ * - the echoed clientState does not match ClientSecret
+ * - its tenantId is not config.azure.tenantId
+ *
+ * Subscriptions created before secrets were issued have no ClientSecret;
+ * they are accepted unless config.notificationAuth.requireClientSecret is set.
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const { createLogger } = require('./logger');
+const { getSubscriptionRegistry } = require('./subscription-registry');
+const { getSecurityAuditStore, SECURITY_AUDIT_REASONS } = require('./security-audit-store');
+
+/**
+ * Generate a new subscription secret
+ * @returns {string} URL-safe random secret
+ */
+function generateClientSecret() {
+    return crypto.randomBytes(config.notificationAuth.clientSecretBytes).toString('base64url');
+}
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} expected - Stored secret
+ * @param {string} actual - Secret received
+ * @returns {boolean} True if they match
+ */
+function secretsMatch(expected, actual) {
+    if (typeof expected !== 'string' || typeof actual !== 'string') {
+        return false;
+    }
+    const expectedBuffer = Buffer.from(expected);
+    const actualBuffer = Buffer.from(actual);
+    return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+/**
+ * Work out why a notification should be rejected
+ * @returns {string|null} Rejection reason, or null if it is authentic
+ */
+function findRejectionReason(notification, trackingItem, options) {
+    if (!trackingItem) {
+        return SECURITY_AUDIT_REASONS.UNKNOWN_SUBSCRIPTION;
+    }
+
+    if (!options.allowDeleted && trackingItem.fields.Status === 'Deleted') {
+        return SECURITY_AUDIT_REASONS.DELETED_SUBSCRIPTION;
+    }
+
+    if (config.azure.tenantId && notification.tenantId && notification.tenantId !== config.azure.tenantId) {
+        return SECURITY_AUDIT_REASONS.TENANT_MISMATCH;
+    }
+
+    const storedSecret = trackingItem.fields.ClientSecret;
+    if (!storedSecret) {
+        return config.notificationAuth.requireClientSecret ? SECURITY_AUDIT_REASONS.MISSING_SECRET : null;
+    }
+
+    return secretsMatch(storedSecret, notification.clientState) ? null : SECURITY_AUDIT_REASONS.SECRET_MISMATCH;
+}
+
+/**
+ * Check that a notification comes from a subscription we created
+ * Lookup failures are thrown so the caller can retry; audit write failures are only logged.
+ * @param {Object} notification - Notification exactly as Graph sent it (before clientState enrichment)
+ * @param {Object} context - Azure Functions context
+ * @param {Object} options - { source, allowDeleted }
+ * @returns {Promise<Object>} { authentic, reason, trackingItem }
+ */
+async function authenticateNotification(notification, context, options = {}) {
+    const logger = createLogger(context);
+    const trackingItem = await getSubscriptionRegistry().get(notification.subscriptionId, context);
+    const reason = findRejectionReason(notification, trackingItem, options);
+
+    if (!reason) {
+        return { authentic: true, reason: null, trackingItem };
+    }
+
+    logger.warn('Rejected unauthenticated notification', {
+        reason,
+        source: options.source,
+        subscriptionId: notification.subscriptionId,
+        resource: notification.resource
+    });
+
+    try {
+        await getSecurityAuditStore().record({
+            reason,
+            source: options.source,
+            notification,
+            details: {
+                changeType: notification.changeType,
+                lifecycleEvent: notification.lifecycleEvent,
+                trackingStatus: trackingItem?.fields.Status
+            }
+        });
+    } catch (auditError) {
+        logger.error('Failed to record security audit entry', {
+            reason,
+            subscriptionId: notification.subscriptionId,
+            error: auditError.message
+        });
+    }
+
+    return { authentic: false, reason, trackingItem };
+}
+
+module.exports = {
+    generateClientSecret,
+    secretsMatch,
+    authenticateNotification
+};
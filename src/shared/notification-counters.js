@@ -0,0 +1,292 @@
+/**
+ * Notification Counters
+ * Buffers per-subscription NotificationCount increments and
+ * LastForwardedDateTime updates, and flushes them to the webhook management
+ * list in batches. Each flush reads the tracking item, applies the buffered
+ * delta and writes it back with If-Match so concurrent writers cannot lose
+ * increments; 412 responses are retried with a fresh read.
+ *
+ * Backends:
+ * - memory: process-local buffer for tests and local development
+ * - table: Azure Table Storage (NotificationCounters), one row per recorded
+ *   event so concurrent instances never contend on the buffer itself
+ */
+
+const axios = require('axios');
+const { TableClient } = require('@azure/data-tables');
+const config = require('./config');
+const { getAccessToken } = require('./auth');
+const { createLogger } = require('./logger');
+const { getSubscriptionRegistry } = require('./subscription-registry');
+
+/**
+ * Keep the later of two ISO timestamps
+ */
+function latest(current, candidate) {
+    if (!candidate) {
+        return current || null;
+    }
+    if (!current) {
+        return candidate;
+    }
+    return new Date(candidate) > new Date(current) ? candidate : current;
+}
+
+/**
+ * In-memory counter buffer used for tests and local development
+ */
+class InMemoryCounterStore {
+    constructor() {
+        this.pending = new Map();
+    }
+
+    async add(subscriptionId, { count = 0, lastForwardedDateTime = null } = {}) {
+        const entry = this.pending.get(subscriptionId) || { count: 0, lastForwardedDateTime: null };
+        entry.count += count;
+        entry.lastForwardedDateTime = latest(entry.lastForwardedDateTime, lastForwardedDateTime);
+        this.pending.set(subscriptionId, entry);
+    }
+
+    /**
+     * Take everything buffered so far, grouped by subscription
+     * @returns {Promise<Array>} [{ subscriptionId, count, lastForwardedDateTime }]
+     */
+    async collect() {
+        const batches = [...this.pending.entries()].map(([subscriptionId, entry]) => ({
+            subscriptionId,
+            count: entry.count,
+            lastForwardedDateTime: entry.lastForwardedDateTime
+        }));
+        this.pending.clear();
+        return batches;
+    }
+
+    async acknowledge() {
+        // Collected entries were already removed from the buffer
+    }
+
+    async release(batch) {
+        await this.add(batch.subscriptionId, batch);
+    }
+}
+
+/**
+ * Azure Table Storage counter buffer
+ */
+class TableCounterStore {
+    constructor(options = {}) {
+        this.tableClient = TableClient.fromConnectionString(
+            options.connectionString || config.storage.connectionString,
+            options.tableName || config.notificationCounters.tableName
+        );
+        this.initialized = false;
+    }
+
+    async initialize() {
+        if (!this.initialized) {
+            await this.tableClient.createTable(); // Creates if doesn't exist
+            this.initialized = true;
+        }
+    }
+
+    async add(subscriptionId, { count = 0, lastForwardedDateTime = null } = {}) {
+        await this.initialize();
+        await this.tableClient.createEntity({
+            partitionKey: subscriptionId,
+            rowKey: `${String(Date.now()).padStart(15, '0')}_${Math.random().toString(36).substr(2, 9)}`,
+            count,
+            lastForwardedDateTime
+        });
+    }
+
+    async collect() {
+        await this.initialize();
+        const batches = new Map();
+
+        for await (const entity of this.tableClient.listEntities()) {
+            const batch = batches.get(entity.partitionKey) || {
+                subscriptionId: entity.partitionKey,
+                count: 0,
+                lastForwardedDateTime: null,
+                rows: []
+            };
+            batch.count += entity.count || 0;
+            batch.lastForwardedDateTime = latest(batch.lastForwardedDateTime, entity.lastForwardedDateTime);
+            batch.rows.push({ rowKey: entity.rowKey, etag: entity.etag });
+            batches.set(entity.partitionKey, batch);
+        }
+
+        return [...batches.values()];
+    }
+
+    async acknowledge(batch) {
+        for (const row of batch.rows || []) {
+            try {
+                await this.tableClient.deleteEntity(batch.subscriptionId, row.rowKey);
+            } catch (error) {
+                if (error.statusCode !== 404) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    async release() {
+        // Rows stay in the table until a later flush acknowledges them
+    }
+}
+
+const STORE_BACKENDS = {
+    memory: InMemoryCounterStore,
+    table: TableCounterStore
+};
+
+let storeInstance = null;
+
+/**
+ * Create a counter store for the requested backend
+ * @param {Object} options - Backend options (backend, connectionString, tableName)
+ * @returns {Object} Counter store instance
+ */
+function createCounterStore(options = {}) {
+    const backend = options.backend || config.notificationCounters.backend;
+    const StoreClass = STORE_BACKENDS[backend];
+
+    if (!StoreClass) {
+        throw new Error(`Unknown notification counter backend: ${backend}`);
+    }
+
+    return new StoreClass(options);
+}
+
+/**
+ * Get the shared counter store for the configured backend
+ * @returns {Object} Counter store instance
+ */
+function getCounterStore() {
+    if (!storeInstance) {
+        storeInstance = createCounterStore();
+    }
+    return storeInstance;
+}
+
+/**
+ * Apply one subscription's buffered delta to its tracking list item
+ * Re-reads the item and retries when another writer changed it (412).
+ * @param {Object} batch - { subscriptionId, count, lastForwardedDateTime }
+ * @param {Object} context - Azure Functions context
+ * @param {Object} options - { maxRetries }
+ * @returns {Promise<Object>} { applied, skipped, reason }
+ */
+async function applyCounterBatch(batch, context, options = {}) {
+    const maxRetries = options.maxRetries ?? config.notificationCounters.maxRetries;
+    const listId = config.sharepoint.lists.webhookManagement;
+    const sitePath = config.sharepoint.primarySite.sitePath;
+    const registry = getSubscriptionRegistry();
+
+    const trackingItem = await registry.get(batch.subscriptionId, context);
+    if (!trackingItem) {
+        return { applied: false, skipped: true, reason: 'Webhook not found in SharePoint list' };
+    }
+
+    const itemUrl = `${config.api.graph.baseUrl}/sites/${sitePath}/lists/${listId}/items/${trackingItem.id}`;
+
+    for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+        const accessToken = await getAccessToken(context);
+        const current = await axios.get(`${itemUrl}?$expand=fields`, {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Accept': 'application/json'
+            },
+            timeout: config.api.timeout
+        });
+
+        const fields = current.data.fields || {};
+        if (fields.Status === 'Deleted') {
+            return { applied: false, skipped: true, reason: 'Webhook is marked as deleted' };
+        }
+
+        const update = {};
+        if (batch.count > 0) {
+            update.NotificationCount = (fields.NotificationCount || 0) + batch.count;
+        }
+        const lastForwarded = latest(fields.LastForwardedDateTime, batch.lastForwardedDateTime);
+        if (lastForwarded && lastForwarded !== fields.LastForwardedDateTime) {
+            update.LastForwardedDateTime = lastForwarded;
+        }
+        if (Object.keys(update).length === 0) {
+            return { applied: true, skipped: false };
+        }
+
+        const response = await axios.patch(itemUrl, { fields: update }, {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'If-Match': current.data['@odata.etag'] || '*'
+            },
+            timeout: config.api.timeout,
+            validateStatus: status => status < 300 || status === 412
+        });
+
+        if (response.status !== 412) {
+            registry.updateCachedFields(batch.subscriptionId, update);
+            return { applied: true, skipped: false, attempts: attempt };
+        }
+    }
+
+    throw new Error(`Tracking item for ${batch.subscriptionId} kept changing; gave up after ${maxRetries} retries`);
+}
+
+/**
+ * Flush all buffered counters to the webhook management list
+ * Failed batches are released back to the buffer for the next flush.
+ * @param {Object} context - Azure Functions context
+ * @param {Object} options - { store, maxRetries }
+ * @returns {Promise<Object>} Flush summary
+ */
+async function flushNotificationCounters(context, options = {}) {
+    const logger = createLogger(context);
+    const store = options.store || getCounterStore();
+    const summary = { subscriptions: 0, notifications: 0, applied: 0, skipped: 0, failed: 0 };
+
+    const batches = await store.collect();
+    for (const batch of batches) {
+        summary.subscriptions++;
+        summary.notifications += batch.count;
+
+        try {
+            const result = await applyCounterBatch(batch, context, options);
+            await store.acknowledge(batch);
+            if (result.skipped) {
+                summary.skipped++;
+                logger.warn('Dropped buffered counters for untracked webhook', {
+                    subscriptionId: batch.subscriptionId,
+                    count: batch.count,
+                    reason: result.reason
+                });
+            } else {
+                summary.applied++;
+            }
+        } catch (error) {
+            summary.failed++;
+            await store.release(batch);
+            logger.error('Failed to flush notification counters', {
+                subscriptionId: batch.subscriptionId,
+                count: batch.count,
+                error: error.message
+            });
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    InMemoryCounterStore,
+    TableCounterStore,
+    createCounterStore,
+    getCounterStore,
+    applyCounterBatch,
+    flushNotificationCounters
+};
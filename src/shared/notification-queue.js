@@ -0,0 +1,426 @@
+/**
+ * Notification Intake Queue
+ * Durable hand-off between webhook-handler and notification-worker. The
+ * handler persists each validated Graph notification and acknowledges
+ * immediately; the worker drains the queue and runs the existing
+ * processNotification logic with bounded concurrency.
+ *
+ * Backends:
+ * - memory: process-local queue for tests and local development
+ * - storage-queue: Azure Storage Queue (visibility timeout based leasing)
+ * - table: Azure Table Storage (ETag based leasing)
+ */
+
+const { TableClient } = require('@azure/data-tables');
+const config = require('./config');
+const { createLogger } = require('./logger');
+
+/**
+ * Build the envelope stored for each notification
+ * @param {Object} notification - Validated webhook notification
+ * @returns {Object} Queue envelope
+ */
+function createEnvelope(notification) {
+    return {
+        notification,
+        receivedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * In-memory queue used for tests and local development
+ */
+class InMemoryNotificationQueue {
+    constructor(options = {}) {
+        this.visibilityTimeout = options.visibilityTimeout || config.notificationQueue.visibilityTimeout;
+        this.messages = [];
+        this.sequence = 0;
+    }
+
+    async enqueue(notification) {
+        this.sequence++;
+        const message = {
+            id: `msg-${this.sequence}`,
+            envelope: createEnvelope(notification),
+            dequeueCount: 0,
+            visibleAt: 0,
+            popReceipt: null
+        };
+        this.messages.push(message);
+        return message.id;
+    }
+
+    async dequeue(maxMessages = 1) {
+        const now = Date.now();
+        const received = [];
+
+        for (const message of this.messages) {
+            if (received.length >= maxMessages) {
+                break;
+            }
+            if (message.visibleAt > now) {
+                continue;
+            }
+
+            message.dequeueCount++;
+            message.visibleAt = now + this.visibilityTimeout * 1000;
+            message.popReceipt = `${message.id}-${message.dequeueCount}`;
+
+            received.push({
+                id: message.id,
+                popReceipt: message.popReceipt,
+                dequeueCount: message.dequeueCount,
+                notification: message.envelope.notification,
+                receivedAt: message.envelope.receivedAt
+            });
+        }
+
+        return received;
+    }
+
+    async complete(message) {
+        this.messages = this.messages.filter(entry =>
+            !(entry.id === message.id && entry.popReceipt === message.popReceipt)
+        );
+    }
+
+    async abandon(message, delaySeconds = 0) {
+        const entry = this.messages.find(m => m.id === message.id && m.popReceipt === message.popReceipt);
+        if (entry) {
+            entry.visibleAt = Date.now() + delaySeconds * 1000;
+        }
+    }
+
+    async size() {
+        return this.messages.length;
+    }
+}
+
+/**
+ * Azure Storage Queue backend
+ */
+class StorageQueueNotificationQueue {
+    constructor(options = {}) {
+        const { QueueServiceClient } = require('@azure/storage-queue');
+        const connectionString = options.connectionString || config.storage.connectionString;
+        this.queueClient = QueueServiceClient
+            .fromConnectionString(connectionString)
+            .getQueueClient(options.queueName || config.notificationQueue.queueName);
+        this.visibilityTimeout = options.visibilityTimeout || config.notificationQueue.visibilityTimeout;
+        this.initialized = false;
+    }
+
+    async initialize() {
+        if (!this.initialized) {
+            await this.queueClient.createIfNotExists();
+            this.initialized = true;
+        }
+    }
+
+    async enqueue(notification) {
+        await this.initialize();
+        const body = Buffer.from(JSON.stringify(createEnvelope(notification))).toString('base64');
+        const response = await this.queueClient.sendMessage(body);
+        return response.messageId;
+    }
+
+    async dequeue(maxMessages = 1) {
+        await this.initialize();
+        // Storage Queue returns at most 32 messages per request
+        const response = await this.queueClient.receiveMessages({
+            numberOfMessages: Math.min(maxMessages, 32),
+            visibilityTimeout: this.visibilityTimeout
+        });
+
+        return response.receivedMessageItems.map(item => {
+            const envelope = JSON.parse(Buffer.from(item.messageText, 'base64').toString('utf8'));
+            return {
+                id: item.messageId,
+                popReceipt: item.popReceipt,
+                dequeueCount: item.dequeueCount,
+                notification: envelope.notification,
+                receivedAt: envelope.receivedAt
+            };
+        });
+    }
+
+    async complete(message) {
+        await this.queueClient.deleteMessage(message.id, message.popReceipt);
+    }
+
+    async abandon(message, delaySeconds = 0) {
+        // Make the message visible again after the retry delay
+        await this.queueClient.updateMessage(message.id, message.popReceipt, undefined, delaySeconds);
+    }
+
+    async size() {
+        await this.initialize();
+        const properties = await this.queueClient.getProperties();
+        return properties.approximateMessagesCount || 0;
+    }
+}
+
+/**
+ * Azure Table Storage backend
+ * Messages are leased by moving visibleAt forward with an If-Match update, so
+ * two worker instances can never claim the same row.
+ */
+class TableNotificationQueue {
+    constructor(options = {}) {
+        this.tableClient = TableClient.fromConnectionString(
+            options.connectionString || config.storage.connectionString,
+            options.tableName || config.notificationQueue.tableName
+        );
+        this.visibilityTimeout = options.visibilityTimeout || config.notificationQueue.visibilityTimeout;
+        this.partitionKey = 'pending';
+        this.initialized = false;
+    }
+
+    async initialize() {
+        if (!this.initialized) {
+            await this.tableClient.createTable(); // Creates if doesn't exist
+            this.initialized = true;
+        }
+    }
+
+    async enqueue(notification) {
+        await this.initialize();
+        // Zero-padded timestamp keeps rows in arrival order
+        const rowKey = `${String(Date.now()).padStart(15, '0')}_${Math.random().toString(36).substr(2, 9)}`;
+        await this.tableClient.createEntity({
+            partitionKey: this.partitionKey,
+            rowKey,
+            envelope: JSON.stringify(createEnvelope(notification)),
+            dequeueCount: 0,
+            visibleAt: new Date(0).toISOString()
+        });
+        return rowKey;
+    }
+
+    async dequeue(maxMessages = 1) {
+        await this.initialize();
+        const now = new Date();
+        const filter = `PartitionKey eq '${this.partitionKey}' and visibleAt le '${now.toISOString()}'`;
+        const iterator = this.tableClient.listEntities({ queryOptions: { filter } });
+        const received = [];
+
+        for await (const entity of iterator) {
+            if (received.length >= maxMessages) {
+                break;
+            }
+
+            const dequeueCount = (entity.dequeueCount || 0) + 1;
+            try {
+                const response = await this.tableClient.updateEntity({
+                    partitionKey: entity.partitionKey,
+                    rowKey: entity.rowKey,
+                    dequeueCount,
+                    visibleAt: new Date(now.getTime() + this.visibilityTimeout * 1000).toISOString()
+                }, 'Merge', { etag: entity.etag });
+
+                const envelope = JSON.parse(entity.envelope);
+                received.push({
+                    id: entity.rowKey,
+                    popReceipt: response.etag,
+                    dequeueCount,
+                    notification: envelope.notification,
+                    receivedAt: envelope.receivedAt
+                });
+            } catch (error) {
+                // 412 means another worker leased this row first
+                if (error.statusCode !== 412) {
+                    throw error;
+                }
+            }
+        }
+
+        return received;
+    }
+
+    async complete(message) {
+        await this.tableClient.deleteEntity(this.partitionKey, message.id, { etag: message.popReceipt });
+    }
+
+    async abandon(message, delaySeconds = 0) {
+        await this.tableClient.updateEntity({
+            partitionKey: this.partitionKey,
+            rowKey: message.id,
+            visibleAt: new Date(Date.now() + delaySeconds * 1000).toISOString()
+        }, 'Merge', { etag: message.popReceipt });
+    }
+
+    async size() {
+        await this.initialize();
+        let count = 0;
+        const iterator = this.tableClient.listEntities({
+            queryOptions: { filter: `PartitionKey eq '${this.partitionKey}'`, select: ['rowKey'] }
+        });
+        for await (const _entity of iterator) {
+            count++;
+        }
+        return count;
+    }
+}
+
+const QUEUE_BACKENDS = {
+    memory: InMemoryNotificationQueue,
+    'storage-queue': StorageQueueNotificationQueue,
+    table: TableNotificationQueue
+};
+
+// One queue instance per backend so the handler and worker share state in-process
+const queueInstances = new Map();
+
+/**
+ * Create a notification queue for the requested backend
+ * @param {Object} options - Backend options (backend, connectionString, queueName, tableName)
+ * @returns {Object} Notification queue instance
+ */
+function createNotificationQueue(options = {}) {
+    const backend = options.backend || config.notificationQueue.backend;
+    const QueueClass = QUEUE_BACKENDS[backend];
+
+    if (!QueueClass) {
+        throw new Error(`Unknown notification queue backend: ${backend}`);
+    }
+
+    return new QueueClass(options);
+}
+
+/**
+ * Get the shared notification queue for the configured backend
+ * @returns {Object} Notification queue instance
+ */
+function getNotificationQueue() {
+    const backend = config.notificationQueue.backend;
+    if (!queueInstances.has(backend)) {
+        queueInstances.set(backend, createNotificationQueue({ backend }));
+    }
+    return queueInstances.get(backend);
+}
+
+/**
+ * Run an async function over items with a concurrency limit
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent executions
+ * @param {Function} fn - Async function receiving an item
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(items, limit, fn) {
+    let index = 0;
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+
+    const workers = Array.from({ length: workerCount }, async () => {
+        while (index < items.length) {
+            const item = items[index++];
+            await fn(item);
+        }
+    });
+
+    await Promise.all(workers);
+}
+
+/**
+ * Complete or abandon a message without failing the drain
+ * A failed call leaves the message to reappear when its lease expires.
+ * @param {Function} operation - Queue call to make
+ * @param {string} action - 'complete' or 'abandon', for the log
+ * @param {Object} message - Dequeued message
+ * @param {Object} logger - Logger
+ * @returns {Promise<void>}
+ */
+async function settleMessage(operation, action, message, logger) {
+    try {
+        await operation();
+    } catch (error) {
+        logger.error(`Failed to ${action} queued notification`, {
+            messageId: message.id,
+            subscriptionId: message.notification?.subscriptionId,
+            dequeueCount: message.dequeueCount,
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Drain queued notifications through a handler
+ * Succeeded messages are completed, failed messages are released for retry
+ * (with a linear backoff) until they reach maxDequeueCount and are handed to
+ * options.onDiscard before being removed.
+ * @param {Object} queue - Notification queue instance
+ * @param {Function} handler - Async function receiving (notification, message)
+ * @param {Object} options - Drain options (concurrency, batchSize, maxBatches, maxDequeueCount, retryDelay,
+ *   onDiscard, context)
+ * @returns {Promise<Object>} Drain summary
+ */
+async function drainNotificationQueue(queue, handler, options = {}) {
+    const logger = createLogger(options.context);
+    const concurrency = options.concurrency || config.notificationQueue.concurrency;
+    const batchSize = options.batchSize || config.notificationQueue.batchSize;
+    const maxBatches = options.maxBatches || config.notificationQueue.maxBatchesPerRun;
+    const maxDequeueCount = options.maxDequeueCount || config.notificationQueue.maxDequeueCount;
+    const retryDelay = options.retryDelay ?? config.notificationQueue.retryDelay;
+
+    const summary = {
+        received: 0,
+        succeeded: 0,
+        failed: 0,
+        discarded: 0
+    };
+
+    for (let batch = 0; batch < maxBatches; batch++) {
+        const messages = await queue.dequeue(batchSize);
+        if (messages.length === 0) {
+            break;
+        }
+        summary.received += messages.length;
+
+        await runWithConcurrency(messages, concurrency, async message => {
+            try {
+                await handler(message.notification, message);
+            } catch (error) {
+                summary.failed++;
+
+                if (message.dequeueCount >= maxDequeueCount) {
+                    logger.error('Discarding notification after repeated failures', {
+                        messageId: message.id,
+                        subscriptionId: message.notification?.subscriptionId,
+                        dequeueCount: message.dequeueCount,
+                        error: error.message
+                    });
+                    if (options.onDiscard) {
+                        await options.onDiscard(message, error);
+                    }
+                    await settleMessage(() => queue.complete(message), 'complete', message, logger);
+                    summary.discarded++;
+                    return;
+                }
+
+                logger.warn('Queued notification failed, releasing for retry', {
+                    messageId: message.id,
+                    subscriptionId: message.notification?.subscriptionId,
+                    dequeueCount: message.dequeueCount,
+                    error: error.message
+                });
+                await settleMessage(() => queue.abandon(message, retryDelay * message.dequeueCount), 'abandon',
+                    message, logger);
+                return;
+            }
+
+            await settleMessage(() => queue.complete(message), 'complete', message, logger);
+            summary.succeeded++;
+        });
+    }
+
+    return summary;
+}
+
+module.exports = {
+    InMemoryNotificationQueue,
+    StorageQueueNotificationQueue,
+    TableNotificationQueue,
+    createNotificationQueue,
+    getNotificationQueue,
+    drainNotificationQueue,
+    runWithConcurrency
+};
@@ -0,0 +1,329 @@
+/**
+ * Payload Templates
+ * Output templates reshape what a forward destination sends, so a receiver
+ * with its own schema (Power Automate, Logic Apps, a partner API) gets the
+ * fields it expects instead of the EnhancedForwarder envelope.
+ *
+ * A destination selects a template with template:<name> in its clientState.
+ * The built-in templates simple, withData and withChanges send the envelope
+ * of the forwarding mode with the same name unchanged.
+ *
+ * A definition describes:
+ * - name:        referenced from clientState (letters, digits, - and _)
+ * - description: shown by GET /api/payload-templates
+ * - mode:        envelope the mappings read from (simple, withData, withChanges; default withData)
+ * - mappings:    [{ target, value | source | sources, default, transform, format, array }]
+ *
+ * Mappings are field-mappings evaluated against the envelope (notification.*,
+ * currentState.fields.*, changes.details.*, previousState.*, tombstone.*), plus:
+ * - target:  dot-separated output path ("order.id" nests)
+ * - format:  { type: 'date', pattern: 'yyyy-MM-dd HH:mm' } (ISO dates, UTC) or { type: 'number', decimals: 2 }
+ * - array:   { entries, map, join, first } - entries turns an object into [{ key, value }],
+ *            map applies mappings to each element, join/first reduce the list to one value
+ *
+ * Definitions are loaded from config.payloadTemplates.directory (src/templates/payloads).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { createLogger } = require('./logger');
+const { FORWARD_MODES } = require('./clientstate-parser');
+const { evaluateMapping, validateMappings } = require('./field-mappings');
+
+const DEFAULT_TEMPLATES_DIRECTORY = path.join(__dirname, '../templates/payloads');
+const DEFAULT_TEMPLATE_MODE = 'withData';
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const RESERVED_SEGMENTS = ['__proto__', 'prototype', 'constructor'];
+const MAX_DECIMALS = 20; // Number.prototype.toFixed limit
+
+const BUILT_IN_TEMPLATES = [
+    { name: 'simple', mode: 'simple', builtIn: true, description: 'The notification and forwarding metadata' },
+    { name: 'withData', mode: 'withData', builtIn: true, description: 'The notification plus the item\'s current fields' },
+    { name: 'withChanges', mode: 'withChanges', builtIn: true, description: 'Current fields, field-level changes and the previous state' }
+];
+
+const DATE_TOKENS = {
+    yyyy: date => date.getUTCFullYear(),
+    MM: date => date.getUTCMonth() + 1,
+    dd: date => date.getUTCDate(),
+    HH: date => date.getUTCHours(),
+    mm: date => date.getUTCMinutes(),
+    ss: date => date.getUTCSeconds()
+};
+
+// SharePoint and Graph send ISO 8601 strings; Date.parse would also accept free text
+function toDate(value) {
+    const isDateValue = typeof value === 'number' || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value));
+    const date = isDateValue ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Value formats available to payload mappings
+ * Values that cannot be formatted are passed through unchanged.
+ */
+const FORMATS = {
+    date: (value, { pattern }) => {
+        const date = toDate(value);
+        if (!date) {
+            return value;
+        }
+        return pattern.replace(/yyyy|MM|dd|HH|mm|ss/g, token => String(DATE_TOKENS[token](date)).padStart(2, '0'));
+    },
+    number: (value, { decimals }) => {
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        if (Number.isNaN(number)) {
+            return value;
+        }
+        return decimals === undefined ? number : Number(number.toFixed(decimals));
+    }
+};
+
+/**
+ * Write a value at a dot-separated path, creating intermediate objects
+ */
+function setPath(target, outputPath, value) {
+    const segments = outputPath.split('.');
+    let node = target;
+    for (const segment of segments.slice(0, -1)) {
+        if (!node[segment] || typeof node[segment] !== 'object') {
+            node[segment] = {};
+        }
+        node = node[segment];
+    }
+    node[segments[segments.length - 1]] = value;
+}
+
+function applyFormat(value, format) {
+    if (!format) {
+        return value;
+    }
+    return Array.isArray(value)
+        ? value.map(element => FORMATS[format.type](element, format))
+        : FORMATS[format.type](value, format);
+}
+
+function applyArray(value, array) {
+    let list;
+    if (array.entries && value && typeof value === 'object' && !Array.isArray(value)) {
+        list = Object.entries(value).map(([key, entryValue]) => ({ key, value: entryValue }));
+    } else {
+        list = Array.isArray(value) ? value : [value];
+    }
+
+    if (array.map) {
+        list = list.map(element => renderMappings(array.map, element));
+    }
+    return list;
+}
+
+/**
+ * Evaluate mappings against a source object into a new (possibly nested) object
+ * $output.<target> reads a value mapped earlier in the same list.
+ * @param {Array} mappings - Payload mappings
+ * @param {Object} source - Envelope, or an array element for array.map
+ * @returns {Object} Output object
+ */
+function renderMappings(mappings, source) {
+    const output = {};
+    const mapped = {};
+
+    for (const mapping of mappings) {
+        let value = evaluateMapping(mapping, source, mapped);
+        if (value === undefined) {
+            continue;
+        }
+
+        if (mapping.array) {
+            value = applyFormat(applyArray(value, mapping.array), mapping.format);
+            if (mapping.array.first) {
+                value = value[0];
+            } else if (mapping.array.join !== undefined) {
+                value = value.join(mapping.array.join);
+            }
+        } else {
+            value = applyFormat(value, mapping.format);
+        }
+
+        if (value !== undefined) {
+            mapped[mapping.target] = value;
+            setPath(output, mapping.target, value);
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Render a template against an EnhancedForwarder envelope
+ * @param {Object} template - Payload template (built-in or definition)
+ * @param {Object} envelope - Payload built for the template's mode
+ * @returns {Object} Payload to send
+ */
+function renderPayloadTemplate(template, envelope) {
+    if (!template.mappings) {
+        return envelope;
+    }
+    return renderMappings(template.mappings, envelope);
+}
+
+/**
+ * Envelope a template reads from
+ * @param {Object} template - Payload template
+ * @returns {string} Forwarding mode
+ */
+function getTemplateMode(template) {
+    return template.mode || DEFAULT_TEMPLATE_MODE;
+}
+
+function validateFormat(format, label, errors) {
+    if (!format || typeof format !== 'object' || !FORMATS[format.type]) {
+        errors.push(`${label}.format.type must be one of: ${Object.keys(FORMATS).join(', ')}`);
+        return;
+    }
+    if (format.type === 'date' && (typeof format.pattern !== 'string' || !format.pattern)) {
+        errors.push(`${label}.format.pattern is required for date formats`);
+    }
+    if (format.type === 'number' && format.decimals !== undefined
+        && !(Number.isInteger(format.decimals) && format.decimals >= 0 && format.decimals <= MAX_DECIMALS)) {
+        errors.push(`${label}.format.decimals must be an integer from 0 to ${MAX_DECIMALS}`);
+    }
+}
+
+function validateArray(array, label, errors) {
+    if (!array || typeof array !== 'object' || Array.isArray(array)) {
+        errors.push(`${label}.array must be an object`);
+        return;
+    }
+    if (array.join !== undefined && typeof array.join !== 'string') {
+        errors.push(`${label}.array.join must be a string`);
+    }
+    if (array.first && array.join !== undefined) {
+        errors.push(`${label}.array cannot combine first and join`);
+    }
+    if (array.map !== undefined) {
+        validateOutputMappings(array.map, `${label}.array.map`, errors);
+    }
+}
+
+function validateOutputMappings(mappings, label, errors) {
+    validateMappings(mappings, label, errors);
+    if (!Array.isArray(mappings)) {
+        return;
+    }
+
+    mappings.forEach((mapping, index) => {
+        if (!mapping || !mapping.target) {
+            return;
+        }
+        const mappingLabel = `${label}[${index}]`;
+        const segments = String(mapping.target).split('.');
+        if (segments.some(segment => !segment || RESERVED_SEGMENTS.includes(segment))) {
+            errors.push(`${mappingLabel} has an invalid target path '${mapping.target}'`);
+        }
+        if (mapping.format !== undefined) {
+            validateFormat(mapping.format, mappingLabel, errors);
+        }
+        if (mapping.array !== undefined) {
+            validateArray(mapping.array, mappingLabel, errors);
+        }
+    });
+}
+
+/**
+ * Validate a payload template definition
+ * @param {Object} definition - Parsed template definition
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validatePayloadTemplate(definition) {
+    if (!definition || typeof definition !== 'object') {
+        return ['Payload template must be an object'];
+    }
+
+    const errors = [];
+    if (typeof definition.name !== 'string' || !TEMPLATE_NAME_PATTERN.test(definition.name)) {
+        errors.push('name is required and may only contain letters, digits, - and _');
+    } else if (BUILT_IN_TEMPLATES.some(template => template.name.toLowerCase() === definition.name.toLowerCase())) {
+        errors.push(`name '${definition.name}' is reserved for a built-in template`);
+    }
+
+    if (definition.mode !== undefined && !FORWARD_MODES.includes(definition.mode)) {
+        errors.push(`mode must be one of: ${FORWARD_MODES.join(', ')}`);
+    }
+
+    validateOutputMappings(definition.mappings, 'mappings', errors);
+    return errors;
+}
+
+/**
+ * Load payload template definitions from JSON files in a directory
+ * Invalid definitions and duplicate names are logged and skipped.
+ * @param {string} directory - Directory containing *.json definitions
+ * @returns {Array<Object>} Valid definitions
+ */
+function loadPayloadTemplates(directory = config.payloadTemplates.directory || DEFAULT_TEMPLATES_DIRECTORY) {
+    const logger = createLogger();
+
+    if (!directory || !fs.existsSync(directory)) {
+        return [];
+    }
+
+    const definitions = [];
+    for (const fileName of fs.readdirSync(directory).filter(name => name.endsWith('.json')).sort()) {
+        try {
+            const definition = JSON.parse(fs.readFileSync(path.join(directory, fileName), 'utf8'));
+            const errors = validatePayloadTemplate(definition);
+            if (errors.length > 0) {
+                logger.error('Skipping invalid payload template', { fileName, errors });
+                continue;
+            }
+            if (definitions.some(existing => existing.name.toLowerCase() === definition.name.toLowerCase())) {
+                logger.error('Skipping duplicate payload template', { fileName, name: definition.name });
+                continue;
+            }
+            definitions.push(definition);
+        } catch (error) {
+            logger.error('Failed to read payload template', { fileName, error: error.message });
+        }
+    }
+
+    return definitions;
+}
+
+let loadedTemplates = null;
+
+/**
+ * Every available template: built-ins first, then configured definitions
+ * @returns {Array<Object>} Payload templates
+ */
+function getPayloadTemplates() {
+    if (!loadedTemplates) {
+        loadedTemplates = loadPayloadTemplates();
+    }
+    return [...BUILT_IN_TEMPLATES, ...loadedTemplates];
+}
+
+/**
+ * Find a template by name (case-insensitive, as forwarding modes are)
+ * @param {string} name - Template name from clientState
+ * @returns {Object|null} Payload template
+ */
+function getPayloadTemplate(name) {
+    if (!name) {
+        return null;
+    }
+    const lowerName = String(name).toLowerCase();
+    return getPayloadTemplates().find(template => template.name.toLowerCase() === lowerName) || null;
+}
+
+module.exports = {
+    BUILT_IN_TEMPLATES,
+    FORMATS,
+    renderPayloadTemplate,
+    getTemplateMode,
+    validatePayloadTemplate,
+    loadPayloadTemplates,
+    getPayloadTemplates,
+    getPayloadTemplate
+};
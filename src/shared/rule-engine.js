@@ -0,0 +1,534 @@
+/**
+ * Rule Engine
+ * A small expression language for routing rules, so a subscription or a
+ * single destination only receives the events it cares about:
+ *
+ *   when:Status == 'Approved' and changed(Amount)
+ *   when:FileLeafRef endsWith '.pdf'
+ *   when:Priority in ['High', 'Critical'] or previous(Status) != Status
+ *
+ * Rules are parsed into a tree and interpreted; nothing is evaluated as
+ * JavaScript, and identifiers only read the item's own fields.
+ *
+ * Grammar:
+ * - Logic: and / && , or / || , not / ! , parentheses
+ *   (inside a clientState, use 'or' - '|' separates clientState keys)
+ * - Comparison: == != > >= < <= contains startsWith endsWith in
+ *   contains/startsWith/endsWith ignore case; contains also searches
+ *   multi-value fields. Numbers and numeric strings compare as numbers.
+ * - Values: field names (Author.Email for nested values), 'strings' or
+ *   "strings", numbers, true, false, null, lists ['a', 'b']
+ * - Functions:
+ *   changed(Field) - the field differs from the last evaluated state
+ *                    (true for every field of an item seen for the first time)
+ *   changed()      - any field changed
+ *   previous(Field)- the field's value in the last evaluated state
+ *   isNew()        - no previous state is known for the item
+ *   changeType()   - 'created', 'updated' or 'deleted'
+ *
+ * The change set comes from ChangeDetector's comparison (compareItemStates).
+ */
+
+const { compareItemStates } = require('./change-detector');
+
+const MAX_RULE_LENGTH = 1000;
+const MAX_DEPTH = 25;
+const MAX_CACHED_RULES = 200;
+
+const KEYWORDS = {
+    and: { type: 'and' },
+    or: { type: 'or' },
+    not: { type: 'not' },
+    true: { type: 'literal', value: true },
+    false: { type: 'literal', value: false },
+    null: { type: 'literal', value: null },
+    contains: { type: 'operator', value: 'contains' },
+    startswith: { type: 'operator', value: 'startsWith' },
+    endswith: { type: 'operator', value: 'endsWith' },
+    in: { type: 'operator', value: 'in' }
+};
+
+const SYMBOLS = [
+    ['&&', { type: 'and' }],
+    ['||', { type: 'or' }],
+    ['==', { type: 'operator', value: '==' }],
+    ['!=', { type: 'operator', value: '!=' }],
+    ['>=', { type: 'operator', value: '>=' }],
+    ['<=', { type: 'operator', value: '<=' }],
+    ['>', { type: 'operator', value: '>' }],
+    ['<', { type: 'operator', value: '<' }],
+    ['!', { type: 'not' }],
+    ['(', { type: '(' }],
+    [')', { type: ')' }],
+    ['[', { type: '[' }],
+    [']', { type: ']' }],
+    [',', { type: ',' }],
+    ['-', { type: '-' }]
+];
+
+// name -> { minArgs, maxArgs, fieldArgs } (fieldArgs: arguments are field names, not values)
+const FUNCTIONS = {
+    changed: { minArgs: 0, maxArgs: 1, fieldArgs: true },
+    previous: { minArgs: 1, maxArgs: 1, fieldArgs: true },
+    isnew: { minArgs: 0, maxArgs: 0 },
+    changetype: { minArgs: 0, maxArgs: 0 }
+};
+
+function lookup(table, name) {
+    return Object.prototype.hasOwnProperty.call(table, name) ? table[name] : null;
+}
+
+function syntaxError(message, position) {
+    return new Error(`Invalid rule at position ${position + 1}: ${message}`);
+}
+
+/**
+ * Split a rule into tokens
+ * @param {string} expression - Rule expression
+ * @returns {Array<Object>} Tokens with type, value and position
+ */
+function tokenize(expression) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < expression.length) {
+        const char = expression[index];
+
+        if (/\s/.test(char)) {
+            index++;
+            continue;
+        }
+
+        if (char === '\'' || char === '"') {
+            const start = index;
+            let value = '';
+            index++;
+            while (index < expression.length && expression[index] !== char) {
+                if (expression[index] === '\\' && index + 1 < expression.length) {
+                    index++;
+                }
+                value += expression[index];
+                index++;
+            }
+            if (index >= expression.length) {
+                throw syntaxError('unterminated string', start);
+            }
+            index++;
+            tokens.push({ type: 'literal', value, position: start });
+            continue;
+        }
+
+        const number = expression.slice(index).match(/^\d+(\.\d+)?/);
+        if (number) {
+            tokens.push({ type: 'literal', value: Number(number[0]), position: index });
+            index += number[0].length;
+            continue;
+        }
+
+        const word = expression.slice(index).match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/);
+        if (word) {
+            const keyword = lookup(KEYWORDS, word[0].toLowerCase());
+            tokens.push(keyword
+                ? { ...keyword, position: index }
+                : { type: 'identifier', value: word[0], position: index });
+            index += word[0].length;
+            continue;
+        }
+
+        const symbol = SYMBOLS.find(([text]) => expression.startsWith(text, index));
+        if (!symbol) {
+            throw syntaxError(`unexpected character '${char}'`, index);
+        }
+        tokens.push({ ...symbol[1], position: index });
+        index += symbol[0].length;
+    }
+
+    tokens.push({ type: 'end', position: expression.length });
+    return tokens;
+}
+
+/**
+ * Recursive-descent parser producing the rule tree
+ */
+class RuleParser {
+    constructor(expression) {
+        this.tokens = tokenize(expression);
+        this.index = 0;
+        this.depth = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    expect(type, description) {
+        const token = this.next();
+        if (token.type !== type) {
+            throw syntaxError(`expected ${description}`, token.position);
+        }
+        return token;
+    }
+
+    parse() {
+        const node = this.parseOr();
+        const token = this.peek();
+        if (token.type !== 'end') {
+            throw syntaxError('unexpected input after the end of the rule', token.position);
+        }
+        return node;
+    }
+
+    enter(position) {
+        if (++this.depth > MAX_DEPTH) {
+            throw syntaxError(`rule is nested more than ${MAX_DEPTH} levels deep`, position);
+        }
+    }
+
+    parseOr() {
+        let node = this.parseAnd();
+        while (this.peek().type === 'or') {
+            this.next();
+            node = { type: 'or', left: node, right: this.parseAnd() };
+        }
+        return node;
+    }
+
+    parseAnd() {
+        let node = this.parseNot();
+        while (this.peek().type === 'and') {
+            this.next();
+            node = { type: 'and', left: node, right: this.parseNot() };
+        }
+        return node;
+    }
+
+    parseNot() {
+        const token = this.peek();
+        if (token.type === 'not') {
+            this.next();
+            this.enter(token.position);
+            const node = { type: 'not', operand: this.parseNot() };
+            this.depth--;
+            return node;
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseOperand();
+        if (this.peek().type !== 'operator') {
+            return left;
+        }
+
+        const operator = this.next().value;
+        const right = this.parseOperand();
+        if (operator === 'in' && right.type !== 'list') {
+            throw syntaxError("'in' must be followed by a list such as ['a', 'b']", this.peek().position);
+        }
+        return { type: 'compare', operator, left, right };
+    }
+
+    parseOperand() {
+        const token = this.next();
+
+        switch (token.type) {
+            case 'literal':
+                return { type: 'literal', value: token.value };
+            case '-': {
+                const number = this.next();
+                if (number.type !== 'literal' || typeof number.value !== 'number') {
+                    throw syntaxError("'-' must be followed by a number", token.position);
+                }
+                return { type: 'literal', value: -number.value };
+            }
+            case '(': {
+                this.enter(token.position);
+                const node = this.parseOr();
+                this.depth--;
+                this.expect(')', "')'");
+                return node;
+            }
+            case '[':
+                return this.parseList(token);
+            case 'identifier':
+                if (this.peek().type === '(') {
+                    return this.parseCall(token);
+                }
+                return { type: 'field', path: token.value.split('.') };
+            default:
+                throw syntaxError('expected a field, value or function', token.position);
+        }
+    }
+
+    parseList(open) {
+        const items = [];
+        if (this.peek().type !== ']') {
+            do {
+                const item = this.parseOperand();
+                if (item.type !== 'literal') {
+                    throw syntaxError('lists may only contain strings, numbers, true, false or null', open.position);
+                }
+                items.push(item.value);
+            } while (this.peek().type === ',' && this.next());
+        }
+        this.expect(']', "']'");
+        return { type: 'list', items };
+    }
+
+    parseCall(nameToken) {
+        const name = nameToken.value.toLowerCase();
+        const definition = lookup(FUNCTIONS, name);
+        if (!definition) {
+            throw syntaxError(`unknown function '${nameToken.value}'`, nameToken.position);
+        }
+
+        this.expect('(', "'('");
+        const args = [];
+        if (this.peek().type !== ')') {
+            do {
+                const arg = this.next();
+                if (!definition.fieldArgs) {
+                    throw syntaxError(`${nameToken.value}() takes no arguments`, arg.position);
+                }
+                if (arg.type !== 'identifier') {
+                    throw syntaxError(`${nameToken.value}() takes a field name`, arg.position);
+                }
+                args.push(arg.value);
+            } while (this.peek().type === ',' && this.next());
+        }
+        this.expect(')', "')'");
+
+        if (args.length < definition.minArgs || args.length > definition.maxArgs) {
+            throw syntaxError(`wrong number of arguments for ${nameToken.value}()`, nameToken.position);
+        }
+        return { type: 'call', name, args };
+    }
+}
+
+/**
+ * Read a field (or a dotted path) from an item's own properties
+ */
+function readField(fields, path) {
+    let value = fields;
+    for (const segment of path) {
+        if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+            return null;
+        }
+        value = value[segment];
+    }
+    return value === undefined ? null : value;
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    return null;
+}
+
+function valuesEqual(left, right) {
+    if (left === null || right === null) {
+        return left === right;
+    }
+    const leftNumber = toNumber(left);
+    const rightNumber = toNumber(right);
+    if (leftNumber !== null && rightNumber !== null) {
+        return leftNumber === rightNumber;
+    }
+    return left === right;
+}
+
+function textEquals(left, right) {
+    if (typeof left === 'string' && typeof right === 'string') {
+        return left.toLowerCase() === right.toLowerCase();
+    }
+    return valuesEqual(left, right);
+}
+
+function compareOrder(left, right) {
+    const leftNumber = toNumber(left);
+    const rightNumber = toNumber(right);
+    if (leftNumber !== null && rightNumber !== null) {
+        return leftNumber - rightNumber;
+    }
+    if (typeof left === 'string' && typeof right === 'string') {
+        return left < right ? -1 : (left > right ? 1 : 0);
+    }
+    return null;
+}
+
+function compare(operator, left, right) {
+    switch (operator) {
+        case '==':
+            return valuesEqual(left, right);
+        case '!=':
+            return !valuesEqual(left, right);
+        case 'in':
+            return right.some(candidate => valuesEqual(left, candidate));
+        case 'contains':
+            if (Array.isArray(left)) {
+                return left.some(value => textEquals(value, right));
+            }
+            return typeof left === 'string' && right !== null &&
+                left.toLowerCase().includes(String(right).toLowerCase());
+        case 'startsWith':
+            return typeof left === 'string' && right !== null &&
+                left.toLowerCase().startsWith(String(right).toLowerCase());
+        case 'endsWith':
+            return typeof left === 'string' && right !== null &&
+                left.toLowerCase().endsWith(String(right).toLowerCase());
+        default: {
+            const order = compareOrder(left, right);
+            if (order === null) {
+                return false;
+            }
+            return { '>': order > 0, '>=': order >= 0, '<': order < 0, '<=': order <= 0 }[operator];
+        }
+    }
+}
+
+function callFunction(node, ruleContext) {
+    switch (node.name) {
+        case 'changed':
+            if (node.args.length === 0) {
+                return ruleContext.changes.length > 0;
+            }
+            return ruleContext.isNew || ruleContext.changes.some(change => change.field === node.args[0]);
+        case 'previous':
+            return readField(ruleContext.previous, node.args[0].split('.'));
+        case 'isnew':
+            return ruleContext.isNew;
+        case 'changetype':
+            return ruleContext.changeType;
+        default:
+            return null;
+    }
+}
+
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function evaluateNode(node, ruleContext) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'list':
+            return node.items;
+        case 'field':
+            return readField(ruleContext.fields, node.path);
+        case 'call':
+            return callFunction(node, ruleContext);
+        case 'not':
+            return !isTruthy(evaluateNode(node.operand, ruleContext));
+        case 'and':
+            return isTruthy(evaluateNode(node.left, ruleContext)) && isTruthy(evaluateNode(node.right, ruleContext));
+        case 'or':
+            return isTruthy(evaluateNode(node.left, ruleContext)) || isTruthy(evaluateNode(node.right, ruleContext));
+        case 'compare':
+            return compare(node.operator, evaluateNode(node.left, ruleContext), evaluateNode(node.right, ruleContext));
+        default:
+            return null;
+    }
+}
+
+const ruleCache = new Map();
+
+/**
+ * Parse a rule expression
+ * @param {string} expression - Rule expression
+ * @returns {Object} Compiled rule { expression, evaluate(ruleContext) }
+ * @throws {Error} If the rule is not valid
+ */
+function compileRule(expression) {
+    const source = String(expression || '').trim();
+    if (!source) {
+        throw syntaxError('rule is empty', 0);
+    }
+    if (source.length > MAX_RULE_LENGTH) {
+        throw syntaxError(`rule is longer than ${MAX_RULE_LENGTH} characters`, MAX_RULE_LENGTH);
+    }
+
+    if (ruleCache.has(source)) {
+        return ruleCache.get(source);
+    }
+
+    const tree = new RuleParser(source).parse();
+    const rule = {
+        expression: source,
+        evaluate: ruleContext => isTruthy(evaluateNode(tree, ruleContext))
+    };
+
+    if (ruleCache.size >= MAX_CACHED_RULES) {
+        ruleCache.delete(ruleCache.keys().next().value);
+    }
+    ruleCache.set(source, rule);
+    return rule;
+}
+
+/**
+ * Check a rule expression without evaluating it
+ * @param {string} expression - Rule expression
+ * @returns {string|null} Error message, or null if the rule is valid
+ */
+function validateRule(expression) {
+    try {
+        compileRule(expression);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Build the data a rule is evaluated against
+ * Items may be in Graph shape ({ fields }) or have their fields merged onto
+ * the top level, as fetchSharePointItem and item-state-store return them.
+ * @param {Object} params
+ * @param {Object|null} params.item - Current item (last known state for deleted items)
+ * @param {Object|null} params.previousItem - State from the previous evaluation
+ * @param {string} params.changeType - Notification changeType
+ * @returns {Object} Rule context { fields, previous, changes, isNew, changeType }
+ */
+function buildRuleContext({ item, previousItem = null, changeType = 'updated' }) {
+    const fields = item ? { ...item, ...(item.fields || {}) } : null;
+    const previous = previousItem ? { ...previousItem, ...(previousItem.fields || {}) } : null;
+    const isNew = !previous && changeType !== 'deleted';
+    const changes = fields && previous && changeType !== 'deleted'
+        ? compareItemStates({ fields: previous }, { fields })
+        : [];
+
+    return { fields, previous, changes, isNew, changeType };
+}
+
+/**
+ * Combine a destination's when: rule and fields: watch list into one rule
+ * fields:Amount,Status is shorthand for changed(Amount) or changed(Status).
+ * @param {Object} config - Parsed clientState (see clientstate-parser)
+ * @returns {string|null} Rule expression, or null if the destination has no rule
+ */
+function buildRoutingRule(config) {
+    const parts = [];
+    if (config.when) {
+        parts.push(`(${config.when})`);
+    }
+    if (config.fields && config.fields.length > 0) {
+        parts.push(`(${config.fields.map(field => `changed(${field})`).join(' or ')})`);
+    }
+    return parts.length > 0 ? parts.join(' and ') : null;
+}
+
+module.exports = {
+    MAX_RULE_LENGTH,
+    compileRule,
+    validateRule,
+    buildRuleContext,
+    buildRoutingRule
+};
@@ -0,0 +1,199 @@
+/**
+ * Security Audit Store
+ * Records notifications that were dropped because they could not be
+ * authenticated (unknown or deleted subscription, wrong clientState secret,
+ * foreign tenant), so rejected traffic can be reviewed later.
+ *
+ * The echoed clientState is never stored; only whether one was present.
+ *
+ * Backends:
+ * - memory: process-local store for tests and local development
+ * - table: Azure Table Storage (SecurityAudit)
+ */
+
+const { TableClient } = require('@azure/data-tables');
+const config = require('./config');
+
+/**
+ * Reasons a notification can be rejected for
+ */
+const SECURITY_AUDIT_REASONS = {
+    UNKNOWN_SUBSCRIPTION: 'unknown-subscription',
+    DELETED_SUBSCRIPTION: 'deleted-subscription',
+    SECRET_MISMATCH: 'secret-mismatch',
+    MISSING_SECRET: 'missing-secret',
+    TENANT_MISMATCH: 'tenant-mismatch'
+};
+
+/**
+ * Generate a time-ordered audit entry id
+ * @returns {string} Audit entry id
+ */
+function generateId() {
+    return `${String(Date.now()).padStart(15, '0')}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Build an audit entry for a rejected notification
+ * @param {Object} params
+ * @param {string} params.reason - Rejection reason (see SECURITY_AUDIT_REASONS)
+ * @param {string} params.source - Endpoint that rejected it
+ * @param {Object} params.notification - Rejected notification
+ * @param {Object} params.details - Extra context (never secrets)
+ * @returns {Object} Audit entry
+ */
+function buildEntry({ reason, source, notification, details = {} }) {
+    return {
+        id: generateId(),
+        reason,
+        source: source || null,
+        subscriptionId: notification?.subscriptionId || null,
+        resource: notification?.resource || null,
+        tenantId: notification?.tenantId || null,
+        hadClientState: Boolean(notification?.clientState),
+        details,
+        recordedAt: new Date().toISOString()
+    };
+}
+
+function matchesFilter(entry, filter = {}) {
+    if (filter.reason && entry.reason !== filter.reason) {
+        return false;
+    }
+    if (filter.subscriptionId && entry.subscriptionId !== filter.subscriptionId) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * In-memory audit store used for tests and local development
+ */
+class InMemorySecurityAuditStore {
+    constructor() {
+        this.entries = [];
+    }
+
+    async record(params) {
+        const entry = buildEntry(params);
+        this.entries.push(entry);
+        return entry;
+    }
+
+    async list(filter = {}) {
+        const matching = this.entries.filter(entry => matchesFilter(entry, filter));
+        return filter.top ? matching.slice(0, filter.top) : matching;
+    }
+}
+
+/**
+ * Azure Table Storage audit store
+ */
+class TableSecurityAuditStore {
+    constructor(options = {}) {
+        this.tableClient = TableClient.fromConnectionString(
+            options.connectionString || config.storage.connectionString,
+            options.tableName || config.securityAudit.tableName
+        );
+        this.partitionKey = 'security';
+        this.initialized = false;
+    }
+
+    async initialize() {
+        if (!this.initialized) {
+            await this.tableClient.createTable(); // Creates if doesn't exist
+            this.initialized = true;
+        }
+    }
+
+    async record(params) {
+        await this.initialize();
+        const entry = buildEntry(params);
+        await this.tableClient.createEntity({
+            partitionKey: this.partitionKey,
+            rowKey: entry.id,
+            reason: entry.reason,
+            source: entry.source,
+            subscriptionId: entry.subscriptionId,
+            resource: entry.resource,
+            tenantId: entry.tenantId,
+            hadClientState: entry.hadClientState,
+            details: JSON.stringify(entry.details),
+            recordedAt: entry.recordedAt
+        });
+        return entry;
+    }
+
+    async list(filter = {}) {
+        await this.initialize();
+        const clauses = [`PartitionKey eq '${this.partitionKey}'`];
+        if (filter.reason) {
+            clauses.push(`reason eq '${filter.reason.replace(/'/g, "''")}'`);
+        }
+        if (filter.subscriptionId) {
+            clauses.push(`subscriptionId eq '${filter.subscriptionId.replace(/'/g, "''")}'`);
+        }
+
+        const entries = [];
+        const iterator = this.tableClient.listEntities({ queryOptions: { filter: clauses.join(' and ') } });
+        for await (const entity of iterator) {
+            entries.push({
+                id: entity.rowKey,
+                reason: entity.reason,
+                source: entity.source || null,
+                subscriptionId: entity.subscriptionId || null,
+                resource: entity.resource || null,
+                tenantId: entity.tenantId || null,
+                hadClientState: Boolean(entity.hadClientState),
+                details: JSON.parse(entity.details || '{}'),
+                recordedAt: entity.recordedAt
+            });
+            if (filter.top && entries.length >= filter.top) {
+                break;
+            }
+        }
+        return entries;
+    }
+}
+
+const STORE_BACKENDS = {
+    memory: InMemorySecurityAuditStore,
+    table: TableSecurityAuditStore
+};
+
+let storeInstance = null;
+
+/**
+ * Create a security audit store for the requested backend
+ * @param {Object} options - Backend options (backend, connectionString, tableName)
+ * @returns {Object} Security audit store instance
+ */
+function createSecurityAuditStore(options = {}) {
+    const backend = options.backend || config.securityAudit.backend;
+    const StoreClass = STORE_BACKENDS[backend];
+
+    if (!StoreClass) {
+        throw new Error(`Unknown security audit store backend: ${backend}`);
+    }
+
+    return new StoreClass(options);
+}
+
+/**
+ * Get the shared security audit store for the configured backend
+ * @returns {Object} Security audit store instance
+ */
+function getSecurityAuditStore() {
+    if (!storeInstance) {
+        storeInstance = createSecurityAuditStore();
+    }
+    return storeInstance;
+}
+
+module.exports = {
+    SECURITY_AUDIT_REASONS,
+    InMemorySecurityAuditStore,
+    TableSecurityAuditStore,
+    createSecurityAuditStore,
+    getSecurityAuditStore
+};
@@ -0,0 +1,224 @@
+/**
+ * SharePoint REST Webhooks
+ * Native SharePoint list webhooks live next to the list
+ * (/_api/web/lists('{id}')/subscriptions) rather than in Graph. They can run
+ * for up to 180 days, but their notifications only name the list, so the
+ * changed items are read with GetChanges (see change-token-tracker.js).
+ *
+ * Subscriptions are described with the same Graph-style resource used
+ * everywhere else (sites/{host}:/sites/{name}:/lists/{list-id}) and told apart
+ * by SUBSCRIPTION_TYPES. Notifications are normalized to the Graph shape so
+ * the rest of the pipeline handles both kinds the same way.
+ */
+
+const axios = require('axios');
+const config = require('./config');
+const { getSharePointAccessToken } = require('./auth');
+
+/**
+ * Kinds of subscription subscription-manager can create
+ */
+const SUBSCRIPTION_TYPES = {
+    GRAPH: 'graph',
+    SHAREPOINT: 'sharepoint'
+};
+
+/**
+ * Split a Graph-style list resource into its SharePoint parts
+ * @param {string} resource - sites/{host}:/sites/{name}:/lists/{list-id}
+ * @returns {Object|null} { hostname, sitePath, listId }, or null if not a list resource
+ */
+function parseSharePointResource(resource) {
+    const match = String(resource || '').match(/^\/?sites\/([^/:]+):(\/[^:]*):\/lists\/([^/]+)\/?$/);
+    if (!match) {
+        return null;
+    }
+    return { hostname: match[1], sitePath: match[2], listId: match[3] };
+}
+
+/**
+ * Build the SharePoint REST URL of the list behind a Graph-style resource
+ * @param {string} resource - Graph-style list resource
+ * @returns {string} https://{host}/sites/{name}/_api/web/lists('{list-id}')
+ */
+function toSharePointListUrl(resource) {
+    const parsed = parseSharePointResource(resource);
+    if (!parsed) {
+        throw new Error(`Resource is not a SharePoint list: ${resource}`);
+    }
+    return `https://${parsed.hostname}${parsed.sitePath}/_api/web/lists('${parsed.listId}')`;
+}
+
+async function sharePointRequest(context, resource, request) {
+    const { hostname } = parseSharePointResource(resource) || {};
+    const accessToken = await getSharePointAccessToken(context, hostname);
+
+    const response = await axios({
+        ...request,
+        url: `${toSharePointListUrl(resource)}${request.path || ''}`,
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Accept': 'application/json;odata=nometadata',
+            'Content-Type': 'application/json'
+        },
+        timeout: config.api.timeout
+    });
+    return response.data;
+}
+
+/**
+ * Convert a SharePoint subscription to the shape Graph returns
+ */
+function toGraphShape(subscription, resource) {
+    return {
+        id: subscription.id,
+        resource,
+        changeType: 'updated', // SharePoint list webhooks fire for every change
+        notificationUrl: subscription.notificationUrl,
+        expirationDateTime: subscription.expirationDateTime,
+        subscriptionType: SUBSCRIPTION_TYPES.SHAREPOINT
+    };
+}
+
+/**
+ * Create a SharePoint list webhook
+ * @param {Object} context - Azure Functions context
+ * @param {string} resource - Graph-style list resource
+ * @param {Object} subscription - { notificationUrl, expirationDateTime, clientState }
+ * @returns {Promise<Object>} Created subscription in Graph shape
+ */
+async function createListSubscription(context, resource, { notificationUrl, expirationDateTime, clientState }) {
+    const created = await sharePointRequest(context, resource, {
+        method: 'post',
+        path: '/subscriptions',
+        data: {
+            resource: toSharePointListUrl(resource),
+            notificationUrl,
+            expirationDateTime,
+            clientState
+        }
+    });
+    return toGraphShape(created, resource);
+}
+
+/**
+ * List the SharePoint webhooks registered on a list
+ * @param {Object} context - Azure Functions context
+ * @param {string} resource - Graph-style list resource
+ * @returns {Promise<Array>} Subscriptions in Graph shape
+ */
+async function listListSubscriptions(context, resource) {
+    const data = await sharePointRequest(context, resource, { method: 'get', path: '/subscriptions' });
+    return (data.value || []).map(subscription => toGraphShape(subscription, resource));
+}
+
+/**
+ * Extend a SharePoint list webhook
+ * SharePoint answers 204 No Content, so the new expiration is returned as sent.
+ * @param {Object} context - Azure Functions context
+ * @param {string} resource - Graph-style list resource
+ * @param {string} subscriptionId - Subscription ID
+ * @param {string} expirationDateTime - New expiration
+ * @returns {Promise<Object>} { id, expirationDateTime }
+ */
+async function renewListSubscription(context, resource, subscriptionId, expirationDateTime) {
+    await sharePointRequest(context, resource, {
+        method: 'patch',
+        path: `/subscriptions('${subscriptionId}')`,
+        data: { expirationDateTime }
+    });
+    return { id: subscriptionId, expirationDateTime };
+}
+
+/**
+ * Delete a SharePoint list webhook
+ * @param {Object} context - Azure Functions context
+ * @param {string} resource - Graph-style list resource
+ * @param {string} subscriptionId - Subscription ID
+ */
+async function deleteListSubscription(context, resource, subscriptionId) {
+    await sharePointRequest(context, resource, {
+        method: 'delete',
+        path: `/subscriptions('${subscriptionId}')`
+    });
+}
+
+/**
+ * Read item changes made after a change token
+ * @param {Object} context - Azure Functions context
+ * @param {string} resource - Graph-style list resource
+ * @param {string} changeToken - Change token to start after
+ * @param {number} fetchLimit - Maximum changes to return
+ * @returns {Promise<Array>} SharePoint change records, oldest first
+ */
+async function getListChanges(context, resource, changeToken, fetchLimit) {
+    const data = await sharePointRequest(context, resource, {
+        method: 'post',
+        path: '/GetChanges',
+        data: {
+            query: {
+                Item: true,
+                Add: true,
+                Update: true,
+                DeleteObject: true,
+                Restore: true,
+                FetchLimit: fetchLimit,
+                ChangeTokenStart: { StringValue: changeToken }
+            }
+        }
+    });
+    return data.value || [];
+}
+
+/**
+ * Check whether a notification came from a SharePoint REST webhook
+ * SharePoint sends the list ID as resource plus siteUrl/webId, and no changeType.
+ * @param {Object} notification - Raw notification
+ * @returns {boolean} True for SharePoint REST notifications
+ */
+function isSharePointRestNotification(notification) {
+    return Boolean(notification) &&
+        typeof notification === 'object' &&
+        !notification.changeType &&
+        typeof notification.siteUrl === 'string' &&
+        typeof notification.resource === 'string';
+}
+
+/**
+ * Convert a SharePoint REST notification to the Graph notification shape
+ * SharePoint does not say which host sent it, so the host comes from the tracked
+ * subscription's SiteUrl (sites/{host}:/sites/{name}:). An untracked subscription's
+ * notification gets the tenant's primary domain; authentication rejects it anyway.
+ * @param {Object} notification - SharePoint REST notification
+ * @param {Object|null} trackingItem - Tracking list item of the subscription
+ * @returns {Object} Graph-style list notification
+ */
+function normalizeSharePointRestNotification(notification, trackingItem) {
+    const sitePath = notification.siteUrl.startsWith('/') ? notification.siteUrl : `/${notification.siteUrl}`;
+    const tracked = parseSharePointResource(`${trackingItem?.fields.SiteUrl}/lists/${notification.resource}`);
+    const hostname = tracked ? tracked.hostname : config.sharepoint.primarySite.domain;
+
+    return {
+        subscriptionId: notification.subscriptionId,
+        resource: `sites/${hostname}:${sitePath}:/lists/${notification.resource}`,
+        changeType: 'updated',
+        clientState: notification.clientState,
+        tenantId: notification.tenantId,
+        resourceData: {},
+        subscriptionType: SUBSCRIPTION_TYPES.SHAREPOINT,
+        webId: notification.webId
+    };
+}
+
+module.exports = {
+    SUBSCRIPTION_TYPES,
+    parseSharePointResource,
+    toSharePointListUrl,
+    createListSubscription,
+    listListSubscriptions,
+    renewListSubscription,
+    deleteListSubscription,
+    getListChanges,
+    isSharePointRestNotification,
+    normalizeSharePointRestNotification
+};
@@ -1,5 +1,6 @@
 const { getListItems, createListItem, updateListItem } = require('./graph-api');
 const config = require('./config');
+const { parseClientState } = require('./clientstate-parser');
 
 // Default SharePoint configuration from config
 const SITE_PATH = config.sharepoint.primarySite.sitePath;
@@ -51,9 +52,10 @@ async function syncWebhookToSharePoint(accessToken, webhook, action, context) {
         // Check if this is a proxy webhook
         let isProxy = 'No';
         let forwardingUrl = '';
-        if (webhook.clientState && webhook.clientState.startsWith('forward:')) {
+        const forwardUrl = parseClientState(webhook.clientState).forwardUrl;
+        if (forwardUrl) {
             isProxy = 'Yes';
-            forwardingUrl = webhook.clientState.substring(8);
+            forwardingUrl = forwardUrl;
         }
         
         // Create webhook item in SharePoint
@@ -0,0 +1,266 @@
+/**
+ * Subscription Lifecycle
+ * Handles Microsoft Graph lifecycle notifications so lost or expiring
+ * subscriptions are repaired immediately instead of at the next
+ * webhook-sync-timer run.
+ *
+ * - reauthorizationRequired: reauthorize, or renew if reauthorizing fails
+ * - subscriptionRemoved: recreate the subscription from its tracking list item
+ *   and queue a catch-up sweep for changes made while it was gone
+ * - missed: queue a catch-up sweep; the notification worker expands it into
+ *   every item changed since the last deltaLink (see delta-tracker)
+ *
+ * Every event is recorded on the subscription's tracking list item
+ * (LastLifecycleEvent, LastLifecycleEventDateTime).
+ */
+
+const config = require('./config');
+const { getAccessToken } = require('./auth');
+const { createLogger } = require('./logger');
+const { getSubscriptionRegistry, getTrackedResource } = require('./subscription-registry');
+const { getNotificationQueue } = require('./notification-queue');
+const { generateClientSecret } = require('./notification-authenticator');
+const {
+    createSubscription,
+    deleteSubscription,
+    reauthorizeSubscription,
+    renewSubscription,
+    updateListItem
+} = require('./graph-api');
+
+const LIFECYCLE_EVENTS = {
+    REAUTHORIZATION_REQUIRED: 'reauthorizationRequired',
+    SUBSCRIPTION_REMOVED: 'subscriptionRemoved',
+    MISSED: 'missed'
+};
+
+const LIFECYCLE_ROUTE = 'subscription-lifecycle';
+
+/**
+ * Build the lifecycleNotificationUrl for a new subscription
+ * Uses config.webhook.lifecycleNotificationUrl, or the subscription-lifecycle
+ * endpoint next to the notification URL.
+ * @param {string} notificationUrl - Subscription notification URL
+ * @returns {string|null} Lifecycle notification URL
+ */
+function buildLifecycleNotificationUrl(notificationUrl) {
+    if (config.webhook.lifecycleNotificationUrl) {
+        return config.webhook.lifecycleNotificationUrl;
+    }
+    try {
+        return new URL(LIFECYCLE_ROUTE, notificationUrl).toString();
+    } catch {
+        return null;
+    }
+}
+
+function newExpirationDateTime() {
+    return new Date(Date.now() + config.webhook.maxExpirationDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Write lifecycle details to the subscription's tracking list item
+ */
+async function updateTrackingItem(accessToken, subscriptionId, trackingItem, lifecycleEvent, fields) {
+    const update = {
+        LastLifecycleEvent: lifecycleEvent,
+        LastLifecycleEventDateTime: new Date().toISOString(),
+        ...fields
+    };
+
+    await updateListItem(
+        accessToken,
+        config.sharepoint.primarySite.sitePath,
+        config.sharepoint.lists.webhookManagement,
+        trackingItem.id,
+        update
+    );
+    getSubscriptionRegistry().updateCachedFields(subscriptionId, update);
+}
+
+/**
+ * Write lifecycle details to the subscription's tracking list item
+ * Never throws - the lifecycle action already happened.
+ */
+async function recordLifecycleEvent(accessToken, subscriptionId, trackingItem, lifecycleEvent, fields, logger) {
+    try {
+        await updateTrackingItem(accessToken, subscriptionId, trackingItem, lifecycleEvent, fields);
+    } catch (error) {
+        logger.error('Failed to record lifecycle event on tracking item', {
+            subscriptionId,
+            lifecycleEvent,
+            error: error.response?.data?.error?.message || error.message
+        });
+    }
+}
+
+/**
+ * Write a recreated subscription's SubscriptionId and ClientSecret to its tracking item
+ * Untracked, the new subscription's notifications are rejected and nothing renews it, so
+ * it is deleted again and the error thrown: the recreate failed and the event is retried.
+ */
+async function trackRecreatedSubscription(accessToken, subscriptionId, trackingItem, lifecycleEvent, result, logger) {
+    try {
+        await updateTrackingItem(accessToken, subscriptionId, trackingItem, lifecycleEvent, result.fields);
+    } catch (error) {
+        try {
+            await deleteSubscription(accessToken, result.newSubscriptionId);
+        } catch (deleteError) {
+            logger.error('Failed to delete untracked recreated subscription', {
+                subscriptionId,
+                newSubscriptionId: result.newSubscriptionId,
+                error: deleteError.response?.data?.error?.message || deleteError.message
+            });
+        }
+        throw error;
+    }
+}
+
+/**
+ * Queue a list-level notification so the worker sweeps every change since the last deltaLink
+ * It carries the subscription secret, as Graph would, so the worker accepts it.
+ */
+async function queueCatchUp(subscriptionId, resource, clientSecret) {
+    await getNotificationQueue().enqueue({
+        subscriptionId,
+        resource,
+        changeType: 'updated',
+        clientState: clientSecret || '',
+        resourceData: {}
+    });
+}
+
+async function handleReauthorizationRequired(accessToken, notification) {
+    try {
+        await reauthorizeSubscription(accessToken, notification.subscriptionId);
+        return { action: 'reauthorized', fields: {} };
+    } catch (reauthorizeError) {
+        // Renewing also reauthorizes, and works for subscriptions that cannot be reauthorized
+        const renewed = await renewSubscription(accessToken, notification.subscriptionId, newExpirationDateTime());
+        return {
+            action: 'renewed',
+            reauthorizeError: reauthorizeError.response?.data?.error?.message || reauthorizeError.message,
+            fields: { ExpirationDateTime: renewed.expirationDateTime, Status: 'Active' }
+        };
+    }
+}
+
+async function handleSubscriptionRemoved(accessToken, notification, trackingItem) {
+    const { fields } = trackingItem;
+    const resource = getTrackedResource(fields);
+    if (!resource || !fields.NotificationUrl) {
+        throw new Error('Tracking item has no SiteUrl/ListId/NotificationUrl to recreate the subscription from');
+    }
+
+    // The routing ClientState stays in the tracking list; Graph gets a fresh secret
+    const clientSecret = generateClientSecret();
+    const subscription = {
+        changeType: fields.ChangeType || 'updated',
+        notificationUrl: fields.NotificationUrl,
+        resource,
+        expirationDateTime: newExpirationDateTime(),
+        clientState: clientSecret
+    };
+    const lifecycleNotificationUrl = buildLifecycleNotificationUrl(fields.NotificationUrl);
+    if (lifecycleNotificationUrl) {
+        subscription.lifecycleNotificationUrl = lifecycleNotificationUrl;
+    }
+
+    const created = await createSubscription(accessToken, subscription);
+
+    return {
+        action: 'recreated',
+        newSubscriptionId: created.id,
+        catchUpResource: resource,
+        catchUpSecret: clientSecret,
+        fields: {
+            SubscriptionId: created.id,
+            ClientSecret: clientSecret,
+            ExpirationDateTime: created.expirationDateTime,
+            Status: 'Active'
+        }
+    };
+}
+
+function handleMissed(accessToken, notification, trackingItem) {
+    const resource = notification.resource || getTrackedResource(trackingItem.fields);
+    if (!resource) {
+        throw new Error('No resource to run a catch-up sweep for');
+    }
+
+    return {
+        action: 'catch-up-queued',
+        catchUpResource: resource,
+        catchUpSecret: trackingItem.fields.ClientSecret,
+        fields: {}
+    };
+}
+
+const LIFECYCLE_HANDLERS = {
+    [LIFECYCLE_EVENTS.REAUTHORIZATION_REQUIRED]: handleReauthorizationRequired,
+    [LIFECYCLE_EVENTS.SUBSCRIPTION_REMOVED]: handleSubscriptionRemoved,
+    [LIFECYCLE_EVENTS.MISSED]: handleMissed
+};
+
+/**
+ * Handle one Graph lifecycle notification
+ * Events for subscriptions that are not in the tracking list are ignored.
+ * @param {Object} notification - Lifecycle notification ({ subscriptionId, lifecycleEvent, ... })
+ * @param {Object} context - Azure Functions context
+ * @returns {Promise<Object>} { subscriptionId, lifecycleEvent, success, action, error, newSubscriptionId }
+ */
+async function handleLifecycleNotification(notification, context) {
+    const logger = createLogger(context);
+    const { subscriptionId, lifecycleEvent } = notification;
+    const outcome = { subscriptionId, lifecycleEvent };
+
+    const handler = LIFECYCLE_HANDLERS[lifecycleEvent];
+    if (!handler) {
+        logger.warn('Ignoring unknown lifecycle event', outcome);
+        return { ...outcome, success: false, action: 'ignored', error: `Unknown lifecycle event '${lifecycleEvent}'` };
+    }
+
+    const trackingItem = await getSubscriptionRegistry().get(subscriptionId, context);
+    if (!trackingItem) {
+        logger.warn('Ignoring lifecycle event for untracked subscription', outcome);
+        return { ...outcome, success: false, action: 'ignored', error: 'Subscription is not in the tracking list' };
+    }
+
+    const accessToken = await getAccessToken(context);
+
+    try {
+        const result = await handler(accessToken, notification, trackingItem);
+        const event = `${lifecycleEvent}: ${result.action}`;
+        if (result.newSubscriptionId) {
+            await trackRecreatedSubscription(accessToken, subscriptionId, trackingItem, event, result, logger);
+            // The tracking item is now keyed by the new subscription ID
+            getSubscriptionRegistry().invalidate(subscriptionId);
+        } else {
+            await recordLifecycleEvent(accessToken, subscriptionId, trackingItem, event, result.fields, logger);
+        }
+        if (result.catchUpResource) {
+            // Queued after the tracking item is updated so the worker can resolve its clientState
+            await queueCatchUp(result.newSubscriptionId || subscriptionId, result.catchUpResource, result.catchUpSecret);
+        }
+
+        logger.info('Handled lifecycle event', { ...outcome, action: result.action, newSubscriptionId: result.newSubscriptionId });
+        return {
+            ...outcome,
+            success: true,
+            action: result.action,
+            newSubscriptionId: result.newSubscriptionId,
+            reauthorizeError: result.reauthorizeError
+        };
+    } catch (error) {
+        const message = error.response?.data?.error?.message || error.message;
+        logger.error('Failed to handle lifecycle event', { ...outcome, error: message });
+        await recordLifecycleEvent(accessToken, subscriptionId, trackingItem, `${lifecycleEvent}: failed`, {}, logger);
+        return { ...outcome, success: false, action: 'failed', error: message };
+    }
+}
+
+module.exports = {
+    LIFECYCLE_EVENTS,
+    buildLifecycleNotificationUrl,
+    handleLifecycleNotification
+};
@@ -0,0 +1,201 @@
+/**
+ * Subscription Registry
+ * Cached, SubscriptionId-indexed view of the webhook management list.
+ * Notification processing looks subscriptions up here instead of reading the
+ * whole tracking list for every notification.
+ *
+ * - Entries are reloaded after config.subscriptionRegistry.cacheTtl
+ * - A lookup miss triggers a reload (at most once per missRefreshInterval) so
+ *   subscriptions created by another instance are picked up quickly
+ * - subscription-manager and webhook-sync invalidate the cache after writing
+ *   to the tracking list
+ */
+
+const axios = require('axios');
+const config = require('./config');
+const { getAccessToken } = require('./auth');
+
+/**
+ * Rebuild the subscription resource from a tracking list item
+ * List subscriptions store the site in SiteUrl and the list in ListId; drive
+ * subscriptions (drives/{drive-id}/root) store the whole resource in SiteUrl.
+ * @param {Object} fields - Tracking list item fields
+ * @returns {string|null} Subscription resource, or null if it cannot be rebuilt
+ */
+function getTrackedResource(fields = {}) {
+    if (fields.SiteUrl && fields.ListId) {
+        return `${fields.SiteUrl}/lists/${fields.ListId}`;
+    }
+    return /^drives\/[^/]+\/root$/.test(fields.SiteUrl || '') ? fields.SiteUrl : null;
+}
+
+/**
+ * Fetch every item of the webhook management list, following @odata.nextLink
+ * @param {string} accessToken - Graph API access token
+ * @param {Object} options - { sitePath, listId, pageSize }
+ * @returns {Promise<Array>} Tracking list items with fields expanded
+ */
+async function fetchTrackingListItems(accessToken, options = {}) {
+    const sitePath = options.sitePath || config.sharepoint.primarySite.sitePath;
+    const listId = options.listId || config.sharepoint.lists.webhookManagement;
+    const pageSize = options.pageSize || config.subscriptionRegistry.pageSize;
+
+    const items = [];
+    let url = `${config.api.graph.baseUrl}/sites/${sitePath}/lists/${listId}/items?$expand=fields&$top=${pageSize}`;
+
+    while (url) {
+        const response = await axios.get(url, {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Accept': 'application/json'
+            },
+            timeout: config.api.timeout
+        });
+
+        items.push(...(response.data.value || []));
+        url = response.data['@odata.nextLink'] || null;
+    }
+
+    return items;
+}
+
+class SubscriptionRegistry {
+    constructor(options = {}) {
+        this.cacheTtl = options.cacheTtl ?? config.subscriptionRegistry.cacheTtl;
+        this.missRefreshInterval = options.missRefreshInterval ?? config.subscriptionRegistry.missRefreshInterval;
+        this.fetchItems = options.fetchItems || (async context => {
+            const accessToken = await getAccessToken(context);
+            return fetchTrackingListItems(accessToken);
+        });
+
+        this.entries = new Map();
+        this.loadedAt = 0;
+        this.loading = null;
+        this.stats = { hits: 0, misses: 0, loads: 0 };
+    }
+
+    isFresh() {
+        return this.loadedAt > 0 && (Date.now() - this.loadedAt) < this.cacheTtl;
+    }
+
+    /**
+     * Reload the registry from the tracking list
+     * Concurrent callers share a single in-flight load.
+     * @param {Object} context - Azure Functions context
+     * @returns {Promise<void>}
+     */
+    async load(context) {
+        if (!this.loading) {
+            this.loading = (async () => {
+                try {
+                    const items = await this.fetchItems(context);
+                    const entries = new Map();
+                    for (const item of items) {
+                        if (item.fields && item.fields.SubscriptionId) {
+                            entries.set(item.fields.SubscriptionId, item);
+                        }
+                    }
+                    this.entries = entries;
+                    this.loadedAt = Date.now();
+                    this.stats.loads++;
+                } finally {
+                    this.loading = null;
+                }
+            })();
+        }
+        return this.loading;
+    }
+
+    /**
+     * Look up the tracking list item for a subscription
+     * @param {string} subscriptionId - Graph subscription ID
+     * @param {Object} context - Azure Functions context
+     * @returns {Promise<Object|null>} Tracking list item ({ id, fields }) or null
+     */
+    async get(subscriptionId, context) {
+        if (!this.isFresh()) {
+            await this.load(context);
+        }
+
+        let item = this.entries.get(subscriptionId);
+        if (item) {
+            this.stats.hits++;
+            return item;
+        }
+
+        if (Date.now() - this.loadedAt >= this.missRefreshInterval) {
+            await this.load(context);
+            item = this.entries.get(subscriptionId);
+        }
+
+        if (item) {
+            this.stats.hits++;
+        } else {
+            this.stats.misses++;
+        }
+        return item || null;
+    }
+
+    /**
+     * Get all tracking list items
+     * @param {Object} context - Azure Functions context
+     * @returns {Promise<Array>} Tracking list items
+     */
+    async getAll(context) {
+        if (!this.isFresh()) {
+            await this.load(context);
+        }
+        return [...this.entries.values()];
+    }
+
+    /**
+     * Apply a field update this instance just wrote to the tracking list
+     * @param {string} subscriptionId - Graph subscription ID
+     * @param {Object} fields - Fields that were written
+     */
+    updateCachedFields(subscriptionId, fields) {
+        const item = this.entries.get(subscriptionId);
+        if (item) {
+            item.fields = { ...item.fields, ...fields };
+        }
+    }
+
+    /**
+     * Drop cached entries so the next lookup reloads the tracking list
+     * @param {string} [subscriptionId] - Subscription that changed (all if omitted)
+     */
+    invalidate(subscriptionId) {
+        if (subscriptionId) {
+            this.entries.delete(subscriptionId);
+        }
+        this.loadedAt = 0;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            size: this.entries.size,
+            loadedAt: this.loadedAt ? new Date(this.loadedAt).toISOString() : null
+        };
+    }
+}
+
+let registryInstance = null;
+
+/**
+ * Get the shared subscription registry
+ * @returns {SubscriptionRegistry} Registry instance
+ */
+function getSubscriptionRegistry() {
+    if (!registryInstance) {
+        registryInstance = new SubscriptionRegistry();
+    }
+    return registryInstance;
+}
+
+module.exports = {
+    SubscriptionRegistry,
+    fetchTrackingListItems,
+    getTrackedResource,
+    getSubscriptionRegistry
+};
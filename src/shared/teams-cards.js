@@ -0,0 +1,395 @@
+/**
+ * Teams Cards
+ * Adaptive Cards posted to a Teams channel by a teams destination:
+ *   destination:teams|channel:OPS|card:status-alert|when:Status == 'Approved'
+ *
+ * channel:<name> selects the app setting holding the incoming-webhook or
+ * workflow URL (TEAMS_WEBHOOK_URL_<NAME>, or TEAMS_WEBHOOK_URL without a
+ * channel); the URL never appears in clientState. card:<name> selects a card
+ * template; without one config.teams.defaultCard is used.
+ *
+ * A card template is { name, description, card }, where card is an Adaptive
+ * Card using a subset of the Adaptive Card templating language:
+ * - "${path}":          value at a dot-separated path of the card data ($root. reads
+ *                       the top level inside a repeated element); a string holding
+ *                       only a binding keeps the value's type
+ * - "$data": "${path}": repeats the element for each entry of an array, with the
+ *                       entry as its data
+ * - "$when": "${path}": drops the element when the value is empty or false
+ *
+ * Card data: title, summary, changeType, itemId, webUrl, listUrl, listId,
+ * resource, subscriptionId, timestamp, fields (current item), changes
+ * ([{ field, old, new }] from ChangeDetector's comparison), hasChanges, isNewItem
+ * and isDeleted.
+ *
+ * Definitions are loaded from config.teams.cardDirectory (src/templates/cards).
+ *
+ * Incoming webhooks answer 200 with an error text instead of failing the
+ * request, so postTeamsMessage treats that text as a failure too.
+ */
+
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { createLogger } = require('./logger');
+const { compareItemStates } = require('./change-detector');
+const { getPath } = require('./field-mappings');
+
+const DEFAULT_CARDS_DIRECTORY = path.join(__dirname, '../templates/cards');
+const ADAPTIVE_CARD_CONTENT_TYPE = 'application/vnd.microsoft.card.adaptive';
+const CARD_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const CHANNEL_NAME_PATTERN = /^[A-Za-z0-9_]+$/;
+const BINDING_PATTERN = /\$\{([^}]+)\}/g;
+const SINGLE_BINDING_PATTERN = /^\$\{([^}]+)\}$/;
+
+// Fields SharePoint changes on every save; they would crowd out the real changes
+const HIDDEN_CHANGE_FIELDS = [
+    'Modified', 'Created', 'Editor', 'EditorLookupId', 'Author', 'AuthorLookupId', '_UIVersionString',
+    'ContentType', 'Edit', 'LinkTitle', 'LinkTitleNoMenu', 'ItemChildCount', 'FolderChildCount',
+    'Attachments', 'ETag', 'eTag', 'id', 'ID'
+];
+
+const BUILT_IN_CARDS = [
+    {
+        name: 'default',
+        builtIn: true,
+        description: 'Item title, what happened, the changed fields and a button to open the item',
+        card: {
+            type: 'AdaptiveCard',
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            version: '1.4',
+            body: [
+                { type: 'TextBlock', text: '${title}', weight: 'Bolder', size: 'Medium', wrap: true },
+                { type: 'TextBlock', text: '${summary}', isSubtle: true, spacing: 'None', wrap: true },
+                {
+                    type: 'FactSet',
+                    $when: '${hasChanges}',
+                    facts: [{ $data: '${changes}', title: '${field}', value: '${old} → ${new}' }]
+                },
+                {
+                    type: 'TextBlock',
+                    $when: '${isNewItem}',
+                    text: 'Changed fields are shown from the next update of this item.',
+                    isSubtle: true,
+                    wrap: true
+                }
+            ],
+            actions: [
+                { type: 'Action.OpenUrl', $when: '${webUrl}', title: 'Open item', url: '${webUrl}' },
+                { type: 'Action.OpenUrl', $when: '${listUrl}', title: 'Open list', url: '${listUrl}' }
+            ]
+        }
+    }
+];
+
+/**
+ * App setting holding a channel's webhook URL
+ * @param {string|null} channel - channel from clientState
+ * @returns {string} e.g. TEAMS_WEBHOOK_URL_OPS
+ */
+function getTeamsWebhookSetting(channel) {
+    return channel ? `${config.teams.settingPrefix}_${channel.toUpperCase()}` : config.teams.settingPrefix;
+}
+
+/**
+ * Read a channel's webhook URL
+ * @param {string|null} channel - channel from clientState
+ * @returns {string} Incoming-webhook or workflow URL
+ * @throws {Error} If the app setting is not set
+ */
+function resolveTeamsWebhookUrl(channel) {
+    const setting = getTeamsWebhookSetting(channel);
+    if (!process.env[setting]) {
+        throw new Error(`App setting ${setting} is not set`);
+    }
+    return process.env[setting];
+}
+
+// Items fetched by the dispatcher have their fields merged onto the top level
+function fieldsOf(item) {
+    return item ? item.fields || item : {};
+}
+
+function filterFields(fields, includeFields, excludeFields) {
+    return Object.fromEntries(Object.entries(fields).filter(([field]) =>
+        (!includeFields || includeFields.length === 0 || includeFields.includes(field))
+        && !(excludeFields || []).includes(field)
+        && !field.includes('@odata')));
+}
+
+/**
+ * Render a field value as card text
+ * @param {*} value - SharePoint field value
+ * @returns {string} Text
+ */
+function formatValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return '(empty)';
+    }
+    if (Array.isArray(value)) {
+        return value.map(formatValue).join(', ');
+    }
+    if (typeof value === 'object') {
+        return value.LookupValue || value.Email || value.DisplayName || JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * Fields changed since the previous state, formatted for display
+ * Only shown fields count; SharePoint bookkeeping fields are left out.
+ * @returns {Array<Object>} [{ field, old, new }]
+ */
+function buildChanges(item, previousItem, shownFields) {
+    if (!previousItem) {
+        return [];
+    }
+    return compareItemStates({ fields: fieldsOf(previousItem) }, { fields: fieldsOf(item) })
+        .filter(change => !HIDDEN_CHANGE_FIELDS.includes(change.field) && change.field in shownFields)
+        .filter(change => JSON.stringify(change.old) !== JSON.stringify(change.new))
+        .map(change => ({ field: change.field, old: formatValue(change.old), new: formatValue(change.new) }));
+}
+
+// List view URL the item URL starts with (.../Lists/<name>)
+function getListUrl(webUrl) {
+    const listMatch = /^(.*\/Lists\/[^/]+)/i.exec(webUrl || '');
+    return listMatch ? listMatch[1] : null;
+}
+
+function getListId(notification) {
+    const listMatch = /\/lists\/([^/?]+)/i.exec(notification.resource || '');
+    return notification.resourceData?.listId || (listMatch ? listMatch[1] : null);
+}
+
+/**
+ * Build the data a card template binds to
+ * @param {Object} params
+ * @param {Object} params.notification - Webhook notification
+ * @param {Object|null} params.item - Current item (null once deleted)
+ * @param {Object|null} params.previousItem - Item as of the last card for it
+ * @param {Array<string>|null} params.includeFields - Only show these fields
+ * @param {Array<string>|null} params.excludeFields - Never show these fields
+ * @returns {Object} Card data
+ */
+function buildCardData({ notification, item = null, previousItem = null, includeFields = null, excludeFields = null }) {
+    const isDeleted = notification.changeType === 'deleted' || !item;
+    const shown = item || previousItem;
+    const fields = filterFields(fieldsOf(shown), includeFields, excludeFields);
+    const itemId = String(shown?.id || shown?.ID || notification.resourceData?.id || '');
+    const webUrl = shown?.webUrl || null;
+
+    const changes = isDeleted ? [] : buildChanges(item, previousItem, fields);
+    const changeType = isDeleted ? 'deleted' : notification.changeType || 'updated';
+    const title = fields.Title || fields.FileLeafRef || `Item ${itemId}`;
+    return {
+        title,
+        summary: `Item ${itemId} was ${changeType}`,
+        changeType,
+        itemId,
+        webUrl,
+        listUrl: getListUrl(webUrl),
+        listId: getListId(notification),
+        resource: notification.resource || null,
+        subscriptionId: notification.subscriptionId || null,
+        timestamp: new Date().toISOString(),
+        fields: Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, formatValue(value)])),
+        changes,
+        hasChanges: changes.length > 0,
+        isNewItem: !isDeleted && !previousItem,
+        isDeleted
+    };
+}
+
+function readBinding(expression, scope, root) {
+    const trimmed = expression.trim();
+    if (trimmed === '$root') {
+        return root;
+    }
+    if (trimmed.startsWith('$root.')) {
+        return getPath(root, trimmed.substring('$root.'.length));
+    }
+    return getPath(scope, trimmed);
+}
+
+function isEmptyBinding(value) {
+    return value === null || value === undefined || value === '' || value === false
+        || (Array.isArray(value) && value.length === 0);
+}
+
+function renderString(text, scope, root) {
+    const single = SINGLE_BINDING_PATTERN.exec(text);
+    if (single) {
+        const value = readBinding(single[1], scope, root);
+        return value === undefined ? '' : value;
+    }
+    return text.replace(BINDING_PATTERN, (_match, expression) => {
+        const value = readBinding(expression, scope, root);
+        return value === null || value === undefined ? '' : String(value);
+    });
+}
+
+// Render one template node; returns an array because $data may repeat it
+function renderNode(node, scope, root) {
+    if (typeof node === 'string') {
+        return [renderString(node, scope, root)];
+    }
+    if (Array.isArray(node)) {
+        return [node.flatMap(element => renderNode(element, scope, root))];
+    }
+    if (!node || typeof node !== 'object') {
+        return [node];
+    }
+
+    const { $data, $when, ...element } = node;
+    let scopes = [scope];
+    if ($data !== undefined) {
+        const data = typeof $data === 'string' ? renderString($data, scope, root) : $data;
+        scopes = Array.isArray(data) ? data : [data];
+    }
+
+    return scopes
+        .filter(elementScope => $when === undefined || !isEmptyBinding(renderString($when, elementScope, root)))
+        .map(elementScope => Object.fromEntries(Object.entries(element)
+            .map(([key, value]) => [key, renderNode(value, elementScope, root)[0]])));
+}
+
+/**
+ * Render a card template against card data
+ * @param {Object} template - Card template ({ card })
+ * @param {Object} data - Card data (see buildCardData)
+ * @returns {Object} Adaptive Card
+ */
+function renderCardTemplate(template, data) {
+    return renderNode(template.card, data, data)[0];
+}
+
+/**
+ * Wrap a card in the message incoming webhooks and Teams workflows accept
+ * @param {Object} card - Adaptive Card
+ * @returns {Object} Message body
+ */
+function buildTeamsMessage(card) {
+    return {
+        type: 'message',
+        attachments: [{ contentType: ADAPTIVE_CARD_CONTENT_TYPE, contentUrl: null, content: card }]
+    };
+}
+
+/**
+ * Post a message to a channel webhook
+ * @param {string} webhookUrl - Incoming-webhook or workflow URL
+ * @param {Object} message - Message body (see buildTeamsMessage)
+ * @returns {Promise<Object>} { status }
+ * @throws {Error} If Teams rejected the message
+ */
+async function postTeamsMessage(webhookUrl, message) {
+    const response = await axios.post(webhookUrl, message, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: config.teams.timeout,
+        validateStatus: () => true
+    });
+
+    const text = typeof response.data === 'string' ? response.data : '';
+    if (response.status < 200 || response.status >= 300 || /failed|error/i.test(text)) {
+        throw new Error(`Teams webhook responded with status ${response.status}${text ? `: ${text.substring(0, 200)}` : ''}`);
+    }
+    return { status: response.status };
+}
+
+/**
+ * Validate a card template definition
+ * @param {Object} definition - Parsed card template
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateCardTemplate(definition) {
+    if (!definition || typeof definition !== 'object') {
+        return ['Card template must be an object'];
+    }
+
+    const errors = [];
+    if (typeof definition.name !== 'string' || !CARD_NAME_PATTERN.test(definition.name)) {
+        errors.push('name is required and may only contain letters, digits, - and _');
+    } else if (BUILT_IN_CARDS.some(template => template.name.toLowerCase() === definition.name.toLowerCase())) {
+        errors.push(`name '${definition.name}' is reserved for a built-in card`);
+    }
+    if (!definition.card || typeof definition.card !== 'object' || definition.card.type !== 'AdaptiveCard') {
+        errors.push("card must be an Adaptive Card (type 'AdaptiveCard')");
+    }
+    return errors;
+}
+
+/**
+ * Load card template definitions from JSON files in a directory
+ * Invalid definitions and duplicate names are logged and skipped.
+ * @param {string} directory - Directory containing *.json definitions
+ * @returns {Array<Object>} Valid definitions
+ */
+function loadCardTemplates(directory = config.teams.cardDirectory || DEFAULT_CARDS_DIRECTORY) {
+    const logger = createLogger();
+
+    if (!directory || !fs.existsSync(directory)) {
+        return [];
+    }
+
+    const definitions = [];
+    for (const fileName of fs.readdirSync(directory).filter(name => name.endsWith('.json')).sort()) {
+        try {
+            const definition = JSON.parse(fs.readFileSync(path.join(directory, fileName), 'utf8'));
+            const errors = validateCardTemplate(definition);
+            if (errors.length > 0) {
+                logger.error('Skipping invalid card template', { fileName, errors });
+                continue;
+            }
+            if (definitions.some(existing => existing.name.toLowerCase() === definition.name.toLowerCase())) {
+                logger.error('Skipping duplicate card template', { fileName, name: definition.name });
+                continue;
+            }
+            definitions.push(definition);
+        } catch (error) {
+            logger.error('Failed to read card template', { fileName, error: error.message });
+        }
+    }
+
+    return definitions;
+}
+
+let loadedCards = null;
+
+/**
+ * Every available card template: built-ins first, then configured definitions
+ * @returns {Array<Object>} Card templates
+ */
+function getCardTemplates() {
+    if (!loadedCards) {
+        loadedCards = loadCardTemplates();
+    }
+    return [...BUILT_IN_CARDS, ...loadedCards];
+}
+
+/**
+ * Find a card template by name (case-insensitive)
+ * @param {string|null} name - card from clientState (null for config.teams.defaultCard)
+ * @returns {Object|null} Card template
+ */
+function getCardTemplate(name) {
+    const lowerName = String(name || config.teams.defaultCard).toLowerCase();
+    return getCardTemplates().find(template => template.name.toLowerCase() === lowerName) || null;
+}
+
+module.exports = {
+    ADAPTIVE_CARD_CONTENT_TYPE,
+    CHANNEL_NAME_PATTERN,
+    BUILT_IN_CARDS,
+    getTeamsWebhookSetting,
+    resolveTeamsWebhookUrl,
+    formatValue,
+    buildCardData,
+    renderCardTemplate,
+    buildTeamsMessage,
+    postTeamsMessage,
+    validateCardTemplate,
+    loadCardTemplates,
+    getCardTemplates,
+    getCardTemplate
+};
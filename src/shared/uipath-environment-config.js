@@ -6,6 +6,7 @@
 
 const config = require('./config');
 const { createLogger } = require('./logger');
+const { parseClientState } = require('./clientstate-parser');
 
 /**
  * Environment configuration presets
@@ -25,8 +26,9 @@ const ENVIRONMENT_PRESETS = {
 
 /**
  * Parse environment configuration from clientState
- * Expected clientState format:
+ * Accepts both clientState formats, for example:
  * processor:uipath;uipath:QueueName;env:DEV;folder:277500;config:AzureFunctionApp
+ * destination:uipath|handler:document|queue:QueueName|tenant:DEV|folder:277500
  *
  * @param {string} clientState - Client state string from webhook
  * @returns {Object|null} Parsed environment configuration or null if not found
@@ -36,33 +38,13 @@ function parseEnvironmentFromClientState(clientState) {
         return null;
     }
 
-    const envConfig = {
-        environment: null,
-        folder: null,
-        queueName: null
-    };
-
-    // Parse semicolon-separated tokens
-    const tokens = clientState.split(';').map(t => t.trim());
-
-    for (const token of tokens) {
-        const colonIndex = token.indexOf(':');
-        if (colonIndex === -1) continue;
-
-        const key = token.substring(0, colonIndex).toLowerCase();
-        const value = token.substring(colonIndex + 1);
+    const parsed = parseClientState(clientState);
 
-        if (key === 'env' || key === 'environment') {
-            envConfig.environment = value.toUpperCase();
-        } else if (key === 'folder' || key === 'organizationunitid') {
-            envConfig.folder = value;
-        } else if (key === 'uipath' && !value.includes(':')) {
-            // Extract queue name from "uipath:QueueName"
-            envConfig.queueName = value;
-        }
-    }
-
-    return envConfig;
+    return {
+        environment: parsed.tenant,
+        folder: parsed.folder,
+        queueName: parsed.queue
+    };
 }
 
 /**
@@ -4,11 +4,24 @@
  * resource paths, or item metadata. Processors register themselves with a
  * simple descriptor so the dispatcher can remain agnostic of specific
  * SharePoint lists or document libraries.
+ *
+ * Declarative list templates (src/templates/definitions/*.json and the
+ * optional SharePoint template list) are registered ahead of the generic
+ * document processor, which acts as the fallback.
  */
 
-const { createCostcoProcessor } = require('../templates/costco-inline-routing');
 const { createGenericDocumentProcessor } = require('../templates/generic-document-processor');
 const { createLogger } = require('./logger');
+const config = require('./config');
+const clientStateParser = require('./clientstate-parser');
+const {
+    createListTemplateProcessor,
+    matchesTemplate,
+    loadTemplateDefinitions,
+    fetchTemplateDefinitionsFromList
+} = require('./list-template-engine');
+const { getAccessToken } = require('./auth');
+const { parseDriveResource } = require('./drive-items');
 
 // UiPath Processor Registry
 const registry = [];
@@ -17,20 +30,55 @@ const registry = [];
  * Register a processor descriptor
  * @param {Object} descriptor
  * @param {string} descriptor.name - Unique processor name
- * @param {Function} descriptor.matches - Function receiving context { tokens, resource, item }
- * @param {Function} descriptor.factory - Factory returning processor instance
+ * @param {Function} descriptor.matches - Function receiving context { tokens, clientState, resource, item },
+ *   where clientState is the parsed config from clientstate-parser
+ * @param {Function} descriptor.factory - Factory returning processor instance: { name, process, onDelete? }.
+ *   process({ item, previousItem, queueName, accessToken }) handles created/updated items; the optional
+ *   onDelete({ item, deletedDateTime, queueName, accessToken }) receives the last known state of a deleted item
+ * @param {string} [descriptor.description] - What the processor does
+ * @param {Array<string>} [descriptor.clientStateTokens] - clientState tokens that select the processor
+ * @param {Array<string>} [descriptor.resourceHints] - Resource path fragments that select the processor
+ * @param {Object} [descriptor.options] - { required, optional } arrays of { name, description, example }
+ * @param {string|null} [descriptor.defaultQueue] - Queue used when clientState does not name one
+ * @param {Object} [descriptor.samplePayload] - Example of the queue item content the processor submits
+ * @param {boolean} [descriptor.requiresAccessToken] - Processor needs a Graph token (document handling)
+ * @param {Object} options - { before } name of a registered processor to insert ahead of
  */
-function registerProcessor(descriptor) {
+function registerProcessor(descriptor, options = {}) {
     if (!descriptor || !descriptor.name || typeof descriptor.factory !== 'function') {
         throw new Error('Invalid processor descriptor registration');
     }
 
+    if (descriptor.options && !['required', 'optional'].every(key =>
+        descriptor.options[key] === undefined || Array.isArray(descriptor.options[key]))) {
+        throw new Error(`Processor ${descriptor.name} options must declare required/optional arrays`);
+    }
+
     const exists = registry.find(entry => entry.name === descriptor.name);
     if (exists) {
         throw new Error(`Processor with name ${descriptor.name} already registered`);
     }
 
-    registry.push(descriptor);
+    const beforeIndex = options.before ? registry.findIndex(entry => entry.name === options.before) : -1;
+    if (beforeIndex === -1) {
+        registry.push(descriptor);
+    } else {
+        registry.splice(beforeIndex, 0, descriptor);
+    }
+}
+
+/**
+ * Remove a registered processor
+ * @param {string} name - Processor name
+ * @returns {boolean} True if a processor was removed
+ */
+function unregisterProcessor(name) {
+    const index = registry.findIndex(entry => entry.name === name);
+    if (index === -1) {
+        return false;
+    }
+    registry.splice(index, 1);
+    return true;
 }
 
 /**
@@ -43,10 +91,11 @@ function registerProcessor(descriptor) {
  */
 function resolveProcessor(params = {}) {
     const tokens = parseClientState(params.clientState);
+    const clientState = clientStateParser.parseClientState(params.clientState);
 
     for (const descriptor of registry) {
         try {
-            if (descriptor.matches({ tokens, resource: params.resource, item: params.item })) {
+            if (descriptor.matches({ tokens, clientState, resource: params.resource, item: params.item })) {
                 return descriptor;
             }
         } catch (error) {
@@ -68,61 +117,104 @@ function listProcessors() {
     return registry.map(entry => entry.name);
 }
 
+/**
+ * Describe a registered processor without its matcher and factory
+ * @param {Object} descriptor - Registered descriptor
+ * @returns {Object} Public metadata
+ */
+function toProcessorInfo(descriptor) {
+    return {
+        name: descriptor.name,
+        description: descriptor.description || null,
+        clientStateTokens: descriptor.clientStateTokens || [],
+        resourceHints: descriptor.resourceHints || [],
+        options: {
+            required: descriptor.options?.required || [],
+            optional: descriptor.options?.optional || []
+        },
+        defaultQueue: descriptor.defaultQueue || null,
+        samplePayload: descriptor.samplePayload || null,
+        source: descriptor.source || 'code'
+    };
+}
+
+/**
+ * Return metadata for every registered processor (for the handlers catalogue)
+ * @returns {Array<Object>} Processor metadata in resolution order
+ */
+function describeProcessors() {
+    return registry.map(toProcessorInfo);
+}
+
+/**
+ * Return metadata for a single registered processor
+ * @param {string} name - Processor name
+ * @returns {Object|null} Processor metadata, or null if not registered
+ */
+function describeProcessor(name) {
+    const descriptor = registry.find(entry => entry.name === name);
+    return descriptor ? toProcessorInfo(descriptor) : null;
+}
+
 /**
  * Parse clientState string into normalized token array
+ * Kept for processors that match on raw tokens; prefer the parsed clientState.
  */
 function parseClientState(clientState) {
-    if (!clientState || typeof clientState !== 'string') {
-        return [];
-    }
-
-    return clientState
-        .split(';')
-        .map(token => token.trim())
-        .filter(Boolean)
-        .map(token => token.toLowerCase());
+    return clientStateParser.tokenizeClientState(clientState);
 }
 
 // ---------------------------------------------------------------------------
 // Default Processor Registrations
 // ---------------------------------------------------------------------------
 
-registerProcessor({
-    name: 'costco-inline-routing',
-    matches: ({ tokens, resource }) => {
-        if (!tokens && !resource) {
-            return false;
-        }
-
-        const tokenMatch = (tokens || []).some(token =>
-            token.includes('costco') || token.includes('processor:costco')
-        );
-
-        const resourceMatch = resource ? resource.toLowerCase().includes('costco') : false;
-        return tokenMatch || resourceMatch;
-    },
-    factory: (context, configOverrides) => {
-        const processor = createCostcoProcessor(context, configOverrides);
-        return {
-            name: 'costco-inline-routing',
-            process: async ({ item, previousItem, queueName, accessToken }) =>
-                processor.processItem(item, previousItem, queueName, accessToken)
-        };
-    }
-});
+// clientState options shared by every UiPath processor
+const UIPATH_ROUTING_OPTIONS = [
+    { name: 'tenant', description: 'UiPath environment preset (DEV or PROD); defaults to app settings', example: 'PROD' },
+    { name: 'folder', description: 'UiPath folder (organization unit) ID; defaults to the tenant preset', example: '606837' },
+    { name: 'config', description: 'Configuration label recorded with the subscription', example: 'WebhookIntegration' }
+];
 
 registerProcessor({
     name: 'generic-document',
-    matches: ({ tokens, resource }) => {
+    requiresAccessToken: true,
+    description: 'Submits any list item or document with its flattened fields and file metadata',
+    clientStateTokens: ['handler:document', 'processor:document'],
+    resourceHints: ['shared documents', 'documents', '/drives/'],
+    options: {
+        required: [
+            { name: 'queue', description: 'Target UiPath queue; may be omitted when UIPATH_DEFAULT_QUEUE is set', example: 'FIN_SCAN' }
+        ],
+        optional: [
+            ...UIPATH_ROUTING_OPTIONS,
+            { name: 'includeFields', description: 'Only submit these SharePoint fields', example: 'Title,Vendor' },
+            { name: 'excludeFields', description: 'Omit these SharePoint fields', example: 'Comments' }
+        ]
+    },
+    defaultQueue: null,
+    samplePayload: {
+        Title: 'Invoice 1001',
+        Vendor: 'Contoso',
+        FilePath: '/sites/Finance/Shared Documents/Invoice-1001.pdf',
+        FileDirectory: '/sites/Finance/Shared Documents',
+        FileName: 'Invoice-1001.pdf',
+        ContentType: 'Document',
+        CreatedBy: 'user@example.com',
+        ModifiedBy: 'user@example.com',
+        LastModified: '2025-08-16T11:59:00Z',
+        WebUrl: 'https://example.sharepoint.com/sites/Finance/Shared%20Documents/Invoice-1001.pdf'
+    },
+    matches: ({ clientState, resource }) => {
         // Trigger when clientState explicitly requests document processing
-        if (tokens && tokens.some(token => token.includes('processor:document'))) {
+        if (clientState && clientState.handler === 'document') {
             return true;
         }
 
         // Fallback: detect common document library resource patterns
         if (resource) {
             const lower = resource.toLowerCase();
-            return lower.includes('shared documents') || lower.includes('documents') || lower.includes('/drives/');
+            return lower.includes('shared documents') || lower.includes('documents') ||
+                lower.includes('/drives/') || Boolean(parseDriveResource(resource));
         }
         return false;
     },
@@ -136,9 +228,122 @@ registerProcessor({
     }
 });
 
+// ---------------------------------------------------------------------------
+// Declarative List Templates
+// ---------------------------------------------------------------------------
+
+/**
+ * Build a registry descriptor for a list template definition
+ * @param {Object} definition - Validated template definition
+ * @param {string} source - 'file' or 'sharepoint'
+ * @returns {Object} Processor descriptor
+ */
+function createListTemplateDescriptor(definition, source) {
+    const handlers = definition.match?.handlers || [];
+    const defaultQueue = definition.queue?.defaultQueue || null;
+    const queueOption = {
+        name: 'queue',
+        description: defaultQueue ? 'Override the template default queue' : 'Target UiPath queue',
+        example: defaultQueue || 'QUEUE_NAME'
+    };
+
+    return {
+        name: definition.name,
+        description: definition.description || null,
+        clientStateTokens: definition.clientStateTokens ||
+            handlers.flatMap(handler => [`handler:${handler}`, `processor:${handler}`]),
+        resourceHints: definition.match?.resourceContains || [],
+        options: {
+            required: defaultQueue ? [] : [queueOption],
+            optional: defaultQueue ? [queueOption, ...UIPATH_ROUTING_OPTIONS] : UIPATH_ROUTING_OPTIONS
+        },
+        defaultQueue,
+        samplePayload: definition.samplePayload || null,
+        requiresAccessToken: definition.document?.strategy === 'hyperlink',
+        source,
+        definition,
+        matches: ({ clientState, resource }) => matchesTemplate(definition, { clientState, resource }),
+        factory: (context, configOverrides) => {
+            const processor = createListTemplateProcessor(definition, context, configOverrides);
+            const instance = {
+                name: definition.name,
+                process: async ({ item, previousItem, queueName, accessToken }) =>
+                    processor.processItem(item, previousItem, queueName, accessToken)
+            };
+            if (definition.onDelete) {
+                instance.onDelete = async ({ item, deletedDateTime, queueName }) =>
+                    processor.processDeletion(item, deletedDateTime, queueName);
+            }
+            return instance;
+        }
+    };
+}
+
+let listTemplatesLoadedAt = 0;
+let listTemplatesLoading = null;
+
+/**
+ * Load templates from the SharePoint template list (config.listTemplates.listId)
+ * Runs at most once per config.listTemplates.refreshInterval. Templates from the
+ * list replace earlier list templates of the same name but never override
+ * processors registered in code or from definition files.
+ * @param {Object} context - Azure Functions context
+ * @param {Object} options - { force, accessToken }
+ * @returns {Promise<void>}
+ */
+async function refreshListTemplates(context, options = {}) {
+    if (!config.listTemplates.listId) {
+        return;
+    }
+    if (!options.force && Date.now() - listTemplatesLoadedAt < config.listTemplates.refreshInterval) {
+        return;
+    }
+
+    if (!listTemplatesLoading) {
+        listTemplatesLoading = (async () => {
+            const logger = createLogger(context);
+            try {
+                const accessToken = options.accessToken || await getAccessToken(context);
+                const definitions = await fetchTemplateDefinitionsFromList(accessToken);
+
+                registry
+                    .filter(entry => entry.source === 'sharepoint')
+                    .forEach(entry => unregisterProcessor(entry.name));
+
+                for (const definition of definitions) {
+                    if (registry.some(entry => entry.name === definition.name)) {
+                        logger.warn('List template name is already registered; skipping', { template: definition.name });
+                        continue;
+                    }
+                    registerProcessor(createListTemplateDescriptor(definition, 'sharepoint'), { before: 'generic-document' });
+                }
+
+                logger.info('Loaded list templates from SharePoint', { count: definitions.length });
+            } catch (error) {
+                // Keep the previously loaded templates; retry after the refresh interval
+                logger.error('Failed to load list templates from SharePoint', { error: error.message });
+            } finally {
+                listTemplatesLoadedAt = Date.now();
+                listTemplatesLoading = null;
+            }
+        })();
+    }
+
+    await listTemplatesLoading;
+}
+
+for (const definition of loadTemplateDefinitions()) {
+    registerProcessor(createListTemplateDescriptor(definition, 'file'), { before: 'generic-document' });
+}
+
 module.exports = {
     registerProcessor,
+    unregisterProcessor,
     resolveProcessor,
     listProcessors,
+    describeProcessors,
+    describeProcessor,
+    createListTemplateDescriptor,
+    refreshListTemplates,
     parseClientState
 };
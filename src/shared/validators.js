@@ -3,7 +3,9 @@
  * Provides schema validation and sanitization for incoming requests
  */
 
+const config = require('./config');
 const { validationError, AppError } = require('./error-handler');
+const { SUBSCRIPTION_TYPES } = require('./sharepoint-rest');
 
 /**
  * Validate webhook notification payload
@@ -101,7 +103,12 @@ function validateWebhookNotification(data) {
             changeType: notification.changeType.toLowerCase(),
             clientState: notification.clientState,
             tenantId: notification.tenantId,
-            resourceData: notification.resourceData
+            resourceData: notification.resourceData,
+            // Set by normalizeSharePointRestNotification for SharePoint REST webhooks
+            ...(notification.subscriptionType && {
+                subscriptionType: notification.subscriptionType,
+                webId: notification.webId
+            })
         });
     }
 
@@ -110,6 +117,52 @@ function validateWebhookNotification(data) {
     };
 }
 
+/**
+ * Validate a Graph lifecycle notification payload
+ * @param {Object} data - The lifecycle notification payload to validate
+ * @returns {Object} Validated data
+ * @throws {AppError} If validation fails
+ */
+function validateLifecycleNotification(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.value)) {
+        throw validationError('Invalid lifecycle notification format: missing or invalid "value" array', {
+            received: typeof data?.value,
+            expected: 'array'
+        });
+    }
+
+    const validatedNotifications = data.value.map((notification, i) => {
+        if (!notification || typeof notification !== 'object') {
+            throw validationError(`Invalid lifecycle notification at index ${i}: must be an object`);
+        }
+
+        if (!notification.subscriptionId || typeof notification.subscriptionId !== 'string') {
+            throw validationError(`Invalid lifecycle notification at index ${i}: missing or invalid subscriptionId`, {
+                received: notification.subscriptionId
+            });
+        }
+
+        if (!notification.lifecycleEvent || typeof notification.lifecycleEvent !== 'string') {
+            throw validationError(`Invalid lifecycle notification at index ${i}: missing or invalid lifecycleEvent`, {
+                received: notification.lifecycleEvent
+            });
+        }
+
+        return {
+            subscriptionId: notification.subscriptionId.trim(),
+            lifecycleEvent: notification.lifecycleEvent,
+            resource: typeof notification.resource === 'string' ? notification.resource.trim() : undefined,
+            subscriptionExpirationDateTime: notification.subscriptionExpirationDateTime,
+            clientState: notification.clientState,
+            tenantId: notification.tenantId
+        };
+    });
+
+    return {
+        value: validatedNotifications
+    };
+}
+
 /**
  * Validate subscription creation request
  * @param {Object} data - The subscription data to validate
@@ -169,14 +222,61 @@ function validateSubscriptionRequest(data) {
 
     // Validate resource format (SharePoint specific)
     const resourcePattern = /^sites\/[^\/]+:\/sites\/[^\/]+:\/lists\/[a-f0-9-]+$/;
-    if (!resourcePattern.test(data.resource)) {
+    const driveResourcePattern = /^drives\/[^/]+\/root$/;
+    const isDriveResource = driveResourcePattern.test(data.resource);
+    if (!resourcePattern.test(data.resource) && !isDriveResource) {
         throw validationError('Invalid resource format for SharePoint list', {
             received: data.resource,
-            expected: 'sites/{domain}:/sites/{sitename}:/lists/{list-id}'
+            expected: 'sites/{domain}:/sites/{sitename}:/lists/{list-id} or drives/{drive-id}/root'
         });
     }
 
     // Optional fields validation
+    const subscriptionType = data.subscriptionType || SUBSCRIPTION_TYPES.GRAPH;
+    if (!Object.values(SUBSCRIPTION_TYPES).includes(subscriptionType)) {
+        throw validationError('Invalid subscriptionType value', {
+            received: data.subscriptionType,
+            allowed: Object.values(SUBSCRIPTION_TYPES)
+        });
+    }
+    const isSharePointRest = subscriptionType === SUBSCRIPTION_TYPES.SHAREPOINT;
+
+    // Graph only supports 'updated' for driveItem subscriptions
+    if (isDriveResource && data.changeType !== 'updated') {
+        throw validationError('Drive subscriptions only support the updated changeType', {
+            received: data.changeType
+        });
+    }
+
+    if (isSharePointRest && isDriveResource) {
+        throw validationError('Drive resources are only supported for Graph subscriptions', {
+            received: data.resource
+        });
+    }
+
+    if (data.lifecycleNotificationUrl !== undefined && isSharePointRest) {
+        throw validationError('lifecycleNotificationUrl is only supported for Graph subscriptions', {
+            subscriptionType
+        });
+    }
+
+    if (data.lifecycleNotificationUrl !== undefined) {
+        let lifecycleUrl;
+        try {
+            lifecycleUrl = new URL(data.lifecycleNotificationUrl);
+        } catch (error) {
+            throw validationError('Invalid lifecycleNotificationUrl format', {
+                received: data.lifecycleNotificationUrl,
+                error: error.message
+            });
+        }
+        if (lifecycleUrl.protocol !== 'https:') {
+            throw validationError('Lifecycle notification URL must use HTTPS protocol', {
+                received: lifecycleUrl.protocol
+            });
+        }
+    }
+
     if (data.expirationDateTime) {
         const expiration = new Date(data.expirationDateTime);
         if (isNaN(expiration.getTime())) {
@@ -192,11 +292,13 @@ function validateSubscriptionRequest(data) {
             });
         }
 
-        // SharePoint webhooks max 3 days
+        // Graph subscriptions on SharePoint lists max 3 days, SharePoint REST webhooks max 180
+        const maxDays = isSharePointRest ? config.sharepointWebhooks.maxExpirationDays : config.webhook.maxExpirationDays;
         const maxExpiration = new Date();
-        maxExpiration.setDate(maxExpiration.getDate() + 3);
+        maxExpiration.setDate(maxExpiration.getDate() + maxDays);
         if (expiration > maxExpiration) {
-            throw validationError('Expiration date cannot exceed 3 days for SharePoint webhooks', {
+            const webhookKind = isSharePointRest ? 'SharePoint REST webhooks' : 'SharePoint webhooks';
+            throw validationError(`Expiration date cannot exceed ${maxDays} days for ${webhookKind}`, {
                 received: data.expirationDateTime,
                 maxAllowed: maxExpiration.toISOString()
             });
@@ -215,7 +317,10 @@ function validateSubscriptionRequest(data) {
         changeType: data.changeType.toLowerCase(),
         notificationUrl: data.notificationUrl.trim(),
         expirationDateTime: data.expirationDateTime,
-        clientState: data.clientState
+        lifecycleNotificationUrl: data.lifecycleNotificationUrl,
+        clientState: data.clientState,
+        subscriptionType,
+        uipath: data.uipath
     };
 }
 
@@ -295,6 +400,7 @@ function sanitizeString(input, maxLength = 1000) {
 
 module.exports = {
     validateWebhookNotification,
+    validateLifecycleNotification,
     validateSubscriptionRequest,
     validateResourceFormat,
     validateGuid,
@@ -0,0 +1,195 @@
+/**
+ * Webhook Signature
+ * HMAC-SHA256 signing of forwarded requests, and the verification helper
+ * receivers use to check them. This module only depends on Node's crypto,
+ * so a receiver can copy it as-is.
+ *
+ * Every signed request carries:
+ * - X-Webhook-Id:        unique id of the request (reject ids already seen)
+ * - X-Webhook-Timestamp: Unix time in seconds when the request was signed
+ * - X-Webhook-Signature: "v1=<hex>" per active key, comma-separated
+ *
+ * The signature is HMAC-SHA256(secret, "<id>.<timestamp>.<raw body>").
+ * During key rotation the sender signs with both the new and the previous
+ * key, so a receiver holding either one accepts the request.
+ *
+ * Receiver example:
+ *   const { verifySignature, createReplayGuard } = require('./webhook-signature');
+ *   const isReplay = createReplayGuard();
+ *   const result = verifySignature({ body: rawBody, headers: req.headers, secrets: [secret], isReplay });
+ *   if (!result.valid) return res.status(401).send(result.reason);
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADERS = {
+    ID: 'X-Webhook-Id',
+    TIMESTAMP: 'X-Webhook-Timestamp',
+    SIGNATURE: 'X-Webhook-Signature'
+};
+
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const MS_PER_SECOND = 1000;
+
+const VERIFICATION_FAILURES = {
+    MISSING_HEADERS: 'missing_headers',
+    INVALID_TIMESTAMP: 'invalid_timestamp',
+    TIMESTAMP_OUT_OF_RANGE: 'timestamp_out_of_range',
+    SIGNATURE_MISMATCH: 'signature_mismatch',
+    REPLAYED: 'replayed'
+};
+
+/**
+ * Compute the signature of a request
+ * @param {string} secret - Signing secret
+ * @param {string} id - Request id
+ * @param {number|string} timestamp - Unix time in seconds
+ * @param {string|Buffer} body - Raw request body
+ * @returns {string} Hex-encoded HMAC-SHA256
+ */
+function computeSignature(secret, id, timestamp, body) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${id}.${timestamp}.`)
+        .update(body)
+        .digest('hex');
+}
+
+/**
+ * Build the signature headers for a request body
+ * @param {string|Buffer} body - Raw request body, exactly as sent
+ * @param {Array<string>} secrets - Active secrets, newest first
+ * @param {Object} options - { id, timestamp } to override the generated values
+ * @returns {Object} Headers to add to the request
+ */
+function signPayload(body, secrets, options = {}) {
+    const id = options.id || crypto.randomUUID();
+    const timestamp = options.timestamp || Math.floor(Date.now() / MS_PER_SECOND);
+    const signatures = secrets
+        .filter(Boolean)
+        .map(secret => `${SIGNATURE_VERSION}=${computeSignature(secret, id, timestamp, body)}`);
+
+    return {
+        [SIGNATURE_HEADERS.ID]: id,
+        [SIGNATURE_HEADERS.TIMESTAMP]: String(timestamp),
+        [SIGNATURE_HEADERS.SIGNATURE]: signatures.join(', ')
+    };
+}
+
+/**
+ * Read the signatures of the supported version from a signature header
+ * @param {string} header - X-Webhook-Signature value
+ * @returns {Array<string>} Hex signatures
+ */
+function parseSignatureHeader(header) {
+    return String(header || '')
+        .split(',')
+        .map(part => part.trim())
+        .filter(part => part.startsWith(`${SIGNATURE_VERSION}=`))
+        .map(part => part.substring(SIGNATURE_VERSION.length + 1));
+}
+
+// Accepts a plain header object (any casing) or a fetch-style Headers instance
+function readHeader(headers, name) {
+    if (!headers) {
+        return undefined;
+    }
+    if (typeof headers.get === 'function') {
+        return headers.get(name) || undefined;
+    }
+    const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : undefined;
+}
+
+function signaturesMatch(expected, actual) {
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const actualBuffer = Buffer.from(actual, 'hex');
+    return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+/**
+ * Verify a signed request
+ * @param {Object} params
+ * @param {string|Buffer} params.body - Raw request body (not re-serialized JSON)
+ * @param {Object} params.headers - Request headers
+ * @param {Array<string>} params.secrets - Secrets the receiver accepts
+ * @param {number} params.toleranceSeconds - Maximum clock difference (default 300)
+ * @param {Function} params.isReplay - Optional (id) => boolean; true rejects the request
+ * @param {number} params.now - Current Unix time in seconds (for tests)
+ * @returns {Object} { valid, reason, id, timestamp }
+ */
+function verifySignature({ body, headers, secrets, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, isReplay, now }) {
+    const id = readHeader(headers, SIGNATURE_HEADERS.ID);
+    const timestampHeader = readHeader(headers, SIGNATURE_HEADERS.TIMESTAMP);
+    const signatures = parseSignatureHeader(readHeader(headers, SIGNATURE_HEADERS.SIGNATURE));
+    const fail = reason => ({ valid: false, reason, id: id || null, timestamp: timestampHeader || null });
+
+    if (!id || !timestampHeader || signatures.length === 0) {
+        return fail(VERIFICATION_FAILURES.MISSING_HEADERS);
+    }
+
+    const timestamp = Number(timestampHeader);
+    if (!Number.isInteger(timestamp)) {
+        return fail(VERIFICATION_FAILURES.INVALID_TIMESTAMP);
+    }
+
+    const currentTime = now === undefined ? Math.floor(Date.now() / MS_PER_SECOND) : now;
+    if (Math.abs(currentTime - timestamp) > toleranceSeconds) {
+        return fail(VERIFICATION_FAILURES.TIMESTAMP_OUT_OF_RANGE);
+    }
+
+    const matched = (secrets || []).filter(Boolean).some(secret => {
+        const expected = computeSignature(secret, id, timestamp, body);
+        return signatures.some(signature => signaturesMatch(expected, signature));
+    });
+    if (!matched) {
+        return fail(VERIFICATION_FAILURES.SIGNATURE_MISMATCH);
+    }
+
+    // Only authentic requests are recorded, so forged ids cannot block real ones
+    if (isReplay && isReplay(id)) {
+        return fail(VERIFICATION_FAILURES.REPLAYED);
+    }
+
+    return { valid: true, reason: null, id, timestamp };
+}
+
+/**
+ * Create an in-memory replay check for verifySignature
+ * Ids are remembered for the timestamp tolerance; older requests are
+ * already rejected by the timestamp check.
+ * @param {number} toleranceSeconds - Same tolerance passed to verifySignature
+ * @returns {Function} (id) => true if the id was seen before
+ */
+function createReplayGuard(toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+    const seen = new Map();
+
+    return id => {
+        const now = Date.now();
+        for (const [seenId, expiresAt] of seen) {
+            if (expiresAt <= now) {
+                seen.delete(seenId);
+            }
+        }
+
+        if (seen.has(id)) {
+            return true;
+        }
+        // A timestamp may be up to the tolerance behind or ahead of the receiver's clock
+        seen.set(id, now + (toleranceSeconds * 2 * MS_PER_SECOND));
+        return false;
+    };
+}
+
+module.exports = {
+    SIGNATURE_HEADERS,
+    SIGNATURE_VERSION,
+    DEFAULT_TOLERANCE_SECONDS,
+    VERIFICATION_FAILURES,
+    computeSignature,
+    signPayload,
+    parseSignatureHeader,
+    verifySignature,
+    createReplayGuard
+};